@@ -3,17 +3,35 @@
 import fs from "node:fs";
 import path from "node:path";
 import {
-  parseCsvFile,
+  streamCsvFile,
+  categorizeStream,
+  isXlsx,
+  detectSource,
+  listParsers,
+  loadParserProfiles,
   validateRulesFile,
+  analyzeRules,
   categorizeTransactions,
   exportScheduleC,
   generateAlerts,
   generateSummary,
-  formatSummaryReport
+  formatSummaryReport,
+  isInternalTransfer,
+  convertTransactions,
+  loadFxRates,
+  loadAccounts,
+  findAccount,
+  accountLabel,
+  buildIdMigration,
+  remapTransactionIds,
+  mergeTransactions
 } from "../../../packages/core/src/index-node.js";
 
 const [, , command, ...rest] = process.argv;
 
+// Format detection reads the start of a file
+const DETECT_BYTES = 64 * 1024;
+
 /**
  * Get value of a command-line flag
  * @param {string} flag - Flag name (e.g., "--file")
@@ -70,6 +88,172 @@ function writeJson(p, obj) {
   fs.writeFileSync(p, JSON.stringify(obj, null, 2) + "\n", "utf8");
 }
 
+/**
+ * Register mapping profiles from the --parsers directory
+ * @param {string} dir - Profile directory
+ */
+function loadProfiles(dir) {
+  const names = loadParserProfiles(dir);
+  if (names.length > 0) {
+    console.log(`Loaded parser profiles from ${dir}: ${names.join(", ")}`);
+  }
+}
+
+/**
+ * Read the start of a file for format detection
+ * Workbooks are read whole; text is cut after its last complete line.
+ * @param {string} file - Input file path
+ * @returns {Uint8Array|string} Bytes of a workbook, or the first lines of text
+ */
+function readHead(file) {
+  const fd = fs.openSync(file, "r");
+  try {
+    const head = Buffer.alloc(Math.min(DETECT_BYTES, fs.fstatSync(fd).size));
+    fs.readSync(fd, head, 0, head.length, 0);
+    if (isXlsx(head)) return fs.readFileSync(file);
+    const text = head.toString("utf8");
+    return head.length < DETECT_BYTES ? text : text.slice(0, text.lastIndexOf("\n") + 1) || text;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Stream a statement file in batches, showing progress on a terminal
+ * Like parseCsvFile, fails when the file can't be read at all and skips
+ * invalid rows.
+ * @param {string} file - Input file path
+ * @param {Object} options - streamCsvFile options (source, locale, sheet, accountId)
+ * @returns {AsyncGenerator} Batches of transactions
+ */
+async function* readStatement(file, options) {
+  const onProgress = process.stderr.isTTY
+    ? ({ bytesRead, totalBytes, transactions }) => {
+        const percent = totalBytes ? Math.floor((bytesRead / totalBytes) * 100) : 0;
+        process.stderr.write(`\rReading ${path.basename(file)}: ${percent}% (${transactions} transactions)`);
+      }
+    : undefined;
+
+  try {
+    for await (const batch of streamCsvFile(file, { ...options, onProgress })) {
+      const [first] = batch.errors;
+      if (first && batch.transactions.length === 0 && (first.row === 0 || first.message.startsWith("Missing required headers"))) {
+        throw new Error(`Failed to parse ${options.source} CSV: ${first.message}`);
+      }
+      yield batch;
+    }
+  } finally {
+    if (onProgress) process.stderr.write("\r\x1b[K");
+  }
+}
+
+/**
+ * Resolve --source auto to the best matching adapter for a file
+ * Explicit sources are returned unchanged.
+ * @param {string} file - Input file path
+ * @param {string} source - Requested source
+ * @returns {string} Source to parse with
+ */
+function resolveSource(file, source) {
+  if (source !== "auto" || !fs.existsSync(file)) return source;
+
+  const [best, ...others] = detectSource(readHead(file), { sheet: getArg("--sheet") || undefined });
+  if (!best) {
+    throw new Error(
+      `Could not detect the format of ${file}\n` +
+      `Pass --source explicitly (${listParsers().join(", ")})`
+    );
+  }
+
+  const runnerUp = others[0] ? `, next: ${others[0].source} ${others[0].confidence}` : "";
+  console.log(`Detected source: ${best.source} (confidence ${best.confidence}${runnerUp})`);
+  return best.source;
+}
+
+/**
+ * Load the --accounts registry
+ * The default rules/accounts.json is optional; an explicit path must exist.
+ * @returns {Array} Accounts (empty without a registry)
+ */
+function readAccounts() {
+  const accountsPath = getArg("--accounts");
+  if (!accountsPath && !fs.existsSync("rules/accounts.json")) return [];
+  return loadAccounts(accountsPath || "rules/accounts.json");
+}
+
+/**
+ * Resolve --account to a registry account id
+ * @param {Array} accounts - Accounts registry
+ * @returns {string|undefined} Account id, or undefined when not given
+ */
+function resolveAccount(accounts) {
+  const id = getArg("--account");
+  if (!id) return undefined;
+
+  const account = findAccount(accounts, id);
+  if (!account) {
+    const known = accounts.map((a) => a.id).join(", ");
+    throw new Error(
+      `Unknown account: "${id}"\n` +
+      (known ? `Registered accounts: ${known}` : "Add it to rules/accounts.json (or the --accounts file) first")
+    );
+  }
+  console.log(`Account: ${account.id} – ${accountLabel(account)}`);
+  return account.id;
+}
+
+/**
+ * Convert categorized transactions to the --currency reporting currency
+ * Transactions without a currency are taken to be in the reporting currency.
+ * @param {Array} categorized - Categorized transactions
+ * @returns {Array} Transactions in the reporting currency
+ */
+function toReportingCurrency(categorized) {
+  const reportingCurrency = (getArg("--currency") || "USD").toUpperCase();
+  const ratesPath = getArg("--fx-rates");
+  const rates = ratesPath ? loadFxRates(ratesPath) : [];
+  let converted;
+  try {
+    converted = convertTransactions(categorized, { reportingCurrency, rates });
+  } catch (err) {
+    if (!err.message.startsWith("Missing FX rates")) throw err;
+    const hint = ratesPath
+      ? `Add the missing rates to ${ratesPath}`
+      : "Pass a rate table with --fx-rates <path> (CSV or JSON of daily rates)";
+    throw new Error(`${err.message}\n${hint}, or choose another reporting currency with --currency`);
+  }
+
+  const count = converted.filter((t, i) => t.originalCurrency && t !== categorized[i]).length;
+  if (count > 0) {
+    console.log(`Converted ${count} foreign-currency transactions to ${reportingCurrency}`);
+  }
+  return converted;
+}
+
+/**
+ * Print the outcome of a merge import
+ * @param {{ added: Array, skipped: Array, conflicts: Array, superseded: Array }} report - Merge report
+ */
+function printMergeReport({ added, skipped, conflicts, superseded }) {
+  const exact = skipped.filter((s) => s.match === "exact").length;
+  const fuzzy = skipped.filter((s) => s.match === "fuzzy").length;
+  console.log(
+    `Added ${added.length}, skipped ${skipped.length} duplicates ` +
+    `(${exact} exact, ${fuzzy} fuzzy, ${skipped.length - exact - fuzzy} already posted), ` +
+    `${superseded.length} pending posted, ${conflicts.length} conflicts`
+  );
+
+  for (const { transaction: t, pending } of superseded) {
+    console.log(`  ✓ ${t.date} ${t.description} ${t.amount} (posted; was pending ${pending.date} ${pending.amount})`);
+  }
+  for (const { transaction: t, duplicateOf, similarity } of skipped.filter((s) => s.match === "fuzzy")) {
+    console.log(`  ~ ${t.date} ${t.description} ${t.amount} (duplicate of ${duplicateOf}, similarity ${similarity})`);
+  }
+  for (const { transaction: t, message } of conflicts) {
+    console.warn(`  ⚠ ${t.date} ${t.description} ${t.amount}: ${message}`);
+  }
+}
+
 /**
  * Print usage information
  */
@@ -81,27 +265,53 @@ USAGE:
   npm run <command> -- [options]
 
 COMMANDS:
-  import       Import CSV transactions from a bank or card statement
+  import       Import transactions from a bank or card statement (CSV, OFX/QFX, QIF)
   plan         Preview categorization without writing files
   categorize   Categorize imported transactions using rules
   export       Export categorized transactions for a venture/year
   report       Generate summary reports
+  migrate-ids  Move saved data to content-based transaction IDs
+  rules lint   Check rules for shadowed, conflicting and unused rules
 
 GLOBAL OPTIONS:
   --out-dir <dir>    Output directory (default: ./data)
+  --parsers <dir>    Mapping profile directory (default: ./parsers)
+  --accounts <path>  Accounts registry (default: rules/accounts.json)
 
 IMPORT OPTIONS:
-  --file <path>      CSV file to import (required)
-  --source <type>    Source type: generic, chase, costco (default: generic)
+  --file <path>      CSV, OFX, QIF or XLSX file to import (required)
+  --source <type>    Source type: auto, generic, chase, costco, amex,
+                     checking, paypal, venmo, stripe, square, ofx, qif,
+                     camt053, mt940, or a mapping profile name
+                     (default: auto)
+  --locale <tag>     Date/number locale, e.g. en-US, en-CA, fr-CA, de-DE
+                     (default: inferred from the file)
+  --sheet <name|n>   Worksheet of an .xlsx file, by name or position
+                     (default: first sheet)
+  --account <id>     Registry account the file belongs to
+  --merge            Add to existing transactions, skipping duplicates
+  --date-window <n>  Days apart a fuzzy duplicate may be (default: 3)
 
 CATEGORIZE OPTIONS:
   --rules <path>     Rules file (default: rules/household.json)
-  --strict           Exit with error if uncategorized transactions exist
+  --strict           Exit with error if uncategorized transactions (other than transfers) exist
+  --currency <code>  Reporting currency (default: USD)
+  --fx-rates <path>  FX rate table (CSV or JSON of daily rates)
 
 PLAN OPTIONS:
-  --file <path>      CSV file to analyze (required)
-  --source <type>    Source type: generic, chase, costco (default: generic)
+  --file <path>      CSV, OFX, QIF or XLSX file to analyze (required)
+  --source <type>    Source type: auto, generic, chase, costco, amex,
+                     checking, paypal, venmo, stripe, square, ofx, qif,
+                     camt053, mt940, or a mapping profile name
+                     (default: auto)
+  --locale <tag>     Date/number locale, e.g. en-US, en-CA, fr-CA, de-DE
+                     (default: inferred from the file)
+  --sheet <name|n>   Worksheet of an .xlsx file, by name or position
+                     (default: first sheet)
+  --account <id>     Registry account the file belongs to
   --rules <path>     Rules file (default: rules/household.json)
+  --currency <code>  Reporting currency (default: USD)
+  --fx-rates <path>  FX rate table (CSV or JSON of daily rates)
 
 EXPORT OPTIONS:
   --venture <name>   Venture to export (required)
@@ -111,12 +321,20 @@ EXPORT OPTIONS:
 REPORT OPTIONS:
   --type <type>      Report type: alerts, summary (default: summary)
 
+RULES LINT OPTIONS:
+  --rules <path>     Rules file (default: rules/household.json)
+  --strict           Exit with error if there are warnings
+                     (rules unused by saved transactions are only listed)
+
 EXAMPLES:
   npm run import -- --file bank.csv --source chase
+  npm run import -- --file february.csv --merge
+  npm run import -- --file sapphire.csv --account chase-sapphire --merge
   npm run plan -- --file bank.csv --rules rules/household.json
   npm run categorize -- --rules rules/household.json --strict
   npm run export -- --venture my-venture --year 2025
   npm run report -- --type summary
+  npm run rules -- lint --rules rules/household.json
 `);
 }
 
@@ -129,10 +347,15 @@ try {
   // Get output directory (global option)
   const outDir = getArg("--out-dir") || "data";
 
+  // User-defined mapping profiles extend the available sources
+  if (command === "import" || command === "plan") {
+    loadProfiles(getArg("--parsers") || "parsers");
+  }
+
   // IMPORT COMMAND
   if (command === "import") {
     const file = getArg("--file");
-    const source = getArg("--source") || "generic";
+    const source = getArg("--source") || "auto";
 
     if (!file) {
       throw new Error(
@@ -143,17 +366,40 @@ try {
     }
 
     ensureDir(outDir);
-    const txns = parseCsvFile(file, { source });
+    const locale = getArg("--locale") || undefined;
+    const sheet = getArg("--sheet") || undefined;
+    const accountId = resolveAccount(readAccounts());
+    const txns = [];
+    for await (const batch of readStatement(file, { source: resolveSource(file, source), locale, sheet, accountId })) {
+      txns.push(...batch.transactions);
+    }
     const outFile = path.join(outDir, "transactions.json");
-    writeJson(outFile, txns);
 
-    console.log(`✓ Imported ${txns.length} transactions → ${outFile}`);
+    if (hasFlag("--merge") && fs.existsSync(outFile)) {
+      const dateWindow = getArg("--date-window");
+      if (dateWindow !== null && !(Number(dateWindow) >= 0)) {
+        throw new Error(`Invalid --date-window: "${dateWindow}". Use a number of days, e.g. 3`);
+      }
+      const { transactions, report } = mergeTransactions(readJson(outFile), txns, {
+        dateWindowDays: dateWindow !== null ? Number(dateWindow) : undefined
+      });
+      writeJson(outFile, transactions);
+
+      const reportFile = path.join(outDir, "import-report.json");
+      writeJson(reportFile, { file, importedAt: new Date().toISOString(), ...report });
+      printMergeReport(report);
+      console.log(`✓ Merged ${report.added.length} new transactions → ${outFile} (${transactions.length} total)`);
+      console.log(`  Report → ${reportFile}`);
+    } else {
+      writeJson(outFile, txns);
+      console.log(`✓ Imported ${txns.length} transactions → ${outFile}`);
+    }
   }
 
   // PLAN COMMAND
   else if (command === "plan") {
     const file = getArg("--file");
-    const source = getArg("--source") || "generic";
+    const source = getArg("--source") || "auto";
     const rulesPath = getArg("--rules") || "rules/household.json";
 
     if (!file) {
@@ -165,15 +411,23 @@ try {
     }
 
     // Parse transactions
-    const txns = parseCsvFile(file, { source });
-    console.log(`Parsed ${txns.length} transactions from ${file}\n`);
+    const locale = getArg("--locale") || undefined;
+    const sheet = getArg("--sheet") || undefined;
+    const accounts = readAccounts();
+    const accountId = resolveAccount(accounts);
 
     // Load and validate rules
     const rulesFile = readJson(rulesPath);
     validateRulesFile(rulesFile);
 
-    // Categorize (but don't write)
-    const { categorized } = categorizeTransactions(txns, rulesFile);
+    // Categorize each batch as it is read (but don't write)
+    const raw = [];
+    const batches = readStatement(file, { source: resolveSource(file, source), locale, sheet, accountId });
+    for await (const batch of categorizeStream(batches, rulesFile, { accounts })) {
+      raw.push(...batch.categorized);
+    }
+    console.log(`Parsed ${raw.length} transactions from ${file}\n`);
+    const categorized = toReportingCurrency(raw);
 
     // Generate and display summary
     const summary = generateSummary(categorized);
@@ -195,7 +449,9 @@ try {
     const rulesFile = readJson(rulesPath);
     validateRulesFile(rulesFile);
 
-    const { categorized, alerts } = categorizeTransactions(txns, rulesFile);
+    const result = categorizeTransactions(txns, rulesFile, { accounts: readAccounts() });
+    const categorized = toReportingCurrency(result.categorized);
+    const { alerts } = result;
 
     const categorizedFile = path.join(outDir, "categorized.json");
     const alertsFile = path.join(outDir, "alerts.json");
@@ -206,8 +462,9 @@ try {
     console.log(`✓ Categorized ${categorized.length} transactions → ${categorizedFile}`);
     console.log(`✓ Alerts: ${alerts.length} → ${alertsFile}`);
 
-    // Check for uncategorized in strict mode
-    const uncategorized = categorized.filter((t) => t.category === "Uncategorized");
+    // Check for uncategorized in strict mode; transfers between the user's
+    // own accounts are left out, as they are from the alerts
+    const uncategorized = categorized.filter((t) => t.category === "Uncategorized" && !isInternalTransfer(t));
     if (strict && uncategorized.length > 0) {
       console.error(`\n✗ Error: ${uncategorized.length} uncategorized transactions in strict mode`);
       process.exit(1);
@@ -270,6 +527,60 @@ try {
     }
   }
 
+  // MIGRATE-IDS COMMAND
+  else if (command === "migrate-ids") {
+    const files = ["transactions.json", "categorized.json", "alerts.json"]
+      .map((name) => path.join(outDir, name))
+      .filter((p) => fs.existsSync(p));
+    if (files.length === 0) {
+      throw new Error(`No saved data found in ${outDir}`);
+    }
+
+    // Raw imports hold the amounts IDs are built from; fall back to categorized results
+    const sourceFile = files.find((p) => !p.endsWith("alerts.json"));
+    if (!sourceFile) {
+      throw new Error(`No transactions.json or categorized.json found in ${outDir}`);
+    }
+    const idMap = buildIdMigration(readJson(sourceFile));
+
+    for (const file of files) {
+      writeJson(file, remapTransactionIds(readJson(file), idMap));
+    }
+    console.log(`✓ Remapped ${idMap.size} transaction IDs in ${files.join(", ")}`);
+  }
+
+  // RULES COMMAND
+  else if (command === "rules") {
+    const subcommand = rest[0];
+    if (subcommand !== "lint") {
+      throw new Error(
+        `Unknown rules command: "${subcommand ?? ""}"\n` +
+        "Usage: npm run rules -- lint [--rules <path>] [--strict]"
+      );
+    }
+
+    const rulesPath = getArg("--rules") || "rules/household.json";
+    const rulesFile = readJson(rulesPath);
+    validateRulesFile(rulesFile);
+
+    // Saved transactions show which rules never match in practice
+    const txnsFile = path.join(outDir, "transactions.json");
+    const txns = fs.existsSync(txnsFile) ? readJson(txnsFile) : undefined;
+    const findings = analyzeRules(rulesFile, txns);
+
+    for (const finding of findings) {
+      console.log(`${finding.severity === "warning" ? "⚠" : "ℹ"} ${finding.message}`);
+    }
+    const warnings = findings.filter((f) => f.severity === "warning");
+    const checked = txns ? ` against ${txns.length} transactions in ${txnsFile}` : "";
+    console.log(`\n✓ Checked ${rulesFile.rules.length} rules${checked}: ${warnings.length} warning${warnings.length !== 1 ? "s" : ""}`);
+
+    if (hasFlag("--strict") && warnings.length > 0) {
+      console.error(`\n✗ Error: ${warnings.length} rule warnings in strict mode`);
+      process.exit(1);
+    }
+  }
+
   // UNKNOWN COMMAND
   else {
     throw new Error(
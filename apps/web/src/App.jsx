@@ -1,11 +1,23 @@
-import { useState, useEffect, useCallback } from 'react'
+import { useState, useEffect, useCallback, useRef } from 'react'
 import {
   validateAndParseCsv,
+  parseStream,
+  detectSource,
+  isXlsx,
+  listXlsxSheets,
+  registerProfile,
+  unregisterParser,
   validateRulesFile,
   categorizeTransactions,
   exportScheduleC,
   generateAlerts,
-  generateSummary
+  generateSummary,
+  convertTransactions,
+  mergeTransactions,
+  parseAccounts,
+  applyRepairs,
+  repairRow,
+  recordRepair
 } from '@family-office-tracker/core'
 import { usePersistedState } from './hooks/usePersistedState.js'
 import { exportBackup, importBackup } from './lib/storage.js'
@@ -13,11 +25,30 @@ import { exportBackup, importBackup } from './lib/storage.js'
 import UploadSection from './components/UploadSection.jsx'
 import RulesSection from './components/RulesSection.jsx'
 import ResultsSection from './components/ResultsSection.jsx'
+import FxSettings from './components/FxSettings.jsx'
 
 // Sample data URLs
 const SAMPLE_CSV_URL = '/sample-transactions.csv'
 const SAMPLE_RULES_URL = '/sample-rules.json'
 
+// Format detection reads the start of a file
+const DETECT_BYTES = 64 * 1024
+
+/**
+ * Make the registered parsers match a list of mapping profiles
+ * @param {Array} profiles - Mapping profiles to register
+ * @param {Set<string>} registered - Names registered by a previous sync (updated in place)
+ */
+function syncParserProfiles(profiles, registered) {
+  for (const name of registered) {
+    unregisterParser(name)
+  }
+  registered.clear()
+  for (const profile of profiles) {
+    registered.add(registerProfile(profile))
+  }
+}
+
 function App() {
   // Persisted state (survives page refresh)
   const {
@@ -25,9 +56,19 @@ function App() {
     rulesFile,
     categorized,
     summary,
+    parserProfiles,
+    sourceLocales,
+    fx,
+    accounts,
+    repairs,
     setTransactions,
     setRulesFile,
     setCategorization,
+    setParserProfiles,
+    setSourceLocale,
+    setFx,
+    setAccounts,
+    setRepairs,
     clearData,
     reloadData,
     isLoading,
@@ -36,14 +77,41 @@ function App() {
 
   // UI-only state (not persisted)
   const [csvFile, setCsvFile] = useState(null)
-  const [csvSource, setCsvSource] = useState('generic')
+  const [csvSource, setCsvSource] = useState('auto')
+  const [detectedSources, setDetectedSources] = useState([])
+  const [csvSheets, setCsvSheets] = useState([])
+  const [csvSheet, setCsvSheet] = useState('')
+  const [csvAccount, setCsvAccount] = useState('')
   const [parseError, setParseError] = useState(null)
   const [parseErrors, setParseErrors] = useState([])
+  const [parseWarnings, setParseWarnings] = useState([])
+  const [parseSkipped, setParseSkipped] = useState([])
+  const [mergeImports, setMergeImports] = useState(true)
+  const [importReport, setImportReport] = useState(null)
+  const [importProgress, setImportProgress] = useState(null)
+  const [repairedRows, setRepairedRows] = useState([])
   const [rulesJson, setRulesJson] = useState('')
   const [rulesError, setRulesError] = useState(null)
+  const [fxError, setFxError] = useState(null)
   const [alerts, setAlerts] = useState(null)
   const [isProcessing, setIsProcessing] = useState(false)
   const [loadingSample, setLoadingSample] = useState(false)
+  const registeredProfiles = useRef(new Set())
+  // Transactions saved before the current file was merged in (null when replacing)
+  const importBase = useRef(null)
+  // Counts uploads so a slow import stops once a newer one has started
+  const uploadRun = useRef(0)
+  // Options and rows of the current import, for repairing its dropped rows
+  const lastImport = useRef(null)
+
+  // Register saved mapping profiles as import sources
+  useEffect(() => {
+    try {
+      syncParserProfiles(parserProfiles, registeredProfiles.current)
+    } catch (err) {
+      console.warn('Failed to register saved parser profiles:', err)
+    }
+  }, [parserProfiles])
 
   // Sync rules JSON with persisted rulesFile
   useEffect(() => {
@@ -52,40 +120,229 @@ function App() {
     }
   }, [rulesFile, rulesJson])
 
-  // Handle CSV upload
+  // Handle CSV upload (locale overrides the saved locale for the source)
+  // In merge mode the file is added to the transactions saved before it;
+  // removing the file or re-parsing it starts again from those.
+  // Excel workbooks are read from the given sheet, or the one picked before.
+  // Transactions are tagged with the given account, or the one picked before.
   const handleCsvUpload = useCallback(
-    async (file, source) => {
+    async (file, source, locale, sheet, accountId = csvAccount) => {
       if (!file) {
+        uploadRun.current++
+        setImportProgress(null)
+        lastImport.current = null
+        setRepairedRows([])
         setCsvFile(null)
-        setTransactions([])
+        setCsvSource('auto')
+        setDetectedSources([])
+        setCsvSheets([])
+        setCsvSheet('')
+        setTransactions(importBase.current ?? [])
+        importBase.current = null
+        setImportReport(null)
         setParseError(null)
         setParseErrors([])
+        setParseWarnings([])
+        setParseSkipped([])
         return
       }
 
+      if (file !== csvFile) {
+        importBase.current = mergeImports && transactions.length > 0 ? transactions : null
+      }
+      const base = importBase.current
+
       setCsvFile(file)
-      setCsvSource(source)
       setParseError(null)
       setParseErrors([])
+      setParseWarnings([])
+      setParseSkipped([])
+      setRepairedRows([])
+      lastImport.current = null
 
+      const run = ++uploadRun.current
       try {
-        const text = await file.text()
-        const result = validateAndParseCsv(text, { source })
-
-        if (result.errors.length > 0 && result.transactions.length === 0) {
-          setParseError(result.errors[0].message)
-          setParseErrors(result.errors)
-          setTransactions([])
+        // Workbooks are read whole; text files are streamed below
+        const head = new Uint8Array(await file.slice(0, DETECT_BYTES).arrayBuffer())
+        const bytes = isXlsx(head) ? new Uint8Array(await file.arrayBuffer()) : null
+        const sheets = bytes ? listXlsxSheets(bytes) : []
+        sheet = sheet ?? (file === csvFile ? csvSheet : undefined)
+        if (!sheets.includes(sheet)) sheet = sheets[0]
+        setCsvSheets(sheets)
+        setCsvSheet(sheet ?? '')
+
+        // Preselect the best match; the user can still override it
+        if (source === 'auto') {
+          const text = bytes ? null : new TextDecoder().decode(head)
+          const sample = bytes ?? (head.length < DETECT_BYTES ? text : text.slice(0, text.lastIndexOf('\n') + 1) || text)
+          const candidates = detectSource(sample, { sheet })
+          setDetectedSources(candidates)
+          if (candidates.length > 0) source = candidates[0].source
+        }
+        setCsvSource(source)
+
+        const options = { source, locale: locale ?? sourceLocales[source] ?? undefined, accountId: accountId || undefined }
+        const result = { transactions: [], errors: [], warnings: [], skipped: [] }
+        setImportProgress({ bytesRead: 0, totalBytes: file.size, transactions: 0 })
+        const batches = parseStream(bytes ?? file.stream(), {
+          ...options,
+          sheet,
+          totalBytes: file.size,
+          onProgress: setImportProgress
+        })
+        for await (const batch of batches) {
+          if (run !== uploadRun.current) return
+          result.transactions.push(...batch.transactions)
+          result.errors.push(...batch.errors)
+          result.warnings.push(...batch.warnings)
+          result.skipped.push(...batch.skipped)
+          // Let the page repaint between batches
+          await new Promise((resolve) => setTimeout(resolve, 0))
+        }
+        if (run !== uploadRun.current) return
+        setParseWarnings(result.warnings)
+        setParseSkipped(result.skipped)
+
+        // Fixes entered for this file's dropped rows in an earlier import
+        const imported = applyRepairs(result, repairs, options)
+        setRepairedRows(imported.repaired)
+        lastImport.current = { ...options, transactions: imported.transactions }
+
+        if (imported.errors.length > 0 && imported.transactions.length === 0) {
+          setParseError(imported.errors[0].message)
+          setParseErrors(imported.errors)
+          setTransactions(base ?? [])
+          setImportReport(null)
+        } else if (base) {
+          const merged = mergeTransactions(base, imported.transactions)
+          setTransactions(merged.transactions)
+          setImportReport(merged.report)
+          setParseErrors(imported.errors)
         } else {
-          setTransactions(result.transactions)
-          setParseErrors(result.errors)
+          setTransactions(imported.transactions)
+          setImportReport(null)
+          setParseErrors(imported.errors)
         }
       } catch (err) {
+        if (run !== uploadRun.current) return
         setParseError(err.message)
-        setTransactions([])
+        setTransactions(base ?? [])
+        setImportReport(null)
+      } finally {
+        if (run === uploadRun.current) setImportProgress(null)
+      }
+    },
+    [csvFile, csvSheet, csvAccount, mergeImports, transactions, setTransactions, sourceLocales, repairs]
+  )
+
+  // Accept a fix for a dropped row; returns what is still wrong, or null
+  const handleRepairRow = useCallback(
+    (error, fix) => {
+      const current = lastImport.current
+      if (!current) return ['Upload the file again to repair its rows']
+
+      const { transaction, repair, errors } = repairRow(error, fix, current)
+      if (!transaction) return errors
+
+      current.transactions = [...current.transactions, transaction]
+      setRepairs(recordRepair(repairs, repair))
+      if (!transactions.some((t) => t.id === transaction.id)) {
+        setTransactions([...transactions, transaction])
+      }
+      setParseErrors((list) => list.filter((e) => e !== error))
+      setRepairedRows((list) => [...list, error])
+      return null
+    },
+    [repairs, setRepairs, transactions, setTransactions]
+  )
+
+  // Keep the imported rows and get ready for the next statement
+  const handleImportAnother = useCallback(() => {
+    importBase.current = null
+    setCsvFile(null)
+    setDetectedSources([])
+    setCsvSheets([])
+    setCsvSheet('')
+    setImportReport(null)
+    setParseError(null)
+    setParseErrors([])
+    setParseWarnings([])
+    setParseSkipped([])
+  }, [])
+
+  // Remember the locale for a source and re-parse the current file with it
+  const handleLocaleChange = useCallback(
+    (source, locale) => {
+      setSourceLocale(source, locale)
+      if (csvFile) {
+        handleCsvUpload(csvFile, source, locale)
+      }
+    },
+    [csvFile, handleCsvUpload, setSourceLocale]
+  )
+
+  // Re-parse the current workbook from another sheet
+  const handleSheetChange = useCallback(
+    (sheet) => {
+      if (csvFile) {
+        handleCsvUpload(csvFile, csvSource, undefined, sheet)
+      }
+    },
+    [csvFile, csvSource, handleCsvUpload]
+  )
+
+  // Tag the current file (and the next ones) with another account
+  const handleAccountChange = useCallback(
+    (accountId) => {
+      setCsvAccount(accountId)
+      if (csvFile) {
+        handleCsvUpload(csvFile, csvSource, undefined, undefined, accountId)
       }
     },
-    [setTransactions]
+    [csvFile, csvSource, handleCsvUpload]
+  )
+
+  // Validate and save the accounts registry; returns an error message or null
+  const handleSaveAccounts = useCallback(
+    (jsonText) => {
+      let list
+      try {
+        list = parseAccounts(jsonText.trim() ? JSON.parse(jsonText) : [])
+      } catch (err) {
+        return err instanceof SyntaxError ? `Invalid JSON: ${err.message}` : err.message
+      }
+
+      if (csvAccount && !list.some((a) => a.id === csvAccount)) {
+        setCsvAccount('')
+      }
+      setAccounts(list)
+      return null
+    },
+    [csvAccount, setAccounts]
+  )
+
+  // Validate, register and save mapping profiles; returns an error message or null
+  const handleSaveProfiles = useCallback(
+    (jsonText) => {
+      let profiles
+      try {
+        profiles = jsonText.trim() ? [].concat(JSON.parse(jsonText)) : []
+      } catch (err) {
+        return `Invalid JSON: ${err.message}`
+      }
+
+      try {
+        syncParserProfiles(profiles, registeredProfiles.current)
+      } catch (err) {
+        // Restore the previously saved profiles
+        syncParserProfiles(parserProfiles, registeredProfiles.current)
+        return err.message
+      }
+
+      setParserProfiles(profiles)
+      return null
+    },
+    [parserProfiles, setParserProfiles]
   )
 
   // Handle rules input
@@ -144,20 +401,39 @@ function App() {
     if (!transactions || transactions.length === 0 || !rulesFile) return
 
     setIsProcessing(true)
+    setFxError(null)
 
     try {
-      const result = categorizeTransactions(transactions, rulesFile)
-      const summaryData = generateSummary(result.categorized)
-      const alertsData = generateAlerts(result.categorized)
+      const result = categorizeTransactions(transactions, rulesFile, { accounts })
 
-      setCategorization(result.categorized, summaryData)
+      // Report in one currency; missing rates are an FX settings problem
+      let converted
+      try {
+        converted = convertTransactions(result.categorized, fx)
+      } catch (err) {
+        setFxError(err.message)
+        return
+      }
+      const summaryData = generateSummary(converted)
+      const alertsData = generateAlerts(converted)
+
+      setCategorization(converted, summaryData)
       setAlerts(alertsData)
     } catch (err) {
       setRulesError(err.message)
     } finally {
       setIsProcessing(false)
     }
-  }, [transactions, rulesFile, setCategorization])
+  }, [transactions, rulesFile, accounts, fx, setCategorization])
+
+  // Changing the currency or rates invalidates the last conversion error
+  const handleFxChange = useCallback(
+    (settings) => {
+      setFxError(null)
+      setFx(settings)
+    },
+    [setFx]
+  )
 
   // Download helpers
   const downloadJson = (data, filename) => {
@@ -190,11 +466,15 @@ function App() {
     if (window.confirm('Are you sure you want to clear all data? This cannot be undone.')) {
       clearData()
       setCsvFile(null)
+      setCsvAccount('')
+      importBase.current = null
+      setImportReport(null)
       setRulesJson('')
       setParseError(null)
       setParseErrors([])
       setRulesError(null)
       setAlerts(null)
+      setFxError(null)
     }
   }
 
@@ -239,10 +519,14 @@ function App() {
           setRulesJson('')
         }
         setCsvFile(null)
+        setCsvAccount('')
+        importBase.current = null
+        setImportReport(null)
         setParseError(null)
         setParseErrors([])
         setRulesError(null)
         setAlerts(null)
+        setFxError(null)
         window.alert('Backup restored successfully.')
       } else {
         window.alert(`Failed to import backup: ${result.error}`)
@@ -254,6 +538,8 @@ function App() {
   }
 
   const canRunCategorization = transactions && transactions.length > 0 && rulesFile
+  // Balance breaks are reported on rows that were still imported
+  const skippedRowCount = parseErrors.filter((err) => err.field !== 'balance').length
 
   // Show loading state
   if (isLoading) {
@@ -331,9 +617,30 @@ function App() {
         <UploadSection
           csvFile={csvFile}
           csvSource={csvSource}
+          detectedSources={detectedSources}
+          sheets={csvSheets}
+          sheet={csvSheet}
+          onSheetChange={handleSheetChange}
+          parserProfiles={parserProfiles}
+          onSaveProfiles={handleSaveProfiles}
+          accounts={accounts}
+          accountId={csvAccount}
+          onAccountChange={handleAccountChange}
+          onSaveAccounts={handleSaveAccounts}
           transactions={transactions}
           parseError={parseError}
           parseErrors={parseErrors}
+          parseWarnings={parseWarnings}
+          parseSkipped={parseSkipped}
+          mergeImports={mergeImports}
+          onMergeImportsChange={setMergeImports}
+          importReport={importReport}
+          importProgress={importProgress}
+          repairedRows={repairedRows}
+          onRepairRow={handleRepairRow}
+          onImportAnother={handleImportAnother}
+          sourceLocales={sourceLocales}
+          onLocaleChange={handleLocaleChange}
           onUpload={handleCsvUpload}
           onLoadSample={handleLoadSampleData}
           loadingSample={loadingSample}
@@ -344,6 +651,7 @@ function App() {
           rulesJson={rulesJson}
           rulesFile={rulesFile}
           rulesError={rulesError}
+          transactions={transactions}
           onRulesChange={handleRulesChange}
         />
 
@@ -357,10 +665,10 @@ function App() {
                 </h2>
                 <p className="card-subtitle">
                   Process {transactions.length} transaction{transactions.length !== 1 ? 's' : ''}
-                  {parseErrors.length > 0 && (
+                  {skippedRowCount > 0 && (
                     <span className="text-warning">
                       {' '}
-                      ({parseErrors.length} row{parseErrors.length !== 1 ? 's' : ''} skipped)
+                      ({skippedRowCount} row{skippedRowCount !== 1 ? 's' : ''} skipped)
                     </span>
                   )}
                 </p>
@@ -375,6 +683,8 @@ function App() {
               </button>
             </div>
 
+            <FxSettings fx={fx} onChange={handleFxChange} conversionError={fxError} />
+
             {!rulesFile && !rulesError && (
               <div className="alert alert-info" role="status">
                 Upload or paste rules JSON above to enable categorization.
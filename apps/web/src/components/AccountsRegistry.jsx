@@ -0,0 +1,87 @@
+import { useState, useEffect } from 'react'
+
+const EXAMPLE_ACCOUNTS = [
+  {
+    "id": "chase-sapphire",
+    "institution": "Chase",
+    "last4": "4821",
+    "owner": "Primary cardholder",
+    "type": "credit_card",
+    "defaultVenture": "household"
+  },
+  {
+    "id": "business-checking",
+    "institution": "Bank of America",
+    "last4": "0934",
+    "owner": "Consulting LLC",
+    "type": "checking",
+    "defaultVenture": "consulting"
+  }
+]
+
+/**
+ * Editor for the accounts registry (saved with the app settings)
+ */
+function AccountsRegistry({ accounts, onSave }) {
+  const [json, setJson] = useState('')
+  const [error, setError] = useState(null)
+  const [saved, setSaved] = useState(false)
+
+  // Show the saved accounts whenever they change (e.g. after loading a backup)
+  useEffect(() => {
+    setJson(accounts.length > 0 ? JSON.stringify(accounts, null, 2) : '')
+  }, [accounts])
+
+  const handleSave = () => {
+    setSaved(false)
+    const message = onSave(json)
+    setError(message)
+    setSaved(!message)
+  }
+
+  return (
+    <details className="form-group">
+      <summary className="label" style={{ cursor: 'pointer' }}>
+        Accounts ({accounts.length})
+      </summary>
+      <p className="text-xs text-muted mt-2">
+        Name the cards and bank accounts you import from: id, institution, last4, owner, type
+        (checking, savings, credit_card, payment_service, brokerage, loan, other) and an optional
+        default venture. Pick the account when uploading so rules and reports can tell them apart.
+      </p>
+      <textarea
+        className="textarea"
+        value={json}
+        onChange={(e) => {
+          setJson(e.target.value)
+          setSaved(false)
+        }}
+        placeholder="[ { account }, ... ]"
+        aria-label="Accounts JSON"
+      />
+      <div className="flex gap-2 mt-2">
+        <button className="button button-sm button-primary" onClick={handleSave}>
+          Save Accounts
+        </button>
+        <button
+          className="button button-sm button-secondary"
+          onClick={() => setJson(JSON.stringify(EXAMPLE_ACCOUNTS, null, 2))}
+        >
+          Load Example
+        </button>
+      </div>
+      {error && (
+        <div className="alert alert-error mt-2">
+          <strong>Validation Error:</strong> {error}
+        </div>
+      )}
+      {saved && !error && (
+        <div className="alert alert-success mt-2">
+          ✓ Saved {accounts.length} account{accounts.length !== 1 ? 's' : ''}
+        </div>
+      )}
+    </details>
+  )
+}
+
+export default AccountsRegistry
@@ -0,0 +1,86 @@
+import { useState } from 'react'
+import { parseFxRates } from '@family-office-tracker/core'
+
+/**
+ * Reporting currency and FX rate table (saved with the app settings)
+ */
+function FxSettings({ fx, onChange, conversionError }) {
+  const [error, setError] = useState(null)
+
+  const handleCurrencyChange = (e) => {
+    const code = e.target.value.toUpperCase()
+    if (/^[A-Z]{3}$/.test(code)) {
+      onChange({ ...fx, reportingCurrency: code })
+    }
+  }
+
+  const handleRatesFile = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+
+    setError(null)
+    try {
+      const rates = parseFxRates(await file.text())
+      onChange({ ...fx, rates })
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const dates = fx.rates.map((r) => r.date).sort()
+  const pairs = [...new Set(fx.rates.map((r) => `${r.from}/${r.to}`))]
+
+  return (
+    <details className="form-group" open={Boolean(conversionError) || undefined}>
+      <summary className="label" style={{ cursor: 'pointer' }}>
+        Currency: {fx.reportingCurrency} ({fx.rates.length} FX rate{fx.rates.length !== 1 ? 's' : ''})
+      </summary>
+      <p className="text-xs text-muted mt-2">
+        Foreign-currency transactions are converted to the reporting currency with the latest
+        rate on or before their date. Rate files are CSV (Date, From, To, Rate) or JSON.
+      </p>
+      <div className="flex gap-2 mt-2">
+        <input
+          className="input"
+          defaultValue={fx.reportingCurrency}
+          key={fx.reportingCurrency}
+          onBlur={handleCurrencyChange}
+          maxLength={3}
+          style={{ width: '5rem' }}
+          aria-label="Reporting currency"
+        />
+        <label className="button button-sm button-secondary file-input-label">
+          Load FX Rates
+          <input
+            type="file"
+            accept=".csv,.json"
+            onChange={handleRatesFile}
+            className="file-input-hidden"
+            aria-label="FX rates file"
+          />
+        </label>
+        {fx.rates.length > 0 && (
+          <button
+            className="button button-sm button-secondary"
+            onClick={() => onChange({ ...fx, rates: [] })}
+          >
+            Clear Rates
+          </button>
+        )}
+      </div>
+      {fx.rates.length > 0 && (
+        <p className="text-xs text-muted mt-2">
+          {pairs.join(', ')} from {dates[0]} to {dates[dates.length - 1]}
+        </p>
+      )}
+      {(error || conversionError) && (
+        <div className="alert alert-error mt-2">
+          <strong>FX Rates Error:</strong> {error || conversionError}
+        </div>
+      )}
+    </details>
+  )
+}
+
+export default FxSettings
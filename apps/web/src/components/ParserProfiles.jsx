@@ -0,0 +1,83 @@
+import { useState, useEffect } from 'react'
+
+const EXAMPLE_PROFILE = {
+  "name": "credit-union",
+  "label": "Credit Union Checking",
+  "columns": {
+    "date": "Posted Date",
+    "description": ["Payee", "Memo"],
+    "debit": "Withdrawal",
+    "credit": "Deposit"
+  },
+  "dateFormat": "DD/MM/YYYY",
+  "skip": {
+    "leadingRows": 2,
+    "rows": [{ "column": "Payee", "regex": "^(opening|closing) balance$" }]
+  }
+}
+
+/**
+ * Editor for user-defined CSV mapping profiles (saved with the app settings)
+ */
+function ParserProfiles({ parserProfiles, onSave }) {
+  const [json, setJson] = useState('')
+  const [error, setError] = useState(null)
+  const [saved, setSaved] = useState(false)
+
+  // Show the saved profiles whenever they change (e.g. after loading a backup)
+  useEffect(() => {
+    setJson(parserProfiles.length > 0 ? JSON.stringify(parserProfiles, null, 2) : '')
+  }, [parserProfiles])
+
+  const handleSave = () => {
+    setSaved(false)
+    const message = onSave(json)
+    setError(message)
+    setSaved(!message)
+  }
+
+  return (
+    <details className="form-group">
+      <summary className="label" style={{ cursor: 'pointer' }}>
+        Custom formats ({parserProfiles.length})
+      </summary>
+      <p className="text-xs text-muted mt-2">
+        Map the columns of any CSV export: date, description, amount or debit/credit, date format,
+        sign convention and rows to skip. Saved formats appear in the Source Type list.
+      </p>
+      <textarea
+        className="textarea"
+        value={json}
+        onChange={(e) => {
+          setJson(e.target.value)
+          setSaved(false)
+        }}
+        placeholder="[ { mapping profile }, ... ]"
+        aria-label="Mapping profiles JSON"
+      />
+      <div className="flex gap-2 mt-2">
+        <button className="button button-sm button-primary" onClick={handleSave}>
+          Save Formats
+        </button>
+        <button
+          className="button button-sm button-secondary"
+          onClick={() => setJson(JSON.stringify([EXAMPLE_PROFILE], null, 2))}
+        >
+          Load Example
+        </button>
+      </div>
+      {error && (
+        <div className="alert alert-error mt-2">
+          <strong>Validation Error:</strong> {error}
+        </div>
+      )}
+      {saved && !error && (
+        <div className="alert alert-success mt-2">
+          ✓ Saved {parserProfiles.length} format{parserProfiles.length !== 1 ? 's' : ''}
+        </div>
+      )}
+    </details>
+  )
+}
+
+export default ParserProfiles
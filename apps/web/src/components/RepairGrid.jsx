@@ -0,0 +1,108 @@
+import { useState } from 'react'
+
+// Rows shown at once; the rest appear as earlier ones are repaired
+const MAX_ROWS = 20
+
+/**
+ * Read a raw value from an import error for prefilling an input
+ */
+function rawValue(error, key) {
+  const value = error.value?.[key]
+  return typeof value === 'string' || typeof value === 'number' ? String(value) : ''
+}
+
+/**
+ * One dropped row with inputs for its date, description and amount
+ */
+function RepairRow({ error, onRepair }) {
+  const [fix, setFix] = useState(() => ({
+    date: rawValue(error, 'date'),
+    description: rawValue(error, 'description'),
+    amount: rawValue(error, 'amount')
+  }))
+  const [problems, setProblems] = useState([])
+
+  const update = (key) => (e) => {
+    setFix({ ...fix, [key]: e.target.value })
+    setProblems([])
+  }
+
+  return (
+    <tr>
+      <td>{error.row}</td>
+      <td>
+        <div className="text-xs text-muted" style={{ marginBottom: '6px' }}>
+          {error.message}
+        </div>
+        <div className="flex gap-2">
+          <input
+            className="input"
+            value={fix.date}
+            onChange={update('date')}
+            placeholder="YYYY-MM-DD"
+            aria-label={`Date for row ${error.row}`}
+            style={{ maxWidth: '130px' }}
+          />
+          <input
+            className="input"
+            value={fix.description}
+            onChange={update('description')}
+            placeholder="Description"
+            aria-label={`Description for row ${error.row}`}
+          />
+          <input
+            className="input"
+            value={fix.amount}
+            onChange={update('amount')}
+            placeholder="-12.34"
+            aria-label={`Amount for row ${error.row}`}
+            style={{ maxWidth: '110px' }}
+          />
+        </div>
+        {problems.length > 0 && (
+          <div className="text-xs" role="alert" style={{ color: 'var(--red-500)', marginTop: '4px' }}>
+            {problems.join('; ')}
+          </div>
+        )}
+      </td>
+      <td>
+        <button className="button button-sm button-primary" onClick={() => setProblems(onRepair(error, fix) ?? [])}>
+          Accept
+        </button>
+      </td>
+    </tr>
+  )
+}
+
+/**
+ * Inline editor for rows the import dropped
+ * Accepted fixes are validated like imported rows, added to the import and
+ * remembered, so the next import of the same file applies them again.
+ */
+function RepairGrid({ errors, onRepair }) {
+  return (
+    <div className="table-container mt-2">
+      <table>
+        <thead>
+          <tr>
+            <th>Row</th>
+            <th>Problem and fix (date, description, amount)</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {errors.slice(0, MAX_ROWS).map((error) => (
+            <RepairRow key={`${error.row}:${error.message}`} error={error} onRepair={onRepair} />
+          ))}
+        </tbody>
+      </table>
+      {errors.length > MAX_ROWS && (
+        <div className="text-xs text-muted" style={{ padding: '8px 16px' }}>
+          ...and {errors.length - MAX_ROWS} more
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default RepairGrid
@@ -1,4 +1,95 @@
 import { useState, useMemo } from 'react'
+import { isInternalTransfer } from '@family-office-tracker/core'
+
+/**
+ * Describe a condition on a named transaction field
+ */
+function describeField({ name, equals, contains, regex, in: list }) {
+  if (equals !== undefined) return `${name} = "${equals}"`
+  if (contains !== undefined) return `${name} contains "${contains}"`
+  if (regex !== undefined) return `${name} regex: ${typeof regex === 'string' ? regex : regex.pattern}`
+  return `${name}: ${(list ?? []).join(' or ')}`
+}
+
+/**
+ * Describe the conditions of a rule's when clause, one entry per condition
+ * Nested any/all groups are shown in parentheses, not groups as NOT (...).
+ */
+function describeWhen(when) {
+  const conditions = []
+  if (when.any_contains || when.contains) {
+    const keywords = when.any_contains || when.contains
+    conditions.push(`contains: "${keywords.join('" or "')}"`)
+  }
+  if (when.all_contains) {
+    conditions.push(`all of: "${when.all_contains.join('", "')}"`)
+  }
+  if (when.regex) {
+    const pattern = typeof when.regex === 'string' ? when.regex : when.regex.pattern
+    conditions.push(`regex: ${pattern}`)
+  }
+  if (when.amount_gt !== undefined) {
+    conditions.push(`amount > ${when.amount_gt}`)
+  }
+  if (when.amount_lt !== undefined) {
+    conditions.push(`amount < ${when.amount_lt}`)
+  }
+  if (when.amount_between) {
+    conditions.push(`amount between ${when.amount_between.min} and ${when.amount_between.max}`)
+  }
+  if (when.counterparty_iban) {
+    conditions.push(`counterparty IBAN: ${when.counterparty_iban.join(' or ')}`)
+  }
+  if (when.account) {
+    conditions.push(`account: ${when.account.join(' or ')}`)
+  }
+  if (when.source) {
+    conditions.push(`source: ${when.source.join(' or ')}`)
+  }
+  if (when.card_member) {
+    conditions.push(`card member: ${when.card_member.join(' or ')}`)
+  }
+  if (when.counterparty) {
+    conditions.push(`counterparty: ${when.counterparty.join(' or ')}`)
+  }
+  if (when.memo_contains) {
+    conditions.push(`memo contains: "${when.memo_contains.join('" or "')}"`)
+  }
+  for (const matcher of [].concat(when.field ?? [])) {
+    conditions.push(describeField(matcher))
+  }
+  if (when.date_after) {
+    conditions.push(`date after ${when.date_after}`)
+  }
+  if (when.date_before) {
+    conditions.push(`date before ${when.date_before}`)
+  }
+  if (when.date_between) {
+    conditions.push(`date between ${when.date_between.from} and ${when.date_between.to}`)
+  }
+  if (when.month_in) {
+    conditions.push(`month: ${when.month_in.join(' or ')}`)
+  }
+  if (when.day_of_week_in) {
+    conditions.push(`weekday: ${when.day_of_week_in.join(' or ')}`)
+  }
+  if (when.day_of_month) {
+    conditions.push(`day of month ${when.day_of_month.min}-${when.day_of_month.max}`)
+  }
+
+  const clause = (nested) => {
+    const parts = describeWhen(nested)
+    return parts.length > 1 ? `(${parts.join(' AND ')})` : parts[0]
+  }
+  const group = (clauses, joiner) => {
+    const parts = clauses.map(clause).filter(Boolean)
+    return parts.length > 1 ? `(${parts.join(joiner)})` : parts[0]
+  }
+  if (when.all) conditions.push(group(when.all, ' AND '))
+  if (when.any) conditions.push(group(when.any, ' OR '))
+  if (when.not) conditions.push(`NOT (${describeWhen(when.not).join(' AND ')})`)
+  return conditions.filter(Boolean)
+}
 
 function ResultsSection({ categorized, summary, alerts, onDownloadJson, onExportScheduleC }) {
   const [activeTab, setActiveTab] = useState('summary')
@@ -26,6 +117,7 @@ function ResultsSection({ categorized, summary, alerts, onDownloadJson, onExport
     const byMonth = {}
 
     categorized.forEach((txn) => {
+      if (isInternalTransfer(txn)) return
       const month = txn.date.substring(0, 7) // YYYY-MM
       if (!byMonth[month]) {
         byMonth[month] = { total: 0, count: 0, byCategory: {} }
@@ -65,11 +157,26 @@ function ResultsSection({ categorized, summary, alerts, onDownloadJson, onExport
     })
   }, [categorized, filterVenture, filterCategory, showUncategorizedOnly, searchQuery])
 
-  const formatAmount = (amount) => {
+  const formatAmount = (amount, currency = summary.currency) => {
     const formatted = Math.abs(amount).toFixed(2)
+    if (currency && currency !== 'USD') {
+      return `${amount < 0 ? '-' : ''}${formatted} ${currency}`
+    }
     return amount < 0 ? `-$${formatted}` : `$${formatted}`
   }
 
+  const getFxExplanation = (txn) => {
+    const fx = txn.audit?.find((a) => a.step === 'fx_conversion')
+    if (!fx) return null
+    return `Converted ${formatAmount(fx.originalAmount, fx.from)} at ${fx.rate} ${fx.to}/${fx.from} (rate of ${fx.rateDate})`
+  }
+
+  const getPendingExplanation = (txn) => {
+    const pending = txn.audit?.find((a) => a.step === 'superseded_pending')
+    if (!pending) return null
+    return `Replaced the pending charge "${pending.pendingDescription}" of ${formatAmount(pending.pendingAmount)} on ${pending.pendingDate}`
+  }
+
   const formatMonth = (monthStr) => {
     const [year, month] = monthStr.split('-')
     const date = new Date(year, parseInt(month) - 1)
@@ -77,49 +184,31 @@ function ResultsSection({ categorized, summary, alerts, onDownloadJson, onExport
   }
 
   const getExplanation = (txn) => {
-    if (!txn.audit || txn.audit.length === 0) {
+    const audit = txn.audit?.find((a) =>
+      ['no_match', 'matched_rule', 'split_allocation'].includes(a.step)
+    )
+    if (!audit) {
       return 'No categorization information available'
     }
 
-    const audit = txn.audit[0]
-
     if (audit.step === 'no_match') {
       return 'No matching rule found - marked as Uncategorized'
     }
 
     if (audit.step === 'matched_rule' || audit.step === 'split_allocation') {
-      const conditions = []
-      if (audit.when) {
-        if (audit.when.any_contains || audit.when.contains) {
-          const keywords = audit.when.any_contains || audit.when.contains
-          conditions.push(`contains: "${keywords.join('" or "')}"`)
-        }
-        if (audit.when.all_contains) {
-          conditions.push(`all of: "${audit.when.all_contains.join('", "')}"`)
-        }
-        if (audit.when.regex) {
-          const pattern =
-            typeof audit.when.regex === 'string' ? audit.when.regex : audit.when.regex.pattern
-          conditions.push(`regex: ${pattern}`)
-        }
-        if (audit.when.amount_gt !== undefined) {
-          conditions.push(`amount > ${audit.when.amount_gt}`)
-        }
-        if (audit.when.amount_lt !== undefined) {
-          conditions.push(`amount < ${audit.when.amount_lt}`)
-        }
-        if (audit.when.amount_between) {
-          conditions.push(
-            `amount between ${audit.when.amount_between.min} and ${audit.when.amount_between.max}`
-          )
-        }
-      }
+      const conditions = audit.when ? describeWhen(audit.when) : []
 
       let explanation = `Matched rule "${audit.ruleId}"`
       if (conditions.length > 0) {
         explanation += ` because ${conditions.join(' AND ')}`
       }
 
+      if (audit.effective) {
+        const { from, to } = audit.effective
+        const span = [from && `from ${from}`, to && `until ${to}`].filter(Boolean).join(' ')
+        explanation += ` (rule in effect ${span})`
+      }
+
       if (audit.step === 'split_allocation' && audit.allocation) {
         explanation += ` (${audit.allocation.percent}% allocated to ${audit.allocation.venture})`
       }
@@ -171,6 +260,12 @@ function ResultsSection({ categorized, summary, alerts, onDownloadJson, onExport
             <div className="stat-card">
               <div className="stat-label">Total Transactions</div>
               <div className="stat-value">{summary.totalTransactions}</div>
+              {summary.transferCount > 0 && (
+                <div className="text-xs text-muted">
+                  + {summary.transferCount} internal transfer{summary.transferCount !== 1 ? 's' : ''} not
+                  counted
+                </div>
+              )}
             </div>
 
             <div className="stat-card">
@@ -253,6 +348,35 @@ function ResultsSection({ categorized, summary, alerts, onDownloadJson, onExport
             </div>
           )}
 
+          {/* Account Totals (only when imports were tagged with accounts) */}
+          {Object.keys(summary.byAccount ?? {}).some((account) => account !== 'unassigned') && (
+            <div className="mb-4">
+              <h3 className="section-title">Totals by Account</h3>
+              <div className="table-container">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Account</th>
+                      <th style={{ textAlign: 'right' }}>Total</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {Object.entries(summary.byAccount)
+                      .sort((a, b) => a[1] - b[1])
+                      .map(([account, total]) => (
+                        <tr key={account}>
+                          <td>{account}</td>
+                          <td style={{ textAlign: 'right', fontWeight: 500 }}>
+                            {formatAmount(total)}
+                          </td>
+                        </tr>
+                      ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
           {/* Top Uncategorized */}
           {summary.topUncategorized.length > 0 && (
             <div>
@@ -421,6 +545,9 @@ function ResultsSection({ categorized, summary, alerts, onDownloadJson, onExport
                   <div className="transaction-info">
                     <span className="transaction-date">{txn.date}</span>
                     <span className="transaction-description">{txn.description}</span>
+                    {txn.status === 'pending' && <span className="text-xs text-muted">Pending</span>}
+                    {txn.kind === 'transfer' && <span className="text-xs text-muted">Transfer</span>}
+                    {txn.kind === 'fee' && <span className="text-xs text-muted">Fee</span>}
                   </div>
                   <div className="transaction-details">
                     <span
@@ -443,6 +570,16 @@ function ResultsSection({ categorized, summary, alerts, onDownloadJson, onExport
                 {expandedRow === idx && (
                   <div className="transaction-explanation">
                     <strong>Categorization reason:</strong> {getExplanation(txn)}
+                    {getFxExplanation(txn) && (
+                      <div className="transaction-note">
+                        <strong>Currency:</strong> {getFxExplanation(txn)}
+                      </div>
+                    )}
+                    {getPendingExplanation(txn) && (
+                      <div className="transaction-note">
+                        <strong>Posted:</strong> {getPendingExplanation(txn)}
+                      </div>
+                    )}
                     {txn.note && (
                       <div className="transaction-note">
                         <strong>Note:</strong> {txn.note}
@@ -1,4 +1,5 @@
-import { useRef } from 'react'
+import { useRef, useMemo } from 'react'
+import { analyzeRules } from '@family-office-tracker/core'
 
 const EXAMPLE_RULES = {
   "ventures": ["venture-a", "venture-b", "venture-c"],
@@ -36,9 +37,17 @@ const EXAMPLE_RULES = {
   ]
 }
 
-function RulesSection({ rulesJson, rulesFile, rulesError, onRulesChange }) {
+function RulesSection({ rulesJson, rulesFile, rulesError, transactions, onRulesChange }) {
   const fileInputRef = useRef(null)
 
+  // Shadowed, conflicting and dead rules; unused ones once transactions are imported
+  const findings = useMemo(() => {
+    if (!rulesFile || rulesError) return []
+    return analyzeRules(rulesFile, transactions?.length > 0 ? transactions : undefined)
+  }, [rulesFile, rulesError, transactions])
+  const ruleWarnings = findings.filter((f) => f.severity === 'warning')
+  const unusedRules = findings.filter((f) => f.severity === 'info')
+
   const handleFileUpload = async (e) => {
     const file = e.target.files?.[0]
     if (file) {
@@ -115,6 +124,32 @@ function RulesSection({ rulesJson, rulesFile, rulesError, onRulesChange }) {
         </div>
       )}
 
+      {ruleWarnings.length > 0 && (
+        <details className="alert alert-warning" open>
+          <summary style={{ cursor: 'pointer' }}>
+            {ruleWarnings.length} rule warning{ruleWarnings.length !== 1 ? 's' : ''}
+          </summary>
+          <ul style={{ marginTop: '8px', paddingLeft: '20px', fontSize: '12px' }}>
+            {ruleWarnings.map((finding, idx) => (
+              <li key={idx}>{finding.message}</li>
+            ))}
+          </ul>
+        </details>
+      )}
+
+      {unusedRules.length > 0 && (
+        <details className="alert alert-info">
+          <summary style={{ cursor: 'pointer' }}>
+            {unusedRules.length} rule{unusedRules.length !== 1 ? 's' : ''} matched none of the imported transactions
+          </summary>
+          <ul style={{ marginTop: '8px', paddingLeft: '20px', fontSize: '12px' }}>
+            {unusedRules.map((finding) => (
+              <li key={finding.ruleId}>{finding.ruleId}</li>
+            ))}
+          </ul>
+        </details>
+      )}
+
       {!rulesJson && !rulesError && (
         <div className="alert alert-info">
           <strong>Tip:</strong> Click "Load Example" to see the rules format, or upload your own rules JSON file.
@@ -1,11 +1,39 @@
-import { useState, useRef } from 'react'
+import { useState, useRef, useEffect } from 'react'
+import { LOCALES, accountLabel } from '@family-office-tracker/core'
+import ParserProfiles from './ParserProfiles.jsx'
+import AccountsRegistry from './AccountsRegistry.jsx'
+import RepairGrid from './RepairGrid.jsx'
+
+// Formats that define their own dates and amounts, so no locale applies
+const STATEMENT_FORMATS = new Set(['ofx', 'qif', 'camt053', 'mt940'])
 
 function UploadSection({
   csvFile,
   csvSource,
+  detectedSources = [],
+  sheets = [],
+  sheet = '',
+  onSheetChange,
+  parserProfiles = [],
+  onSaveProfiles,
+  accounts = [],
+  accountId = '',
+  onAccountChange,
+  onSaveAccounts,
   transactions,
   parseError,
   parseErrors = [],
+  parseWarnings = [],
+  parseSkipped = [],
+  mergeImports = false,
+  onMergeImportsChange,
+  importReport = null,
+  importProgress = null,
+  repairedRows = [],
+  onRepairRow,
+  onImportAnother,
+  sourceLocales = {},
+  onLocaleChange,
   onUpload,
   onLoadSample,
   loadingSample
@@ -14,6 +42,17 @@ function UploadSection({
   const [source, setSource] = useState(csvSource)
   const fileInputRef = useRef(null)
 
+  // Follow the source the app settled on (e.g. after auto-detection)
+  useEffect(() => {
+    setSource(csvSource)
+  }, [csvSource])
+
+  const detected = detectedSources[0]?.source === source ? detectedSources[0] : null
+  // Balance breaks flag imported rows; other errors mean the row was dropped
+  const skippedRows = parseErrors.filter((err) => err.field !== 'balance')
+  const balanceBreaks = parseErrors.filter((err) => err.field === 'balance')
+  const profile = parserProfiles.find((p) => p.name === source)
+
   const handleDragOver = (e) => {
     e.preventDefault()
     setIsDragging(true)
@@ -81,18 +120,148 @@ function UploadSection({
           value={source}
           onChange={(e) => handleSourceChange(e.target.value)}
         >
+          <option value="auto">Auto-detect</option>
           <option value="generic">Generic CSV</option>
           <option value="chase">Chase Credit Card</option>
           <option value="costco">Costco Anywhere Visa (Citi)</option>
+          <option value="amex">American Express</option>
+          <option value="checking">Checking Account (BofA, Wells Fargo, credit unions)</option>
+          <option value="paypal">PayPal Activity</option>
+          <option value="venmo">Venmo Statement</option>
+          <option value="stripe">Stripe Balance History</option>
+          <option value="square">Square Transactions</option>
+          <option value="ofx">OFX / QFX Statement</option>
+          <option value="qif">Quicken QIF Export</option>
+          <option value="camt053">ISO 20022 camt.053 Statement</option>
+          <option value="mt940">SWIFT MT940 Statement</option>
+          {parserProfiles.length > 0 && (
+            <optgroup label="Custom formats">
+              {parserProfiles.map((p) => (
+                <option key={p.name} value={p.name}>
+                  {p.label || p.name}
+                </option>
+              ))}
+            </optgroup>
+          )}
         </select>
         <p className="text-xs text-muted mt-2">
+          {source === 'auto' && 'Format is detected from the file headers and first rows'}
           {source === 'generic' && 'Standard format with Date, Description, Amount columns'}
           {source === 'chase' &&
             'Chase credit card export with Transaction Date, Description, Type, Amount'}
           {source === 'costco' && 'Costco Citi export with separate Debit/Credit columns'}
+          {source === 'amex' &&
+            'Amex activity download (charges positive); keeps Card Member and Extended Details'}
+          {source === 'checking' &&
+            'Checking export with a running balance; summary lines above the header are skipped'}
+          {source === 'paypal' &&
+            'PayPal activity download; fees become separate rows and bank transfers are not counted'}
+          {source === 'venmo' &&
+            'Venmo statement; fees become separate rows and bank transfers are not counted'}
+          {source === 'stripe' &&
+            'Stripe balance history; charges split into gross sales and fees, payouts are not counted'}
+          {source === 'square' &&
+            'Square transactions export; each payment splits into gross sale, refunds and fees'}
+          {source === 'ofx' && 'OFX or Quicken QFX download from a bank, card or brokerage'}
+          {source === 'qif' && 'Legacy Quicken QIF export (bank and credit card accounts, with splits)'}
+          {source === 'camt053' &&
+            'European bank XML statement; keeps value date, counterparty IBAN and remittance details'}
+          {source === 'mt940' &&
+            'SWIFT MT940 statement (.sta, .940); keeps value date, counterparty IBAN and remittance details'}
+          {profile && (profile.description || 'Custom column mapping')}
         </p>
+        {csvFile && detected && (
+          <p className="text-xs text-muted">
+            Detected automatically ({Math.round(detected.confidence * 100)}% confidence)
+            {detectedSources.length > 1 &&
+              ` • next best: ${detectedSources[1].source} (${Math.round(detectedSources[1].confidence * 100)}%)`}
+          </p>
+        )}
       </div>
 
+      {accounts.length > 0 && onAccountChange && (
+        <div className="form-group">
+          <label htmlFor="account-select" className="label">
+            Account
+          </label>
+          <select
+            id="account-select"
+            className="select"
+            value={accountId}
+            onChange={(e) => onAccountChange(e.target.value)}
+          >
+            <option value="">No account</option>
+            {accounts.map((account) => (
+              <option key={account.id} value={account.id}>
+                {account.id} – {accountLabel(account)}
+              </option>
+            ))}
+          </select>
+          <p className="text-xs text-muted mt-2">Every transaction in the file is tagged with this account</p>
+        </div>
+      )}
+
+      {csvFile && sheets.length > 1 && onSheetChange && (
+        <div className="form-group">
+          <label htmlFor="sheet-select" className="label">
+            Worksheet
+          </label>
+          <select
+            id="sheet-select"
+            className="select"
+            value={sheet}
+            onChange={(e) => onSheetChange(e.target.value)}
+          >
+            {sheets.map((name) => (
+              <option key={name} value={name}>
+                {name}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {source !== 'auto' && !STATEMENT_FORMATS.has(source) && onLocaleChange && (
+        <div className="form-group">
+          <label htmlFor="locale-select" className="label">
+            Date &amp; Number Format
+          </label>
+          <select
+            id="locale-select"
+            className="select"
+            value={sourceLocales[source] || ''}
+            onChange={(e) => onLocaleChange(source, e.target.value)}
+          >
+            <option value="">Infer from file</option>
+            {Object.entries(LOCALES).map(([tag, settings]) => (
+              <option key={tag} value={tag}>
+                {tag} ({settings.dateOrder === 'DMY' ? 'DD/MM/YYYY' : 'MM/DD/YYYY'}, {settings.decimal === ',' ? '1.234,56' : '1,234.56'})
+              </option>
+            ))}
+          </select>
+          <p className="text-xs text-muted mt-2">Remembered for this source</p>
+        </div>
+      )}
+
+      {onSaveProfiles && <ParserProfiles parserProfiles={parserProfiles} onSave={onSaveProfiles} />}
+      {onSaveAccounts && <AccountsRegistry accounts={accounts} onSave={onSaveAccounts} />}
+
+      {!csvFile && transactions && transactions.length > 0 && onMergeImportsChange && (
+        <div className="form-group">
+          <label style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+            <input
+              type="checkbox"
+              checked={mergeImports}
+              onChange={(e) => onMergeImportsChange(e.target.checked)}
+            />
+            <span className="text-sm">
+              Add to the {transactions.length} saved transaction{transactions.length !== 1 ? 's' : ''}{' '}
+              (duplicates are skipped)
+            </span>
+          </label>
+        </div>
+      )}
+
       {!csvFile && (
         <>
           <div
@@ -109,18 +278,20 @@ function UploadSection({
                 handleClick()
               }
             }}
-            aria-label="Drop CSV file here or click to browse"
+            aria-label="Drop CSV or Excel file here or click to browse"
           >
             <div className="drop-zone-icon" aria-hidden="true">
               📄
             </div>
-            <div className="drop-zone-text">Drop CSV file here or click to browse</div>
-            <div className="drop-zone-hint">Supports {source} format</div>
+            <div className="drop-zone-text">Drop CSV or Excel file here or click to browse</div>
+            <div className="drop-zone-hint">
+              {source === 'auto' ? 'Format will be detected automatically' : `Supports ${source} format`}
+            </div>
           </div>
           <input
             ref={fileInputRef}
             type="file"
-            accept=".csv,text/csv"
+            accept=".csv,text/csv,.xlsx,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet,.ofx,.qfx,.qif,.xml,.sta,.940"
             onChange={handleFileSelect}
             style={{ display: 'none' }}
             aria-hidden="true"
@@ -141,6 +312,11 @@ function UploadSection({
                 ` • ${transactions.length} transaction${transactions.length !== 1 ? 's' : ''} parsed`}
             </div>
           </div>
+          {onImportAnother && transactions && transactions.length > 0 && !parseError && (
+            <button className="button button-sm button-secondary" onClick={onImportAnother}>
+              Add Another File
+            </button>
+          )}
           <button
             className="button button-sm button-secondary"
             onClick={() => {
@@ -154,33 +330,158 @@ function UploadSection({
         </div>
       )}
 
+      {importProgress && (
+        <div className="form-group" aria-live="polite">
+          <progress
+            className="import-progress"
+            value={importProgress.bytesRead}
+            max={importProgress.totalBytes || undefined}
+            aria-label="Import progress"
+          />
+          <div className="text-xs text-muted">
+            Reading… {importProgress.transactions} transaction{importProgress.transactions !== 1 ? 's' : ''} so far
+          </div>
+        </div>
+      )}
+
       {parseError && (
         <div className="alert alert-error" role="alert">
           <strong>Parse Error:</strong> {parseError}
         </div>
       )}
 
-      {parseErrors.length > 0 && !parseError && (
+      {skippedRows.length > 0 && !parseError && (
         <details className="alert alert-warning">
           <summary style={{ cursor: 'pointer' }}>
-            {parseErrors.length} row{parseErrors.length !== 1 ? 's' : ''} skipped due to validation
+            {skippedRows.length} row{skippedRows.length !== 1 ? 's' : ''} skipped due to validation
             errors
           </summary>
+          {onRepairRow ? (
+            <>
+              <p className="text-xs mt-2">
+                Correct a row and accept it to add it to the import. Fixes are remembered and applied
+                again the next time this file is imported.
+              </p>
+              <RepairGrid errors={skippedRows} onRepair={onRepairRow} />
+            </>
+          ) : (
+            <ul style={{ marginTop: '8px', paddingLeft: '20px', fontSize: '12px' }}>
+              {skippedRows.slice(0, 5).map((err, idx) => (
+                <li key={idx}>
+                  Row {err.row}: {err.message}
+                </li>
+              ))}
+              {skippedRows.length > 5 && <li>...and {skippedRows.length - 5} more</li>}
+            </ul>
+          )}
+        </details>
+      )}
+
+      {repairedRows.length > 0 && !parseError && (
+        <div className="alert alert-success">
+          ✓ {repairedRows.length} repaired row{repairedRows.length !== 1 ? 's' : ''} added to the import
+          (row{repairedRows.length !== 1 ? 's' : ''}{' '}
+          {repairedRows
+            .slice(0, 10)
+            .map((err) => err.row)
+            .join(', ')}
+          {repairedRows.length > 10 ? ', …' : ''})
+        </div>
+      )}
+
+      {balanceBreaks.length > 0 && !parseError && (
+        <details className="alert alert-error" open>
+          <summary style={{ cursor: 'pointer' }}>
+            Running balance doesn't add up at {balanceBreaks.length} row
+            {balanceBreaks.length !== 1 ? 's' : ''}; the file may be missing rows
+          </summary>
           <ul style={{ marginTop: '8px', paddingLeft: '20px', fontSize: '12px' }}>
-            {parseErrors.slice(0, 5).map((err, idx) => (
+            {balanceBreaks.slice(0, 5).map((err, idx) => (
               <li key={idx}>
                 Row {err.row}: {err.message}
               </li>
             ))}
-            {parseErrors.length > 5 && <li>...and {parseErrors.length - 5} more</li>}
+            {balanceBreaks.length > 5 && <li>...and {balanceBreaks.length - 5} more</li>}
+          </ul>
+        </details>
+      )}
+
+      {parseWarnings.length > 0 && !parseError && (
+        <details className="alert alert-warning">
+          <summary style={{ cursor: 'pointer' }}>
+            {parseWarnings.length} row{parseWarnings.length !== 1 ? 's' : ''} imported with warnings
+          </summary>
+          <ul style={{ marginTop: '8px', paddingLeft: '20px', fontSize: '12px' }}>
+            {parseWarnings.slice(0, 5).map((warning, idx) => (
+              <li key={idx}>
+                Row {warning.row}: {warning.message}
+              </li>
+            ))}
+            {parseWarnings.length > 5 && <li>...and {parseWarnings.length - 5} more</li>}
+          </ul>
+        </details>
+      )}
+
+      {parseSkipped.length > 0 && !parseError && (
+        <details className="alert alert-info">
+          <summary style={{ cursor: 'pointer' }}>
+            {parseSkipped.length} row{parseSkipped.length !== 1 ? 's' : ''} left out on purpose
+          </summary>
+          <ul style={{ marginTop: '8px', paddingLeft: '20px', fontSize: '12px' }}>
+            {parseSkipped.slice(0, 5).map((row, idx) => (
+              <li key={idx}>
+                Row {row.row}: {row.message}
+              </li>
+            ))}
+            {parseSkipped.length > 5 && <li>...and {parseSkipped.length - 5} more</li>}
+          </ul>
+        </details>
+      )}
+
+      {importReport && !parseError && (
+        <details className={`alert ${importReport.conflicts.length > 0 ? 'alert-warning' : 'alert-info'}`}>
+          <summary style={{ cursor: 'pointer' }}>
+            Added {importReport.added.length} new, skipped {importReport.skipped.length} duplicate
+            {importReport.skipped.length !== 1 ? 's' : ''}
+            {importReport.superseded.length > 0 &&
+              `, ${importReport.superseded.length} pending charge${importReport.superseded.length !== 1 ? 's' : ''} posted`}
+            {importReport.conflicts.length > 0 &&
+              `, ${importReport.conflicts.length} possible conflict${importReport.conflicts.length !== 1 ? 's' : ''} to review`}
+          </summary>
+          <ul style={{ marginTop: '8px', paddingLeft: '20px', fontSize: '12px' }}>
+            {importReport.conflicts.slice(0, 5).map(({ transaction, message }) => (
+              <li key={transaction.id}>
+                Added {transaction.date} {transaction.description} ({transaction.amount}): {message}
+              </li>
+            ))}
+            {importReport.superseded.slice(0, 5).map(({ transaction, pending }) => (
+              <li key={transaction.id}>
+                Posted {transaction.date} {transaction.description} ({transaction.amount}): replaces the
+                pending charge of {pending.amount} on {pending.date}
+              </li>
+            ))}
+            {importReport.skipped
+              .filter((s) => s.match === 'fuzzy')
+              .slice(0, 5)
+              .map(({ transaction, similarity }) => (
+                <li key={transaction.id}>
+                  Skipped {transaction.date} {transaction.description} ({transaction.amount}): similar to a
+                  saved transaction ({Math.round(similarity * 100)}% match)
+                </li>
+              ))}
+            <li>
+              {importReport.skipped.filter((s) => s.match === 'exact').length} exact duplicate
+              {importReport.skipped.filter((s) => s.match === 'exact').length !== 1 ? 's' : ''} skipped
+            </li>
           </ul>
         </details>
       )}
 
       {transactions && transactions.length > 0 && !parseError && (
         <div className="alert alert-success" role="status">
-          Successfully parsed {transactions.length} transaction
-          {transactions.length !== 1 ? 's' : ''}
+          {importReport
+            ? `${transactions.length} transaction${transactions.length !== 1 ? 's' : ''} saved in total`
+            : `Successfully parsed ${transactions.length} transaction${transactions.length !== 1 ? 's' : ''}`}
         </div>
       )}
     </section>
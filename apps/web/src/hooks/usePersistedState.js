@@ -4,10 +4,17 @@ import {
   saveTransactions,
   saveRulesFile,
   saveCategorization,
+  saveParserProfiles,
+  saveSourceLocales,
+  saveFxSettings,
+  saveAccounts,
+  saveRepairs,
   clearAllData,
   hasStoredData
 } from '../lib/storage.js'
 
+const DEFAULT_FX = { reportingCurrency: 'USD', rates: [] }
+
 /**
  * Hook for managing persisted application state
  * Loads from localStorage on mount and auto-saves on changes
@@ -18,6 +25,11 @@ export function usePersistedState() {
   const [rulesFile, setRulesFileState] = useState(null)
   const [categorized, setCategorizedState] = useState(null)
   const [summary, setSummaryState] = useState(null)
+  const [parserProfiles, setParserProfilesState] = useState([])
+  const [sourceLocales, setSourceLocalesState] = useState({})
+  const [fx, setFxState] = useState(DEFAULT_FX)
+  const [accounts, setAccountsState] = useState([])
+  const [repairs, setRepairsState] = useState([])
 
   // UI state (not persisted)
   const [isLoading, setIsLoading] = useState(true)
@@ -30,6 +42,11 @@ export function usePersistedState() {
     setRulesFileState(data.rulesFile)
     setCategorizedState(data.categorized)
     setSummaryState(data.summary)
+    setParserProfilesState(data.parserProfiles || [])
+    setSourceLocalesState(data.sourceLocales || {})
+    setFxState(data.fx || DEFAULT_FX)
+    setAccountsState(data.accounts || [])
+    setRepairsState(data.repairs || [])
     setHasData(hasStoredData())
     setIsLoading(false)
   }, [])
@@ -57,11 +74,50 @@ export function usePersistedState() {
     saveCategorization(cat, sum)
   }, [])
 
+  const setParserProfiles = useCallback((profiles) => {
+    setParserProfilesState(profiles)
+    saveParserProfiles(profiles)
+  }, [])
+
+  const setSourceLocale = useCallback((source, locale) => {
+    setSourceLocalesState((current) => {
+      const next = { ...current }
+      if (locale) next[source] = locale
+      else delete next[source]
+      saveSourceLocales(next)
+      return next
+    })
+  }, [])
+
+  const setFx = useCallback((settings) => {
+    setFxState(settings)
+    setCategorizedState(null)
+    setSummaryState(null)
+    saveFxSettings(settings)
+  }, [])
+
+  const setAccounts = useCallback((list) => {
+    setAccountsState(list)
+    setCategorizedState(null)
+    setSummaryState(null)
+    saveAccounts(list)
+  }, [])
+
+  const setRepairs = useCallback((list) => {
+    setRepairsState(list)
+    saveRepairs(list)
+  }, [])
+
   const clearData = useCallback(() => {
     setTransactionsState([])
     setRulesFileState(null)
     setCategorizedState(null)
     setSummaryState(null)
+    setParserProfilesState([])
+    setSourceLocalesState({})
+    setFxState(DEFAULT_FX)
+    setAccountsState([])
+    setRepairsState([])
     clearAllData()
     setHasData(false)
   }, [])
@@ -72,6 +128,11 @@ export function usePersistedState() {
     setRulesFileState(data.rulesFile)
     setCategorizedState(data.categorized)
     setSummaryState(data.summary)
+    setParserProfilesState(data.parserProfiles || [])
+    setSourceLocalesState(data.sourceLocales || {})
+    setFxState(data.fx || DEFAULT_FX)
+    setAccountsState(data.accounts || [])
+    setRepairsState(data.repairs || [])
     setHasData(hasStoredData())
   }, [])
 
@@ -81,11 +142,21 @@ export function usePersistedState() {
     rulesFile,
     categorized,
     summary,
+    parserProfiles,
+    sourceLocales,
+    fx,
+    accounts,
+    repairs,
 
     // Setters
     setTransactions,
     setRulesFile,
     setCategorization,
+    setParserProfiles,
+    setSourceLocale,
+    setFx,
+    setAccounts,
+    setRepairs,
 
     // Actions
     clearData,
@@ -3,8 +3,10 @@
  * Provides auto-save, migration support, and safe data management
  */
 
+import { buildIdMigration, remapTransactionIds } from '@family-office-tracker/core'
+
 const STORAGE_KEY = 'family-office-tracker'
-const CURRENT_VERSION = 1
+const CURRENT_VERSION = 2
 
 /**
  * @typedef {Object} StoredData
@@ -13,6 +15,11 @@ const CURRENT_VERSION = 1
  * @property {Object|null} rulesFile - Rules configuration
  * @property {Array|null} categorized - Categorized transactions
  * @property {Object|null} summary - Summary data
+ * @property {Array} parserProfiles - User-defined CSV mapping profiles
+ * @property {Object} sourceLocales - Date/number locale chosen per import source
+ * @property {{ reportingCurrency: string, rates: Array }} fx - Reporting currency and FX rate table
+ * @property {Array} accounts - Accounts registry imports can be tagged with
+ * @property {Array} repairs - Fixes entered for dropped import rows, reapplied on re-import
  * @property {number} lastUpdated - Unix timestamp
  */
 
@@ -27,6 +34,11 @@ function getDefaultState() {
     rulesFile: null,
     categorized: null,
     summary: null,
+    parserProfiles: [],
+    sourceLocales: {},
+    fx: { reportingCurrency: 'USD', rates: [] },
+    accounts: [],
+    repairs: [],
     lastUpdated: Date.now()
   }
 }
@@ -48,8 +60,21 @@ function migrateData(data) {
     }
   }
 
+  // Version 1 -> 2: Content-based transaction IDs (position-based IDs shifted
+  // whenever a re-download added rows)
+  if (current.version < 2) {
+    const transactions = current.transactions || []
+    const idMap = buildIdMigration(transactions.length > 0 ? transactions : current.categorized || [])
+    current = {
+      ...current,
+      transactions: remapTransactionIds(transactions, idMap),
+      categorized: current.categorized ? remapTransactionIds(current.categorized, idMap) : current.categorized,
+      version: 2
+    }
+  }
+
   // Future migrations would go here:
-  // if (current.version < 2) { ... current.version = 2 }
+  // if (current.version < 3) { ... current.version = 3 }
 
   return current
 }
@@ -131,6 +156,53 @@ export function saveCategorization(categorized, summary) {
   return saveData({ categorized, summary })
 }
 
+/**
+ * Save CSV mapping profiles (settings; imported data is kept)
+ * @param {Array} parserProfiles
+ * @returns {boolean}
+ */
+export function saveParserProfiles(parserProfiles) {
+  return saveData({ parserProfiles })
+}
+
+/**
+ * Save the locale used for each import source (settings; imported data is kept)
+ * @param {Object} sourceLocales - Map of source name to locale tag
+ * @returns {boolean}
+ */
+export function saveSourceLocales(sourceLocales) {
+  return saveData({ sourceLocales })
+}
+
+/**
+ * Save the reporting currency and FX rates
+ * Categorization results are cleared since their amounts depend on them
+ * @param {{ reportingCurrency: string, rates: Array }} fx
+ * @returns {boolean}
+ */
+export function saveFxSettings(fx) {
+  return saveData({ fx, categorized: null, summary: null })
+}
+
+/**
+ * Save the accounts registry
+ * Categorization results are cleared since default ventures depend on it
+ * @param {Array} accounts
+ * @returns {boolean}
+ */
+export function saveAccounts(accounts) {
+  return saveData({ accounts, categorized: null, summary: null })
+}
+
+/**
+ * Save the fixes entered for dropped import rows
+ * @param {Array} repairs
+ * @returns {boolean}
+ */
+export function saveRepairs(repairs) {
+  return saveData({ repairs })
+}
+
 /**
  * Clear all stored data
  * @returns {boolean}
@@ -232,6 +304,39 @@ function validateBackupStructure(data) {
     }
   }
 
+  // Validate parserProfiles structure if present
+  if (data.parserProfiles !== undefined && !Array.isArray(data.parserProfiles)) {
+    return { valid: false, error: 'Invalid backup format: parserProfiles must be an array' }
+  }
+
+  // Validate sourceLocales structure if present
+  if (
+    data.sourceLocales !== undefined &&
+    (typeof data.sourceLocales !== 'object' || data.sourceLocales === null || Array.isArray(data.sourceLocales))
+  ) {
+    return { valid: false, error: 'Invalid backup format: sourceLocales must be an object' }
+  }
+
+  // Validate fx structure if present
+  if (data.fx !== undefined) {
+    if (typeof data.fx !== 'object' || data.fx === null) {
+      return { valid: false, error: 'Invalid backup format: fx must be an object' }
+    }
+    if (typeof data.fx.reportingCurrency !== 'string' || !Array.isArray(data.fx.rates)) {
+      return { valid: false, error: 'Invalid backup format: fx needs a reportingCurrency and a rates array' }
+    }
+  }
+
+  // Validate accounts structure if present
+  if (data.accounts !== undefined && !Array.isArray(data.accounts)) {
+    return { valid: false, error: 'Invalid backup format: accounts must be an array' }
+  }
+
+  // Validate repairs structure if present
+  if (data.repairs !== undefined && !Array.isArray(data.repairs)) {
+    return { valid: false, error: 'Invalid backup format: repairs must be an array' }
+  }
+
   // Validate categorized structure if present
   if (data.categorized !== undefined && data.categorized !== null && !Array.isArray(data.categorized)) {
     return { valid: false, error: 'Invalid backup format: categorized must be an array' }
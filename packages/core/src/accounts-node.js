@@ -0,0 +1,24 @@
+import fs from "node:fs";
+import { parseAccounts } from "./accounts.js";
+
+/**
+ * Node.js-specific accounts utilities
+ * This module contains fs-dependent functions for Node.js environments
+ */
+
+/**
+ * Load an accounts registry from a JSON file
+ * @param {string} filePath - Path to the registry
+ * @returns {Array} Validated accounts
+ */
+export function loadAccounts(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`File not found: ${filePath}`);
+  }
+
+  try {
+    return parseAccounts(JSON.parse(fs.readFileSync(filePath, "utf8")));
+  } catch (err) {
+    throw new Error(`${filePath}: ${err.message}`);
+  }
+}
@@ -0,0 +1,87 @@
+import { AccountSchema, formatZodErrors } from "./schemas.js";
+
+/**
+ * Accounts registry
+ * Names the accounts transactions come from, so that two cards from the
+ * same issuer, or a personal and a business checking account, stay apart
+ * in rules and reports. An import is tagged with one account: every
+ * transaction gets its `accountId`, and its ID is namespaced by the
+ * account so the same charge on two cards never collides.
+ *
+ * Registry files are a JSON array of accounts or { "accounts": [...] }:
+ * { "id": "chase-sapphire", "institution": "Chase", "last4": "4821",
+ *   "owner": "Alex", "type": "credit_card", "defaultVenture": "household" }
+ */
+
+/**
+ * @typedef {import('./schemas.js').Account} Account
+ */
+
+/**
+ * Validate an accounts registry
+ * @param {Array|Object} data - Array of accounts or { accounts: [...] }
+ * @returns {Account[]} Validated accounts
+ * @throws {Error} If an account is invalid or an id is used twice
+ */
+export function parseAccounts(data) {
+  const list = Array.isArray(data) ? data : data?.accounts;
+  if (!Array.isArray(list)) {
+    throw new Error('Accounts must be an array of accounts or { "accounts": [...] }');
+  }
+
+  const seen = new Set();
+  return list.map((value, i) => {
+    const result = AccountSchema.safeParse(value);
+    if (!result.success) {
+      const label = value?.id ? `"${value.id}"` : i + 1;
+      throw new Error(`Account ${label}: ${formatZodErrors(result.error).join("; ")}`);
+    }
+    if (seen.has(result.data.id)) {
+      throw new Error(`Duplicate account id "${result.data.id}"`);
+    }
+    seen.add(result.data.id);
+    return result.data;
+  });
+}
+
+/**
+ * Look up an account by id
+ * @param {Account[]} accounts - Accounts registry
+ * @param {string|undefined} id - Account id
+ * @returns {Account|null} Account or null
+ */
+export function findAccount(accounts, id) {
+  if (!id) return null;
+  return (accounts ?? []).find((a) => a.id === id) ?? null;
+}
+
+/**
+ * Describe an account for pickers and reports
+ * @param {Account} account - Account
+ * @returns {string} e.g. "Chase ····4821 (Alex)"
+ */
+export function accountLabel(account) {
+  let label = account.institution;
+  if (account.last4) label += ` ····${account.last4}`;
+  if (account.owner) label += ` (${account.owner})`;
+  return label;
+}
+
+/**
+ * Tag imported transactions with the account they came from
+ * The account id is added after the source in each ID
+ * ("chase:2025-01-05:..." becomes "chase:chase-sapphire:2025-01-05:...").
+ *
+ * @param {Array} transactions - Transactions of one import
+ * @param {string} accountId - Registry account id
+ * @returns {Array} Tagged transactions
+ */
+export function assignAccount(transactions, accountId) {
+  return transactions.map((txn) => {
+    const prefix = `${txn.source}:`;
+    const id = txn.id.startsWith(prefix)
+      ? `${prefix}${accountId}:${txn.id.slice(prefix.length)}`
+      : `${accountId}:${txn.id}`;
+    return { ...txn, accountId, id };
+  });
+}
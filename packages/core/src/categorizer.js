@@ -1,35 +1,44 @@
-import { matchRule } from "./rules-engine.js";
+import { compileRules, matchRule } from "./rules-engine.js";
+import { findAccount } from "./accounts.js";
 
 /**
  * Categorize transactions according to rules
  * Handles both simple categorization and split allocations
  *
+ * A transaction tagged with a registry account takes the account's default
+ * venture when no rule matches or the matching rule names no venture.
+ *
  * @param {Array} transactions - Array of transactions to categorize
- * @param {Object} rulesFile - Rules configuration
+ * @param {Object} rulesFile - Rules configuration or compileRules() result
+ * @param {Object} [options] - Categorization options
+ * @param {Array} [options.accounts] - Accounts registry
  * @returns {Object} { categorized, alerts }
  */
-export function categorizeTransactions(transactions, rulesFile) {
+export function categorizeTransactions(transactions, rulesFile, { accounts = [] } = {}) {
+  const rules = compileRules(rulesFile);
   const categorized = [];
   const alerts = [];
 
   for (const txn of transactions) {
-    const rule = matchRule(txn, rulesFile);
+    const rule = matchRule(txn, rules);
+    const defaultVenture = findAccount(accounts, txn.accountId)?.defaultVenture ?? "unassigned";
 
     if (!rule) {
       categorized.push({
         ...txn,
         category: "Uncategorized",
-        venture: "unassigned",
+        venture: defaultVenture,
         requiresReceipt: false,
-        audit: [{ step: "no_match", ruleId: null }]
+        audit: [...(txn.audit ?? []), { step: "no_match", ruleId: null }]
       });
       continue;
     }
 
     const then = rule.then || {};
 
-    // Handle split allocation
-    if (then.split && Array.isArray(then.split)) {
+    // Handle split allocation (transactions split at import, e.g. QIF
+    // split lines, already carry allocation metadata and are not re-split)
+    if (then.split && Array.isArray(then.split) && !txn.allocation) {
       const splitTxns = createSplitTransactions(txn, rule);
       categorized.push(...splitTxns);
 
@@ -47,7 +56,7 @@ export function categorizeTransactions(transactions, rulesFile) {
 
     // Standard single-venture categorization
     const category = then.category ?? "Uncategorized";
-    const venture = then.venture ?? "unassigned";
+    const venture = then.venture ?? defaultVenture;
     const requiresReceipt = Boolean(then.requiresReceipt);
 
     const item = {
@@ -57,7 +66,14 @@ export function categorizeTransactions(transactions, rulesFile) {
       requiresReceipt,
       note: then.note ?? "",
       audit: [
-        { step: "matched_rule", ruleId: rule.id, when: rule.when, then: rule.then }
+        ...(txn.audit ?? []),
+        {
+          step: "matched_rule",
+          ruleId: rule.id,
+          when: rule.when,
+          ...(rule.effective && { effective: rule.effective }),
+          then: rule.then
+        }
       ]
     };
 
@@ -111,10 +127,12 @@ function createSplitTransactions(txn, rule) {
       },
       // Audit trail
       audit: [
+        ...(txn.audit ?? []),
         {
           step: "split_allocation",
           ruleId: rule.id,
           when: rule.when,
+          ...(rule.effective && { effective: rule.effective }),
           then: rule.then,
           allocation: {
             venture: allocation.venture,
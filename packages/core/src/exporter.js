@@ -1,6 +1,22 @@
+import { reportingCurrencyOf } from "./fx.js";
+
+/**
+ * Check whether a transaction moves money between the user's own accounts
+ * Adapters tag these (e.g. PayPal withdrawals to the bank); counting them
+ * would double the spending already on the other account's statement.
+ *
+ * @param {Object} txn - Transaction
+ * @returns {boolean} True for internal transfers
+ */
+export function isInternalTransfer(txn) {
+  return txn.kind === "transfer";
+}
 
 /**
  * Export transactions for Schedule C tax reporting
+ * Transactions must share one currency; convert foreign ones with
+ * convertTransactions first.
+ *
  * @param {Array} categorizedTxns - Categorized transactions
  * @param {Object} options - Export options
  * @param {string} options.venture - Venture to filter by
@@ -10,8 +26,9 @@
  */
 export function exportScheduleC(categorizedTxns, { venture, year }) {
   const y = String(year);
+  reportingCurrencyOf(categorizedTxns);
   const rows = categorizedTxns.filter((t) => {
-    return t.venture === venture && t.date.startsWith(y);
+    return t.venture === venture && t.date.startsWith(y) && !isInternalTransfer(t);
   });
 
   const header = [
@@ -23,7 +40,11 @@ export function exportScheduleC(categorizedTxns, { venture, year }) {
     "Note",
     "OriginalTxnId",
     "SplitPercent",
-    "OriginalAmount"
+    "OriginalAmount",
+    "Currency",
+    "ForeignAmount",
+    "ForeignCurrency",
+    "FxRate"
   ];
   const lines = [header.join(",")];
 
@@ -37,7 +58,11 @@ export function exportScheduleC(categorizedTxns, { venture, year }) {
       csvSafe(r.note ?? ""),
       csvSafe(r.originalTxnId ?? ""),
       r.allocation ? r.allocation.percent : "",
-      r.allocation ? r.allocation.originalAmount : ""
+      r.allocation ? r.allocation.originalAmount : "",
+      r.currency ?? "",
+      r.originalAmount ?? "",
+      r.originalCurrency ?? "",
+      fxRateOf(r) ?? ""
     ].join(","));
   }
 
@@ -51,7 +76,9 @@ export function exportScheduleC(categorizedTxns, { venture, year }) {
  * @returns {Object} Alert summary
  */
 export function generateAlerts(categorizedTxns) {
-  const uncategorized = categorizedTxns.filter((t) => t.category === "Uncategorized");
+  const uncategorized = categorizedTxns.filter(
+    (t) => t.category === "Uncategorized" && !isInternalTransfer(t)
+  );
   return {
     uncategorizedCount: uncategorized.length,
     uncategorized
@@ -60,17 +87,24 @@ export function generateAlerts(categorizedTxns) {
 
 /**
  * Generate summary report of transactions
+ * Totals are only meaningful in one currency, so mixed-currency input is
+ * rejected; convert it with convertTransactions first. Internal transfers
+ * are left out of the totals and only counted.
+ *
  * @param {Array} categorizedTxns - Categorized transactions
- * @returns {Object} Summary with totals by venture and category
+ * @returns {Object} Summary with totals by venture, category and account (untagged transactions under "unassigned")
  */
 export function generateSummary(categorizedTxns) {
+  const currency = reportingCurrencyOf(categorizedTxns);
   const byVenture = {};
   const byCategory = {};
   const byVentureCategory = {};
+  const byAccount = {};
   let uncategorizedCount = 0;
   const uncategorizedMerchants = {};
+  const included = categorizedTxns.filter((t) => !isInternalTransfer(t));
 
-  for (const txn of categorizedTxns) {
+  for (const txn of included) {
     const venture = txn.venture || "unassigned";
     const category = txn.category || "Uncategorized";
     const amount = txn.amount || 0;
@@ -88,6 +122,11 @@ export function generateSummary(categorizedTxns) {
     if (!byVentureCategory[key]) byVentureCategory[key] = 0;
     byVentureCategory[key] += amount;
 
+    // Track totals by registry account
+    const account = txn.accountId || "unassigned";
+    if (!byAccount[account]) byAccount[account] = 0;
+    byAccount[account] += amount;
+
     // Track uncategorized
     if (category === "Uncategorized") {
       uncategorizedCount++;
@@ -114,9 +153,12 @@ export function generateSummary(categorizedTxns) {
     byVenture,
     byCategory,
     byVentureCategory,
+    byAccount,
     uncategorizedCount,
     topUncategorized,
-    totalTransactions: categorizedTxns.length
+    totalTransactions: included.length,
+    transferCount: categorizedTxns.length - included.length,
+    currency
   };
 }
 
@@ -134,6 +176,8 @@ export function formatSummaryReport(summary) {
   lines.push("");
   lines.push(`Total Transactions: ${summary.totalTransactions}`);
   lines.push(`Uncategorized: ${summary.uncategorizedCount}`);
+  if (summary.transferCount) lines.push(`Internal transfers (not counted): ${summary.transferCount}`);
+  if (summary.currency) lines.push(`Currency: ${summary.currency}`);
   lines.push("");
 
   lines.push("───────────────────────────────────────────────────────");
@@ -141,16 +185,28 @@ export function formatSummaryReport(summary) {
   lines.push("───────────────────────────────────────────────────────");
   const ventures = Object.entries(summary.byVenture).sort((a, b) => a[1] - b[1]);
   for (const [venture, total] of ventures) {
-    lines.push(`  ${venture.padEnd(30)} ${formatAmount(total)}`);
+    lines.push(`  ${venture.padEnd(30)} ${formatAmount(total, summary.currency)}`);
   }
   lines.push("");
 
+  // Only when imports were tagged with registry accounts
+  const accounts = Object.entries(summary.byAccount ?? {}).sort((a, b) => a[1] - b[1]);
+  if (accounts.some(([account]) => account !== "unassigned")) {
+    lines.push("───────────────────────────────────────────────────────");
+    lines.push("  TOTALS BY ACCOUNT");
+    lines.push("───────────────────────────────────────────────────────");
+    for (const [account, total] of accounts) {
+      lines.push(`  ${account.padEnd(30)} ${formatAmount(total, summary.currency)}`);
+    }
+    lines.push("");
+  }
+
   lines.push("───────────────────────────────────────────────────────");
   lines.push("  TOTALS BY CATEGORY");
   lines.push("───────────────────────────────────────────────────────");
   const categories = Object.entries(summary.byCategory).sort((a, b) => a[1] - b[1]);
   for (const [category, total] of categories) {
-    lines.push(`  ${category.padEnd(30)} ${formatAmount(total)}`);
+    lines.push(`  ${category.padEnd(30)} ${formatAmount(total, summary.currency)}`);
   }
   lines.push("");
 
@@ -160,7 +216,7 @@ export function formatSummaryReport(summary) {
     lines.push("───────────────────────────────────────────────────────");
     for (const { merchant, count, total } of summary.topUncategorized) {
       const truncated = merchant.length > 35 ? merchant.slice(0, 32) + "..." : merchant;
-      lines.push(`  ${truncated.padEnd(35)} x${String(count).padStart(3)} ${formatAmount(total)}`);
+      lines.push(`  ${truncated.padEnd(35)} x${String(count).padStart(3)} ${formatAmount(total, summary.currency)}`);
     }
     lines.push("");
   }
@@ -173,15 +229,28 @@ export function formatSummaryReport(summary) {
 /**
  * Format amount with proper alignment and sign
  * @param {number} amount - Amount to format
+ * @param {string|null} [currency] - Currency code; dollars when omitted or USD
  * @returns {string} Formatted amount
  */
-function formatAmount(amount) {
+function formatAmount(amount, currency) {
   const abs = Math.abs(amount);
   const formatted = abs.toFixed(2);
   const sign = amount < 0 ? "-" : " ";
+  if (currency && currency !== "USD") {
+    return `${sign}${formatted.padStart(12)} ${currency}`;
+  }
   return `${sign}$${formatted.padStart(12)}`;
 }
 
+/**
+ * Find the exchange rate recorded in a transaction's audit trail
+ * @param {Object} txn - Categorized transaction
+ * @returns {number|undefined} Rate used to convert the amount
+ */
+function fxRateOf(txn) {
+  return (txn.audit ?? []).find((a) => a.step === "fx_conversion")?.rate;
+}
+
 /**
  * Escape and quote CSV values if needed
  * @param {*} s - Value to make CSV-safe
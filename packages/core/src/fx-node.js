@@ -0,0 +1,24 @@
+import fs from "node:fs";
+import { parseFxRates } from "./fx.js";
+
+/**
+ * Node.js-specific FX utilities
+ * This module contains fs-dependent functions for Node.js environments
+ */
+
+/**
+ * Load an FX rate table from a CSV or JSON file
+ * @param {string} filePath - Path to the rate table
+ * @returns {Array} Validated rates
+ */
+export function loadFxRates(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`File not found: ${filePath}`);
+  }
+
+  try {
+    return parseFxRates(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    throw new Error(`${filePath}: ${err.message}`);
+  }
+}
@@ -0,0 +1,234 @@
+import { readCsv } from "./parsers/_csv.js";
+import { indexMap, pickKey, normalizeDate } from "./parsers/_shared.js";
+import { FxRateSchema, formatZodErrors } from "./schemas.js";
+
+/**
+ * Foreign exchange conversion
+ * Converts transactions to a single reporting currency using a local table
+ * of daily rates, so that summaries and exports never add up mixed currencies.
+ *
+ * A rate row { date, from, to, rate } means 1 unit of `from` = `rate` units
+ * of `to` on `date`. The inverse pair is derived automatically.
+ */
+
+// Rates are carried forward over weekends and holidays, but not indefinitely
+const DEFAULT_MAX_RATE_AGE_DAYS = 7;
+
+/**
+ * @typedef {import('./schemas.js').FxRate} FxRate
+ */
+
+/**
+ * Parse an FX rate table from CSV or JSON text
+ * CSV needs Date, From (or Base), To (or Quote) and Rate columns; JSON is an
+ * array of { date, from, to, rate } objects or { rates: [...] }.
+ *
+ * @param {string} text - Rate table content
+ * @returns {FxRate[]} Validated rates
+ */
+export function parseFxRates(text) {
+  const trimmed = String(text ?? "").trim();
+  let entries;
+
+  if (trimmed.startsWith("[") || trimmed.startsWith("{")) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (err) {
+      throw new Error(`Invalid FX rates JSON: ${err.message}`);
+    }
+    const list = Array.isArray(data) ? data : data.rates;
+    if (!Array.isArray(list)) {
+      throw new Error('FX rates JSON must be an array of rates or { "rates": [...] }');
+    }
+    entries = list.map((value, i) => ({ row: i + 1, value }));
+  } else {
+    const { headers, rows } = readCsv(trimmed);
+    const idx = indexMap(headers.map((h) => h.trim().toLowerCase()));
+    const dateKey = pickKey(idx, ["date"]);
+    const fromKey = pickKey(idx, ["from", "base"]);
+    const toKey = pickKey(idx, ["to", "quote"]);
+    const rateKey = pickKey(idx, ["rate"]);
+    if (!dateKey || !fromKey || !toKey || !rateKey) {
+      throw new Error(`FX rates CSV needs Date, From, To and Rate columns. Found: ${headers.join(", ")}`);
+    }
+    entries = rows.map(({ cols, line }) => ({
+      row: line,
+      value: {
+        date: normalizeDate(cols[idx[dateKey]]) ?? cols[idx[dateKey]],
+        from: cols[idx[fromKey]],
+        to: cols[idx[toKey]],
+        rate: Number(cols[idx[rateKey]])
+      }
+    }));
+  }
+
+  return entries.map(({ row, value }) => {
+    const result = FxRateSchema.safeParse(
+      value && typeof value === "object"
+        ? { ...value, from: String(value.from ?? "").toUpperCase(), to: String(value.to ?? "").toUpperCase() }
+        : value
+    );
+    if (!result.success) {
+      throw new Error(`FX rate ${row}: ${formatZodErrors(result.error).join("; ")}`);
+    }
+    return result.data;
+  });
+}
+
+/**
+ * Build a lookup table over a list of rates
+ * @param {FxRate[]} rates - Daily rates
+ * @param {Object} [options] - Lookup options
+ * @param {number} [options.maxRateAgeDays=7] - Oldest rate (in days before the transaction) that may be used
+ * @returns {{ lookup: (from: string, to: string, date: string) => { rate: number, date: string } | null }}
+ */
+export function createFxTable(rates, { maxRateAgeDays = DEFAULT_MAX_RATE_AGE_DAYS } = {}) {
+  const series = new Map();
+
+  const add = (from, to, date, rate) => {
+    const key = `${from}/${to}`;
+    if (!series.has(key)) series.set(key, new Map());
+    // Direct quotes win over derived inverses for the same day
+    if (!series.get(key).has(date) || rate.direct) series.get(key).set(date, rate);
+  };
+
+  for (const r of rates) {
+    add(r.from, r.to, r.date, { value: r.rate, direct: true });
+    add(r.to, r.from, r.date, { value: 1 / r.rate, direct: false });
+  }
+
+  // Sort each series by date for binary search
+  const sorted = new Map();
+  for (const [key, byDate] of series) {
+    sorted.set(
+      key,
+      [...byDate.entries()].sort((a, b) => a[0].localeCompare(b[0])).map(([date, r]) => ({ date, rate: r.value }))
+    );
+  }
+
+  return {
+    lookup(from, to, date) {
+      const list = sorted.get(`${from}/${to}`);
+      if (!list) return null;
+
+      // Latest rate on or before the transaction date
+      let lo = 0;
+      let hi = list.length - 1;
+      let found = -1;
+      while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        if (list[mid].date <= date) {
+          found = mid;
+          lo = mid + 1;
+        } else {
+          hi = mid - 1;
+        }
+      }
+      if (found === -1) return null;
+
+      const age = (Date.parse(date) - Date.parse(list[found].date)) / 86400000;
+      return age <= maxRateAgeDays ? list[found] : null;
+    }
+  };
+}
+
+/**
+ * Round a converted amount to cents
+ * @param {number} n - Amount
+ * @returns {number} Rounded amount
+ */
+function roundCents(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Convert transactions to a reporting currency
+ * Transactions without a currency are assumed to already be in the reporting
+ * currency and are labeled with it, so the result is in one currency. Converted transactions keep their source amount in
+ * originalAmount/originalCurrency and get an "fx_conversion" audit entry with
+ * the rate used.
+ *
+ * @param {Array} transactions - Transactions (plain or categorized)
+ * @param {Object} options - Conversion options
+ * @param {string} options.reportingCurrency - ISO 4217 code to report in (e.g. "USD")
+ * @param {FxRate[]} [options.rates] - Daily rates
+ * @param {number} [options.maxRateAgeDays=7] - Oldest usable rate, in days
+ * @returns {Array} Transactions in the reporting currency
+ */
+export function convertTransactions(transactions, { reportingCurrency, rates = [], maxRateAgeDays }) {
+  if (!/^[A-Z]{3}$/.test(reportingCurrency ?? "")) {
+    throw new Error(`Invalid reporting currency: "${reportingCurrency}". Use an ISO 4217 code such as USD`);
+  }
+
+  const table = createFxTable(rates, { maxRateAgeDays });
+  const missing = new Map();
+
+  const converted = transactions.map((txn) => {
+    const currency = txn.currency ?? reportingCurrency;
+    if (currency === reportingCurrency) return txn.currency ? txn : { ...txn, currency };
+
+    const found = table.lookup(currency, reportingCurrency, txn.date);
+    if (!found) {
+      const key = `${currency}→${reportingCurrency}`;
+      if (!missing.has(key)) missing.set(key, []);
+      missing.get(key).push(txn.date);
+      return txn;
+    }
+
+    const out = {
+      ...txn,
+      amount: roundCents(txn.amount * found.rate),
+      currency: reportingCurrency,
+      originalAmount: txn.amount,
+      originalCurrency: currency,
+      audit: [
+        ...(txn.audit ?? []),
+        {
+          step: "fx_conversion",
+          from: currency,
+          to: reportingCurrency,
+          rate: found.rate,
+          rateDate: found.date,
+          originalAmount: txn.amount
+        }
+      ]
+    };
+    if (txn.allocation) {
+      out.allocation = { ...txn.allocation, originalAmount: roundCents(txn.allocation.originalAmount * found.rate) };
+    }
+    return out;
+  });
+
+  if (missing.size > 0) {
+    const details = [...missing.entries()].map(([pair, dates]) => {
+      const unique = [...new Set(dates)].sort();
+      const shown = unique.slice(0, 3).join(", ") + (unique.length > 3 ? ", ..." : "");
+      return `${pair} (${dates.length} transaction${dates.length !== 1 ? "s" : ""}: ${shown})`;
+    });
+    throw new Error(`Missing FX rates for ${details.join("; ")}`);
+  }
+
+  return converted;
+}
+
+/**
+ * Get the single currency of a set of transactions
+ * A missing currency counts as a currency of its own: amounts from a file
+ * without one are not added to amounts labeled with one.
+ *
+ * @param {Array} transactions - Transactions
+ * @returns {string|null} Currency code, or null when none is recorded
+ * @throws {Error} If the transactions are in more than one currency
+ */
+export function reportingCurrencyOf(transactions) {
+  const currencies = [...new Set(transactions.map((t) => t.currency || null))];
+  if (currencies.length > 1) {
+    const names = currencies.map((c) => c ?? "no currency").sort();
+    throw new Error(
+      `Transactions are in multiple currencies (${names.join(", ")}); ` +
+      "convert them to a reporting currency first"
+    );
+  }
+  return currencies[0] ?? null;
+}
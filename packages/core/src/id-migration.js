@@ -0,0 +1,121 @@
+import { createIdGenerator, hash } from "./parsers/_shared.js";
+
+/**
+ * Transaction ID migration
+ * Older imports built IDs from the row position in the file
+ * (`source:date:hash(description):line`). These helpers recompute the
+ * content-based IDs the adapters now generate and rewrite stored records
+ * (transactions, categorized results, alerts) to use them.
+ *
+ * Records are grouped by their root ID (the ID without `:split:N`
+ * suffixes), so split shares follow their original transaction. Only IDs
+ * whose hash is the hash of the description alone are position-based;
+ * content-based IDs hash the date, amount and account too, so the
+ * migration is idempotent: running it on migrated or freshly imported
+ * records changes nothing.
+ */
+
+const LEGACY_ID = /^(.+):(\d{4}-\d{2}-\d{2}):([0-9a-f]+):\d+$/;
+
+// Sources whose IDs include an account the stored records don't carry, so
+// their new IDs can't be recomputed
+const ACCOUNT_KEYED_SOURCES = new Set(["amex", "ofx", "mt940", "camt053"]);
+const SPLIT_SUFFIX = /^(.*?)((?::split:\d+)*)$/;
+
+/**
+ * Split an ID into its root and `:split:N` suffixes
+ * @param {string} id - Transaction ID
+ * @returns {{ root: string, suffix: string }}
+ */
+function splitId(id) {
+  const [, root, suffix] = String(id).match(SPLIT_SUFFIX);
+  return { root, suffix };
+}
+
+/**
+ * Amount of the transaction as imported
+ * Split shares carry the full amount in their allocation, and converted
+ * transactions are reverted to their original currency with the recorded rate.
+ *
+ * @param {Object} record - Stored transaction
+ * @returns {number} Imported amount
+ */
+function importedAmount(record) {
+  const fx = (record.audit ?? []).find((a) => a.step === "fx_conversion");
+  if (record.allocation) {
+    const total = record.allocation.originalAmount;
+    return fx ? total / fx.rate : total;
+  }
+  return fx ? fx.originalAmount : record.amount;
+}
+
+/**
+ * Compute new IDs for records stored under position-based IDs
+ * Records must be in import order, since identical rows are numbered by
+ * occurrence. IDs that aren't position-based (content-based IDs, OFX
+ * FITIDs) and IDs of account-keyed sources are kept.
+ *
+ * @param {Array} records - Stored transactions or categorized transactions
+ * @returns {Map<string, string>} Old root ID to new root ID (changed IDs only)
+ */
+export function buildIdMigration(records) {
+  const roots = new Map();
+  for (const record of records) {
+    const { root } = splitId(record.originalTxnId ?? record.id);
+    const existing = roots.get(root);
+    // Prefer the unsplit record, whose description is the original one
+    if (!existing || (existing.originalTxnId && !record.originalTxnId)) {
+      roots.set(root, record);
+    }
+  }
+
+  const generators = new Map();
+  const idMap = new Map();
+  for (const [root, record] of roots) {
+    const match = root.match(LEGACY_ID);
+    if (!match || match[1] !== record.source || match[2] !== record.date) continue;
+    if (typeof record.amount !== "number" || !record.description) continue;
+    if (match[3] !== hash(record.description) || ACCOUNT_KEYED_SOURCES.has(record.source)) continue;
+
+    if (!generators.has(record.source)) {
+      generators.set(record.source, createIdGenerator(record.source));
+    }
+    const id = generators.get(record.source)({
+      date: record.date,
+      amount: importedAmount(record),
+      description: record.description
+    });
+    if (id !== root) idMap.set(root, id);
+  }
+  return idMap;
+}
+
+/**
+ * Rewrite the IDs in stored records
+ * Updates `id`, `originalTxnId` and alert `txnId` fields, keeping any
+ * `:split:N` suffixes.
+ *
+ * @param {Array} records - Transactions, categorized transactions or alerts
+ * @param {Map<string, string>} idMap - Result of buildIdMigration
+ * @returns {Array} Records with new IDs (unchanged records are reused)
+ */
+export function remapTransactionIds(records, idMap) {
+  if (idMap.size === 0) return records;
+
+  const remap = (id) => {
+    if (typeof id !== "string") return id;
+    const { root, suffix } = splitId(id);
+    return idMap.has(root) ? idMap.get(root) + suffix : id;
+  };
+
+  return records.map((record) => {
+    const out = { ...record };
+    let changed = false;
+    for (const field of ["id", "originalTxnId", "txnId"]) {
+      if (record[field] === undefined) continue;
+      out[field] = remap(record[field]);
+      changed = changed || out[field] !== record[field];
+    }
+    return changed ? out : record;
+  });
+}
@@ -3,9 +3,26 @@
  * Use this in Node.js environments (CLI, server)
  */
 
-export { parseCsvString } from "./parser.js";
-export { parseCsvFile } from "./parser-node.js";
-export { validateRulesFile, matchRule } from "./rules-engine.js";
+export {
+  parseCsvString,
+  detectSource,
+  registerParser,
+  unregisterParser,
+  listParsers,
+  registerProfile
+} from "./parser.js";
+export { parseCsvFile, streamCsvFile, loadParserProfiles } from "./parser-node.js";
+export { isXlsx, listXlsxSheets } from "./parsers/_xlsx.js";
+export { validateRulesFile, matchRule, compileRules } from "./rules-engine.js";
+export { analyzeRules } from "./rule-analysis.js";
 export { categorizeTransactions } from "./categorizer.js";
-export { generateAlerts, generateSummary, formatSummaryReport } from "./exporter.js";
+export { parseStream, categorizeStream, collectStream } from "./stream.js";
+export { generateAlerts, generateSummary, formatSummaryReport, isInternalTransfer } from "./exporter.js";
 export { exportScheduleC } from "./exporter-node.js";
+export { parseFxRates, convertTransactions } from "./fx.js";
+export { loadFxRates } from "./fx-node.js";
+export { parseAccounts, findAccount, accountLabel } from "./accounts.js";
+export { repairRow, recordRepair, applyRepairs, isRepairable } from "./repairs.js";
+export { loadAccounts } from "./accounts-node.js";
+export { buildIdMigration, remapTransactionIds } from "./id-migration.js";
+export { mergeTransactions, descriptionSimilarity } from "./merge.js";
@@ -3,21 +3,49 @@
  * Use this in browser environments (web app)
  */
 
-export { parseCsvString, validateAndParseCsv } from "./parser.js";
-export { validateRulesFile, matchRule } from "./rules-engine.js";
+export {
+  parseCsvString,
+  validateAndParseCsv,
+  detectSource,
+  registerParser,
+  unregisterParser,
+  listParsers,
+  registerProfile
+} from "./parser.js";
+export { LOCALES } from "./parsers/_shared.js";
+export { isXlsx, listXlsxSheets } from "./parsers/_xlsx.js";
+export { validateRulesFile, matchRule, compileRules } from "./rules-engine.js";
+export { analyzeRules } from "./rule-analysis.js";
 export { categorizeTransactions } from "./categorizer.js";
-export { exportScheduleC, generateAlerts, generateSummary, formatSummaryReport } from "./exporter.js";
+export { parseStream, categorizeStream, collectStream } from "./stream.js";
+export {
+  exportScheduleC,
+  generateAlerts,
+  generateSummary,
+  formatSummaryReport,
+  isInternalTransfer
+} from "./exporter.js";
+export { parseFxRates, createFxTable, convertTransactions } from "./fx.js";
+export { parseAccounts, findAccount, accountLabel } from "./accounts.js";
+export { repairRow, recordRepair, applyRepairs, isRepairable } from "./repairs.js";
+export { buildIdMigration, remapTransactionIds } from "./id-migration.js";
+export { mergeTransactions, descriptionSimilarity } from "./merge.js";
 
 // Schema exports for validation
 export {
   TransactionSchema,
   ImportErrorSchema,
+  ImportRepairSchema,
   CategoryRuleSchema,
   RulesFileSchema,
   CategorizedTransactionSchema,
   MonthlySummarySchema,
   ImportResultSchema,
+  MappingProfileSchema,
+  FxRateSchema,
+  AccountSchema,
   validateTransaction,
+  validateMappingProfile,
   validateRulesFile as validateRulesFileSchema,
   formatZodErrors
 } from "./schemas.js";
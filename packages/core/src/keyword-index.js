@@ -0,0 +1,60 @@
+/**
+ * Keyword index
+ * An Aho–Corasick automaton over a list of keywords: one pass over a text
+ * finds every keyword it contains, however many keywords there are. Keywords
+ * are compared as given, character for character like String#includes, so
+ * lowercase both sides for a case-insensitive search.
+ */
+
+/**
+ * Build a search function for a list of keywords
+ * @param {string[]} keywords - Non-empty keywords to find
+ * @returns {(text: string) => Set<number>} Function returning the positions (in `keywords`) of the keywords found in a text
+ */
+export function createKeywordIndex(keywords) {
+  // Trie of character codes; node 0 is the root
+  const next = [new Map()];
+  const fallback = [0];
+  const found = [[]];
+
+  keywords.forEach((keyword, position) => {
+    let node = 0;
+    for (let i = 0; i < keyword.length; i++) {
+      const code = keyword.charCodeAt(i);
+      if (!next[node].has(code)) {
+        next[node].set(code, next.length);
+        next.push(new Map());
+        fallback.push(0);
+        found.push([]);
+      }
+      node = next[node].get(code);
+    }
+    found[node].push(position);
+  });
+
+  // Breadth-first, so a node's fallback (the longest suffix that is also a
+  // keyword prefix) is settled before its children need it
+  const queue = [...next[0].values()];
+  for (let i = 0; i < queue.length; i++) {
+    const node = queue[i];
+    for (const [code, child] of next[node]) {
+      let suffix = fallback[node];
+      while (suffix > 0 && !next[suffix].has(code)) suffix = fallback[suffix];
+      fallback[child] = next[suffix].get(code) ?? 0;
+      found[child] = [...found[child], ...found[fallback[child]]];
+      queue.push(child);
+    }
+  }
+
+  return (text) => {
+    const hits = new Set();
+    let node = 0;
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+      while (node > 0 && !next[node].has(code)) node = fallback[node];
+      node = next[node].get(code) ?? 0;
+      for (const position of found[node]) hits.add(position);
+    }
+    return hits;
+  };
+}
@@ -0,0 +1,282 @@
+import { normalizeDescription } from "./parsers/_shared.js";
+
+/**
+ * Incremental imports
+ * Merges a new statement into previously imported transactions, so a year
+ * of data can be built from overlapping monthly downloads.
+ *
+ * Each incoming transaction is classified against the existing ones:
+ * - exact duplicate: same transaction ID (IDs are content-based) → skipped
+ * - fuzzy duplicate: same amount, date within the window and a similar
+ *   description → skipped
+ * - conflict: same amount and date window but a description that is only
+ *   somewhat similar → added, and listed for review
+ * - otherwise → added
+ *
+ * An existing transaction absorbs at most one incoming duplicate, so two
+ * identical charges on the same day stay two transactions. Transactions
+ * tagged with different accounts are never duplicates of each other.
+ *
+ * Pending charges often post days later for a different amount (tips,
+ * hotel holds). A posted transaction within the pending tolerance and date
+ * window replaces its pending counterpart in place, and an audit entry
+ * records what it superseded. A pending charge whose posted version is
+ * already saved is skipped.
+ */
+
+const DEFAULT_DATE_WINDOW_DAYS = 3;
+const DEFAULT_DUPLICATE_SIMILARITY = 0.8;
+const DEFAULT_CONFLICT_SIMILARITY = 0.4;
+const DEFAULT_PENDING_DATE_WINDOW_DAYS = 5;
+const DEFAULT_PENDING_AMOUNT_TOLERANCE = 0.25;
+
+/**
+ * Reduce a description to the characters that identify the merchant
+ * @param {string} s - Description
+ * @returns {string} Uppercased letters and digits separated by single spaces
+ */
+function comparableDescription(s) {
+  return normalizeDescription(s).replace(/[^A-Z0-9]+/g, " ").trim();
+}
+
+/**
+ * Collect the character bigrams of a string
+ * @param {string} s - Comparable description
+ * @returns {Map<string, number>} Bigram counts
+ */
+function bigrams(s) {
+  const counts = new Map();
+  for (let i = 0; i < s.length - 1; i++) {
+    const pair = s.slice(i, i + 2);
+    counts.set(pair, (counts.get(pair) ?? 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Score how similar two descriptions are (Sørensen–Dice over bigrams)
+ * @param {string} a - First description
+ * @param {string} b - Second description
+ * @returns {number} Similarity between 0 and 1
+ */
+export function descriptionSimilarity(a, b) {
+  const x = comparableDescription(a);
+  const y = comparableDescription(b);
+  if (x === y) return 1;
+  if (x.length < 2 || y.length < 2) return 0;
+
+  const bx = bigrams(x);
+  const by = bigrams(y);
+  let overlap = 0;
+  for (const [pair, count] of bx) {
+    overlap += Math.min(count, by.get(pair) ?? 0);
+  }
+  return (2 * overlap) / (x.length - 1 + y.length - 1);
+}
+
+/**
+ * Days between two ISO dates
+ * @param {string} a - YYYY-MM-DD
+ * @param {string} b - YYYY-MM-DD
+ * @returns {number} Absolute difference in days
+ */
+function daysApart(a, b) {
+  return Math.abs(Date.parse(a) - Date.parse(b)) / 86400000;
+}
+
+/**
+ * Check whether a transaction is still pending
+ * @param {Object} txn - Transaction
+ * @returns {boolean} True for pending charges
+ */
+function isPending(txn) {
+  return txn.status === "pending";
+}
+
+/**
+ * Check whether two transactions were imported for different accounts
+ * Untagged transactions may match either.
+ * @param {Object} a - Transaction
+ * @param {Object} b - Transaction
+ * @returns {boolean} True when both have an account and they differ
+ */
+function fromOtherAccount(a, b) {
+  return Boolean(a.accountId && b.accountId && a.accountId !== b.accountId);
+}
+
+/**
+ * Find the best pending/posted counterpart of a transaction
+ * Counterparts have the same sign, an amount within the tolerance of the
+ * pending amount, dates inside the window and a description at least
+ * somewhat similar. The same ID always matches.
+ *
+ * @param {Object} txn - Transaction to match
+ * @param {Array} candidates - Transactions it may pair with
+ * @param {{ isClaimed: (t: Object) => boolean, dateWindowDays: number, amountTolerance: number, minSimilarity: number, pendingIsCandidate: boolean }} options
+ * @returns {{ candidate: Object, similarity: number, difference: number, days: number }|null} Best counterpart
+ */
+function findCounterpart(txn, candidates, { isClaimed, dateWindowDays, amountTolerance, minSimilarity, pendingIsCandidate }) {
+  let best = null;
+  for (const candidate of candidates) {
+    if (isClaimed(candidate)) continue;
+    if (candidate.id === txn.id) return { candidate, similarity: 1, difference: 0, days: 0 };
+    if (fromOtherAccount(candidate, txn)) continue;
+
+    const pending = pendingIsCandidate ? candidate : txn;
+    const posted = pendingIsCandidate ? txn : candidate;
+    if (Math.sign(pending.amount) !== Math.sign(posted.amount)) continue;
+    const difference = Math.abs(posted.amount - pending.amount);
+    if (difference > Math.abs(pending.amount) * amountTolerance + 0.005) continue;
+    const days = daysApart(candidate.date, txn.date);
+    if (days > dateWindowDays) continue;
+
+    const similarity = descriptionSimilarity(candidate.description, txn.description);
+    if (similarity < minSimilarity) continue;
+    if (
+      !best ||
+      similarity > best.similarity ||
+      (similarity === best.similarity &&
+        (difference < best.difference || (difference === best.difference && days < best.days)))
+    ) {
+      best = { candidate, similarity, difference, days };
+    }
+  }
+  return best;
+}
+
+/**
+ * Merge newly imported transactions into existing ones
+ * @param {Array} existing - Previously imported transactions
+ * @param {Array} incoming - Transactions from the new import
+ * @param {Object} [options] - Matching options
+ * @param {number} [options.dateWindowDays=3] - Largest date difference for a fuzzy match
+ * @param {number} [options.duplicateSimilarity=0.8] - Description similarity for a fuzzy duplicate
+ * @param {number} [options.conflictSimilarity=0.4] - Description similarity reported as a conflict
+ * @param {number} [options.pendingDateWindowDays=5] - Largest date difference between a pending charge and its posting
+ * @param {number} [options.pendingAmountTolerance=0.25] - Largest change of a pending amount once posted, as a fraction
+ * @returns {{ transactions: Array, report: { added: Array, skipped: Array, conflicts: Array, superseded: Array } }}
+ */
+export function mergeTransactions(
+  existing,
+  incoming,
+  {
+    dateWindowDays = DEFAULT_DATE_WINDOW_DAYS,
+    duplicateSimilarity = DEFAULT_DUPLICATE_SIMILARITY,
+    conflictSimilarity = DEFAULT_CONFLICT_SIMILARITY,
+    pendingDateWindowDays = DEFAULT_PENDING_DATE_WINDOW_DAYS,
+    pendingAmountTolerance = DEFAULT_PENDING_AMOUNT_TOLERANCE
+  } = {}
+) {
+  const byId = new Map(existing.map((t) => [t.id, t]));
+  const byAmount = new Map();
+  for (const txn of existing) {
+    const cents = Math.round(txn.amount * 100);
+    if (!byAmount.has(cents)) byAmount.set(cents, []);
+    byAmount.get(cents).push(txn);
+  }
+  const pendingExisting = existing.filter(isPending);
+  const postedExisting = existing.filter((t) => !isPending(t));
+
+  // A posted row with the ID of a saved pending one supersedes it rather
+  // than duplicating it
+  const isExactDuplicate = (txn) =>
+    byId.has(txn.id) && !(isPending(byId.get(txn.id)) && !isPending(txn));
+
+  // Exact matches first, so a fuzzy match can't claim a transaction that
+  // is re-imported verbatim later in the file
+  const claimed = new Set(incoming.filter(isExactDuplicate).map((t) => t.id));
+  const replaced = new Map();
+  const added = [];
+  const skipped = [];
+  const conflicts = [];
+  const superseded = [];
+  const pendingOptions = {
+    isClaimed: (t) => claimed.has(t.id) || replaced.has(t.id),
+    dateWindowDays: pendingDateWindowDays,
+    amountTolerance: pendingAmountTolerance,
+    minSimilarity: conflictSimilarity
+  };
+
+  for (const txn of incoming) {
+    if (isExactDuplicate(txn)) {
+      skipped.push({ transaction: txn, duplicateOf: txn.id, match: "exact", similarity: 1 });
+      continue;
+    }
+
+    if (isPending(txn)) {
+      // Already posted in an earlier import
+      const posted = findCounterpart(txn, postedExisting, { ...pendingOptions, pendingIsCandidate: false });
+      if (posted) {
+        claimed.add(posted.candidate.id);
+        skipped.push({
+          transaction: txn,
+          duplicateOf: posted.candidate.id,
+          match: "posted",
+          similarity: Math.round(posted.similarity * 100) / 100
+        });
+        continue;
+      }
+    } else {
+      const pending = findCounterpart(txn, pendingExisting, { ...pendingOptions, pendingIsCandidate: true });
+      if (pending) {
+        const previous = pending.candidate;
+        const posted = {
+          ...txn,
+          audit: [
+            ...(txn.audit ?? []),
+            {
+              step: "superseded_pending",
+              pendingId: previous.id,
+              pendingDate: previous.date,
+              pendingAmount: previous.amount,
+              pendingDescription: previous.description
+            }
+          ]
+        };
+        replaced.set(previous.id, posted);
+        superseded.push({ transaction: posted, pending: previous });
+        continue;
+      }
+    }
+
+    // Closest unclaimed transaction with the same amount inside the date window
+    let best = null;
+    for (const candidate of byAmount.get(Math.round(txn.amount * 100)) ?? []) {
+      if (claimed.has(candidate.id) || replaced.has(candidate.id)) continue;
+      if (fromOtherAccount(candidate, txn)) continue;
+      const days = daysApart(candidate.date, txn.date);
+      if (days > dateWindowDays) continue;
+
+      const similarity = descriptionSimilarity(candidate.description, txn.description);
+      if (!best || similarity > best.similarity || (similarity === best.similarity && days < best.days)) {
+        best = { candidate, similarity, days };
+      }
+    }
+
+    if (best && best.similarity >= duplicateSimilarity) {
+      claimed.add(best.candidate.id);
+      skipped.push({
+        transaction: txn,
+        duplicateOf: best.candidate.id,
+        match: "fuzzy",
+        similarity: Math.round(best.similarity * 100) / 100
+      });
+      continue;
+    }
+
+    if (best && best.similarity >= conflictSimilarity) {
+      conflicts.push({
+        transaction: txn,
+        existingId: best.candidate.id,
+        similarity: Math.round(best.similarity * 100) / 100,
+        message: `Same amount as "${best.candidate.description}" on ${best.candidate.date}, but the description differs`
+      });
+    }
+    added.push(txn);
+  }
+
+  return {
+    transactions: [...existing.map((t) => replaced.get(t.id) ?? t), ...added],
+    report: { added, skipped, conflicts, superseded }
+  };
+}
@@ -1,5 +1,7 @@
 import fs from "node:fs";
-import { parseCsvString } from "./parser.js";
+import path from "node:path";
+import { parseCsvString, registerProfile } from "./parser.js";
+import { parseStream } from "./stream.js";
 
 /**
  * Node.js-specific parser utilities
@@ -10,16 +12,73 @@ import { parseCsvString } from "./parser.js";
  * Parse a CSV file into normalized transactions
  * Routes to the appropriate parser based on source
  *
- * @param {string} filePath - Path to CSV file
+ * @param {string} filePath - Path to CSV (or OFX, QIF, XLSX) file
  * @param {Object} [options] - Parser options
- * @param {string} [options.source='generic'] - Source type (generic, chase, costco)
+ * @param {string} [options.source='generic'] - Source type (generic, chase, costco, amex, checking, paypal, venmo, stripe, square, ofx, qif, camt053, mt940, or auto to detect)
+ * @param {string|Object} [options.locale] - Locale tag or settings for dates and amounts
+ * @param {string|number} [options.sheet] - Worksheet name or 1-based position for XLSX files (default: first sheet)
+ * @param {string} [options.accountId] - Registry account the file belongs to; tags every transaction
  * @returns {Array} Array of normalized transactions
  */
-export function parseCsvFile(filePath, { source = "generic" } = {}) {
+export function parseCsvFile(filePath, { source = "generic", locale, sheet, accountId } = {}) {
   if (!fs.existsSync(filePath)) {
     throw new Error(`File not found: ${filePath}`);
   }
 
-  const raw = fs.readFileSync(filePath, "utf8");
-  return parseCsvString(raw, { source });
+  // Read bytes so Excel workbooks can be told apart from text files
+  const raw = fs.readFileSync(filePath);
+  return parseCsvString(raw, { source, locale, sheet, accountId });
+}
+
+/**
+ * Parse a statement file in batches without reading it into memory
+ * See parseStream for the batch contents and options.
+ *
+ * @param {string} filePath - Path to CSV (or OFX, QIF, XLSX) file
+ * @param {Object} [options] - parseStream options (source, locale, sheet, accountId, batchSize, onProgress)
+ * @returns {AsyncGenerator} Batches of transactions, errors and warnings
+ */
+export function streamCsvFile(filePath, options = {}) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`File not found: ${filePath}`);
+  }
+
+  return parseStream(fs.createReadStream(filePath), { ...options, totalBytes: fs.statSync(filePath).size });
+}
+
+/**
+ * Register every mapping profile found in a directory
+ * Each *.json file holds one profile or an array of profiles;
+ * *.example.json files are ignored. A missing directory is not an error.
+ *
+ * @param {string} dir - Directory containing profile JSON files
+ * @returns {string[]} Registered source names
+ */
+export function loadParserProfiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+
+  const files = fs
+    .readdirSync(dir)
+    .filter((f) => f.endsWith(".json") && !f.endsWith(".example.json"))
+    .sort();
+
+  const names = [];
+  for (const file of files) {
+    const filePath = path.join(dir, file);
+    let content;
+    try {
+      content = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (err) {
+      throw new Error(`Invalid JSON in ${filePath}: ${err.message}`);
+    }
+
+    for (const profile of [].concat(content)) {
+      try {
+        names.push(registerProfile(profile));
+      } catch (err) {
+        throw new Error(`${filePath}: ${err.message}`);
+      }
+    }
+  }
+  return names;
 }
@@ -1,7 +1,22 @@
 import * as genericParser from "./parsers/generic.js";
 import * as chaseParser from "./parsers/chase.js";
 import * as costcoParser from "./parsers/costco.js";
-import { TransactionSchema, formatZodErrors } from "./schemas.js";
+import * as amexParser from "./parsers/amex.js";
+import * as checkingParser from "./parsers/checking.js";
+import * as paypalParser from "./parsers/paypal.js";
+import * as venmoParser from "./parsers/venmo.js";
+import * as stripeParser from "./parsers/stripe.js";
+import * as squareParser from "./parsers/square.js";
+import * as ofxParser from "./parsers/ofx.js";
+import * as qifParser from "./parsers/qif.js";
+import * as camt053Parser from "./parsers/camt053.js";
+import * as mt940Parser from "./parsers/mt940.js";
+import { createProfileParser } from "./parsers/profile.js";
+import { readCsv } from "./parsers/_csv.js";
+import { isXlsx, readXlsx } from "./parsers/_xlsx.js";
+import { resolveLocale } from "./parsers/_shared.js";
+import { assignAccount } from "./accounts.js";
+import { TransactionSchema, MappingProfileSchema, formatZodErrors } from "./schemas.js";
 
 /**
  * Parser adapter registry
@@ -10,16 +25,168 @@ import { TransactionSchema, formatZodErrors } from "./schemas.js";
 const PARSERS = {
   generic: genericParser,
   chase: chaseParser,
-  costco: costcoParser
+  costco: costcoParser,
+  amex: amexParser,
+  checking: checkingParser,
+  paypal: paypalParser,
+  venmo: venmoParser,
+  stripe: stripeParser,
+  square: squareParser,
+  ofx: ofxParser,
+  qif: qifParser,
+  camt053: camt053Parser,
+  mt940: mt940Parser
 };
 
+const BUILT_IN_SOURCES = new Set(Object.keys(PARSERS));
+
+/**
+ * Register a parser adapter under a source name
+ * Adapters must export parse(text, source) and may export
+ * parseWithErrors(text, source), detect(sample) and headerIndex(records)
+ * (where the header sits when it isn't the first record; see stream.js),
+ * and may name the default locale they parse with as `locale`.
+ * Registering a name again replaces the earlier adapter; built-in sources
+ * cannot be replaced.
+ *
+ * @param {string} name - Source identifier
+ * @param {{ parse: Function, parseWithErrors?: Function, detect?: Function, headerIndex?: Function, locale?: string }} adapter - Parser adapter
+ */
+export function registerParser(name, adapter) {
+  if (typeof name !== "string" || !/^[a-z0-9][a-z0-9_-]*$/.test(name)) {
+    throw new Error(`Invalid parser name: "${name}". Use lowercase letters, digits, "-" or "_"`);
+  }
+  if (name === "auto" || BUILT_IN_SOURCES.has(name)) {
+    throw new Error(`Cannot register parser "${name}": the name is reserved`);
+  }
+  if (!adapter || typeof adapter.parse !== "function") {
+    throw new Error(`Parser "${name}" must provide a parse(text, source) function`);
+  }
+  PARSERS[name] = adapter;
+}
+
+/**
+ * Remove a registered parser adapter (built-in sources are kept)
+ * @param {string} name - Source identifier
+ * @returns {boolean} True if a parser was removed
+ */
+export function unregisterParser(name) {
+  if (BUILT_IN_SOURCES.has(name) || !PARSERS[name]) return false;
+  delete PARSERS[name];
+  return true;
+}
+
+/**
+ * List registered source identifiers, built-ins first
+ * @returns {string[]} Source names
+ */
+export function listParsers() {
+  return Object.keys(PARSERS);
+}
+
+/**
+ * Look up a registered parser adapter
+ * @param {string} source - Source identifier
+ * @returns {Object|null} Adapter, or null when none is registered
+ */
+export function getParser(source) {
+  return PARSERS[source] ?? null;
+}
+
+/**
+ * Validate a mapping profile and register it as a parser
+ * @param {Object} profile - Mapping profile (see MappingProfileSchema)
+ * @returns {string} Registered source name
+ */
+export function registerProfile(profile) {
+  const result = MappingProfileSchema.safeParse(profile);
+  if (!result.success) {
+    const name = typeof profile?.name === "string" ? ` "${profile.name}"` : "";
+    throw new Error(`Invalid mapping profile${name}: ${formatZodErrors(result.error).join("; ")}`);
+  }
+  registerParser(result.data.name, createProfileParser(result.data));
+  return result.data.name;
+}
+
+/**
+ * Read file content as text for the adapters
+ * Excel workbooks are converted to CSV (see _xlsx.js); other bytes are
+ * decoded as UTF-8.
+ *
+ * @param {string|Uint8Array|ArrayBuffer} input - File content
+ * @param {Object} [options] - Read options
+ * @param {string|number} [options.sheet] - Worksheet name or 1-based position for XLSX input
+ * @param {string|Object} [options.locale] - Locale whose decimal separator numeric cells are written with
+ * @returns {string} Text content
+ */
+function readInput(input, { sheet, locale } = {}) {
+  if (input instanceof Uint8Array || input instanceof ArrayBuffer) {
+    if (isXlsx(input)) {
+      return readXlsx(input, { sheet, decimal: resolveLocale(locale).decimal }).text;
+    }
+    return new TextDecoder().decode(input);
+  }
+  return input;
+}
+
+// Detection only looks at the start of the file
+const DETECT_SAMPLE_CHARS = 64 * 1024;
+const DETECT_SAMPLE_ROWS = 20;
+
+/**
+ * Score every registered adapter against the start of a file
+ * Each adapter's detect() sees the raw leading text plus the CSV header row
+ * and up to 20 sample rows, and returns a confidence between 0 and 1.
+ *
+ * @param {string|Uint8Array|ArrayBuffer} csvString - File content (CSV, OFX/QFX, QIF or XLSX bytes)
+ * @param {Object} [options] - Detection options
+ * @param {string|number} [options.sheet] - Worksheet name or 1-based position for XLSX input
+ * @returns {Array<{ source: string, confidence: number }>} Matching sources, best first
+ */
+export function detectSource(csvString, { sheet } = {}) {
+  const raw = String(readInput(csvString, { sheet }) ?? "");
+  const text = raw.slice(0, DETECT_SAMPLE_CHARS);
+  const { headers, rows } = readCsv(text);
+  // A truncated sample may end mid-row
+  if (text.length < raw.length) rows.pop();
+  const sample = { text, headers, rows: rows.slice(0, DETECT_SAMPLE_ROWS) };
+
+  const candidates = [];
+  for (const [source, parser] of Object.entries(PARSERS)) {
+    if (typeof parser.detect !== "function") continue;
+    const confidence = Math.round(Math.min(1, Math.max(0, parser.detect(sample))) * 100) / 100;
+    if (confidence > 0) candidates.push({ source, confidence });
+  }
+
+  // Array.prototype.sort is stable, so registry order breaks ties
+  return candidates.sort((a, b) => b.confidence - a.confidence);
+}
+
+/**
+ * Resolve the "auto" source to the best detected adapter
+ * @param {string} csvString - File content
+ * @param {string} source - Requested source
+ * @returns {string} Concrete source identifier
+ */
+function resolveSource(csvString, source) {
+  if (source !== "auto") return source;
+  const [best] = detectSource(csvString);
+  if (!best) {
+    throw new Error("Could not detect the file format; pass an explicit source");
+  }
+  return best.source;
+}
+
 /**
  * Parse CSV string into normalized transactions
  * Routes to the appropriate parser based on source
  *
- * @param {string} csvString - CSV content
+ * @param {string|Uint8Array|ArrayBuffer} csvString - File content (text, or XLSX bytes)
  * @param {Object} [options] - Parser options
- * @param {string} [options.source='generic'] - Source type (generic, chase, costco)
+ * @param {string} [options.source='generic'] - Source type (generic, chase, costco, amex, checking, paypal, venmo, stripe, square, ofx, qif, camt053, mt940, or auto to detect)
+ * @param {string|Object} [options.locale] - Locale tag (e.g. "de-DE") or { dateOrder, decimal } for this source
+ * @param {string|number} [options.sheet] - Worksheet name or 1-based position for XLSX input (default: first sheet)
+ * @param {string} [options.accountId] - Registry account the file belongs to; tags every transaction
  * @returns {Array} Array of normalized transactions
  *
  * Each transaction has the structure:
@@ -31,7 +198,9 @@ const PARSERS = {
  *   id: string (deterministic unique identifier)
  * }
  */
-export function parseCsvString(csvString, { source = "generic" } = {}) {
+export function parseCsvString(csvString, { source = "generic", locale, sheet, accountId } = {}) {
+  csvString = readInput(csvString, { sheet, locale });
+  source = resolveSource(csvString, source);
   const parser = PARSERS[source];
 
   if (!parser) {
@@ -41,11 +210,13 @@ export function parseCsvString(csvString, { source = "generic" } = {}) {
     );
   }
 
+  let transactions;
   try {
-    return parser.parse(csvString, source);
+    transactions = parser.parse(csvString, source, { locale });
   } catch (err) {
     throw new Error(`Failed to parse ${source} CSV: ${err.message}`);
   }
+  return accountId ? assignAccount(transactions, accountId) : transactions;
 }
 
 /**
@@ -56,12 +227,27 @@ export function parseCsvString(csvString, { source = "generic" } = {}) {
  * Parse and validate CSV string with detailed row-level error reporting
  * Unlike parseCsvString, this never throws - it returns both valid data and errors
  *
- * @param {string} csvString - CSV content
+ * @param {string|Uint8Array|ArrayBuffer} csvString - File content (text, or XLSX bytes)
  * @param {Object} [options] - Parser options
- * @param {string} [options.source='generic'] - Source type (generic, chase, costco)
- * @returns {{ transactions: Array, errors: ImportError[], totalRows: number, validCount: number, errorCount: number }}
+ * @param {string} [options.source='generic'] - Source type (generic, chase, costco, amex, checking, paypal, venmo, stripe, square, ofx, qif, camt053, mt940, or auto to detect)
+ * @param {string|Object} [options.locale] - Locale tag (e.g. "de-DE") or { dateOrder, decimal } for this source
+ * @param {string|number} [options.sheet] - Worksheet name or 1-based position for XLSX input (default: first sheet)
+ * @param {string} [options.accountId] - Registry account the file belongs to; tags every transaction
+ * @returns {{ transactions: Array, errors: ImportError[], warnings?: ImportError[], skipped?: ImportError[], dateOrder?: string, totalRows: number, validCount: number, errorCount: number }}
  */
-export function validateAndParseCsv(csvString, { source = "generic" } = {}) {
+export function validateAndParseCsv(csvString, { source = "generic", locale, sheet, accountId } = {}) {
+  try {
+    csvString = readInput(csvString, { sheet, locale });
+    source = resolveSource(csvString, source);
+  } catch (err) {
+    return {
+      transactions: [],
+      errors: [{ row: 0, message: err.message }],
+      totalRows: 0,
+      validCount: 0,
+      errorCount: 1
+    };
+  }
   const parser = PARSERS[source];
 
   if (!parser) {
@@ -83,11 +269,12 @@ export function validateAndParseCsv(csvString, { source = "generic" } = {}) {
   try {
     // Use the parser's parseWithErrors if available, otherwise wrap the standard parse
     if (parser.parseWithErrors) {
-      return parser.parseWithErrors(csvString, source);
+      const result = parser.parseWithErrors(csvString, source, { locale });
+      return accountId ? { ...result, transactions: assignAccount(result.transactions, accountId) } : result;
     }
 
     // Fallback: run standard parse and validate each transaction
-    const rawTransactions = parser.parse(csvString, source);
+    const rawTransactions = parser.parse(csvString, source, { locale });
     const transactions = [];
     const errors = [];
 
@@ -105,7 +292,7 @@ export function validateAndParseCsv(csvString, { source = "generic" } = {}) {
     });
 
     return {
-      transactions,
+      transactions: accountId ? assignAccount(transactions, accountId) : transactions,
       errors,
       totalRows: rawTransactions.length,
       validCount: transactions.length,
@@ -0,0 +1,264 @@
+/**
+ * RFC 4180 CSV tokenizer shared by all CSV adapters
+ *
+ * - Quoted fields may contain delimiters, line breaks and escaped quotes ("")
+ * - A leading byte order mark is ignored
+ * - Comma, semicolon and tab delimiters are detected from the first record
+ * - Trailing empty columns are kept so column positions line up with headers
+ * - Each record reports the physical file line it starts on
+ *
+ * The tokenizer is incremental: text can be pushed in arbitrary chunks
+ * (e.g. from a stream) and completed records are returned as they appear.
+ */
+
+const CANDIDATE_DELIMITERS = [",", ";", "\t"];
+
+/**
+ * @typedef {Object} CsvRecord
+ * @property {string[]} fields - Field values (unquoted, trimmed)
+ * @property {number} line - 1-indexed physical line the record starts on
+ */
+
+/**
+ * Pick the delimiter that occurs most often outside quotes in a record
+ * @param {string} record - Text of the first record (may span lines inside quotes)
+ * @returns {string} Delimiter character
+ */
+export function detectDelimiter(record) {
+  const counts = new Map(CANDIDATE_DELIMITERS.map((d) => [d, 0]));
+  let inQuotes = false;
+
+  for (const ch of record) {
+    if (ch === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && counts.has(ch)) counts.set(ch, counts.get(ch) + 1);
+  }
+
+  let best = ",";
+  for (const d of CANDIDATE_DELIMITERS) {
+    if (counts.get(d) > counts.get(best)) best = d;
+  }
+  return best;
+}
+
+/**
+ * Find the text of the first non-blank record
+ * Line breaks inside quotes belong to the record, so a quoted header cell
+ * spanning lines doesn't cut it short.
+ *
+ * @param {string} text - Start of the file
+ * @param {boolean} final - Whether the text is the whole file
+ * @returns {string|null} Record text, or null when it isn't complete yet
+ */
+function firstRecord(text, final) {
+  let inQuotes = false;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && (ch === "\n" || ch === "\r")) {
+      const record = text.slice(start, i);
+      if (record.trim()) return record;
+      start = i + 1;
+    }
+  }
+  const rest = text.slice(start);
+  return final && rest.trim() ? rest : null;
+}
+
+/**
+ * Create an incremental CSV tokenizer
+ * @param {Object} [options] - Tokenizer options
+ * @param {string} [options.delimiter] - Field delimiter (detected when omitted)
+ * @returns {{ push: (chunk: string) => CsvRecord[], end: () => CsvRecord[], readonly delimiter: string|null }}
+ */
+export function createCsvTokenizer({ delimiter } = {}) {
+  let delim = delimiter ?? null;
+  let pending = ""; // text held back until the delimiter is known
+  let started = false;
+
+  let fields = [];
+  let field = "";
+  let inQuotes = false;
+  let quoteInQuotes = false; // saw '"' inside quotes; next char decides
+  let wasQuoted = false;
+  let afterCR = false;
+  let line = 1;
+  let recordLine = 1;
+  let recordHasContent = false;
+
+  const endField = () => {
+    fields.push(wasQuoted ? field : field.trim());
+    field = "";
+    wasQuoted = false;
+  };
+
+  const endRecord = (out) => {
+    endField();
+    out.push({ fields, line: recordLine });
+    fields = [];
+    recordHasContent = false;
+  };
+
+  const consume = (text, out) => {
+    for (let i = 0; i < text.length; i++) {
+      let ch = text[i];
+
+      if (!started) {
+        started = true;
+        if (ch === "\uFEFF") continue;
+      }
+
+      // "\r\n" is one line break
+      if (afterCR) {
+        afterCR = false;
+        if (ch === "\n") continue;
+      }
+
+      if (quoteInQuotes) {
+        quoteInQuotes = false;
+        if (ch === '"') {
+          field += '"';
+          continue;
+        }
+        inQuotes = false;
+        // fall through and handle ch as an unquoted character
+      }
+
+      if (!recordHasContent) {
+        recordHasContent = true;
+        recordLine = line;
+      }
+
+      if (inQuotes) {
+        if (ch === '"') {
+          quoteInQuotes = true;
+        } else {
+          if (ch === "\r") {
+            afterCR = true;
+            ch = "\n";
+          }
+          if (ch === "\n") line++;
+          field += ch;
+        }
+        continue;
+      }
+
+      if (ch === '"' && !wasQuoted && field.trim() === "") {
+        // Opening quote (leading whitespace before it is dropped)
+        inQuotes = true;
+        wasQuoted = true;
+        field = "";
+      } else if (ch === delim) {
+        endField();
+      } else if (ch === "\r" || ch === "\n") {
+        afterCR = ch === "\r";
+        endRecord(out);
+        line++;
+      } else if (!wasQuoted) {
+        field += ch;
+      } else if (ch.trim()) {
+        // Text after a closing quote is kept rather than dropped
+        field += ch;
+      }
+    }
+  };
+
+  const resolveDelimiter = (final) => {
+    if (delim) return true;
+    const record = firstRecord(pending.replace(/^\uFEFF/, ""), final);
+    if (record === null) return false;
+    delim = detectDelimiter(record);
+    return true;
+  };
+
+  return {
+    // Known once the first record is complete
+    get delimiter() {
+      return delim;
+    },
+
+    push(chunk) {
+      const out = [];
+      if (!delim) {
+        pending += chunk;
+        if (!resolveDelimiter(false)) return out;
+        chunk = pending;
+        pending = "";
+      }
+      consume(chunk, out);
+      return out;
+    },
+
+    end() {
+      const out = [];
+      if (!delim) {
+        resolveDelimiter(true);
+        delim = delim ?? ",";
+        consume(pending, out);
+        pending = "";
+      }
+      if (quoteInQuotes) {
+        quoteInQuotes = false;
+        inQuotes = false;
+      }
+      if (recordHasContent || fields.length > 0) endRecord(out);
+      return out;
+    }
+  };
+}
+
+/**
+ * Tokenize a complete CSV string
+ * @param {string} text - CSV content
+ * @param {Object} [options] - Tokenizer options (see createCsvTokenizer)
+ * @returns {CsvRecord[]} All records, including blank ones
+ */
+export function tokenizeCsv(text, options) {
+  const tokenizer = createCsvTokenizer(options);
+  return [...tokenizer.push(text ?? ""), ...tokenizer.end()];
+}
+
+/**
+ * Write fields as one CSV record, quoting where the tokenizer needs it
+ * Tokenizing the result gives back the same fields.
+ *
+ * @param {string[]} fields - Field values
+ * @param {string} [delimiter=","] - Field delimiter
+ * @returns {string} Record text (line breaks inside quoted fields are kept)
+ */
+export function formatCsvRecord(fields, delimiter = ",") {
+  return fields
+    .map((f) => (f.includes(delimiter) || /["\r\n]|^\s|\s$/.test(f) ? `"${f.replace(/"/g, '""')}"` : f))
+    .join(delimiter);
+}
+
+/**
+ * Check whether a record has no content (a blank line)
+ * @param {CsvRecord} record - Tokenized record
+ * @returns {boolean} True if every field is empty
+ */
+export function isBlankRecord(record) {
+  return record.fields.every((f) => f === "");
+}
+
+/**
+ * Read a CSV string into a header row and data rows, skipping blank lines
+ * The header is the first record unless `headerIndex` says otherwise; the
+ * lines above it (an export's preamble) are dropped, and a negative index
+ * reads a headerless file where every record is a data row.
+ *
+ * @param {string} text - CSV content
+ * @param {Object} [options] - Tokenizer options (see createCsvTokenizer)
+ * @param {(records: string[][]) => number} [options.headerIndex] - Locate the header among the non-blank records
+ * @returns {{ headers: string[], headerLine: number, rows: Array<{ cols: string[], line: number }> }}
+ */
+export function readCsv(text, { headerIndex, ...options } = {}) {
+  const records = tokenizeCsv(text, options).filter((r) => !isBlankRecord(r));
+  if (records.length === 0) return { headers: [], headerLine: 0, rows: [] };
+
+  const index = headerIndex ? headerIndex(records.map((r) => r.fields)) : 0;
+  const rows = records.slice(index + 1).map((r) => ({ cols: r.fields, line: r.line }));
+  if (index < 0) return { headers: [], headerLine: 0, rows };
+
+  return { headers: records[index].fields, headerLine: records[index].line, rows };
+}
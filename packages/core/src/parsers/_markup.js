@@ -0,0 +1,151 @@
+/**
+ * Lenient markup reader for statement formats
+ *
+ * Reads well-formed XML as well as OFX 1.x SGML, where leaf elements are
+ * never closed (e.g. "<TRNAMT>-12.50" followed directly by the next tag).
+ * Every node records the physical line its start tag appeared on so that
+ * adapters can report errors against the original file.
+ */
+
+const TOKEN_RE = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<[?!][^>]*>|<(\/?)([A-Za-z_][\w.:-]*)([^>]*?)(\/?)>/g;
+const ATTR_RE = /([A-Za-z_][\w.:-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+/**
+ * Decode the predefined XML entities and numeric character references
+ * @param {string} s - Raw text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (m, ent) => {
+    const e = ent.toLowerCase();
+    if (e === "amp") return "&";
+    if (e === "lt") return "<";
+    if (e === "gt") return ">";
+    if (e === "quot") return '"';
+    if (e === "apos") return "'";
+    const code = e.startsWith("#x") ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+    return Number.isFinite(code) ? String.fromCodePoint(code) : m;
+  });
+}
+
+/**
+ * Create a markup node
+ * @param {string} name - Element name
+ * @param {Object} attrs - Attributes
+ * @param {number} line - 1-indexed line of the start tag
+ * @returns {Object} Node
+ */
+function createNode(name, attrs, line) {
+  return { name, attrs, text: "", children: [], line };
+}
+
+/**
+ * Parse markup text into a node tree
+ * Unbalanced closing tags implicitly close any open descendants, and an
+ * element that already holds text is closed when the next element opens.
+ *
+ * @param {string} text - XML or SGML content
+ * @returns {Object} Root node ({ name: "#root", children, ... })
+ */
+export function parseMarkup(text) {
+  const root = createNode("#root", {}, 1);
+  const stack = [root];
+  let line = 1;
+  let cursor = 0;
+
+  const advance = (to) => {
+    for (let i = cursor; i < to; i++) {
+      if (text.charCodeAt(i) === 10) line++;
+    }
+    cursor = to;
+  };
+
+  const appendText = (raw) => {
+    const value = raw.trim();
+    if (!value) return;
+    const top = stack[stack.length - 1];
+    top.text = top.text ? `${top.text} ${value}` : value;
+  };
+
+  TOKEN_RE.lastIndex = 0;
+  let match;
+  while ((match = TOKEN_RE.exec(text)) !== null) {
+    appendText(decodeEntities(text.slice(cursor, match.index)));
+    advance(match.index);
+
+    const [token, cdata, closing, name, rawAttrs, selfClosing] = match;
+
+    if (cdata !== undefined) {
+      appendText(cdata);
+    } else if (name) {
+      if (closing) {
+        // Pop up to and including the matching element; ignore strays
+        const at = stack.map((n) => n.name).lastIndexOf(name);
+        if (at > 0) stack.length = at;
+      } else {
+        // SGML leaf elements are closed by the next start tag
+        const top = stack[stack.length - 1];
+        if (top !== root && top.text && top.children.length === 0) stack.pop();
+
+        const attrs = {};
+        ATTR_RE.lastIndex = 0;
+        let a;
+        while ((a = ATTR_RE.exec(rawAttrs)) !== null) {
+          attrs[a[1]] = decodeEntities(a[2] ?? a[3] ?? "");
+        }
+
+        const node = createNode(name, attrs, line);
+        stack[stack.length - 1].children.push(node);
+        if (!selfClosing) stack.push(node);
+      }
+    }
+
+    advance(match.index + token.length);
+  }
+
+  return root;
+}
+
+/**
+ * Find all descendants with the given element name (depth-first, document order)
+ * @param {Object} node - Node to search under
+ * @param {string} name - Element name
+ * @returns {Object[]} Matching nodes
+ */
+export function findAll(node, name) {
+  const out = [];
+  for (const child of node.children) {
+    if (child.name === name) out.push(child);
+    out.push(...findAll(child, name));
+  }
+  return out;
+}
+
+/**
+ * Find the first descendant with the given element name
+ * @param {Object} node - Node to search under
+ * @param {string} name - Element name
+ * @returns {Object|null} Matching node or null
+ */
+export function findFirst(node, name) {
+  for (const child of node.children) {
+    if (child.name === name) return child;
+    const found = findFirst(child, name);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Get the text of a descendant element found by path
+ * @param {Object} node - Node to search under
+ * @param {...string} path - Element names, each searched under the previous match
+ * @returns {string} Trimmed text or empty string
+ */
+export function textAt(node, ...path) {
+  let current = node;
+  for (const name of path) {
+    current = current ? findFirst(current, name) : null;
+  }
+  return current ? current.text : "";
+}
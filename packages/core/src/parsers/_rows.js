@@ -0,0 +1,135 @@
+/**
+ * Shared row-validation pipeline for header-based CSV adapters
+ * The pipeline owns what every adapter used to repeat: the empty-file and
+ * missing-header results, settling the file's day/month order, and sorting
+ * each row into transactions, errors, date warnings or intentional skips.
+ * An adapter only maps its columns and reads one row at a time.
+ *
+ * Rows left out on purpose (canceled payments, zero amounts) are reported in
+ * `skipped` with severity "info", so the user can see every row that did not
+ * become a transaction and why.
+ */
+
+import {
+  resolveLocale,
+  resolveDateOrder,
+  ambiguousDateWarning,
+  createIdGenerator
+} from "./_shared.js";
+
+/**
+ * @typedef {Object} RowOutcome
+ * @property {Object} value - Raw values of the row, reported with errors and skips
+ * @property {string[]} [problems] - What is wrong with the row; a non-empty list drops it
+ * @property {string} [skip] - Why the row is left out on purpose
+ * @property {Object[]} [transactions] - Transactions read from the row
+ * @property {string} [date] - Date read from the row
+ * @property {boolean} [ambiguous] - Whether the row's day and month could be swapped
+ */
+
+/**
+ * @typedef {Object} RowAdapter
+ * @property {(headers: string[]) => { idx: Object, missing: string[], dateKey?: string }} columns - Map the header row; `missing` lists required headers that are absent, `dateKey` names the column used to settle the day/month order
+ * @property {(cols: string[], columns: Object, context: Object) => RowOutcome} readRow - Read one data row
+ * @property {(columns: Object, source: string) => Function} [idGenerator] - ID generator for the file (default: createIdGenerator)
+ * @property {(read: Array<{ line: number, outcome: RowOutcome }>) => Array} [checkRows] - Find errors that span rows (e.g. a running balance that stops adding up), given every row read without problems
+ */
+
+/**
+ * Validate the data rows of a CSV file and convert them into transactions
+ * @param {{ headers: string[], headerLine: number, rows: Array<{ cols: string[], line: number }> }} table - Result of readCsv
+ * @param {RowAdapter} adapter - Column mapping and row reader
+ * @param {Object} options - Parser options
+ * @param {string} options.source - Source identifier
+ * @param {string|Object} [options.locale] - Locale tag or settings for dates and amounts
+ * @returns {{ transactions: Array, errors: Array, warnings?: Array, skipped?: Array, dateOrder?: string, totalRows: number, validCount: number, errorCount: number }} `dateOrder` is the date column's order when the locale or the values settle it
+ */
+export function parseRows({ headers, headerLine, rows }, adapter, { source, locale }) {
+  if (rows.length === 0) {
+    return {
+      transactions: [],
+      errors: [{ row: 0, message: "CSV file is empty or has no data rows" }],
+      totalRows: 0,
+      validCount: 0,
+      errorCount: 1
+    };
+  }
+
+  const columns = adapter.columns(headers);
+  if (columns.missing.length > 0) {
+    return {
+      transactions: [],
+      errors: [
+        {
+          row: headerLine,
+          message: `Missing required headers: ${columns.missing.join(", ")}. Found: ${headers.join(", ")}`
+        }
+      ],
+      totalRows: rows.length,
+      validCount: 0,
+      errorCount: 1
+    };
+  }
+
+  const settings = resolveLocale(locale);
+  const { dateOrder, assumed } = columns.dateKey
+    ? resolveDateOrder(rows.map((r) => r.cols[columns.idx[columns.dateKey]]), settings)
+    : { dateOrder: settings.dateOrder, assumed: false };
+  const nextId = adapter.idGenerator ? adapter.idGenerator(columns, source) : createIdGenerator(source);
+  const context = { source, settings, dateOrder, nextId };
+
+  const transactions = [];
+  const errors = [];
+  const warnings = [];
+  const skipped = [];
+  const read = [];
+
+  for (const { cols, line } of rows) {
+    const outcome = adapter.readRow(cols, columns, context);
+    if (outcome.problems?.length > 0) {
+      errors.push({ row: line, message: outcome.problems.join("; "), value: outcome.value });
+      continue;
+    }
+    read.push({ line, outcome });
+    if (outcome.skip) {
+      skipped.push({ row: line, severity: "info", message: outcome.skip, value: outcome.value });
+      continue;
+    }
+    if (outcome.ambiguous && assumed) {
+      warnings.push(ambiguousDateWarning(line, outcome.value.date, outcome.date));
+    }
+    transactions.push(...(outcome.transactions ?? []));
+  }
+
+  if (adapter.checkRows) {
+    errors.push(...adapter.checkRows(read));
+    errors.sort((a, b) => a.row - b.row);
+  }
+
+  return {
+    transactions,
+    errors,
+    warnings,
+    skipped,
+    ...(columns.dateKey && !assumed && { dateOrder }),
+    totalRows: rows.length,
+    validCount: transactions.length,
+    errorCount: errors.length
+  };
+}
+
+/**
+ * Unwrap a parseWithErrors result for an adapter's parse()
+ * Invalid rows are left out; a file without the adapter's headers throws.
+ *
+ * @param {{ transactions: Array, errors: Array }} result - Result of parseWithErrors
+ * @param {string} label - Format name for the error message (e.g. "Chase")
+ * @returns {Array} Transactions
+ */
+export function transactionsOf(result, label) {
+  const [first] = result.errors;
+  if (first?.message.startsWith("Missing required headers")) {
+    throw new Error(`${label} CSV: ${first.message}`);
+  }
+  return result.transactions;
+}
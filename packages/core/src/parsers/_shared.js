@@ -2,33 +2,6 @@
  * Shared utilities for CSV parsers
  */
 
-/**
- * Split a CSV line handling quoted commas
- * @param {string} line - CSV line to split
- * @returns {string[]} Array of column values
- */
-export function splitCsvLine(line) {
-  const result = [];
-  let cur = "";
-  let inQuotes = false;
-
-  for (let i = 0; i < line.length; i++) {
-    const ch = line[i];
-    if (ch === '"') {
-      inQuotes = !inQuotes;
-      continue;
-    }
-    if (ch === "," && !inQuotes) {
-      result.push(cur);
-      cur = "";
-      continue;
-    }
-    cur += ch;
-  }
-  result.push(cur);
-  return result.map((s) => s.trim());
-}
-
 /**
  * Create a map of header names to column indices
  * @param {string[]} headers - Array of header names
@@ -53,39 +26,414 @@ export function pickKey(map, candidates) {
   return null;
 }
 
+/**
+ * Fraction of sample rows that satisfy a predicate (used by detect())
+ * @param {Array<{ cols: string[] }>} rows - Sample data rows
+ * @param {(cols: string[]) => boolean} predicate - Row test
+ * @returns {number} Ratio between 0 and 1 (0 when there are no rows)
+ */
+export function sampleRatio(rows, predicate) {
+  if (rows.length === 0) return 0;
+  return rows.filter((r) => predicate(r.cols)).length / rows.length;
+}
+
+/**
+ * Locale presets: the numeric date order and decimal separator banks in
+ * each region use in their exports
+ */
+export const LOCALES = {
+  "en-US": { dateOrder: "MDY", decimal: "." },
+  "en-CA": { dateOrder: "DMY", decimal: "." },
+  "fr-CA": { dateOrder: "DMY", decimal: "," },
+  "en-GB": { dateOrder: "DMY", decimal: "." },
+  "en-IE": { dateOrder: "DMY", decimal: "." },
+  "de-DE": { dateOrder: "DMY", decimal: "," },
+  "de-AT": { dateOrder: "DMY", decimal: "," },
+  "fr-FR": { dateOrder: "DMY", decimal: "," },
+  "es-ES": { dateOrder: "DMY", decimal: "," },
+  "it-IT": { dateOrder: "DMY", decimal: "," },
+  "nl-NL": { dateOrder: "DMY", decimal: "," }
+};
+
+/**
+ * @typedef {Object} LocaleSettings
+ * @property {"MDY"|"DMY"|"YMD"} [dateOrder] - Order of numeric date parts (inferred per file when omitted)
+ * @property {"."|","} [decimal] - Decimal separator (detected per value when omitted)
+ */
+
+/**
+ * Resolve a locale tag or settings object into locale settings
+ * @param {string|LocaleSettings} [locale] - BCP 47 tag (e.g. "de-DE") or settings
+ * @returns {LocaleSettings} Settings; empty when no locale is configured
+ */
+export function resolveLocale(locale) {
+  if (!locale) return {};
+  if (typeof locale === "object") return { ...locale };
+
+  const preset = LOCALES[locale] ?? LOCALES[Object.keys(LOCALES).find((k) => k.startsWith(`${locale}-`))];
+  if (!preset) {
+    throw new Error(`Unknown locale: "${locale}". Available locales: ${Object.keys(LOCALES).join(", ")}`);
+  }
+  return { ...preset };
+}
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, sept: 9, oct: 10, nov: 11, dec: 12
+};
+
+/**
+ * Expand a two-digit year (00-49 → 2000s, 50-99 → 1900s)
+ * @param {string} y - Year digits
+ * @returns {number} Four-digit year
+ */
+function expandYear(y) {
+  const n = Number(y);
+  if (y.length !== 2) return n;
+  return n < 50 ? 2000 + n : 1900 + n;
+}
+
+/**
+ * Format date parts as YYYY-MM-DD, rejecting impossible dates
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day (1-31)
+ * @returns {string|null} ISO date or null
+ */
+export function formatDate(year, month, day) {
+  if (!(month >= 1 && month <= 12) || !(day >= 1 && day <= 31)) return null;
+  const probe = new Date(Date.UTC(year, month - 1, day));
+  if (probe.getUTCMonth() !== month - 1) return null;
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
+
+/**
+ * Look up a month name or abbreviation
+ * @param {string} name - Month text (e.g. "Jan", "January", "Sept.")
+ * @returns {number|undefined} Month number
+ */
+function monthNumber(name) {
+  const key = name.toLowerCase().replace(/\.$/, "");
+  return MONTHS[key] ?? MONTHS[key.slice(0, 3)];
+}
+
+/**
+ * Parse a date and report whether its day and month could be swapped
+ * Understands ISO (YYYY-MM-DD, YYYY/MM/DD), numeric dates with "/", "." or
+ * "-" in the given order, two-digit years, and month names ("Jan 5, 2025",
+ * "5 Jan 2025", "05-Jan-25").
+ *
+ * @param {string} s - Date string
+ * @param {LocaleSettings} [locale] - Locale settings (numeric dates default to MDY)
+ * @returns {{ date: string|null, ambiguous: boolean }} Parsed date; ambiguous when
+ *   a numeric date would also be valid with day and month swapped
+ */
+export function inspectDate(s, { dateOrder = "MDY" } = {}) {
+  const none = { date: null, ambiguous: false };
+  if (!s) return none;
+  const t = s.trim();
+
+  // Year first: YYYY-MM-DD, YYYY/MM/DD, YYYY.MM.DD
+  let m = t.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+  if (m) return { date: formatDate(Number(m[1]), Number(m[2]), Number(m[3])), ambiguous: false };
+
+  // Month names: "Jan 5, 2025", "January 5 2025"
+  m = t.match(/^([A-Za-z]{3,9}\.?)\s+(\d{1,2}),?\s+(\d{4}|\d{2})$/);
+  if (m && monthNumber(m[1])) {
+    return { date: formatDate(expandYear(m[3]), monthNumber(m[1]), Number(m[2])), ambiguous: false };
+  }
+
+  // Month names: "5 Jan 2025", "05-Jan-25"
+  m = t.match(/^(\d{1,2})[\s-]([A-Za-z]{3,9}\.?)[\s-](\d{4}|\d{2})$/);
+  if (m && monthNumber(m[2])) {
+    return { date: formatDate(expandYear(m[3]), monthNumber(m[2]), Number(m[1])), ambiguous: false };
+  }
+
+  // Numeric: 01/05/2025, 1.5.25, 01-05-2025
+  m = t.match(/^(\d{1,2})([-/.])(\d{1,2})\2(\d{4}|\d{2})$/);
+  if (!m) return none;
+
+  const a = Number(m[1]);
+  const b = Number(m[3]);
+  const year = expandYear(m[4]);
+  const [month, day] = dateOrder === "DMY" ? [b, a] : [a, b];
+  return {
+    date: formatDate(year, month, day),
+    ambiguous: a !== b && a <= 12 && b <= 12
+  };
+}
+
 /**
  * Normalize various date formats to YYYY-MM-DD
  * @param {string} s - Date string to normalize
+ * @param {LocaleSettings} [locale] - Locale settings (numeric dates default to MDY)
  * @returns {string|null} Normalized date or null
  */
-export function normalizeDate(s) {
+export function normalizeDate(s, locale) {
+  return inspectDate(s, locale).date;
+}
+
+const DATE_FORMAT_TOKENS = {
+  YYYY: { key: "Y4", pattern: "(\\d{4})" },
+  YY: { key: "Y2", pattern: "(\\d{2})" },
+  MM: { key: "M", pattern: "(\\d{2})" },
+  M: { key: "M", pattern: "(\\d{1,2})" },
+  DD: { key: "D", pattern: "(\\d{2})" },
+  D: { key: "D", pattern: "(\\d{1,2})" }
+};
+
+/**
+ * Parse a date with an explicit format pattern into YYYY-MM-DD
+ * Tokens: YYYY, YY (2000-2099), MM/M, DD/D; any other characters must
+ * match literally (e.g. "DD.MM.YYYY", "YYYYMMDD", "M/D/YY").
+ *
+ * @param {string} s - Date string
+ * @param {string} format - Format pattern
+ * @returns {string|null} Normalized date or null
+ */
+export function parseDateFormat(s, format) {
   if (!s) return null;
-  const t = s.trim();
 
-  // If already ISO
-  if (/^\d{4}-\d{2}-\d{2}$/.test(t)) return t;
+  const order = [];
+  const pattern = format.replace(/YYYY|YY|MM|M|DD|D|[^YMD]+/g, (token) => {
+    const part = DATE_FORMAT_TOKENS[token];
+    if (!part) return token.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    order.push(part.key);
+    return part.pattern;
+  });
+
+  const m = s.trim().match(new RegExp(`^${pattern}$`));
+  if (!m) return null;
 
-  // Common US: M/D/YYYY or MM/DD/YYYY
-  const m = t.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
-  if (m) {
-    const mm = String(m[1]).padStart(2, "0");
-    const dd = String(m[2]).padStart(2, "0");
-    return `${m[3]}-${mm}-${dd}`;
+  const parts = {};
+  order.forEach((part, i) => (parts[part] = Number(m[i + 1])));
+  return formatDate(parts.Y4 ?? 2000 + parts.Y2, parts.M, parts.D);
+}
+
+/**
+ * Check whether a value parses as a date in either numeric order (used by detect())
+ * @param {string} s - Date string
+ * @returns {boolean} True if the value is a date
+ */
+export function looksLikeDate(s) {
+  return Boolean(normalizeDate(s) || normalizeDate(s, { dateOrder: "DMY" }));
+}
+
+/**
+ * Infer whether a file's numeric dates are month-first or day-first
+ * A value like 25/01/2025 can only be day-first; if the file has such values
+ * (and none that contradict them) the whole file uses that order.
+ *
+ * @param {string[]} values - Raw date values from one column
+ * @returns {"MDY"|"DMY"|null} Inferred order, or null when there is no evidence
+ */
+export function inferDateOrder(values) {
+  let dayFirst = false;
+  let monthFirst = false;
+
+  for (const value of values) {
+    const m = String(value ?? "").trim().match(/^(\d{1,2})([-/.])(\d{1,2})\2(\d{4}|\d{2})$/);
+    if (!m) continue;
+    if (Number(m[1]) > 12 && Number(m[3]) <= 12) dayFirst = true;
+    if (Number(m[3]) > 12 && Number(m[1]) <= 12) monthFirst = true;
   }
 
-  return null;
+  if (dayFirst === monthFirst) return null;
+  return dayFirst ? "DMY" : "MDY";
+}
+
+/**
+ * Settle the numeric date order for one file's date column
+ * A configured locale wins; otherwise the order is inferred from the values
+ * and falls back to month-first, in which case swapped readings are possible.
+ *
+ * @param {string[]} values - Raw date values from the file
+ * @param {LocaleSettings} locale - Resolved locale settings
+ * @returns {{ dateOrder: "MDY"|"DMY"|"YMD", assumed: boolean }} Order, and whether it was a guess
+ */
+export function resolveDateOrder(values, locale) {
+  if (locale.dateOrder) return { dateOrder: locale.dateOrder, assumed: false };
+  const inferred = inferDateOrder(values);
+  return { dateOrder: inferred ?? "MDY", assumed: !inferred };
+}
+
+/**
+ * Build the warning reported for a date whose day and month could be swapped
+ * @param {number} row - File line of the row
+ * @param {string} raw - Raw date value
+ * @param {string} date - Date as parsed
+ * @returns {{ row: number, field: string, severity: string, message: string, value: string }}
+ */
+export function ambiguousDateWarning(row, raw, date) {
+  return {
+    row,
+    field: "date",
+    severity: "warning",
+    message: `Ambiguous date "${raw}" read as ${date} (month first); set a locale for this source to confirm`,
+    value: raw
+  };
 }
 
 /**
  * Normalize amount string to number
+ * Handles currency symbols, thousands separators, decimal commas
+ * ("1.234,56"), accounting parentheses ("(42.00)"), trailing minus signs
+ * ("42.00-") and CR/DR suffixes ("42.00 DR" is a debit, "42.00CR" a credit).
+ * Letters other than a currency code or CR/DR make the amount invalid.
+ *
  * @param {string|number} s - Amount to normalize
+ * @param {LocaleSettings} [locale] - Locale settings
  * @returns {number} Normalized amount or NaN
  */
-export function normalizeAmount(s) {
+export function normalizeAmount(s, { decimal } = {}) {
   if (s === undefined || s === null) return NaN;
-  const t = String(s).replace(/[$,]/g, "").trim();
+  if (typeof s === "number") return s;
+
+  let t = String(s).trim();
+  if (t === "") return 0;
+  let negative = false;
+
+  const suffix = t.match(/(?<![A-Z])\s*(CR|DR)\.?$/i);
+  if (suffix) {
+    negative = suffix[1].toUpperCase() === "DR";
+    t = t.slice(0, suffix.index);
+  }
+
+  // Drop currency symbols ("$", "US$"), ISO codes at either end ("EUR"),
+  // and spaces or apostrophes used as thousands separators; any other
+  // letter ("1e5", "12abc34") makes the amount invalid
+  t = t
+    .replace(/[A-Z]{0,2}\p{Sc}/giu, "")
+    .replace(/^([+-]?)\s*[A-Z]{3}(?![A-Z])|(?<![A-Z])[A-Z]{3}$/gi, "$1")
+    .replace(/[\s'\u2019]/g, "");
+  if (/[^\d.,()+-]/.test(t) || !/\d/.test(t)) return NaN;
+
+  if (/^\(.*\)$/.test(t)) {
+    negative = !negative;
+    t = t.slice(1, -1);
+  }
+  if (t.endsWith("-")) {
+    negative = !negative;
+    t = t.slice(0, -1);
+  }
+  if (t.startsWith("-")) {
+    negative = !negative;
+    t = t.slice(1);
+  } else if (t.startsWith("+")) {
+    t = t.slice(1);
+  }
+
+  const lastDot = t.lastIndexOf(".");
+  const lastComma = t.lastIndexOf(",");
+  let dec = decimal ?? ".";
+  if (lastDot !== -1 && lastComma !== -1) {
+    // With both separators present the last one is the decimal separator
+    dec = lastDot > lastComma ? "." : ",";
+  } else if (!decimal) {
+    // One kind of separator: repeated it groups thousands ("1.234.567");
+    // a single comma is decimal unless three digits follow ("12,50" vs "1,234")
+    const sep = lastComma !== -1 ? "," : ".";
+    const groups = t.split(sep);
+    const isThousands = groups.length > 2 || (sep === "," && groups[1]?.length === 3);
+    dec = isThousands ? (sep === "." ? "," : ".") : sep;
+  }
+
+  const thousands = dec === "." ? "," : ".";
+  t = t.split(thousands).join("").replace(dec, ".");
+  if (!/^\d*\.?\d+$|^\d+\.$/.test(t)) return NaN;
+
   const n = Number(t);
-  return n;
+  return negative ? -n : n;
+}
+
+/**
+ * Normalize a currency column value to an ISO 4217 code
+ * @param {string} s - Raw value (e.g. "eur", " USD ")
+ * @returns {string|null|undefined} Code, undefined when blank, null when not a code
+ */
+export function normalizeCurrency(s) {
+  const t = String(s ?? "").trim().toUpperCase();
+  if (t === "") return undefined;
+  return /^[A-Z]{3}$/.test(t) ? t : null;
+}
+
+/**
+ * Normalize an IBAN to its electronic form
+ * @param {string} s - Raw value (e.g. "de89 3704 0044 0532 0130 00")
+ * @returns {string|undefined} Uppercase IBAN without spaces, undefined when not an IBAN
+ */
+export function normalizeIban(s) {
+  const t = String(s ?? "").replace(/\s+/g, "").toUpperCase();
+  return /^[A-Z]{2}\d{2}[A-Z0-9]{10,30}$/.test(t) ? t : undefined;
+}
+
+/**
+ * Normalize a bank's transaction status
+ * @param {string} s - Raw value (e.g. "Pending", "Cleared", "Posted")
+ * @returns {"pending"|"posted"|undefined} Status, undefined when blank or unknown
+ */
+export function normalizeStatus(s) {
+  const t = String(s ?? "").trim().toLowerCase();
+  if (t === "pending" || t === "authorized") return "pending";
+  if (["posted", "cleared", "settled", "completed", "complete"].includes(t)) return "posted";
+  return undefined;
+}
+
+/**
+ * Build the fee transaction split out of a payment
+ * Payment services report the fee next to the gross amount; keeping it as
+ * its own transaction lets rules send it to a fees category.
+ *
+ * @param {Object} txn - Gross transaction the fee belongs to
+ * @param {number} fee - Fee amount (negative when charged)
+ * @param {string} label - Service name for the description (e.g. "PayPal")
+ * @param {Function} nextId - ID generator for the file
+ * @returns {Object} Fee transaction tagged with kind "fee"
+ */
+export function feeTransaction(txn, fee, label, nextId) {
+  const description = `${label} Fee - ${txn.description}`;
+  const out = {
+    date: txn.date,
+    description,
+    amount: fee,
+    source: txn.source,
+    id: nextId({ date: txn.date, amount: fee, description }),
+    kind: "fee"
+  };
+  if (txn.currency) out.currency = txn.currency;
+  if (txn.status) out.status = txn.status;
+  return out;
+}
+
+/**
+ * Normalize a description for ID generation
+ * Case and spacing differences between downloads don't change the ID.
+ * @param {string} s - Description
+ * @returns {string} Uppercased description with collapsed whitespace
+ */
+export function normalizeDescription(s) {
+  return String(s ?? "").toUpperCase().replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Create a generator of content-based transaction IDs for one import
+ * IDs are built from the date, amount, normalized description and account,
+ * plus an occurrence counter among identical rows, so they don't shift when
+ * rows are added to or removed from a download.
+ *
+ * @param {string} source - Source identifier
+ * @param {Object} [options] - Generator options
+ * @param {string} [options.account] - Account the rows belong to
+ * @returns {(txn: { date: string, amount: number, description: string }) => string} ID generator
+ */
+export function createIdGenerator(source, { account = "" } = {}) {
+  const seen = new Map();
+  return ({ date, amount, description }) => {
+    const key = [account, date, Math.round(amount * 100), normalizeDescription(description)].join("|");
+    const occurrence = (seen.get(key) ?? 0) + 1;
+    seen.set(key, occurrence);
+    return `${source}:${date}:${hash(key)}:${occurrence}`;
+  };
 }
 
 /**
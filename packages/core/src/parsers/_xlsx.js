@@ -0,0 +1,284 @@
+/**
+ * Excel workbook (.xlsx) reader shared by the CSV adapters
+ *
+ * A worksheet is turned into CSV text so every adapter reads it through its
+ * usual header mapping:
+ * - Each spreadsheet row becomes the CSV line with the same number, so row
+ *   errors point at the row shown in Excel
+ * - Cells with a date format (Excel date serials) become YYYY-MM-DD, and
+ *   time-only cells HH:MM:SS; both the 1900 and 1904 date systems are read
+ * - Numeric cells are written without grouping, using the locale's decimal
+ *   separator so the adapters read them back unchanged
+ * - Shared, inline and formula strings, booleans and error values are kept as text
+ */
+
+import { unzipSync, strFromU8 } from "fflate";
+import { parseMarkup, findAll, findFirst } from "./_markup.js";
+
+// Local file header signature ("PK\x03\x04") that starts every .xlsx file
+const ZIP_SIGNATURE = [0x50, 0x4b, 0x03, 0x04];
+
+// Built-in number formats that show a date (14-17, 22, CJK variants) or a time only
+const BUILTIN_DATE_FORMATS = new Set([14, 15, 16, 17, 22, 27, 28, 29, 30, 31, 34, 35, 36, 50, 51, 52, 53, 54, 57, 58]);
+const BUILTIN_TIME_FORMATS = new Set([18, 19, 20, 21, 32, 33, 45, 46, 47, 55, 56]);
+
+const DAY_MS = 86400000;
+
+/**
+ * Convert input to bytes when it is binary
+ * @param {*} input - File content
+ * @returns {Uint8Array|null} Bytes, or null for strings and other values
+ */
+function toBytes(input) {
+  if (input instanceof Uint8Array) return input;
+  if (input instanceof ArrayBuffer) return new Uint8Array(input);
+  return null;
+}
+
+/**
+ * Check whether file content is an Excel workbook
+ * @param {string|Uint8Array|ArrayBuffer} input - File content
+ * @returns {boolean} True for zip (xlsx) bytes
+ */
+export function isXlsx(input) {
+  const bytes = toBytes(input);
+  return bytes !== null && ZIP_SIGNATURE.every((b, i) => bytes[i] === b);
+}
+
+/**
+ * Unzip a workbook and read its XML parts lazily
+ * @param {Uint8Array} bytes - Workbook bytes
+ * @returns {(path: string) => Object|null} Parsed part by zip path, or null when missing
+ */
+function openWorkbook(bytes) {
+  let files;
+  try {
+    files = unzipSync(bytes);
+  } catch (err) {
+    throw new Error(`Invalid XLSX file: ${err.message}`);
+  }
+  return (part) => (files[part] ? parseMarkup(strFromU8(files[part])) : null);
+}
+
+/**
+ * List the worksheets of a workbook with their zip paths, in tab order
+ * @param {(path: string) => Object|null} read - Part reader from openWorkbook
+ * @returns {Array<{ name: string, path: string }>} Worksheets
+ */
+function readSheets(read) {
+  const workbook = read("xl/workbook.xml");
+  if (!workbook) throw new Error("Invalid XLSX file: xl/workbook.xml is missing");
+
+  const rels = read("xl/_rels/workbook.xml.rels");
+  const targets = new Map(
+    (rels ? findAll(rels, "Relationship") : []).map((r) => [r.attrs.Id, r.attrs.Target])
+  );
+
+  return findAll(workbook, "sheet").map((sheet, i) => {
+    const target = targets.get(sheet.attrs["r:id"]) ?? `worksheets/sheet${i + 1}.xml`;
+    return {
+      name: sheet.attrs.name,
+      path: target.startsWith("/") ? target.slice(1) : `xl/${target}`
+    };
+  });
+}
+
+/**
+ * List the sheet names of a workbook
+ * @param {Uint8Array|ArrayBuffer} input - Workbook bytes
+ * @returns {string[]} Sheet names in tab order
+ */
+export function listXlsxSheets(input) {
+  return readSheets(openWorkbook(toBytes(input))).map((s) => s.name);
+}
+
+/**
+ * Pick the requested worksheet
+ * @param {Array<{ name: string, path: string }>} sheets - Worksheets
+ * @param {string|number} [sheet] - Sheet name or 1-based position (default: first sheet)
+ * @returns {{ name: string, path: string }} Worksheet
+ */
+function pickSheet(sheets, sheet) {
+  if (sheets.length === 0) throw new Error("XLSX file has no worksheets");
+  if (sheet === undefined || sheet === null || sheet === "") return sheets[0];
+
+  const wanted = String(sheet).trim();
+  const byName = sheets.find((s) => s.name.toLowerCase() === wanted.toLowerCase());
+  if (byName) return byName;
+  if (/^\d+$/.test(wanted) && sheets[Number(wanted) - 1]) return sheets[Number(wanted) - 1];
+
+  throw new Error(`Sheet "${wanted}" not found. Available sheets: ${sheets.map((s) => s.name).join(", ")}`);
+}
+
+/**
+ * Classify a custom number format code
+ * @param {string} code - Format code, e.g. "yyyy-mm-dd" or "h:mm AM/PM"
+ * @returns {"date"|"time"|undefined} Kind of value the format shows
+ */
+function formatKind(code) {
+  // Ignore literal text, escaped characters and [color]/[$-409] sections
+  const bare = code.replace(/"[^"]*"|\\.|\[[^\]]*\]/g, "").toLowerCase();
+  if (/[dy]/.test(bare)) return "date";
+  if (/[hs]/.test(bare)) return "time";
+  return undefined;
+}
+
+/**
+ * Map each cell style index to the kind of value its number format shows
+ * @param {Object|null} styles - Parsed xl/styles.xml
+ * @returns {Array<"date"|"time"|undefined>} Kind by style index
+ */
+function readStyleKinds(styles) {
+  if (!styles) return [];
+
+  const custom = new Map(
+    findAll(styles, "numFmt").map((f) => [Number(f.attrs.numFmtId), formatKind(f.attrs.formatCode ?? "")])
+  );
+  const cellXfs = findFirst(styles, "cellXfs");
+  return (cellXfs ? findAll(cellXfs, "xf") : []).map((xf) => {
+    const id = Number(xf.attrs.numFmtId ?? 0);
+    if (custom.has(id)) return custom.get(id);
+    if (BUILTIN_DATE_FORMATS.has(id)) return "date";
+    if (BUILTIN_TIME_FORMATS.has(id)) return "time";
+    return undefined;
+  });
+}
+
+/**
+ * Convert an Excel date serial to YYYY-MM-DD
+ * @param {number} serial - Days since the workbook's epoch
+ * @param {boolean} date1904 - Workbook uses the 1904 date system
+ * @returns {string} Date
+ */
+export function excelSerialToDate(serial, date1904 = false) {
+  const days = Math.floor(serial);
+  // The 1900 system counts a nonexistent 1900-02-29 (serial 60)
+  const epoch = date1904 ? Date.UTC(1904, 0, 1) : Date.UTC(1899, 11, days < 60 ? 31 : 30);
+  return new Date(epoch + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Convert the fractional part of a serial to HH:MM:SS
+ * @param {number} serial - Excel serial
+ * @returns {string} Time of day
+ */
+function serialToTime(serial) {
+  const seconds = Math.round((serial - Math.floor(serial)) * 86400) % 86400;
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+}
+
+/**
+ * Format a numeric cell
+ * @param {number} n - Cell value
+ * @param {string} [decimal] - Decimal separator ("." or ",")
+ * @returns {string} Number text without thousands separators
+ */
+function formatNumber(n, decimal) {
+  // Drop binary floating point noise such as 12.300000000000001
+  const text = String(Number(n.toPrecision(15)));
+  return decimal === "," ? text.replace(".", ",") : text;
+}
+
+/**
+ * Convert a column reference to a 0-based index
+ * @param {string} ref - Cell reference, e.g. "C12"
+ * @returns {number} Column index (A = 0)
+ */
+function columnIndex(ref) {
+  const letters = ref.match(/^[A-Z]+/i)?.[0].toUpperCase() ?? "";
+  let n = 0;
+  for (const ch of letters) n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n - 1;
+}
+
+/**
+ * Get the text of a string item, joining rich-text runs
+ * @param {Object} node - <si> or <is> node
+ * @returns {string} Text
+ */
+function stringItemText(node) {
+  const phonetic = new Set(findAll(node, "rPh").flatMap((r) => findAll(r, "t")));
+  return findAll(node, "t")
+    .filter((t) => !phonetic.has(t))
+    .map((t) => t.text)
+    .join("");
+}
+
+/**
+ * Quote a value for CSV output when needed
+ * Line breaks are flattened so each spreadsheet row stays on one line.
+ *
+ * @param {string} value - Cell text
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  const flat = value.replace(/\r?\n|\r/g, " ");
+  return /[",;\t]/.test(flat) ? `"${flat.replace(/"/g, '""')}"` : flat;
+}
+
+/**
+ * Read a worksheet of an Excel workbook as CSV text
+ * @param {Uint8Array|ArrayBuffer} input - Workbook bytes
+ * @param {Object} [options] - Reader options
+ * @param {string|number} [options.sheet] - Sheet name or 1-based position (default: first sheet)
+ * @param {string} [options.decimal] - Decimal separator for numeric cells (default ".")
+ * @returns {{ sheet: string, sheets: string[], text: string }} Sheet read, all sheet names, and CSV text
+ */
+export function readXlsx(input, { sheet, decimal } = {}) {
+  const read = openWorkbook(toBytes(input));
+  const sheets = readSheets(read);
+  const target = pickSheet(sheets, sheet);
+
+  const worksheet = read(target.path);
+  if (!worksheet) throw new Error(`Invalid XLSX file: ${target.path} is missing`);
+
+  const sharedStrings = read("xl/sharedStrings.xml");
+  const strings = sharedStrings ? findAll(sharedStrings, "si").map(stringItemText) : [];
+  const styleKinds = readStyleKinds(read("xl/styles.xml"));
+  const workbookPr = findFirst(read("xl/workbook.xml"), "workbookPr");
+  const date1904 = ["1", "true"].includes(workbookPr?.attrs.date1904);
+
+  /**
+   * Get the display text of a cell
+   * @param {Object} c - <c> node
+   * @returns {string} Cell text
+   */
+  const cellText = (c) => {
+    const type = c.attrs.t ?? "n";
+    if (type === "inlineStr") {
+      const is = findFirst(c, "is");
+      return is ? stringItemText(is) : "";
+    }
+
+    const v = findFirst(c, "v")?.text ?? "";
+    if (v === "") return "";
+    if (type === "s") return strings[Number(v)] ?? "";
+    if (type === "b") return v === "1" ? "TRUE" : "FALSE";
+    if (type === "d") return v.slice(0, 10);
+    if (type !== "n") return v;
+
+    const n = Number(v);
+    if (!Number.isFinite(n)) return v;
+    const kind = styleKinds[Number(c.attrs.s ?? 0)];
+    if (kind === "date") return excelSerialToDate(n, date1904);
+    if (kind === "time") return serialToTime(n);
+    return formatNumber(n, decimal);
+  };
+
+  const lines = [];
+  for (const row of findAll(worksheet, "row")) {
+    const rowNumber = Number(row.attrs.r) || lines.length + 1;
+    while (lines.length < rowNumber - 1) lines.push("");
+
+    const fields = [];
+    for (const c of findAll(row, "c")) {
+      const col = c.attrs.r ? columnIndex(c.attrs.r) : fields.length;
+      while (fields.length < col) fields.push("");
+      fields[col] = csvField(cellText(c));
+    }
+    lines.push(fields.join(","));
+  }
+
+  return { sheet: target.name, sheets: sheets.map((s) => s.name), text: lines.join("\n") };
+}
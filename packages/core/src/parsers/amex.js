@@ -0,0 +1,218 @@
+/**
+ * American Express CSV parser adapter
+ * Handles Amex card activity downloads
+ *
+ * Supported headers (Amex format):
+ * - Date
+ * - Description
+ * - Card Member (optional - who made the charge)
+ * - Account # (optional - card number ending, e.g. "-41007")
+ * - Amount (charges positive, credits negative)
+ * - Extended Details (optional - merchant name, phone, reference lines)
+ * - Appears On Your Statement As (optional)
+ * - Address, City/State, Zip Code, Country (optional)
+ * - Category (optional - Amex's category, kept as importedCategory)
+ *
+ * Downloads converted from Amex's spreadsheet start with title lines
+ * ("Transaction Details", "Prepared for", the card number) above the header;
+ * the header is looked for below them.
+ *
+ * Note: Amex signs amounts the opposite way from our convention, so they
+ * are flipped (charges become negative).
+ */
+
+import { readCsv } from "./_csv.js";
+import { parseRows, transactionsOf } from "./_rows.js";
+import {
+  indexMap,
+  pickKey,
+  inspectDate,
+  normalizeAmount,
+  looksLikeDate,
+  sampleRatio,
+  createIdGenerator
+} from "./_shared.js";
+
+const DESCRIPTION_HEADERS = ["Description", "Appears On Your Statement As"];
+const ADDRESS_HEADERS = ["Address", "City/State", "Zip Code", "Country"];
+
+// Title lines are only looked for near the top of the file
+const MAX_PREAMBLE_ROWS = 15;
+
+/**
+ * Check whether a row is an Amex header
+ * @param {string[]} fields - Row fields
+ * @returns {boolean} True when the row has Date, Description and Amount columns
+ */
+function isHeader(fields) {
+  return mapColumns(fields).missing.length === 0;
+}
+
+/**
+ * Locate the header among the leading records
+ * @param {string[][]} records - Leading non-blank records
+ * @returns {number} Header index, or 0 when there is none so the first record is reported as the header
+ */
+export function headerIndex(records) {
+  return Math.max(0, records.slice(0, MAX_PREAMBLE_ROWS + 1).findIndex(isHeader));
+}
+
+/**
+ * Score how well a file matches the Amex format
+ * @param {{ headers: string[], rows: Array<{ cols: string[] }> }} sample - Header row and sample rows
+ * @returns {number} Confidence between 0 and 1
+ */
+export function detect({ headers, rows }) {
+  const records = [headers, ...rows.map((r) => r.cols)].slice(0, MAX_PREAMBLE_ROWS + 1);
+  const index = records.findIndex(isHeader);
+  if (index === -1) return 0;
+
+  const { idx, dateKey } = mapColumns(records[index]);
+  const dataRows = rows.slice(index);
+  let score = 0.3;
+  if (idx["Card Member"] !== undefined) score += 0.2;
+  if (idx["Account #"] !== undefined) score += 0.2;
+  if (idx["Extended Details"] !== undefined || idx["Appears On Your Statement As"] !== undefined) score += 0.15;
+  score += 0.1 * sampleRatio(dataRows, (cols) => looksLikeDate(cols[idx[dateKey]]));
+  return score;
+}
+
+/**
+ * Collapse a multi-line Amex cell into one line
+ * @param {string} s - Raw cell
+ * @returns {string} Text with single spaces
+ */
+function singleLine(s) {
+  return String(s ?? "").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Map the Amex columns present in a file
+ * @param {string[]} headers - Header row
+ * @returns {Object} Column keys (undefined when absent), the index map and missing required headers
+ */
+function mapColumns(headers) {
+  const idx = indexMap(headers);
+  const columns = {
+    idx,
+    dateKey: pickKey(idx, ["Date"]),
+    descKey: pickKey(idx, DESCRIPTION_HEADERS),
+    amtKey: pickKey(idx, ["Amount"]),
+    memberKey: pickKey(idx, ["Card Member"]),
+    accountKey: pickKey(idx, ["Account #"]),
+    detailsKey: pickKey(idx, ["Extended Details"]),
+    categoryKey: pickKey(idx, ["Category"]),
+    addressKeys: ADDRESS_HEADERS.filter((h) => idx[h] !== undefined)
+  };
+  columns.missing = [
+    ["Date", columns.dateKey],
+    ["Description", columns.descKey],
+    ["Amount", columns.amtKey]
+  ].filter(([, key]) => !key).map(([name]) => name);
+  return columns;
+}
+
+/**
+ * Build a transaction from an Amex row
+ * @param {string[]} cols - Row cells
+ * @param {Object} columns - Result of mapColumns
+ * @param {{ date: string, amount: number, description: string }} values - Parsed date, Amex amount and description
+ * @param {string} source - Source identifier
+ * @param {Function} nextId - ID generator for the file (see idGenerator)
+ * @returns {Object} Normalized transaction
+ */
+function buildTransaction(cols, columns, { date, amount, description }, source, nextId) {
+  const { idx, memberKey, detailsKey, categoryKey, addressKeys } = columns;
+  // Charges are positive in Amex exports
+  const signed = amount === 0 ? 0 : -amount;
+  const txn = {
+    date,
+    description,
+    amount: signed,
+    source,
+    id: nextId(cols, { date, amount: signed, description })
+  };
+
+  const cardMember = memberKey ? singleLine(cols[idx[memberKey]]) : "";
+  const memo = detailsKey ? singleLine(cols[idx[detailsKey]]) : "";
+  const address = addressKeys.map((h) => singleLine(cols[idx[h]])).filter(Boolean).join(", ");
+  const category = categoryKey ? singleLine(cols[idx[categoryKey]]) : "";
+  if (cardMember) txn.cardMember = cardMember;
+  if (memo) txn.memo = memo;
+  if (address) txn.merchantAddress = address;
+  if (category) txn.importedCategory = category;
+  return txn;
+}
+
+/**
+ * Create the ID generator for a file
+ * Each card has its own "Account #", so identical charges on two cards
+ * in one export get different IDs.
+ *
+ * @param {Object} columns - Result of mapColumns
+ * @param {string} source - Source identifier
+ * @returns {(cols: string[], values: { date: string, amount: number, description: string }) => string} Row to ID
+ */
+function idGenerator(columns, source) {
+  const { idx, accountKey } = columns;
+  const generators = new Map();
+  return (cols, values) => {
+    const account = accountKey ? singleLine(cols[idx[accountKey]]).replace(/^-/, "") : "";
+    if (!generators.has(account)) {
+      generators.set(account, createIdGenerator(source, account ? { account } : {}));
+    }
+    return generators.get(account)(values);
+  };
+}
+
+/**
+ * Read one Amex row
+ * @param {string[]} cols - Row cells
+ * @param {Object} columns - Result of mapColumns
+ * @param {Object} context - Pipeline context (source, settings, dateOrder, nextId)
+ * @returns {import('./_rows.js').RowOutcome} Transaction or problems
+ */
+function readRow(cols, columns, { source, settings, dateOrder, nextId }) {
+  const { idx, dateKey, descKey, amtKey } = columns;
+  const rawDate = cols[idx[dateKey]];
+  const rawDesc = cols[idx[descKey]];
+  const rawAmount = cols[idx[amtKey]];
+  const value = { date: rawDate, description: rawDesc, amount: rawAmount };
+
+  const { date, ambiguous } = inspectDate(rawDate, { dateOrder });
+  const description = singleLine(rawDesc);
+  const amount = normalizeAmount(rawAmount, settings);
+
+  const problems = [];
+  if (!date) problems.push(`Invalid date "${rawDate ?? "(empty)"}"`);
+  if (!description) problems.push("Empty description");
+  if (Number.isNaN(amount)) problems.push(`Invalid amount "${rawAmount ?? "(empty)"}"`);
+  if (problems.length > 0) return { value, problems };
+
+  const txn = buildTransaction(cols, columns, { date, amount, description }, source, nextId);
+  return { value, date, ambiguous, transactions: [txn] };
+}
+
+/**
+ * Parse Amex CSV format with detailed error reporting per row
+ * @param {string} csvString - CSV content
+ * @param {string} source - Source identifier
+ * @param {Object} [options] - Parser options
+ * @param {string|Object} [options.locale] - Locale tag or settings for dates and amounts
+ * @returns {{ transactions: Array, errors: Array, warnings?: Array, skipped?: Array, totalRows: number, validCount: number, errorCount: number }}
+ */
+export function parseWithErrors(csvString, source = "amex", { locale } = {}) {
+  return parseRows(readCsv(csvString, { headerIndex }), { columns: mapColumns, readRow, idGenerator }, { source, locale });
+}
+
+/**
+ * Parse Amex CSV format
+ * @param {string} csvString - CSV content
+ * @param {string} source - Source identifier
+ * @param {Object} [options] - Parser options
+ * @param {string|Object} [options.locale] - Locale tag or settings for dates and amounts
+ * @returns {Array} Array of normalized transactions
+ */
+export function parse(csvString, source = "amex", options = {}) {
+  return transactionsOf(parseWithErrors(csvString, source, options), "Amex");
+}
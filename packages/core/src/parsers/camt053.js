@@ -0,0 +1,229 @@
+/**
+ * ISO 20022 camt.053 bank statement parser adapter
+ * Handles the XML end-of-day statements (BkToCstmrStmt) offered by
+ * European banks, versions 001.02 through 001.08
+ *
+ * Read from each <Ntry> (entry):
+ * - Amt (with its Ccy attribute) and CdtDbtInd (CRDT or DBIT) for the sign
+ * - BookgDt and ValDt (Dt or DtTm): booking date is the transaction date
+ * - Sts ("BOOK", "PDNG"; informational "INFO" entries are skipped)
+ * - AcctSvcrRef (bank reference, used for the transaction id)
+ * - NtryDtls/TxDtls: the counterparty (Dbtr for credits, Cdtr for debits)
+ *   with name and IBAN, and remittance information (RmtInf Ustrd, or the
+ *   structured creditor reference)
+ *
+ * A batch entry with several TxDtls, each with its own amount, becomes one
+ * transaction per TxDtls. The account IBAN comes from the enclosing <Stmt>.
+ */
+
+import { createIdGenerator, normalizeCurrency, normalizeIban } from "./_shared.js";
+import { parseMarkup, findAll, findFirst, textAt } from "./_markup.js";
+
+/**
+ * Read a camt date element (Dt, or DtTm) as YYYY-MM-DD
+ * @param {Object|null} node - BookgDt or ValDt node
+ * @returns {string|null} Date or null
+ */
+function readDate(node) {
+  if (!node) return null;
+  const m = (textAt(node, "Dt") || textAt(node, "DtTm")).match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (!m) return null;
+  const month = Number(m[2]);
+  const day = Number(m[3]);
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  return `${m[1]}-${m[2]}-${m[3]}`;
+}
+
+/**
+ * Read the entry status (a plain code before version 8, Sts/Cd after)
+ * @param {Object} entry - Ntry node
+ * @returns {string} Uppercase status code
+ */
+function readStatus(entry) {
+  const sts = findFirst(entry, "Sts");
+  if (!sts) return "";
+  return (textAt(sts, "Cd") || sts.text).trim().toUpperCase();
+}
+
+/**
+ * Read a party's name (Nm directly below the party, or below Pty since version 8)
+ * @param {Object|null} party - Dbtr or Cdtr node
+ * @returns {string} Name or empty string
+ */
+function partyName(party) {
+  if (!party) return "";
+  const pty = findFirst(party, "Pty") ?? party;
+  return pty.children.find((c) => c.name === "Nm")?.text ?? textAt(pty, "Nm");
+}
+
+/**
+ * Read the counterparty and remittance information of a transaction
+ * @param {Object|null} details - TxDtls node
+ * @param {boolean} credit - Money came in (the counterparty is the debtor)
+ * @returns {{ name: string, iban?: string, remittance: string }}
+ */
+function readDetails(details, credit) {
+  if (!details) return { name: "", remittance: "" };
+
+  const parties = findFirst(details, "RltdPties");
+  const name = parties ? partyName(findFirst(parties, credit ? "Dbtr" : "Cdtr")) : "";
+  const account = parties ? findFirst(parties, credit ? "DbtrAcct" : "CdtrAcct") : null;
+  const iban = account ? normalizeIban(textAt(account, "IBAN")) : undefined;
+
+  const rmtInf = findFirst(details, "RmtInf");
+  let remittance = "";
+  if (rmtInf) {
+    remittance = findAll(rmtInf, "Ustrd").map((u) => u.text).join(" ") || textAt(rmtInf, "CdtrRefInf", "Ref");
+  }
+  return { name, iban, remittance };
+}
+
+/**
+ * Read the amount of a node holding Amt directly or below AmtDtls/TxAmt
+ * @param {Object} node - Ntry or TxDtls node
+ * @returns {{ amount: number, currency?: string|null, raw: string }|null} Amount, or null when absent
+ */
+function readAmount(node) {
+  const txAmt = findFirst(node, "TxAmt");
+  const amt = node.children.find((c) => c.name === "Amt") ?? (txAmt ? findFirst(txAmt, "Amt") : null);
+  if (!amt) return null;
+  return { amount: Number(amt.text), currency: normalizeCurrency(amt.attrs.Ccy), raw: amt.text };
+}
+
+/**
+ * Score how likely the content is a camt.053 statement
+ * @param {{ text: string }} sample - Leading file content
+ * @returns {number} Confidence between 0 and 1
+ */
+export function detect({ text }) {
+  if (!/<(\w+:)?BkToCstmrStmt\b/.test(text)) return 0;
+  return /camt\.053/.test(text) ? 1 : 0.9;
+}
+
+/**
+ * Parse a camt.053 statement with detailed error reporting per entry
+ * Row numbers refer to the line of each <Ntry> start tag.
+ *
+ * @param {string} xmlString - camt.053 XML content
+ * @param {string} source - Source identifier
+ * @returns {{ transactions: Array, errors: Array, skipped?: Array, totalRows: number, validCount: number, errorCount: number }}
+ */
+export function parseWithErrors(xmlString, source = "camt053") {
+  const root = parseMarkup(xmlString ?? "");
+
+  if (!findFirst(root, "BkToCstmrStmt")) {
+    return {
+      transactions: [],
+      errors: [{ row: 0, message: "File is not a camt.053 statement (no <BkToCstmrStmt> element found)" }],
+      totalRows: 0,
+      validCount: 0,
+      errorCount: 1
+    };
+  }
+
+  const transactions = [];
+  const errors = [];
+  const skipped = [];
+  let totalRows = 0;
+
+  for (const stmt of findAll(root, "Stmt")) {
+    const acct = findFirst(stmt, "Acct");
+    const accountId = acct ? normalizeIban(textAt(acct, "IBAN")) ?? textAt(acct, "Othr", "Id") : "";
+    const accountCurrency = acct ? normalizeCurrency(textAt(acct, "Ccy")) : undefined;
+    const nextId = createIdGenerator(source, { account: accountId });
+
+    for (const entry of findAll(stmt, "Ntry")) {
+      const status = readStatus(entry);
+      totalRows++;
+      if (status === "INFO") {
+        skipped.push({
+          row: entry.line,
+          severity: "info",
+          message: "Informational entry (not booked)",
+          value: { reference: textAt(entry, "AcctSvcrRef"), date: textAt(entry, "BookgDt", "Dt"), amount: readAmount(entry)?.raw }
+        });
+        continue;
+      }
+
+      const indicator = textAt(entry, "CdtDbtInd").toUpperCase();
+      const credit = indicator === "CRDT";
+      const reversal = textAt(entry, "RvslInd").toLowerCase() === "true";
+      const date = readDate(findFirst(entry, "BookgDt"));
+      const valueDate = readDate(findFirst(entry, "ValDt"));
+      const reference = textAt(entry, "AcctSvcrRef");
+      const entryAmount = readAmount(entry);
+
+      const allDetails = findAll(entry, "TxDtls");
+      const split = allDetails.length > 1 && allDetails.every((d) => readAmount(d));
+      const parts = split ? allDetails : [allDetails[0] ?? null];
+
+      const rowErrors = [];
+      if (!date) rowErrors.push(`Invalid booking date "${textAt(entry, "BookgDt", "Dt") || "(empty)"}"`);
+      if (!entryAmount || Number.isNaN(entryAmount.amount)) {
+        rowErrors.push(`Invalid amount "${entryAmount?.raw || "(empty)"}"`);
+      }
+      if (indicator !== "CRDT" && indicator !== "DBIT") rowErrors.push(`Invalid credit/debit indicator "${indicator}"`);
+
+      if (rowErrors.length > 0) {
+        errors.push({
+          row: entry.line,
+          message: rowErrors.join("; "),
+          value: { reference, date: textAt(entry, "BookgDt", "Dt"), amount: entryAmount?.raw, indicator }
+        });
+        continue;
+      }
+
+      // CdtDbtInd is the direction of this entry, also for reversals
+      const sign = credit ? 1 : -1;
+      parts.forEach((details, i) => {
+        const { amount: value, currency } = split ? readAmount(details) : entryAmount;
+        const amount = sign * Math.abs(value);
+        const { name, iban, remittance } = readDetails(details, credit);
+        const fallback = textAt(entry, "AddtlNtryInf") || textAt(entry, "BkTxCd", "Prtry", "Cd") || "Bank entry";
+        let description = name || remittance || fallback;
+        if (name && remittance) description += ` [${remittance}]`;
+
+        let id;
+        if (reference) {
+          const ref = split ? `${reference}-${i + 1}` : reference;
+          id = accountId ? `${source}:${accountId}:${ref}` : `${source}:${ref}`;
+        } else {
+          id = nextId({ date, amount, description });
+        }
+
+        const txn = { date, description, amount, source, id };
+        if (valueDate) txn.valueDate = valueDate;
+        if (currency ?? accountCurrency) txn.currency = currency ?? accountCurrency;
+        if (name) txn.counterparty = name;
+        if (iban) txn.counterpartyIban = iban;
+        if (remittance) txn.memo = remittance;
+        if (status === "PDNG") txn.status = "pending";
+        else if (status === "BOOK") txn.status = "posted";
+        if (reversal) txn.memo = txn.memo ? `Reversal: ${txn.memo}` : "Reversal";
+        transactions.push(txn);
+      });
+    }
+  }
+
+  return {
+    transactions,
+    errors,
+    totalRows,
+    validCount: transactions.length,
+    errorCount: errors.length
+  };
+}
+
+/**
+ * Parse a camt.053 statement
+ * @param {string} xmlString - camt.053 XML content
+ * @param {string} source - Source identifier
+ * @returns {Array} Array of normalized transactions
+ */
+export function parse(xmlString, source = "camt053") {
+  const result = parseWithErrors(xmlString, source);
+  if (result.errors.length > 0 && result.errors[0].row === 0) {
+    throw new Error(result.errors[0].message);
+  }
+  return result.transactions;
+}
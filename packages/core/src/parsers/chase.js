@@ -12,77 +12,131 @@
  * - Memo (optional)
  */
 
+import { readCsv } from "./_csv.js";
+import { parseRows, transactionsOf } from "./_rows.js";
 import {
-  splitCsvLine,
   indexMap,
   pickKey,
-  normalizeDate,
+  inspectDate,
   normalizeAmount,
-  hash
+  looksLikeDate,
+  sampleRatio
 } from "./_shared.js";
 
+const CHASE_TYPES = new Set(["Sale", "Return", "Payment", "Fee", "Adjustment"]);
+
 /**
- * Parse Chase CSV format
- * @param {string} csvString - CSV content
- * @param {string} source - Source identifier
- * @returns {Array} Array of normalized transactions
+ * Score how well a file matches the Chase credit card format
+ * @param {{ headers: string[], rows: Array<{ cols: string[] }> }} sample - Header row and sample rows
+ * @returns {number} Confidence between 0 and 1
  */
-export function parse(csvString, source = "chase") {
-  const lines = csvString
-    .split(/\r?\n/)
-    .map((l) => l.trim())
-    .filter(Boolean);
-
-  if (lines.length < 2) return [];
-
-  const headers = splitCsvLine(lines[0]).map((h) => h.trim());
+export function detect({ headers, rows }) {
   const idx = indexMap(headers);
-
-  // Chase-specific header mapping
   const dateKey = pickKey(idx, ["Transaction Date", "Post Date", "Date"]);
   const descKey = pickKey(idx, ["Description"]);
   const amtKey = pickKey(idx, ["Amount"]);
   const typeKey = pickKey(idx, ["Type"]);
-  const memoKey = pickKey(idx, ["Memo"]);
+  if (!dateKey || !descKey || !amtKey) return 0;
 
-  if (!dateKey || !descKey || !amtKey) {
-    throw new Error(
-      `Chase CSV missing required headers. Found: ${headers.join(", ")}\n` +
-      `Expected: Transaction Date, Description, Amount`
-    );
+  let score = 0.3;
+  if (idx["Transaction Date"] !== undefined && idx["Post Date"] !== undefined) score += 0.2;
+  if (typeKey) {
+    score += 0.2;
+    score += 0.2 * sampleRatio(rows, (cols) => CHASE_TYPES.has((cols[idx[typeKey]] ?? "").trim()));
   }
+  score += 0.1 * sampleRatio(rows, (cols) => looksLikeDate(cols[idx[dateKey]]));
+  return score;
+}
+
+/**
+ * Map the Chase columns present in a file
+ * @param {string[]} headers - Header row
+ * @returns {Object} Column keys (undefined when absent), the index map and missing required headers
+ */
+function mapColumns(headers) {
+  const idx = indexMap(headers);
+  const columns = {
+    idx,
+    dateKey: pickKey(idx, ["Transaction Date", "Post Date", "Date"]),
+    descKey: pickKey(idx, ["Description"]),
+    amtKey: pickKey(idx, ["Amount"]),
+    typeKey: pickKey(idx, ["Type"]),
+    memoKey: pickKey(idx, ["Memo"])
+  };
+  columns.missing = [
+    ["Transaction Date", columns.dateKey],
+    ["Description", columns.descKey],
+    ["Amount", columns.amtKey]
+  ].filter(([, key]) => !key).map(([name]) => name);
+  return columns;
+}
 
-  const out = [];
-  for (let i = 1; i < lines.length; i++) {
-    const cols = splitCsvLine(lines[i]);
-    const date = normalizeDate(cols[idx[dateKey]]);
-    let description = (cols[idx[descKey]] ?? "").trim();
-    let amount = normalizeAmount(cols[idx[amtKey]]);
+/**
+ * Read one Chase row
+ * @param {string[]} cols - Row cells
+ * @param {Object} columns - Result of mapColumns
+ * @param {Object} context - Pipeline context (source, settings, dateOrder, nextId)
+ * @returns {import('./_rows.js').RowOutcome} Transaction or problems
+ */
+function readRow(cols, { idx, dateKey, descKey, amtKey, typeKey, memoKey }, { source, settings, dateOrder, nextId }) {
+  const rawDate = cols[idx[dateKey]];
+  const rawDesc = cols[idx[descKey]];
+  const rawAmount = cols[idx[amtKey]];
+  const type = typeKey ? (cols[idx[typeKey]] ?? "").trim() : "";
+  const value = { date: rawDate, description: rawDesc, amount: rawAmount, type };
 
-    // Add memo to description if available
-    if (memoKey && cols[idx[memoKey]]) {
-      const memo = cols[idx[memoKey]].trim();
-      if (memo) description += ` [${memo}]`;
-    }
+  const { date, ambiguous } = inspectDate(rawDate, { dateOrder });
+  let description = (rawDesc ?? "").trim();
+  let amount = normalizeAmount(rawAmount, settings);
 
-    // Chase exports charges as negative for credit cards
-    // Ensure consistent negative values for charges
-    const type = typeKey ? (cols[idx[typeKey]] ?? "").trim() : "";
-    if (type === "Return" || type === "Payment") {
-      amount = Math.abs(amount);
-    } else if (type === "Sale") {
-      amount = -Math.abs(amount);
-    }
+  const problems = [];
+  if (!date) problems.push(`Invalid date "${rawDate ?? "(empty)"}"`);
+  if (!description) problems.push("Empty description");
+  if (Number.isNaN(amount)) problems.push(`Invalid amount "${rawAmount ?? "(empty)"}"`);
+  if (problems.length > 0) return { value, problems };
 
-    if (!date || !description || Number.isNaN(amount)) continue;
+  // Add memo to description if available
+  const memo = memoKey ? (cols[idx[memoKey]] ?? "").trim() : "";
+  if (memo) description += ` [${memo}]`;
 
-    out.push({
-      date,
-      description,
-      amount,
-      source,
-      id: `${source}:${date}:${hash(description)}:${i}`
-    });
+  // Chase exports charges as negative for credit cards
+  // Ensure consistent negative values for charges
+  if (type === "Return" || type === "Payment") {
+    amount = Math.abs(amount);
+  } else if (type === "Sale") {
+    amount = -Math.abs(amount);
   }
-  return out;
+
+  const txn = {
+    date,
+    description,
+    amount,
+    source,
+    id: nextId({ date, amount, description })
+  };
+  return { value, date, ambiguous, transactions: [txn] };
+}
+
+/**
+ * Parse Chase CSV format with detailed error reporting per row
+ * @param {string} csvString - CSV content
+ * @param {string} source - Source identifier
+ * @param {Object} [options] - Parser options
+ * @param {string|Object} [options.locale] - Locale tag or settings for dates and amounts
+ * @returns {{ transactions: Array, errors: Array, warnings?: Array, skipped?: Array, totalRows: number, validCount: number, errorCount: number }}
+ */
+export function parseWithErrors(csvString, source = "chase", { locale } = {}) {
+  return parseRows(readCsv(csvString), { columns: mapColumns, readRow }, { source, locale });
+}
+
+/**
+ * Parse Chase CSV format
+ * @param {string} csvString - CSV content
+ * @param {string} source - Source identifier
+ * @param {Object} [options] - Parser options
+ * @param {string|Object} [options.locale] - Locale tag or settings for dates and amounts
+ * @returns {Array} Array of normalized transactions
+ */
+export function parse(csvString, source = "chase", options = {}) {
+  return transactionsOf(parseWithErrors(csvString, source, options), "Chase");
 }
@@ -0,0 +1,298 @@
+/**
+ * Checking account CSV parser adapter
+ * Handles bank checking exports (Bank of America, credit unions) that put
+ * summary lines above the header, and Wells Fargo's headerless layout
+ *
+ * Supported headers (searched for below any preamble lines):
+ * - Date: "Date", "Posted Date", "Posting Date", "Post Date", "Transaction Date"
+ * - Description: "Description", "Payee", "Transaction Description", "Name"
+ * - Memo (optional, appended to the description)
+ * - Amount: "Amount", "Transaction Amount", or Withdrawal/Deposit (Debit/Credit) columns
+ * - Running balance (optional): "Running Bal.", "Running Balance", "Balance"
+ *
+ * Wells Fargo files have no header: "date","amount","*","","description".
+ *
+ * When a running balance is present, each row's balance must equal the
+ * previous balance plus the row's amount. Rows may be listed oldest or
+ * newest first. A break means rows are missing or out of order; it is
+ * reported as an error on the row where the balance stops adding up, and
+ * the row itself is still imported. Rows with a balance but no amount
+ * ("Beginning balance as of ...") only set the starting balance.
+ */
+
+import { readCsv } from "./_csv.js";
+import { parseRows, transactionsOf } from "./_rows.js";
+import {
+  indexMap,
+  pickKey,
+  inspectDate,
+  normalizeAmount,
+  looksLikeDate,
+  sampleRatio
+} from "./_shared.js";
+
+const DATE_HEADERS = ["Date", "Posted Date", "Posting Date", "Post Date", "Transaction Date"];
+const DESCRIPTION_HEADERS = ["Description", "Payee", "Transaction Description", "Name"];
+const AMOUNT_HEADERS = ["Amount", "Transaction Amount"];
+const DEBIT_HEADERS = ["Withdrawal", "Withdrawals", "Debit", "Debits"];
+const CREDIT_HEADERS = ["Deposit", "Deposits", "Credit", "Credits"];
+const BALANCE_HEADERS = ["Running Bal.", "Running Balance", "Balance"];
+
+// Column names of the Wells Fargo layout, which has no header row
+const WELLS_FARGO_HEADERS = ["Date", "Amount", "", "", "Description"];
+
+// Preamble lines are only looked for near the top of the file
+const MAX_PREAMBLE_ROWS = 15;
+
+/**
+ * Map the checking columns of a candidate header row
+ * @param {string[]} headers - Candidate header row
+ * @returns {Object} Column keys (null when absent), the index map and missing required headers
+ */
+function mapColumns(headers) {
+  const idx = indexMap(headers);
+  const amtKey = pickKey(idx, AMOUNT_HEADERS);
+  const columns = {
+    idx,
+    dateKey: pickKey(idx, DATE_HEADERS),
+    descKey: pickKey(idx, DESCRIPTION_HEADERS),
+    memoKey: pickKey(idx, ["Memo"]),
+    amtKey,
+    debitKey: amtKey ? null : pickKey(idx, DEBIT_HEADERS),
+    creditKey: amtKey ? null : pickKey(idx, CREDIT_HEADERS),
+    balanceKey: pickKey(idx, BALANCE_HEADERS)
+  };
+  columns.missing = [
+    ["Date", columns.dateKey],
+    ["Description", columns.descKey],
+    ["Amount (or Withdrawal/Deposit)", columns.amtKey || columns.debitKey || columns.creditKey]
+  ].filter(([, key]) => !key).map(([name]) => name);
+  return columns;
+}
+
+/**
+ * Map the columns of a file, reading a headerless file as Wells Fargo's layout
+ * @param {string[]} headers - Header row (empty when the file has none)
+ * @returns {Object} Result of mapColumns
+ */
+function fileColumns(headers) {
+  return mapColumns(headers.length > 0 ? headers : WELLS_FARGO_HEADERS);
+}
+
+/**
+ * Check whether a row follows the Wells Fargo headerless layout
+ * @param {string[]} fields - Row fields
+ * @returns {boolean} True for "date","amount","*","","description" rows
+ */
+function isWellsFargoRow(fields) {
+  return (
+    fields.length === 5 &&
+    looksLikeDate(fields[0]) &&
+    !Number.isNaN(normalizeAmount(fields[1])) &&
+    fields[2] === "*"
+  );
+}
+
+/**
+ * Find the header row below any preamble lines
+ * @param {string[][]} records - Leading records of the file
+ * @returns {{ index: number, columns: Object }|null} Header position and columns
+ */
+function findHeader(records) {
+  const limit = Math.min(records.length, MAX_PREAMBLE_ROWS + 1);
+  for (let i = 0; i < limit; i++) {
+    const columns = mapColumns(records[i]);
+    if (columns.missing.length === 0) return { index: i, columns };
+  }
+  return null;
+}
+
+/**
+ * Locate the header among the leading records
+ * @param {string[][]} records - Leading non-blank records
+ * @returns {number} Header index; -1 for a headerless (Wells Fargo) file, and 0 when there is no header so the first record is reported as one
+ */
+export function headerIndex(records) {
+  if (records.length === 0 || isWellsFargoRow(records[0])) return -1;
+  return findHeader(records)?.index ?? 0;
+}
+
+/**
+ * Score how well a file matches a checking export
+ * @param {{ headers: string[], rows: Array<{ cols: string[] }> }} sample - Header row and sample rows
+ * @returns {number} Confidence between 0 and 1
+ */
+export function detect({ headers, rows }) {
+  if (isWellsFargoRow(headers)) {
+    return 0.3 + 0.5 * sampleRatio(rows, isWellsFargoRow);
+  }
+
+  const found = findHeader([headers, ...rows.map((r) => r.cols)]);
+  if (!found) return 0;
+
+  const { idx, dateKey, balanceKey } = found.columns;
+  const dataRows = rows.slice(found.index);
+  let score = 0.3;
+  if (balanceKey) score += 0.2;
+  if (found.index > 0) score += 0.2;
+  score += 0.2 * sampleRatio(dataRows, (cols) => looksLikeDate(cols[idx[dateKey]]));
+  return score;
+}
+
+/**
+ * Read one cell of a row
+ * @param {string[]} cols - Row fields
+ * @param {Object} idx - Header index map
+ * @param {string|null} key - Column key
+ * @returns {string} Trimmed cell, or "" when the column is absent
+ */
+function cell(cols, idx, key) {
+  return key ? (cols[idx[key]] ?? "").trim() : "";
+}
+
+/**
+ * Read the amount of a row
+ * @param {string[]} cols - Row fields
+ * @param {Object} columns - Result of mapColumns
+ * @param {Object} settings - Locale settings
+ * @returns {{ amount: number|null, raw: string }} Amount (null when blank, NaN when invalid)
+ */
+function readAmount(cols, { idx, amtKey, debitKey, creditKey }, settings) {
+  if (amtKey) {
+    const raw = cell(cols, idx, amtKey);
+    return { amount: raw ? normalizeAmount(raw, settings) : null, raw };
+  }
+
+  // Withdrawals are charges regardless of their sign
+  const debit = cell(cols, idx, debitKey);
+  const credit = cell(cols, idx, creditKey);
+  const raw = debit || credit;
+  if (!raw) return { amount: null, raw };
+  const value = normalizeAmount(raw, settings);
+  return { amount: debit ? -Math.abs(value) : Math.abs(value), raw };
+}
+
+/**
+ * Read one checking row
+ * The row's running balance rides along in the outcome for checkRows.
+ *
+ * @param {string[]} cols - Row fields
+ * @param {Object} columns - Result of fileColumns
+ * @param {Object} context - Pipeline context (source, settings, dateOrder, nextId)
+ * @returns {import('./_rows.js').RowOutcome & { balance?: number }} Transaction, skip or problems
+ */
+function readRow(cols, columns, { source, settings, dateOrder, nextId }) {
+  const { idx, dateKey, descKey, memoKey, balanceKey } = columns;
+  const rawDate = cols[idx[dateKey]];
+  const rawDesc = cols[idx[descKey]];
+  const { amount, raw: rawAmount } = readAmount(cols, columns, settings);
+  const rawBalance = cell(cols, idx, balanceKey);
+  const balance = rawBalance ? normalizeAmount(rawBalance, settings) : null;
+
+  // "Beginning balance as of ..." rows only carry the starting balance
+  if (amount === null && balance !== null && !Number.isNaN(balance)) {
+    return {
+      value: { date: rawDate, description: rawDesc, balance: rawBalance },
+      skip: "Balance-only row",
+      balance
+    };
+  }
+
+  const value = { date: rawDate, description: rawDesc, amount: rawAmount, balance: rawBalance || undefined };
+  const { date, ambiguous } = inspectDate(rawDate, { dateOrder });
+  let description = (rawDesc ?? "").trim();
+  const memo = cell(cols, idx, memoKey);
+  if (description && memo) description += ` [${memo}]`;
+
+  const problems = [];
+  if (!date) problems.push(`Invalid date "${rawDate ?? "(empty)"}"`);
+  if (!description) problems.push("Empty description");
+  if (amount === null || Number.isNaN(amount)) problems.push(`Invalid amount "${rawAmount || "(empty)"}"`);
+  if (Number.isNaN(balance)) problems.push(`Invalid balance "${rawBalance}"`);
+  if (problems.length > 0) return { value, problems };
+
+  const txn = {
+    date,
+    description,
+    amount,
+    source,
+    id: nextId({ date, amount, description })
+  };
+  return { value, date, ambiguous, transactions: [txn], balance: balance ?? undefined };
+}
+
+/**
+ * Check the running balance and report each break
+ * @param {Array<{ row: number, amount: number, balance: number }>} entries - Rows with a balance, in file order
+ * @returns {Array} Import errors
+ */
+function checkBalances(entries) {
+  const cents = (n) => Math.round(n * 100);
+  /** @type {Array<[Object, Object]>} */
+  const pairs = entries.slice(1).map((entry, i) => [entries[i], entry]);
+  if (pairs.length === 0) return [];
+
+  // Oldest first: this balance = previous balance + this amount.
+  // Newest first: previous balance = this balance + previous amount.
+  const ascending = ([prev, cur]) => cents(prev.balance + cur.amount) === cents(cur.balance);
+  const descending = ([prev, cur]) => cents(cur.balance + prev.amount) === cents(prev.balance);
+  const newestFirst = pairs.filter(descending).length > pairs.filter(ascending).length;
+
+  const errors = [];
+  for (const pair of pairs) {
+    if (newestFirst ? descending(pair) : ascending(pair)) continue;
+    const [prev, cur] = pair;
+    // The row whose balance doesn't follow from the row before it in time
+    const [before, entry] = newestFirst ? [cur, prev] : [prev, cur];
+    const expected = (before.balance + entry.amount).toFixed(2);
+    errors.push({
+      row: entry.row,
+      field: "balance",
+      severity: "error",
+      message:
+        `Running balance break: expected ${expected} after row ${before.row}, found ${entry.balance.toFixed(2)} ` +
+        "(rows may be missing or out of order)",
+      value: { expected: Number(expected), found: entry.balance, previousRow: before.row }
+    });
+  }
+  return errors;
+}
+
+/**
+ * Check the running balance of the rows read
+ * @param {Array<{ line: number, outcome: Object }>} read - Rows read without problems, in file order
+ * @returns {Array} Import errors
+ */
+function checkRows(read) {
+  return checkBalances(
+    read
+      .filter(({ outcome }) => outcome.balance !== undefined)
+      .map(({ line, outcome }) => ({ row: line, amount: outcome.transactions?.[0].amount ?? 0, balance: outcome.balance }))
+  );
+}
+
+/**
+ * Parse a checking export with detailed error reporting per row
+ * @param {string} csvString - CSV content
+ * @param {string} source - Source identifier
+ * @param {Object} [options] - Parser options
+ * @param {string|Object} [options.locale] - Locale tag or settings for dates and amounts
+ * @returns {{ transactions: Array, errors: Array, warnings?: Array, skipped?: Array, totalRows: number, validCount: number, errorCount: number }}
+ */
+export function parseWithErrors(csvString, source = "checking", { locale } = {}) {
+  return parseRows(readCsv(csvString, { headerIndex }), { columns: fileColumns, readRow, checkRows }, { source, locale });
+}
+
+/**
+ * Parse a checking export
+ * Balance breaks are only reported by parseWithErrors.
+ *
+ * @param {string} csvString - CSV content
+ * @param {string} source - Source identifier
+ * @param {Object} [options] - Parser options
+ * @param {string|Object} [options.locale] - Locale tag or settings for dates and amounts
+ * @returns {Array} Array of normalized transactions
+ */
+export function parse(csvString, source = "checking", options = {}) {
+  return transactionsOf(parseWithErrors(csvString, source, options), "Checking");
+}
@@ -3,99 +3,160 @@
  * Handles Costco Citi credit card export format
  *
  * Supported headers (Costco Citi format):
- * - Status (often "Cleared")
+ * - Status ("Cleared" or "Pending"; pending charges are kept with status "pending")
  * - Date
  * - Description
  * - Debit
  * - Credit
- * - Member (optional - cardholder name)
+ * - Member (optional - cardholder name, kept as cardMember)
  *
- * Note: Costco uses separate Debit/Credit columns instead of a single Amount
+ * Note: Costco uses separate Debit/Credit columns instead of a single Amount.
+ * Rows with a zero amount are skipped (reported with severity "info").
  */
 
+import { readCsv } from "./_csv.js";
+import { parseRows, transactionsOf } from "./_rows.js";
 import {
-  splitCsvLine,
   indexMap,
   pickKey,
-  normalizeDate,
+  inspectDate,
   normalizeAmount,
-  hash
+  looksLikeDate,
+  sampleRatio,
+  normalizeStatus
 } from "./_shared.js";
 
 /**
- * Parse Costco Citi CSV format
- * @param {string} csvString - CSV content
- * @param {string} source - Source identifier
- * @returns {Array} Array of normalized transactions
+ * Score how well a file matches the Costco Citi format
+ * @param {{ headers: string[], rows: Array<{ cols: string[] }> }} sample - Header row and sample rows
+ * @returns {number} Confidence between 0 and 1
  */
-export function parse(csvString, source = "costco") {
-  const lines = csvString
-    .split(/\r?\n/)
-    .map((l) => l.trim())
-    .filter(Boolean);
-
-  if (lines.length < 2) return [];
-
-  const headers = splitCsvLine(lines[0]).map((h) => h.trim());
+export function detect({ headers, rows }) {
   const idx = indexMap(headers);
-
-  // Costco-specific header mapping
   const dateKey = pickKey(idx, ["Date", "Transaction Date", "Posted Date"]);
   const descKey = pickKey(idx, ["Description", "Merchant"]);
   const debitKey = pickKey(idx, ["Debit"]);
   const creditKey = pickKey(idx, ["Credit"]);
   const statusKey = pickKey(idx, ["Status"]);
+  if (!dateKey || !descKey || (!debitKey && !creditKey)) return 0;
 
-  if (!dateKey || !descKey) {
-    throw new Error(
-      `Costco CSV missing required headers. Found: ${headers.join(", ")}\n` +
-      `Expected: Date, Description, and either Debit/Credit or Amount`
+  let score = 0.3;
+  score += debitKey && creditKey ? 0.3 : 0.15;
+  if (idx["Member"] !== undefined) score += 0.1;
+  if (statusKey) {
+    score += 0.1;
+    score += 0.1 * sampleRatio(rows, (cols) =>
+      ["cleared", "pending"].includes((cols[idx[statusKey]] ?? "").trim().toLowerCase())
     );
   }
+  score += 0.1 * sampleRatio(rows, (cols) => looksLikeDate(cols[idx[dateKey]]));
+  return score;
+}
 
-  // Check if we have Debit/Credit columns OR a single Amount column
-  const hasDebitCredit = debitKey || creditKey;
-  const amtKey = hasDebitCredit ? null : pickKey(idx, ["Amount"]);
+/**
+ * Map the Costco columns present in a file
+ * @param {string[]} headers - Header row
+ * @returns {Object} Column keys (undefined when absent), the index map and missing required headers
+ */
+function mapColumns(headers) {
+  const idx = indexMap(headers);
+  const debitKey = pickKey(idx, ["Debit"]);
+  const creditKey = pickKey(idx, ["Credit"]);
+  const columns = {
+    idx,
+    dateKey: pickKey(idx, ["Date", "Transaction Date", "Posted Date"]),
+    descKey: pickKey(idx, ["Description", "Merchant"]),
+    debitKey,
+    creditKey,
+    // A single Amount column is only used without Debit/Credit columns
+    amtKey: debitKey || creditKey ? undefined : pickKey(idx, ["Amount"]),
+    statusKey: pickKey(idx, ["Status"]),
+    memberKey: pickKey(idx, ["Member"])
+  };
+  columns.missing = [
+    ["Date", columns.dateKey],
+    ["Description", columns.descKey],
+    ["Debit/Credit or Amount", debitKey || creditKey || columns.amtKey]
+  ].filter(([, key]) => !key).map(([name]) => name);
+  return columns;
+}
 
-  if (!hasDebitCredit && !amtKey) {
-    throw new Error(
-      `Costco CSV must have either Debit/Credit columns or Amount column`
-    );
-  }
+/**
+ * Read one Costco row
+ * @param {string[]} cols - Row cells
+ * @param {Object} columns - Result of mapColumns
+ * @param {Object} context - Pipeline context (source, settings, dateOrder, nextId)
+ * @returns {import('./_rows.js').RowOutcome} Transaction, problems or a zero-amount skip
+ */
+function readRow(cols, columns, { source, settings, dateOrder, nextId }) {
+  const { idx, dateKey, descKey, debitKey, creditKey, amtKey, statusKey, memberKey } = columns;
+  const cell = (key) => (key ? (cols[idx[key]] ?? "").trim() : "");
+  const rawDate = cols[idx[dateKey]];
+  const rawDesc = cols[idx[descKey]];
+  const rawDebit = cell(debitKey);
+  const rawCredit = cell(creditKey);
+  const rawAmount = amtKey ? cell(amtKey) : rawDebit || rawCredit;
+  const value = { date: rawDate, description: rawDesc, amount: rawAmount, debit: rawDebit, credit: rawCredit };
 
-  const out = [];
-  for (let i = 1; i < lines.length; i++) {
-    const cols = splitCsvLine(lines[i]);
-    const date = normalizeDate(cols[idx[dateKey]]);
-    const description = (cols[idx[descKey]] ?? "").trim();
+  const { date, ambiguous } = inspectDate(rawDate, { dateOrder });
+  const description = (rawDesc ?? "").trim();
 
-    // Calculate amount from Debit/Credit or Amount column
-    let amount;
-    if (hasDebitCredit) {
-      const debit = debitKey ? normalizeAmount(cols[idx[debitKey]]) : 0;
-      const credit = creditKey ? normalizeAmount(cols[idx[creditKey]]) : 0;
+  const problems = [];
+  if (!date) problems.push(`Invalid date "${rawDate ?? "(empty)"}"`);
+  if (!description) problems.push("Empty description");
 
-      // Debits are negative (charges), Credits are positive (returns/payments)
-      amount = (credit || 0) - (debit || 0);
-    } else {
-      amount = normalizeAmount(cols[idx[amtKey]]);
-    }
+  // Debits are negative (charges), Credits are positive (returns/payments)
+  let amount;
+  if (amtKey) {
+    amount = normalizeAmount(rawAmount, settings);
+    if (Number.isNaN(amount)) problems.push(`Invalid amount "${rawAmount || "(empty)"}"`);
+  } else {
+    const debit = normalizeAmount(rawDebit, settings);
+    const credit = normalizeAmount(rawCredit, settings);
+    if (Number.isNaN(debit)) problems.push(`Invalid debit "${rawDebit}"`);
+    if (Number.isNaN(credit)) problems.push(`Invalid credit "${rawCredit}"`);
+    amount = credit - debit;
+  }
+  if (problems.length > 0) return { value, problems };
+  if (amount === 0) return { value, skip: "Zero amount" };
 
-    // Skip pending transactions if status column exists
-    if (statusKey) {
-      const status = (cols[idx[statusKey]] ?? "").trim().toLowerCase();
-      if (status === "pending") continue;
-    }
+  const txn = {
+    date,
+    description,
+    amount,
+    source,
+    id: nextId({ date, amount, description })
+  };
+  // Pending charges are kept so a later import can supersede them once posted
+  const status = statusKey ? normalizeStatus(cols[idx[statusKey]]) : undefined;
+  if (status) txn.status = status;
+  const cardMember = cell(memberKey);
+  if (cardMember) txn.cardMember = cardMember;
+  return { value, date, ambiguous, transactions: [txn] };
+}
 
-    if (!date || !description || Number.isNaN(amount) || amount === 0) continue;
+/**
+ * Parse Costco Citi CSV format with detailed error reporting per row
+ * Rows without an amount are reported as skipped rather than imported.
+ *
+ * @param {string} csvString - CSV content
+ * @param {string} source - Source identifier
+ * @param {Object} [options] - Parser options
+ * @param {string|Object} [options.locale] - Locale tag or settings for dates and amounts
+ * @returns {{ transactions: Array, errors: Array, warnings?: Array, skipped?: Array, totalRows: number, validCount: number, errorCount: number }}
+ */
+export function parseWithErrors(csvString, source = "costco", { locale } = {}) {
+  return parseRows(readCsv(csvString), { columns: mapColumns, readRow }, { source, locale });
+}
 
-    out.push({
-      date,
-      description,
-      amount,
-      source,
-      id: `${source}:${date}:${hash(description)}:${i}`
-    });
-  }
-  return out;
+/**
+ * Parse Costco Citi CSV format
+ * @param {string} csvString - CSV content
+ * @param {string} source - Source identifier
+ * @param {Object} [options] - Parser options
+ * @param {string|Object} [options.locale] - Locale tag or settings for dates and amounts
+ * @returns {Array} Array of normalized transactions
+ */
+export function parse(csvString, source = "costco", options = {}) {
+  return transactionsOf(parseWithErrors(csvString, source, options), "Costco");
 }
@@ -6,166 +6,136 @@
  * - Date: "Date", "Transaction Date", "Posting Date"
  * - Description: "Description", "Merchant", "Transaction Description"
  * - Amount: "Amount", "Debit", "Charge", "Transaction Amount"
+ * - Currency (optional): "Currency", "Currency Code"
+ * - Status (optional): "Status", "Transaction Status" (pending or posted)
  */
 
+import { readCsv } from "./_csv.js";
+import { parseRows, transactionsOf } from "./_rows.js";
 import {
-  splitCsvLine,
   indexMap,
   pickKey,
-  normalizeDate,
+  inspectDate,
   normalizeAmount,
-  hash
+  normalizeCurrency,
+  looksLikeDate,
+  sampleRatio,
+  normalizeStatus
 } from "./_shared.js";
 
+const DATE_HEADERS = ["Date", "Transaction Date", "Posting Date"];
+const DESCRIPTION_HEADERS = ["Description", "Merchant", "Transaction Description"];
+const AMOUNT_HEADERS = ["Amount", "Debit", "Charge", "Transaction Amount"];
+const CURRENCY_HEADERS = ["Currency", "Currency Code"];
+const STATUS_HEADERS = ["Status", "Transaction Status"];
+
 /**
- * Parse generic CSV format
- * @param {string} csvString - CSV content
- * @param {string} source - Source identifier
- * @returns {Array} Array of normalized transactions
+ * Score how well a file matches the generic format
+ * Capped below the dedicated adapters, since most bank exports also
+ * satisfy the generic header set.
+ *
+ * @param {{ headers: string[], rows: Array<{ cols: string[] }> }} sample - Header row and sample rows
+ * @returns {number} Confidence between 0 and 1
  */
-export function parse(csvString, source = "generic") {
-  const lines = csvString
-    .split(/\r?\n/)
-    .map((l) => l.trim())
-    .filter(Boolean);
-
-  if (lines.length < 2) return [];
-
-  const headers = splitCsvLine(lines[0]).map((h) => h.trim());
+export function detect({ headers, rows }) {
   const idx = indexMap(headers);
+  const dateKey = pickKey(idx, DATE_HEADERS);
+  const descKey = pickKey(idx, DESCRIPTION_HEADERS);
+  const amtKey = pickKey(idx, AMOUNT_HEADERS);
+  if (!dateKey || !descKey || !amtKey) return 0;
+
+  const valid = sampleRatio(
+    rows,
+    (cols) => looksLikeDate(cols[idx[dateKey]]) && !Number.isNaN(normalizeAmount(cols[idx[amtKey]]))
+  );
+  return 0.4 + 0.2 * valid;
+}
 
-  // Flexible header mapping for common formats
-  const dateKey = pickKey(idx, ["Date", "Transaction Date", "Posting Date"]);
-  const descKey = pickKey(idx, ["Description", "Merchant", "Transaction Description"]);
-  const amtKey = pickKey(idx, ["Amount", "Debit", "Charge", "Transaction Amount"]);
-
-  if (!dateKey || !descKey || !amtKey) {
-    throw new Error(
-      `CSV missing required headers. Found: ${headers.join(", ")}`
-    );
-  }
-
-  const out = [];
-  for (let i = 1; i < lines.length; i++) {
-    const cols = splitCsvLine(lines[i]);
-    const date = normalizeDate(cols[idx[dateKey]]);
-    const description = (cols[idx[descKey]] ?? "").trim();
-    const amount = normalizeAmount(cols[idx[amtKey]]);
-
-    if (!date || !description || Number.isNaN(amount)) continue;
+/**
+ * Map the generic columns present in a file
+ * @param {string[]} headers - Header row
+ * @returns {Object} Column keys (undefined when absent), the index map and missing required headers
+ */
+function mapColumns(headers) {
+  const idx = indexMap(headers);
+  const columns = {
+    idx,
+    dateKey: pickKey(idx, DATE_HEADERS),
+    descKey: pickKey(idx, DESCRIPTION_HEADERS),
+    amtKey: pickKey(idx, AMOUNT_HEADERS),
+    curKey: pickKey(idx, CURRENCY_HEADERS),
+    statusKey: pickKey(idx, STATUS_HEADERS)
+  };
+  columns.missing = [
+    ["Date", columns.dateKey],
+    ["Description", columns.descKey],
+    ["Amount", columns.amtKey]
+  ].filter(([, key]) => !key).map(([name]) => name);
+  return columns;
+}
 
-    out.push({
-      date,
-      description,
-      amount,
-      source,
-      id: `${source}:${date}:${hash(description)}:${i}`
-    });
-  }
-  return out;
+/**
+ * Read one generic row
+ * @param {string[]} cols - Row cells
+ * @param {Object} columns - Result of mapColumns
+ * @param {Object} context - Pipeline context (source, settings, dateOrder, nextId)
+ * @returns {import('./_rows.js').RowOutcome} Transaction or problems
+ */
+function readRow(cols, { idx, dateKey, descKey, amtKey, curKey, statusKey }, { source, settings, dateOrder, nextId }) {
+  const rawDate = cols[idx[dateKey]];
+  const rawDesc = cols[idx[descKey]];
+  const rawAmount = cols[idx[amtKey]];
+  const rawCurrency = curKey ? cols[idx[curKey]] : undefined;
+  const value = { date: rawDate, description: rawDesc, amount: rawAmount };
+
+  const { date, ambiguous } = inspectDate(rawDate, { dateOrder });
+  const description = (rawDesc ?? "").trim();
+  const amount = normalizeAmount(rawAmount, settings);
+  const currency = normalizeCurrency(rawCurrency);
+  const status = statusKey ? normalizeStatus(cols[idx[statusKey]]) : undefined;
+
+  const problems = [];
+  if (!date) problems.push(`Invalid date "${rawDate ?? "(empty)"}"`);
+  if (!description) problems.push("Empty description");
+  if (Number.isNaN(amount)) problems.push(`Invalid amount "${rawAmount ?? "(empty)"}"`);
+  if (currency === null) problems.push(`Invalid currency "${rawCurrency}"`);
+  if (problems.length > 0) return { value, problems };
+
+  const txn = {
+    date,
+    description,
+    amount,
+    source,
+    id: nextId({ date, amount, description })
+  };
+  if (currency) txn.currency = currency;
+  if (status) txn.status = status;
+  return { value, date, ambiguous, transactions: [txn] };
 }
 
 /**
  * Parse generic CSV format with detailed error reporting per row
+ * Dates whose day and month could be swapped are reported as warnings when
+ * neither the locale nor the rest of the file settles the order.
+ *
  * @param {string} csvString - CSV content
  * @param {string} source - Source identifier
- * @returns {{ transactions: Array, errors: Array, totalRows: number, validCount: number, errorCount: number }}
+ * @param {Object} [options] - Parser options
+ * @param {string|Object} [options.locale] - Locale tag or settings for dates and amounts
+ * @returns {{ transactions: Array, errors: Array, warnings?: Array, skipped?: Array, totalRows: number, validCount: number, errorCount: number }}
  */
-export function parseWithErrors(csvString, source = "generic") {
-  const lines = csvString
-    .split(/\r?\n/)
-    .map((l) => l.trim())
-    .filter(Boolean);
-
-  if (lines.length < 2) {
-    return {
-      transactions: [],
-      errors: [{ row: 0, message: "CSV file is empty or has no data rows" }],
-      totalRows: 0,
-      validCount: 0,
-      errorCount: 1
-    };
-  }
-
-  const headers = splitCsvLine(lines[0]).map((h) => h.trim());
-  const idx = indexMap(headers);
-
-  // Flexible header mapping for common formats
-  const dateKey = pickKey(idx, ["Date", "Transaction Date", "Posting Date"]);
-  const descKey = pickKey(idx, ["Description", "Merchant", "Transaction Description"]);
-  const amtKey = pickKey(idx, ["Amount", "Debit", "Charge", "Transaction Amount"]);
-
-  const missingHeaders = [];
-  if (!dateKey) missingHeaders.push("Date");
-  if (!descKey) missingHeaders.push("Description");
-  if (!amtKey) missingHeaders.push("Amount");
-
-  if (missingHeaders.length > 0) {
-    return {
-      transactions: [],
-      errors: [
-        {
-          row: 1,
-          message: `Missing required headers: ${missingHeaders.join(", ")}. Found: ${headers.join(", ")}`
-        }
-      ],
-      totalRows: lines.length - 1,
-      validCount: 0,
-      errorCount: 1
-    };
-  }
-
-  const transactions = [];
-  const errors = [];
-  const totalRows = lines.length - 1;
-
-  for (let i = 1; i < lines.length; i++) {
-    const rowNum = i + 1; // 1-indexed, accounting for header
-    const cols = splitCsvLine(lines[i]);
-
-    const rawDate = cols[idx[dateKey]];
-    const rawDesc = cols[idx[descKey]];
-    const rawAmount = cols[idx[amtKey]];
-
-    const date = normalizeDate(rawDate);
-    const description = (rawDesc ?? "").trim();
-    const amount = normalizeAmount(rawAmount);
-
-    const rowErrors = [];
-
-    if (!date) {
-      rowErrors.push(`Invalid date "${rawDate ?? "(empty)"}"`);
-    }
-    if (!description) {
-      rowErrors.push("Empty description");
-    }
-    if (Number.isNaN(amount)) {
-      rowErrors.push(`Invalid amount "${rawAmount ?? "(empty)"}"`);
-    }
-
-    if (rowErrors.length > 0) {
-      errors.push({
-        row: rowNum,
-        message: rowErrors.join("; "),
-        value: { date: rawDate, description: rawDesc, amount: rawAmount }
-      });
-      continue;
-    }
-
-    transactions.push({
-      date,
-      description,
-      amount,
-      source,
-      id: `${source}:${date}:${hash(description)}:${i}`
-    });
-  }
+export function parseWithErrors(csvString, source = "generic", { locale } = {}) {
+  return parseRows(readCsv(csvString), { columns: mapColumns, readRow }, { source, locale });
+}
 
-  return {
-    transactions,
-    errors,
-    totalRows,
-    validCount: transactions.length,
-    errorCount: errors.length
-  };
+/**
+ * Parse generic CSV format
+ * @param {string} csvString - CSV content
+ * @param {string} source - Source identifier
+ * @param {Object} [options] - Parser options
+ * @param {string|Object} [options.locale] - Locale tag or settings for dates and amounts
+ * @returns {Array} Array of normalized transactions
+ */
+export function parse(csvString, source = "generic", options = {}) {
+  return transactionsOf(parseWithErrors(csvString, source, options), "Generic");
 }
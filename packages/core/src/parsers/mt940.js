@@ -0,0 +1,248 @@
+/**
+ * SWIFT MT940 bank statement parser adapter
+ * Handles MT940 customer statement files (.sta, .940) from European banks
+ *
+ * Read from each statement:
+ * - :25: account identification (IBAN, or bank code/account number)
+ * - :60F:/:60M: opening balance, for the statement currency
+ * - :61: statement line: value date (YYMMDD), optional booking date (MMDD),
+ *   credit/debit mark (C, D, or RC/RD for reversals), amount with a decimal
+ *   comma, transaction type and references
+ * - :86: information to account owner, either German structured subfields
+ *   (?20-?29 and ?60-?63 remittance, ?31 IBAN, ?32/?33 name), "/NAME/.../IBAN/"
+ *   tag pairs (Dutch banks), or free text
+ *
+ * The booking date is the transaction date (the value date when absent).
+ * Row numbers refer to the line of each :61: tag.
+ */
+
+import { createIdGenerator, normalizeCurrency, normalizeIban } from "./_shared.js";
+
+const TAG_RE = /^:(\d{2}[A-Z]?):(.*)$/;
+const LINE_RE = /^(\d{6})(\d{4})?(R?[CD])[A-Z]?(\d+(?:,\d*)?)([NSF][A-Z0-9]{3})?([^/]*)(?:\/\/(.*))?$/;
+
+// SEPA keys that may prefix the remittance information in :86: subfields
+const SEPA_KEYS = ["EREF", "KREF", "MREF", "CRED", "DEBT", "COAM", "OAMT", "SVWZ", "ABWA", "ABWE"];
+
+// Tags of the "/TAG/value" :86: layout
+const INFO_TAGS = [
+  "TRTP", "IBAN", "BIC", "NAME", "REMI", "EREF", "MARF", "CSID", "ORDP", "BENM",
+  "ADDR", "ID", "RTRN", "PREF", "CDTRREF", "CDTRREFTP", "ULTC", "ULTD", "PURP", "ISDT"
+];
+
+/**
+ * Split MT940 content into tagged fields, joining continuation lines
+ * SWIFT block wrappers ("{1:...}{4:" and "-}") are ignored.
+ *
+ * @param {string} text - MT940 content
+ * @returns {Array<{ tag: string, value: string, line: number }>} Fields in file order
+ */
+function readFields(text) {
+  const fields = [];
+  const lines = text.replace(/^\uFEFF/, "").split(/\r?\n/);
+
+  lines.forEach((raw, i) => {
+    const line = raw.replace(/^\{[1-4]:[^}]*\}*(\{4:)?|^\{4:/, "").trimEnd();
+    if (line === "" || line === "-" || line === "-}") return;
+
+    const m = line.match(TAG_RE);
+    if (m) {
+      fields.push({ tag: m[1], value: m[2].trim(), line: i + 1, continued: [] });
+    } else if (fields.length > 0) {
+      fields[fields.length - 1].continued.push(line);
+    }
+  });
+
+  return fields.map(({ tag, value, line, continued }) => {
+    // A :61: line keeps its supplementary details on a line of their own;
+    // structured :86: subfields wrap anywhere, free text wraps between words
+    let separator = " ";
+    if (tag === "61") separator = "\n";
+    else if (tag === "86" && /^\d{3}\?|^\//.test(value)) separator = "";
+    return { tag, value: [value, ...continued].join(separator), line };
+  });
+}
+
+/**
+ * Convert a YYMMDD date to YYYY-MM-DD
+ * @param {string} s - MT940 date
+ * @returns {string|null} Date or null
+ */
+function readDate(s) {
+  const m = String(s ?? "").match(/^(\d{2})(\d{2})(\d{2})$/);
+  if (!m) return null;
+  const year = 2000 + Number(m[1]);
+  const month = Number(m[2]);
+  const day = Number(m[3]);
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  return `${year}-${m[2]}-${m[3]}`;
+}
+
+/**
+ * Place an MMDD booking date in the year closest to the value date
+ * @param {string} valueDate - YYYY-MM-DD
+ * @param {string} mmdd - Booking month and day
+ * @returns {string|null} Booking date or null
+ */
+function bookingDate(valueDate, mmdd) {
+  let year = Number(valueDate.slice(0, 4));
+  const valueMonth = Number(valueDate.slice(5, 7));
+  const month = Number(mmdd.slice(0, 2));
+  // Booked in December for a January value date, or the reverse
+  if (month === 12 && valueMonth === 1) year--;
+  if (month === 1 && valueMonth === 12) year++;
+  return readDate(`${String(year % 100).padStart(2, "0")}${mmdd}`);
+}
+
+/**
+ * Read the :86: information to account owner
+ * @param {string} value - Joined :86: content
+ * @returns {{ name: string, iban?: string, remittance: string }}
+ */
+function readInformation(value) {
+  // German structured format: "166?00SEPA-UEBERWEISUNG?20...?32Name"
+  if (/^\d{3}\?/.test(value)) {
+    const sub = {};
+    for (const [, code, text] of value.matchAll(/\?(\d{2})([^?]*)/g)) {
+      sub[code] = (sub[code] ?? "") + text;
+    }
+    const codes = Object.keys(sub).filter((c) => (c >= "20" && c <= "29") || (c >= "60" && c <= "63")).sort();
+    let remittance = codes.map((c) => sub[c]).join("");
+    const svwz = remittance.match(new RegExp(`SVWZ\\+(.*?)(?=(?:${SEPA_KEYS.join("|")})\\+|$)`));
+    if (svwz) remittance = svwz[1];
+    else if (new RegExp(`^(?:${SEPA_KEYS.join("|")})\\+`).test(remittance)) remittance = "";
+    return {
+      name: `${sub["32"] ?? ""}${sub["33"] ?? ""}`.trim(),
+      iban: normalizeIban(sub["31"]),
+      remittance: remittance.trim()
+    };
+  }
+
+  // Tag pairs: "/TRTP/SEPA OVERBOEKING/IBAN/NL91.../NAME/Shop/REMI/Invoice 42"
+  if (/^\/[A-Z]{2,9}\//.test(value)) {
+    const tags = {};
+    const parts = value.split(new RegExp(`/(?=(?:${INFO_TAGS.join("|")})/)`)).slice(1);
+    for (const part of parts) {
+      const at = part.indexOf("/");
+      tags[part.slice(0, at)] = part.slice(at + 1).replace(/\/$/, "").trim();
+    }
+    const remittance = (tags.REMI ?? "").replace(/^USTD\/\/?/, "").replace(/\/+$/, "");
+    return { name: tags.NAME ?? "", iban: normalizeIban(tags.IBAN), remittance: remittance.trim() };
+  }
+
+  return { name: "", remittance: value.trim() };
+}
+
+/**
+ * Score how likely the content is an MT940 statement
+ * @param {{ text: string }} sample - Leading file content
+ * @returns {number} Confidence between 0 and 1
+ */
+export function detect({ text }) {
+  if (!/^:20:/m.test(text) || !/^:25:/m.test(text)) return 0;
+  return /^:61:/m.test(text) ? 0.95 : 0.8;
+}
+
+/**
+ * Parse an MT940 statement with detailed error reporting per statement line
+ * @param {string} mt940String - MT940 content
+ * @param {string} source - Source identifier
+ * @returns {{ transactions: Array, errors: Array, totalRows: number, validCount: number, errorCount: number }}
+ */
+export function parseWithErrors(mt940String, source = "mt940") {
+  const fields = readFields(mt940String ?? "");
+
+  if (!fields.some((f) => f.tag === "61") && !fields.some((f) => f.tag === "25")) {
+    return {
+      transactions: [],
+      errors: [{ row: 0, message: "File is not an MT940 statement (no :25: account or :61: statement lines found)" }],
+      totalRows: 0,
+      validCount: 0,
+      errorCount: 1
+    };
+  }
+
+  const transactions = [];
+  const errors = [];
+  let totalRows = 0;
+  let accountId = "";
+  let currency;
+  let nextId = createIdGenerator(source);
+
+  for (let i = 0; i < fields.length; i++) {
+    const { tag, value, line } = fields[i];
+
+    if (tag === "25") {
+      // "DE89370400440532013000", or "10020030/1234567" (bank code/account)
+      accountId = normalizeIban(value) ?? value.trim();
+      nextId = createIdGenerator(source, { account: accountId });
+      continue;
+    }
+    if (tag === "60F" || tag === "60M") {
+      currency = normalizeCurrency(value.slice(7, 10)) ?? undefined;
+      continue;
+    }
+    if (tag !== "61") continue;
+
+    totalRows++;
+    const info = fields[i + 1]?.tag === "86" ? readInformation(fields[i + 1].value) : null;
+    const m = value.split("\n")[0].match(LINE_RE);
+
+    const valueDate = m ? readDate(m[1]) : null;
+    const date = valueDate && m[2] ? bookingDate(valueDate, m[2]) : valueDate;
+    const amount = m ? Number(m[4].replace(",", ".")) : NaN;
+
+    const rowErrors = [];
+    if (!m) rowErrors.push(`Invalid statement line ":61:${value}"`);
+    else if (!date) rowErrors.push(`Invalid date "${m[1]}${m[2] ?? ""}"`);
+
+    if (rowErrors.length > 0) {
+      errors.push({ row: line, message: rowErrors.join("; "), value: { line: value } });
+      continue;
+    }
+
+    // RC reverses a credit (money out), RD reverses a debit (money in)
+    const mark = m[3];
+    const signed = mark === "C" || mark === "RD" ? amount : -amount;
+    const reference = (m[6] ?? "").trim().replace(/^NONREF$/, "");
+    const { name = "", iban, remittance = "" } = info ?? {};
+    let description = name || remittance || reference || "Bank entry";
+    if (name && remittance) description += ` [${remittance}]`;
+
+    const txn = {
+      date,
+      valueDate,
+      description,
+      amount: signed,
+      source,
+      id: nextId({ date, amount: signed, description })
+    };
+    if (currency) txn.currency = currency;
+    if (name) txn.counterparty = name;
+    if (iban) txn.counterpartyIban = iban;
+    if (remittance) txn.memo = remittance;
+    transactions.push(txn);
+  }
+
+  return {
+    transactions,
+    errors,
+    totalRows,
+    validCount: transactions.length,
+    errorCount: errors.length
+  };
+}
+
+/**
+ * Parse an MT940 statement
+ * @param {string} mt940String - MT940 content
+ * @param {string} source - Source identifier
+ * @returns {Array} Array of normalized transactions
+ */
+export function parse(mt940String, source = "mt940") {
+  const result = parseWithErrors(mt940String, source);
+  if (result.errors.length > 0 && result.errors[0].row === 0) {
+    throw new Error(result.errors[0].message);
+  }
+  return result.transactions;
+}
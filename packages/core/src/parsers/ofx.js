@@ -0,0 +1,195 @@
+/**
+ * OFX / QFX statement parser adapter
+ * Handles both SGML OFX 1.x and XML OFX 2.x downloads from banks,
+ * card issuers and brokerages (Quicken's QFX is OFX with extra headers)
+ *
+ * Read from each <STMTTRN>:
+ * - FITID (stable per-account transaction ID, used for the transaction id)
+ * - DTPOSTED (falls back to DTUSER, then DTAVAIL)
+ * - TRNAMT (already signed: negative for debits)
+ * - NAME or PAYEE/NAME, MEMO
+ *
+ * The account ID comes from the enclosing BANKACCTFROM, CCACCTFROM or
+ * INVACCTFROM aggregate, and the currency from the statement's CURDEF
+ * (overridden per transaction by CURRENCY/CURSYM). ORIGCURRENCY records the
+ * amount as charged in a foreign currency.
+ */
+
+import { createIdGenerator } from "./_shared.js";
+import { parseMarkup, findAll, findFirst, textAt } from "./_markup.js";
+
+const STATEMENT_TAGS = ["STMTRS", "CCSTMTRS", "INVSTMTRS"];
+
+/**
+ * Convert an OFX date (YYYYMMDD[HHMMSS[.XXX]][[TZ]]) to YYYY-MM-DD
+ * @param {string} s - OFX date string
+ * @returns {string|null} Normalized date or null
+ */
+function normalizeOfxDate(s) {
+  const m = String(s ?? "").trim().match(/^(\d{4})(\d{2})(\d{2})/);
+  if (!m) return null;
+  const month = Number(m[2]);
+  const day = Number(m[3]);
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  return `${m[1]}-${m[2]}-${m[3]}`;
+}
+
+/**
+ * Convert an OFX amount to a number
+ * Some European institutions use a decimal comma in TRNAMT
+ * @param {string} s - OFX amount string
+ * @returns {number} Amount or NaN
+ */
+function normalizeOfxAmount(s) {
+  const t = String(s ?? "").trim();
+  if (!t) return NaN;
+  if (/^[+-]?\d+,\d+$/.test(t)) return Number(t.replace(",", "."));
+  return Number(t);
+}
+
+/**
+ * Read the currency fields of a transaction record
+ * CURRATE is the value of one unit of the foreign currency in the
+ * statement currency.
+ *
+ * @param {Object} entry - STMTTRN node
+ * @param {string} defaultCurrency - Statement CURDEF
+ * @param {number} amount - Parsed TRNAMT
+ * @returns {{ currency?: string, originalAmount?: number, originalCurrency?: string }}
+ */
+function readCurrency(entry, defaultCurrency, amount) {
+  const out = {};
+  const currency = (textAt(entry, "CURRENCY", "CURSYM") || defaultCurrency).toUpperCase();
+  if (/^[A-Z]{3}$/.test(currency)) out.currency = currency;
+
+  const origCurrency = textAt(entry, "ORIGCURRENCY", "CURSYM").toUpperCase();
+  const origRate = normalizeOfxAmount(textAt(entry, "ORIGCURRENCY", "CURRATE"));
+  if (/^[A-Z]{3}$/.test(origCurrency) && origRate > 0) {
+    out.originalCurrency = origCurrency;
+    out.originalAmount = Math.round((amount / origRate) * 100) / 100;
+  }
+  return out;
+}
+
+/**
+ * Group <STMTTRN> nodes by the statement (and account) they belong to
+ * @param {Object} root - Parsed markup root
+ * @returns {Array<{ accountId: string, currency: string, entries: Object[] }>}
+ */
+function collectStatements(root) {
+  const statements = [];
+  for (const tag of STATEMENT_TAGS) {
+    for (const stmt of findAll(root, tag)) {
+      statements.push({
+        accountId: textAt(stmt, "ACCTID"),
+        currency: textAt(stmt, "CURDEF"),
+        entries: findAll(stmt, "STMTTRN")
+      });
+    }
+  }
+
+  // Bare transaction lists without a statement wrapper
+  if (statements.length === 0) {
+    statements.push({ accountId: "", currency: textAt(root, "CURDEF"), entries: findAll(root, "STMTTRN") });
+  }
+  return statements;
+}
+
+/**
+ * Score how likely the content is an OFX / QFX statement
+ * @param {{ text: string }} sample - Leading file content
+ * @returns {number} Confidence between 0 and 1
+ */
+export function detect({ text }) {
+  if (!/<OFX>|^\s*OFXHEADER\s*:/im.test(text)) return 0;
+  return /<STMTTRN>/i.test(text) ? 1 : 0.8;
+}
+
+/**
+ * Parse OFX content with detailed error reporting per transaction record
+ * Row numbers refer to the line of each <STMTTRN> start tag.
+ *
+ * @param {string} ofxString - OFX or QFX content
+ * @param {string} source - Source identifier
+ * @returns {{ transactions: Array, errors: Array, totalRows: number, validCount: number, errorCount: number }}
+ */
+export function parseWithErrors(ofxString, source = "ofx") {
+  const root = parseMarkup(ofxString ?? "");
+
+  if (!findFirst(root, "OFX")) {
+    return {
+      transactions: [],
+      errors: [{ row: 0, message: "File is not an OFX/QFX statement (no <OFX> element found)" }],
+      totalRows: 0,
+      validCount: 0,
+      errorCount: 1
+    };
+  }
+
+  const transactions = [];
+  const errors = [];
+  let totalRows = 0;
+
+  for (const { accountId, currency, entries } of collectStatements(root)) {
+    const nextId = createIdGenerator(source, { account: accountId });
+    for (const entry of entries) {
+      totalRows++;
+
+      const rawDate = textAt(entry, "DTPOSTED") || textAt(entry, "DTUSER") || textAt(entry, "DTAVAIL");
+      const rawAmount = textAt(entry, "TRNAMT");
+      const fitid = textAt(entry, "FITID");
+      const name = textAt(entry, "NAME");
+      const memo = textAt(entry, "MEMO");
+
+      const date = normalizeOfxDate(rawDate);
+      const amount = normalizeOfxAmount(rawAmount);
+      let description = name || memo;
+      if (name && memo && memo !== name) description += ` [${memo}]`;
+
+      const rowErrors = [];
+      if (!date) rowErrors.push(`Invalid date "${rawDate || "(empty)"}"`);
+      if (!description) rowErrors.push("Empty description");
+      if (Number.isNaN(amount)) rowErrors.push(`Invalid amount "${rawAmount || "(empty)"}"`);
+
+      if (rowErrors.length > 0) {
+        errors.push({
+          row: entry.line,
+          message: rowErrors.join("; "),
+          value: { fitid, date: rawDate, description: name || memo, amount: rawAmount }
+        });
+        continue;
+      }
+
+      let id;
+      if (fitid) {
+        id = accountId ? `${source}:${accountId}:${fitid}` : `${source}:${fitid}`;
+      } else {
+        id = nextId({ date, amount, description });
+      }
+
+      transactions.push({ date, description, amount, source, id, ...readCurrency(entry, currency, amount) });
+    }
+  }
+
+  return {
+    transactions,
+    errors,
+    totalRows,
+    validCount: transactions.length,
+    errorCount: errors.length
+  };
+}
+
+/**
+ * Parse OFX / QFX content
+ * @param {string} ofxString - OFX or QFX content
+ * @param {string} source - Source identifier
+ * @returns {Array} Array of normalized transactions
+ */
+export function parse(ofxString, source = "ofx") {
+  const result = parseWithErrors(ofxString, source);
+  if (result.errors.length > 0 && result.errors[0].row === 0) {
+    throw new Error(result.errors[0].message);
+  }
+  return result.transactions;
+}
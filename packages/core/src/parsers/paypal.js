@@ -0,0 +1,182 @@
+/**
+ * PayPal activity CSV parser adapter
+ * Handles the "Activity download" export (all transactions, balance affecting)
+ *
+ * Supported headers (PayPal format):
+ * - Date
+ * - Name (counterparty), Item Title (optional fallback description)
+ * - Type (e.g. "Express Checkout Payment", "General Withdrawal")
+ * - Status ("Completed", "Pending"; denied and canceled rows are skipped)
+ * - Currency
+ * - Gross, Fee (Net is ignored)
+ *
+ * Each row becomes its gross transaction plus, when PayPal charged one, a
+ * separate fee transaction (kind "fee", described as "PayPal Fee - ...").
+ * Moves between PayPal and the user's bank or card, currency conversions
+ * and balance holds are tagged kind "transfer" so summaries leave them out
+ * (the purchase itself is already on the PayPal or bank statement).
+ */
+
+import { readCsv } from "./_csv.js";
+import { parseRows, transactionsOf } from "./_rows.js";
+import {
+  indexMap,
+  pickKey,
+  inspectDate,
+  normalizeAmount,
+  normalizeCurrency,
+  normalizeStatus,
+  looksLikeDate,
+  sampleRatio,
+  feeTransaction
+} from "./_shared.js";
+
+// Row types that move money between the user's own balances and accounts
+const TRANSFER_TYPES = [
+  "withdrawal",
+  "bank deposit",
+  "card deposit",
+  "transfer to bank",
+  "transfer from bank",
+  "currency conversion",
+  "account hold"
+];
+
+// Rows that never moved money
+const SKIPPED_STATUSES = new Set(["denied", "canceled", "cancelled", "failed", "voided", "expired"]);
+
+/**
+ * Check whether a PayPal row type is an internal transfer
+ * @param {string} type - PayPal "Type" value
+ * @returns {boolean} True for withdrawals, deposits, conversions and holds
+ */
+function isTransferType(type) {
+  const t = type.toLowerCase();
+  return TRANSFER_TYPES.some((pattern) => t.includes(pattern));
+}
+
+/**
+ * Score how well a file matches the PayPal activity format
+ * @param {{ headers: string[], rows: Array<{ cols: string[] }> }} sample - Header row and sample rows
+ * @returns {number} Confidence between 0 and 1
+ */
+export function detect({ headers, rows }) {
+  const idx = indexMap(headers);
+  const dateKey = pickKey(idx, ["Date"]);
+  if (!dateKey || idx["Gross"] === undefined || idx["Type"] === undefined) return 0;
+
+  let score = 0.4;
+  if (idx["Fee"] !== undefined && idx["Net"] !== undefined) score += 0.3;
+  if (idx["Name"] !== undefined && idx["Status"] !== undefined) score += 0.1;
+  if (idx["Transaction ID"] !== undefined) score += 0.1;
+  score += 0.1 * sampleRatio(rows, (cols) => looksLikeDate(cols[idx[dateKey]]));
+  return score;
+}
+
+/**
+ * Map the PayPal columns present in a file
+ * @param {string[]} headers - Header row
+ * @returns {Object} Column keys (undefined when absent), the index map and missing required headers
+ */
+function mapColumns(headers) {
+  const idx = indexMap(headers);
+  const columns = {
+    idx,
+    dateKey: pickKey(idx, ["Date"]),
+    grossKey: pickKey(idx, ["Gross", "Amount"]),
+    nameKey: pickKey(idx, ["Name"]),
+    titleKey: pickKey(idx, ["Item Title"]),
+    typeKey: pickKey(idx, ["Type"]),
+    statusKey: pickKey(idx, ["Status"]),
+    currencyKey: pickKey(idx, ["Currency"]),
+    feeKey: pickKey(idx, ["Fee"])
+  };
+  columns.missing = [
+    ["Date", columns.dateKey],
+    ["Gross", columns.grossKey]
+  ].filter(([, key]) => !key).map(([name]) => name);
+  return columns;
+}
+
+/**
+ * Read one PayPal row into its gross and fee transactions
+ * @param {string[]} cols - Row cells
+ * @param {Object} columns - Result of mapColumns
+ * @param {Object} context - Pipeline context (source, settings, dateOrder, nextId)
+ * @returns {import('./_rows.js').RowOutcome} Transactions, problems or a skip
+ */
+function readRow(cols, columns, { source, settings, dateOrder, nextId }) {
+  const { idx, dateKey, grossKey, nameKey, titleKey, typeKey, statusKey, currencyKey, feeKey } = columns;
+  const cell = (key) => (key ? (cols[idx[key]] ?? "").trim() : "");
+  const rawDate = cols[idx[dateKey]];
+  const rawGross = cell(grossKey);
+  const rawFee = cell(feeKey);
+  const rawCurrency = cell(currencyKey);
+  const rawStatus = cell(statusKey);
+  const name = cell(nameKey);
+  const type = cell(typeKey);
+  const value = { date: rawDate, description: name, amount: rawGross, fee: rawFee };
+
+  if (SKIPPED_STATUSES.has(rawStatus.toLowerCase())) {
+    return { value: { ...value, status: rawStatus }, skip: `Status "${rawStatus}" (no money moved)` };
+  }
+
+  const { date, ambiguous } = inspectDate(rawDate, { dateOrder });
+  const gross = normalizeAmount(rawGross, settings);
+  const fee = rawFee ? normalizeAmount(rawFee, settings) : 0;
+  const currency = normalizeCurrency(rawCurrency);
+  const description = name || cell(titleKey) || type;
+
+  const problems = [];
+  if (!date) problems.push(`Invalid date "${rawDate ?? "(empty)"}"`);
+  if (!description) problems.push("Empty description");
+  if (Number.isNaN(gross)) problems.push(`Invalid amount "${rawGross || "(empty)"}"`);
+  if (Number.isNaN(fee)) problems.push(`Invalid fee "${rawFee}"`);
+  if (currency === null) problems.push(`Invalid currency "${rawCurrency}"`);
+  if (problems.length > 0) return { value, problems };
+  if (gross === 0 && fee === 0) return { value, skip: "Zero amount" };
+
+  const txn = {
+    date,
+    description,
+    amount: gross,
+    source,
+    id: nextId({ date, amount: gross, description })
+  };
+  if (currency) txn.currency = currency;
+  if (name) txn.counterparty = name;
+  const status = normalizeStatus(rawStatus);
+  if (status) txn.status = status;
+  if (isTransferType(type)) txn.kind = "transfer";
+
+  const transactions = [];
+  if (gross !== 0) transactions.push(txn);
+  if (fee !== 0) transactions.push(feeTransaction(txn, fee, "PayPal", nextId));
+  return { value, date, ambiguous, transactions };
+}
+
+/**
+ * Parse a PayPal activity CSV with detailed error reporting per row
+ * Denied, canceled and other rows that never moved money are reported as skipped.
+ *
+ * @param {string} csvString - CSV content
+ * @param {string} source - Source identifier
+ * @param {Object} [options] - Parser options
+ * @param {string|Object} [options.locale] - Locale tag or settings for dates and amounts
+ * @returns {{ transactions: Array, errors: Array, warnings?: Array, skipped?: Array, totalRows: number, validCount: number, errorCount: number }}
+ */
+export function parseWithErrors(csvString, source = "paypal", { locale } = {}) {
+  return parseRows(readCsv(csvString), { columns: mapColumns, readRow }, { source, locale });
+}
+
+/**
+ * Parse a PayPal activity CSV
+ * @param {string} csvString - CSV content
+ * @param {string} source - Source identifier
+ * @param {Object} [options] - Parser options
+ * @param {string|Object} [options.locale] - Locale tag or settings for dates and amounts
+ * @returns {Array} Array of normalized transactions
+ */
+export function parse(csvString, source = "paypal", options = {}) {
+  return transactionsOf(parseWithErrors(csvString, source, options), "PayPal");
+}
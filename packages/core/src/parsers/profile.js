@@ -0,0 +1,311 @@
+/**
+ * Mapping profile adapter
+ * Builds a parser adapter from a declarative JSON column mapping, so a new
+ * bank export can be onboarded without writing an adapter module.
+ *
+ * Example profile:
+ * {
+ *   "name": "credit-union",
+ *   "label": "Credit Union Checking",
+ *   "columns": { "date": "Posted", "description": ["Payee", "Memo"], "debit": "Withdrawal", "credit": "Deposit" },
+ *   "dateFormat": "DD/MM/YYYY",
+ *   "locale": "fr-CA",
+ *   "currency": "CAD",
+ *   "sign": "charges-negative",
+ *   "skip": { "leadingRows": 3, "rows": [{ "column": "Payee", "equals": "Opening Balance" }] }
+ * }
+ *
+ * Profiles are validated with MappingProfileSchema before they are registered.
+ */
+
+import { tokenizeCsv, isBlankRecord } from "./_csv.js";
+import {
+  indexMap,
+  inspectDate,
+  normalizeAmount,
+  normalizeCurrency,
+  parseDateFormat,
+  looksLikeDate,
+  resolveLocale,
+  resolveDateOrder,
+  ambiguousDateWarning,
+  sampleRatio,
+  createIdGenerator
+} from "./_shared.js";
+
+/**
+ * Read a CSV string, dropping the profile's preamble rows before the header
+ * @param {string} csvString - CSV content
+ * @param {Object} profile - Mapping profile
+ * @returns {{ headers: string[], headerLine: number, rows: Array<{ cols: string[], line: number }> }}
+ */
+function readProfileCsv(csvString, profile) {
+  const leadingRows = profile.skip?.leadingRows ?? 0;
+  const records = tokenizeCsv(csvString ?? "")
+    .filter((r) => !isBlankRecord(r))
+    .slice(leadingRows);
+  if (records.length === 0) return { headers: [], headerLine: 0, rows: [] };
+
+  return {
+    headers: records[0].fields,
+    headerLine: records[0].line,
+    rows: records.slice(1).map((r) => ({ cols: r.fields, line: r.line }))
+  };
+}
+
+/**
+ * List every header name a profile maps
+ * @param {Object} profile - Mapping profile
+ * @returns {string[]} Column names
+ */
+function mappedColumns(profile) {
+  const { date, description, amount, debit, credit, currency } = profile.columns;
+  return [date, ...[].concat(description), amount, debit, credit, currency].filter(Boolean);
+}
+
+/**
+ * Check whether a row matches one of the profile's skip rules
+ * @param {string[]} cols - Row values
+ * @param {Object} idx - Header name to index map
+ * @param {Array<Object>} rules - Skip rules
+ * @returns {boolean} True if the row should be skipped
+ */
+function shouldSkip(cols, idx, rules) {
+  return rules.some((rule) => {
+    const value = (cols[idx[rule.column]] ?? "").trim();
+    if (rule.empty !== undefined && (value === "") !== rule.empty) return false;
+    if (rule.equals !== undefined && value.toLowerCase() !== rule.equals.toLowerCase()) return false;
+    if (rule.contains !== undefined && !value.toLowerCase().includes(rule.contains.toLowerCase())) return false;
+    if (rule.regex !== undefined && !new RegExp(rule.regex, "i").test(value)) return false;
+    return true;
+  });
+}
+
+/**
+ * Create a parser adapter from a mapping profile
+ * @param {Object} profile - Validated mapping profile (see MappingProfileSchema)
+ * @returns {{ parse: Function, parseWithErrors: Function, detect: Function, headerIndex: Function, locale?: string }} Adapter
+ */
+export function createProfileParser(profile) {
+  const columns = mappedColumns(profile);
+  const descColumns = [].concat(profile.columns.description);
+  const skipRules = profile.skip?.rows ?? [];
+  const flip = profile.sign === "charges-positive";
+  resolveLocale(profile.locale); // fail at registration on an unknown locale
+
+  /**
+   * Read a date with the profile's explicit format, or by locale order
+   * @param {string} raw - Raw date value
+   * @param {"MDY"|"DMY"|"YMD"} dateOrder - Numeric date order for this file
+   * @returns {{ date: string|null, ambiguous: boolean }}
+   */
+  const readDate = (raw, dateOrder) =>
+    profile.dateFormat
+      ? { date: parseDateFormat(raw, profile.dateFormat), ambiguous: false }
+      : inspectDate(raw, { dateOrder });
+
+  /**
+   * Convert one row into a transaction or a list of problems
+   * @param {string[]} cols - Row values
+   * @param {Object} idx - Header name to index map
+   * @param {Object} settings - Locale settings with the file's date order
+   * @returns {{ date: string|null, ambiguous: boolean, description: string, amount: number, currency?: string, rowErrors: string[], value: Object }}
+   */
+  const readRow = (cols, idx, settings) => {
+    const rawDate = cols[idx[profile.columns.date]];
+    const { date, ambiguous } = readDate(rawDate, settings.dateOrder);
+    const description = descColumns
+      .map((c) => (cols[idx[c]] ?? "").trim())
+      .filter(Boolean)
+      .join(" ");
+
+    let amount;
+    let rawAmount;
+    if (profile.columns.amount) {
+      rawAmount = cols[idx[profile.columns.amount]];
+      amount = normalizeAmount(rawAmount, settings);
+      if (flip) amount = -amount;
+    } else {
+      // Separate debit/credit columns: debits are charges regardless of their sign
+      const debit = (cols[idx[profile.columns.debit]] ?? "").trim();
+      const credit = (cols[idx[profile.columns.credit]] ?? "").trim();
+      rawAmount = debit || credit;
+      if (debit) amount = -Math.abs(normalizeAmount(debit, settings));
+      else if (credit) amount = Math.abs(normalizeAmount(credit, settings));
+      else amount = NaN;
+    }
+
+    const rawCurrency = profile.columns.currency ? cols[idx[profile.columns.currency]] : undefined;
+    const rowCurrency = normalizeCurrency(rawCurrency);
+    const currency = rowCurrency === undefined ? profile.currency : rowCurrency;
+
+    const rowErrors = [];
+    if (!date) rowErrors.push(`Invalid date "${rawDate ?? "(empty)"}"`);
+    if (!description) rowErrors.push("Empty description");
+    if (Number.isNaN(amount)) rowErrors.push(`Invalid amount "${rawAmount || "(empty)"}"`);
+    if (currency === null) rowErrors.push(`Invalid currency "${rawCurrency}"`);
+
+    return {
+      date,
+      ambiguous,
+      description,
+      amount,
+      currency,
+      rowErrors,
+      value: { date: rawDate, description, amount: rawAmount }
+    };
+  };
+
+  /**
+   * Convert data rows into transactions, row errors, date warnings and skipped rows
+   * @param {Array<{ cols: string[], line: number }>} rows - Data rows
+   * @param {Object} idx - Header name to index map
+   * @param {string} source - Source identifier
+   * @param {string|Object} [locale] - Locale override (defaults to the profile's locale)
+   * @returns {{ transactions: Array, errors: Array, warnings: Array, skipped: Array, dateOrder?: string }} `dateOrder` when the locale or the values settle it
+   */
+  const convertRows = (rows, idx, source, locale) => {
+    const transactions = [];
+    const errors = [];
+    const warnings = [];
+    const skipped = [];
+
+    const settings = resolveLocale(locale ?? profile.locale);
+    const { dateOrder, assumed } = resolveDateOrder(
+      rows.map((r) => r.cols[idx[profile.columns.date]]),
+      settings
+    );
+    settings.dateOrder = dateOrder;
+
+    const nextId = createIdGenerator(source);
+    for (let i = 1; i <= rows.length; i++) {
+      const { cols, line } = rows[i - 1];
+      const { date, ambiguous, description, amount, currency, rowErrors, value } = readRow(cols, idx, settings);
+      if (shouldSkip(cols, idx, skipRules)) {
+        skipped.push({ row: line, severity: "info", message: "Matches a skip rule of the profile", value });
+        continue;
+      }
+      if (rowErrors.length > 0) {
+        errors.push({ row: line, message: rowErrors.join("; "), value });
+        continue;
+      }
+      if (ambiguous && assumed) {
+        warnings.push(ambiguousDateWarning(line, value.date, date));
+      }
+
+      const txn = {
+        date,
+        description,
+        amount,
+        source,
+        id: nextId({ date, amount, description })
+      };
+      if (currency) txn.currency = currency;
+      transactions.push(txn);
+    }
+
+    return { transactions, errors, warnings, skipped, ...(!assumed && { dateOrder }) };
+  };
+
+  /**
+   * Parse CSV content with detailed error reporting per row
+   * @param {string} csvString - CSV content
+   * @param {string} source - Source identifier
+   * @param {Object} [options] - Parser options
+   * @param {string|Object} [options.locale] - Locale override
+   * @returns {{ transactions: Array, errors: Array, warnings?: Array, skipped?: Array, totalRows: number, validCount: number, errorCount: number }}
+   */
+  const parseWithErrors = (csvString, source = profile.name, { locale } = {}) => {
+    const { headers, headerLine, rows } = readProfileCsv(csvString, profile);
+
+    if (rows.length === 0) {
+      return {
+        transactions: [],
+        errors: [{ row: 0, message: "CSV file is empty or has no data rows" }],
+        totalRows: 0,
+        validCount: 0,
+        errorCount: 1
+      };
+    }
+
+    const idx = indexMap(headers);
+    const missing = columns.filter((c) => idx[c] === undefined);
+    if (missing.length > 0) {
+      return {
+        transactions: [],
+        errors: [
+          {
+            row: headerLine,
+            message: `Missing required headers: ${missing.join(", ")}. Found: ${headers.join(", ")}`
+          }
+        ],
+        totalRows: rows.length,
+        validCount: 0,
+        errorCount: 1
+      };
+    }
+
+    const { transactions, errors, warnings, skipped, dateOrder } = convertRows(rows, idx, source, locale);
+    return {
+      transactions,
+      errors,
+      warnings,
+      skipped,
+      ...(dateOrder && { dateOrder }),
+      totalRows: rows.length,
+      validCount: transactions.length,
+      errorCount: errors.length
+    };
+  };
+
+  /**
+   * Parse CSV content, skipping invalid rows
+   * @param {string} csvString - CSV content
+   * @param {string} source - Source identifier
+   * @param {Object} [options] - Parser options
+   * @param {string|Object} [options.locale] - Locale override
+   * @returns {Array} Array of normalized transactions
+   */
+  const parse = (csvString, source = profile.name, { locale } = {}) => {
+    const { headers, rows } = readProfileCsv(csvString, profile);
+    if (rows.length === 0) return [];
+
+    const idx = indexMap(headers);
+    const missing = columns.filter((c) => idx[c] === undefined);
+    if (missing.length > 0) {
+      throw new Error(
+        `CSV missing headers mapped by profile "${profile.name}": ${missing.join(", ")}. Found: ${headers.join(", ")}`
+      );
+    }
+
+    return convertRows(rows, idx, source, locale).transactions;
+  };
+
+  /**
+   * Score how well a file matches the profile's columns
+   * A profile is written for one export, so a full header match ranks
+   * above the generic adapter.
+   *
+   * @param {{ text: string }} sample - Leading file content
+   * @returns {number} Confidence between 0 and 1
+   */
+  const detect = ({ text }) => {
+    const { headers, rows } = readProfileCsv(text, profile);
+    const idx = indexMap(headers);
+    if (columns.some((c) => idx[c] === undefined)) return 0;
+
+    const sample = rows.slice(0, 20);
+    const isDate = profile.dateFormat
+      ? (value) => Boolean(parseDateFormat(value, profile.dateFormat))
+      : looksLikeDate;
+    return 0.7 + 0.25 * sampleRatio(sample, (cols) => isDate(cols[idx[profile.columns.date]]));
+  };
+
+  /**
+   * Locate the header among the leading records, for reading in batches
+   * @returns {number} Index of the header below the profile's leading rows
+   */
+  const headerIndex = () => profile.skip?.leadingRows ?? 0;
+
+  return { parse, parseWithErrors, detect, headerIndex, locale: profile.locale };
+}
@@ -0,0 +1,301 @@
+/**
+ * Quicken Interchange Format (QIF) parser adapter
+ * Handles legacy Quicken exports
+ *
+ * Supported sections: !Type:Bank, !Type:CCard, !Type:Cash
+ *
+ * Record fields (one per line, records end with "^"):
+ * - D  Date ("1/ 5'25", "01/05/2025", "1/5/25")
+ * - T  Amount (U is accepted as a fallback)
+ * - P  Payee
+ * - M  Memo
+ * - L  Category
+ * - S / E / $  Split category, split memo, split amount
+ *
+ * Split records are emitted as one transaction per split line, carrying the
+ * same originalTxnId/allocation metadata as a rule-driven split so that the
+ * categorizer and exporter treat them identically.
+ */
+
+import { normalizeAmount, formatDate, createIdGenerator } from "./_shared.js";
+
+const TRANSACTION_TYPES = new Set(["bank", "ccard", "cash"]);
+const LIST_HEADERS = new Set(["!account", "!type:cat", "!type:class", "!type:memorized"]);
+
+/**
+ * Normalize QIF date variants to YYYY-MM-DD
+ * Quicken pads the day and year with spaces ("1/ 5' 5"). An apostrophe
+ * before the year means 2000+ ("1/ 5'25" is 2025-01-05, "1/ 5' 5" is
+ * 2005-01-05); other two-digit years pivot at 50.
+ *
+ * @param {string} s - QIF date string
+ * @returns {string|null} Normalized date or null
+ */
+function normalizeQifDate(s) {
+  if (!s) return null;
+  const t = s.trim();
+
+  const iso = t.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (iso) return formatDate(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+
+  const m = t.match(/^(\d{1,2})\s*[/-]\s*(\d{1,2})\s*(['/-])\s*(\d{4}|\d{1,2})$/);
+  if (!m || (m[4].length === 1 && m[3] !== "'")) return null;
+
+  let year = Number(m[4]);
+  if (m[4].length <= 2) {
+    year += m[3] === "'" || year < 50 ? 2000 : 1900;
+  }
+
+  return formatDate(year, Number(m[1]), Number(m[2]));
+}
+
+/**
+ * Split QIF content into typed records
+ * @param {string} qifString - QIF content
+ * @returns {{ records: Array<{ type: string, line: number, fields: Array }>, unsupported: Array<{ header: string, line: number, count: number }> }}
+ */
+function readRecords(qifString) {
+  const lines = qifString.replace(/^\uFEFF/, "").split(/\r?\n/);
+  const records = [];
+  const unsupported = [];
+  let type = null;
+  let section = null;
+  let current = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+
+    if (line.startsWith("!")) {
+      const header = line.toLowerCase();
+      current = null;
+      section = null;
+      if (header.startsWith("!type:") && TRANSACTION_TYPES.has(header.slice(6).trim())) {
+        type = header.slice(6).trim();
+      } else {
+        type = null;
+        // Option lines ("!Option:AutoSwitch" and the "!Clear:AutoSwitch" that
+        // ends it) and list sections (accounts, categories) carry no transactions
+        if (!header.startsWith("!option") && !header.startsWith("!clear:") && !LIST_HEADERS.has(header)) {
+          section = { header: line, line: i + 1, count: 0 };
+          unsupported.push(section);
+        }
+      }
+      continue;
+    }
+
+    if (line === "^") {
+      if (current && type) records.push(current);
+      if (current && section) section.count++;
+      current = null;
+      continue;
+    }
+
+    if (!current) current = { type, line: i + 1, fields: [] };
+    current.fields.push({ code: line[0], value: line.slice(1).trim() });
+  }
+
+  // Tolerate a missing trailing "^"
+  if (current && type) records.push(current);
+
+  return { records, unsupported };
+}
+
+/**
+ * Convert a QIF record's fields into an entry with its split lines
+ * @param {Array<{ code: string, value: string }>} fields - Record fields
+ * @returns {Object} Entry with date, amount, payee, memo, category and splits
+ */
+function readEntry(fields) {
+  const entry = { date: "", amount: "", payee: "", memo: "", category: "", splits: [] };
+  let split = null;
+
+  for (const { code, value } of fields) {
+    switch (code) {
+      case "D":
+        entry.date = value;
+        break;
+      case "T":
+        entry.amount = value;
+        break;
+      case "U":
+        if (!entry.amount) entry.amount = value;
+        break;
+      case "P":
+        entry.payee = value;
+        break;
+      case "M":
+        entry.memo = value;
+        break;
+      case "L":
+        entry.category = value;
+        break;
+      case "S":
+        split = { category: value, memo: "", amount: "" };
+        entry.splits.push(split);
+        break;
+      case "E":
+        if (!split) {
+          split = { category: "", memo: "", amount: "" };
+          entry.splits.push(split);
+        }
+        split.memo = value;
+        break;
+      case "$":
+        if (!split || split.amount) {
+          split = { category: "", memo: "", amount: "" };
+          entry.splits.push(split);
+        }
+        split.amount = value;
+        break;
+      default:
+        // N (check number), C (cleared), A (address) are not needed
+        break;
+    }
+  }
+
+  return entry;
+}
+
+/**
+ * Build the description for a QIF entry, appending a memo like the Chase adapter
+ * @param {string} payee - Payee name
+ * @param {string} memo - Memo text
+ * @returns {string} Description
+ */
+function describe(payee, memo) {
+  if (!payee) return memo;
+  return memo && memo !== payee ? `${payee} [${memo}]` : payee;
+}
+
+/**
+ * Score how likely the content is a QIF export
+ * @param {{ text: string }} sample - Leading file content
+ * @returns {number} Confidence between 0 and 1
+ */
+export function detect({ text }) {
+  const first = text.replace(/^\uFEFF/, "").trimStart().split(/\r?\n/, 1)[0];
+  if (/^!Type:(Bank|CCard|Cash)\s*$/i.test(first)) return 1;
+  return /^!(Type:|Account|Option:)/i.test(first) ? 0.8 : 0;
+}
+
+/**
+ * Parse QIF content with detailed error reporting per record
+ * Row numbers refer to the first line of each record. Rows are counted
+ * as transactions, so a split record counts once per split line.
+ *
+ * @param {string} qifString - QIF content
+ * @param {string} source - Source identifier
+ * @returns {{ transactions: Array, errors: Array, totalRows: number, validCount: number, errorCount: number }}
+ */
+export function parseWithErrors(qifString, source = "qif") {
+  const { records, unsupported } = readRecords(qifString ?? "");
+
+  /** @type {Array<Object>} */
+  const errors = unsupported.map((s) => ({
+    row: s.line,
+    message: `Unsupported QIF section "${s.header}" (${s.count} record${s.count !== 1 ? "s" : ""} skipped)`
+  }));
+
+  if (records.length === 0) {
+    return {
+      transactions: [],
+      errors: [
+        { row: 0, message: "QIF file has no !Type:Bank, !Type:CCard or !Type:Cash records" },
+        ...errors
+      ],
+      totalRows: 0,
+      validCount: 0,
+      errorCount: errors.length + 1
+    };
+  }
+
+  const transactions = [];
+  let totalRows = 0;
+  const nextId = createIdGenerator(source);
+
+  records.forEach((record) => {
+    const entry = readEntry(record.fields);
+    totalRows += entry.splits.length < 2 ? 1 : entry.splits.length;
+    const date = normalizeQifDate(entry.date);
+    const amount = entry.amount ? normalizeAmount(entry.amount) : NaN;
+    const description = describe(entry.payee, entry.memo);
+
+    const rowErrors = [];
+    if (!date) rowErrors.push(`Invalid date "${entry.date || "(empty)"}"`);
+    if (!description) rowErrors.push("Empty payee");
+    if (Number.isNaN(amount)) rowErrors.push(`Invalid amount "${entry.amount || "(empty)"}"`);
+
+    const splitAmounts = entry.splits.map((s) => (s.amount ? normalizeAmount(s.amount) : NaN));
+    if (entry.splits.length > 0 && !Number.isNaN(amount)) {
+      const bad = entry.splits.find((s, i) => Number.isNaN(splitAmounts[i]));
+      if (bad) {
+        rowErrors.push(`Invalid split amount "${bad.amount || "(empty)"}"`);
+      } else {
+        const total = splitAmounts.reduce((sum, a) => sum + a, 0);
+        if (Math.abs(total - amount) > 0.005) {
+          rowErrors.push(`Split amounts total ${total.toFixed(2)} but transaction amount is ${amount}`);
+        }
+      }
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push({
+        row: record.line,
+        message: rowErrors.join("; "),
+        value: { date: entry.date, description: entry.payee, amount: entry.amount }
+      });
+      return;
+    }
+
+    const id = nextId({ date, amount, description });
+    const base = { date, description, amount, source, id };
+    if (entry.category) base.importedCategory = entry.category;
+
+    if (entry.splits.length < 2) {
+      transactions.push(base);
+      return;
+    }
+
+    entry.splits.forEach((split, i) => {
+      /** @type {Object} */
+      const splitTxn = {
+        ...base,
+        originalTxnId: id,
+        id: `${id}:split:${i}`,
+        amount: splitAmounts[i],
+        allocation: {
+          percent: amount === 0 ? 0 : (splitAmounts[i] / amount) * 100,
+          originalAmount: amount,
+          splitIndex: i,
+          totalSplits: entry.splits.length
+        }
+      };
+      if (split.category) splitTxn.importedCategory = split.category;
+      if (split.memo) splitTxn.description = describe(entry.payee, split.memo);
+      transactions.push(splitTxn);
+    });
+  });
+
+  return {
+    transactions,
+    errors,
+    totalRows,
+    validCount: transactions.length,
+    errorCount: errors.length
+  };
+}
+
+/**
+ * Parse QIF content
+ * @param {string} qifString - QIF content
+ * @param {string} source - Source identifier
+ * @returns {Array} Array of normalized transactions
+ */
+export function parse(qifString, source = "qif") {
+  const result = parseWithErrors(qifString, source);
+  if (result.errors.length > 0 && result.errors[0].row === 0) {
+    throw new Error(result.errors[0].message);
+  }
+  return result.transactions;
+}
@@ -0,0 +1,152 @@
+/**
+ * Square transactions CSV parser adapter
+ * Handles the Transactions → "Export Transactions CSV" download
+ *
+ * Supported headers (Square format):
+ * - Date
+ * - Total Collected (what the customer paid, after partial refunds)
+ * - Partial Refunds (optional, negative)
+ * - Fees (optional, negative processing fees)
+ * - Event Type (optional - "Payment" or "Refund")
+ * - Description (optional - item summary)
+ * - Transaction ID (optional)
+ *
+ * Each payment becomes a gross sale (kind "sale") with the partial refunds
+ * added back, a refund line (kind "refund") for the partial refunds, and
+ * the processing fee (kind "fee"). Refund events become a refund line and
+ * the fee Square returned, if any.
+ */
+
+import { readCsv } from "./_csv.js";
+import { parseRows, transactionsOf } from "./_rows.js";
+import {
+  indexMap,
+  pickKey,
+  inspectDate,
+  normalizeAmount,
+  looksLikeDate,
+  sampleRatio,
+  feeTransaction
+} from "./_shared.js";
+
+/**
+ * Score how well a file matches the Square transactions format
+ * @param {{ headers: string[], rows: Array<{ cols: string[] }> }} sample - Header row and sample rows
+ * @returns {number} Confidence between 0 and 1
+ */
+export function detect({ headers, rows }) {
+  const idx = indexMap(headers);
+  const dateKey = pickKey(idx, ["Date"]);
+  if (!dateKey || idx["Total Collected"] === undefined) return 0;
+
+  let score = 0.5;
+  if (idx["Gross Sales"] !== undefined && idx["Net Sales"] !== undefined) score += 0.2;
+  if (idx["Fees"] !== undefined) score += 0.1;
+  score += 0.15 * sampleRatio(rows, (cols) => looksLikeDate(cols[idx[dateKey]]));
+  return score;
+}
+
+/**
+ * Map the Square columns present in a file
+ * @param {string[]} headers - Header row
+ * @returns {Object} Column keys (undefined when absent), the index map and missing required headers
+ */
+function mapColumns(headers) {
+  const idx = indexMap(headers);
+  const columns = {
+    idx,
+    dateKey: pickKey(idx, ["Date"]),
+    totalKey: pickKey(idx, ["Total Collected"]),
+    refundsKey: pickKey(idx, ["Partial Refunds"]),
+    feesKey: pickKey(idx, ["Fees"]),
+    eventKey: pickKey(idx, ["Event Type"]),
+    descKey: pickKey(idx, ["Description"]),
+    idKey: pickKey(idx, ["Transaction ID", "Payment ID"])
+  };
+  columns.missing = [
+    ["Date", columns.dateKey],
+    ["Total Collected", columns.totalKey]
+  ].filter(([, key]) => !key).map(([name]) => name);
+  return columns;
+}
+
+/**
+ * Read one Square row into its sale, refund and fee lines
+ * @param {string[]} cols - Row cells
+ * @param {Object} columns - Result of mapColumns
+ * @param {Object} context - Pipeline context (source, settings, dateOrder, nextId)
+ * @returns {import('./_rows.js').RowOutcome} Transactions, problems or a zero-amount skip
+ */
+function readRow(cols, columns, { source, settings, dateOrder, nextId }) {
+  const { idx, dateKey, totalKey, refundsKey, feesKey, eventKey, descKey, idKey } = columns;
+  const cell = (key) => (key ? (cols[idx[key]] ?? "").trim() : "");
+  const rawDate = cols[idx[dateKey]];
+  const rawTotal = cell(totalKey);
+  const rawRefunds = cell(refundsKey);
+  const rawFees = cell(feesKey);
+
+  const { date, ambiguous } = inspectDate(rawDate, { dateOrder });
+  const total = normalizeAmount(rawTotal, settings);
+  const refunds = rawRefunds ? -Math.abs(normalizeAmount(rawRefunds, settings)) : 0;
+  const fees = rawFees ? normalizeAmount(rawFees, settings) : 0;
+  const detail = cell(descKey) || cell(idKey) || "Payment";
+  const value = { date: rawDate, description: detail, amount: rawTotal, fees: rawFees };
+
+  const problems = [];
+  if (!date) problems.push(`Invalid date "${rawDate ?? "(empty)"}"`);
+  if (Number.isNaN(total)) problems.push(`Invalid amount "${rawTotal || "(empty)"}"`);
+  if (Number.isNaN(refunds)) problems.push(`Invalid partial refunds "${rawRefunds}"`);
+  if (Number.isNaN(fees)) problems.push(`Invalid fees "${rawFees}"`);
+  if (problems.length > 0) return { value, problems };
+  if (total === 0 && refunds === 0 && fees === 0) return { value, skip: "Zero amount" };
+
+  const transactions = [];
+  /**
+   * Add a sale or refund line
+   * @param {"sale"|"refund"} kind - Line kind
+   * @param {number} amount - Line amount
+   * @returns {Object} The transaction
+   */
+  const addLine = (kind, amount) => {
+    const description = `${kind === "sale" ? "Square Sale" : "Square Refund"} - ${detail}`;
+    const txn = { date, description, amount, source, id: nextId({ date, amount, description }), kind };
+    if (amount !== 0) transactions.push(txn);
+    return txn;
+  };
+
+  let line;
+  if (cell(eventKey).toLowerCase() === "refund" || total < 0) {
+    line = addLine("refund", -Math.abs(total));
+  } else {
+    line = addLine("sale", total - refunds);
+    addLine("refund", refunds);
+  }
+  if (fees !== 0) {
+    transactions.push(feeTransaction({ ...line, description: detail }, fees, "Square", nextId));
+  }
+  return { value, date, ambiguous, transactions };
+}
+
+/**
+ * Parse a Square transactions CSV with detailed error reporting per row
+ * @param {string} csvString - CSV content
+ * @param {string} source - Source identifier
+ * @param {Object} [options] - Parser options
+ * @param {string|Object} [options.locale] - Locale tag or settings for dates and amounts
+ * @returns {{ transactions: Array, errors: Array, warnings?: Array, skipped?: Array, totalRows: number, validCount: number, errorCount: number }}
+ */
+export function parseWithErrors(csvString, source = "square", { locale } = {}) {
+  return parseRows(readCsv(csvString), { columns: mapColumns, readRow }, { source, locale });
+}
+
+/**
+ * Parse a Square transactions CSV
+ * @param {string} csvString - CSV content
+ * @param {string} source - Source identifier
+ * @param {Object} [options] - Parser options
+ * @param {string|Object} [options.locale] - Locale tag or settings for dates and amounts
+ * @returns {Array} Array of normalized transactions
+ */
+export function parse(csvString, source = "square", options = {}) {
+  return transactionsOf(parseWithErrors(csvString, source, options), "Square");
+}
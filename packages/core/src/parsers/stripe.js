@@ -0,0 +1,183 @@
+/**
+ * Stripe balance history CSV parser adapter
+ * Handles the Balance → "Balance history" (balance transactions) export
+ *
+ * Supported headers (Stripe format):
+ * - id (optional)
+ * - Type or Reporting Category ("charge", "payment", "refund", "payout", "stripe_fee", ...)
+ * - Amount (gross, in major units)
+ * - Fee (processing fee, positive when charged)
+ * - Currency (lowercase ISO code)
+ * - Created (UTC) or Created date (UTC) ("2025-01-05 14:22:10")
+ * - Description (optional)
+ *
+ * Each charge becomes a gross sale (kind "sale") and its processing fee
+ * (kind "fee"); refunds become kind "refund", Stripe's own fees kind "fee",
+ * and payouts to the bank kind "transfer" so summaries don't count the
+ * money twice when the bank statement is imported too.
+ */
+
+import { readCsv } from "./_csv.js";
+import { parseRows, transactionsOf } from "./_rows.js";
+import {
+  indexMap,
+  pickKey,
+  normalizeDate,
+  normalizeAmount,
+  normalizeCurrency,
+  sampleRatio,
+  feeTransaction
+} from "./_shared.js";
+
+const TYPE_HEADERS = ["Type", "Reporting Category"];
+const CREATED_HEADERS = ["Created (UTC)", "Created date (UTC)", "Created"];
+
+const SALE_TYPES = new Set(["charge", "payment"]);
+const REFUND_TYPES = new Set(["refund", "payment_refund", "payment_failure_refund"]);
+const PAYOUT_TYPES = new Set(["payout", "payout_cancel", "payout_failure", "transfer"]);
+const FEE_TYPES = new Set(["stripe_fee", "application_fee", "fee"]);
+
+// Description prefixes by kind, so rules can tell the lines apart
+const LABELS = { sale: "Stripe Sale", refund: "Stripe Refund", fee: "Stripe Fee", transfer: "Stripe Payout" };
+
+/**
+ * Classify a Stripe balance transaction type
+ * @param {string} type - Type or Reporting Category value
+ * @returns {"sale"|"refund"|"fee"|"transfer"|undefined} Transaction kind
+ */
+function kindOf(type) {
+  const t = type.toLowerCase();
+  if (SALE_TYPES.has(t)) return "sale";
+  if (REFUND_TYPES.has(t)) return "refund";
+  if (PAYOUT_TYPES.has(t)) return "transfer";
+  if (FEE_TYPES.has(t)) return "fee";
+  return undefined;
+}
+
+/**
+ * Read the date part of a Stripe timestamp
+ * @param {string} raw - e.g. "2025-01-05 14:22:10"
+ * @returns {string|null} YYYY-MM-DD or null
+ */
+function readDate(raw) {
+  return normalizeDate(String(raw ?? "").trim().split(/[ T]/)[0]);
+}
+
+/**
+ * Score how well a file matches the Stripe balance history format
+ * @param {{ headers: string[], rows: Array<{ cols: string[] }> }} sample - Header row and sample rows
+ * @returns {number} Confidence between 0 and 1
+ */
+export function detect({ headers, rows }) {
+  const idx = indexMap(headers);
+  const typeKey = pickKey(idx, TYPE_HEADERS);
+  const createdKey = pickKey(idx, CREATED_HEADERS);
+  if (!typeKey || !createdKey || idx["Amount"] === undefined) return 0;
+
+  let score = 0.3;
+  if (idx["Fee"] !== undefined && idx["Net"] !== undefined) score += 0.2;
+  if (idx["Available On (UTC)"] !== undefined || idx["Available on (UTC)"] !== undefined) score += 0.2;
+  score += 0.25 * sampleRatio(rows, (cols) => kindOf(cols[idx[typeKey]] ?? "") !== undefined);
+  return score;
+}
+
+/**
+ * Map the Stripe columns present in a file
+ * Stripe timestamps are ISO dates, so no column settles a day/month order.
+ *
+ * @param {string[]} headers - Header row
+ * @returns {Object} Column keys (undefined when absent), the index map and missing required headers
+ */
+function mapColumns(headers) {
+  const idx = indexMap(headers);
+  const columns = {
+    idx,
+    typeKey: pickKey(idx, TYPE_HEADERS),
+    createdKey: pickKey(idx, CREATED_HEADERS),
+    amtKey: pickKey(idx, ["Amount"]),
+    feeKey: pickKey(idx, ["Fee"]),
+    currencyKey: pickKey(idx, ["Currency"]),
+    descKey: pickKey(idx, ["Description"]),
+    idKey: pickKey(idx, ["id", "ID", "Balance Transaction ID"])
+  };
+  columns.missing = [
+    ["Type", columns.typeKey],
+    ["Created (UTC)", columns.createdKey],
+    ["Amount", columns.amtKey]
+  ].filter(([, key]) => !key).map(([name]) => name);
+  return columns;
+}
+
+/**
+ * Read one Stripe balance transaction into its gross and fee transactions
+ * @param {string[]} cols - Row cells
+ * @param {Object} columns - Result of mapColumns
+ * @param {Object} context - Pipeline context (source, nextId)
+ * @returns {import('./_rows.js').RowOutcome} Transactions, problems or a zero-amount skip
+ */
+function readRow(cols, columns, { source, nextId }) {
+  const { idx, typeKey, createdKey, amtKey, feeKey, currencyKey, descKey, idKey } = columns;
+  const cell = (key) => (key ? (cols[idx[key]] ?? "").trim() : "");
+  const type = cell(typeKey);
+  const rawDate = cell(createdKey);
+  const rawAmount = cell(amtKey);
+  const rawFee = cell(feeKey);
+  const rawCurrency = cell(currencyKey);
+
+  const date = readDate(rawDate);
+  const amount = normalizeAmount(rawAmount);
+  // Stripe lists the fee as a positive cost
+  const fee = rawFee ? -normalizeAmount(rawFee) : 0;
+  const currency = normalizeCurrency(rawCurrency);
+  const kind = kindOf(type);
+  const detail = cell(descKey) || cell(idKey) || type;
+  const description = kind ? `${LABELS[kind]} - ${detail}` : detail;
+  const value = { date: rawDate, description: detail, amount: rawAmount, fee: rawFee, type };
+
+  const problems = [];
+  if (!date) problems.push(`Invalid date "${rawDate || "(empty)"}"`);
+  if (!detail) problems.push("Empty description");
+  if (Number.isNaN(amount)) problems.push(`Invalid amount "${rawAmount || "(empty)"}"`);
+  if (Number.isNaN(fee)) problems.push(`Invalid fee "${rawFee}"`);
+  if (currency === null) problems.push(`Invalid currency "${rawCurrency}"`);
+  if (problems.length > 0) return { value, problems };
+
+  // Fees on a fee row are already its amount
+  const separateFee = fee !== 0 && kind !== "fee";
+  if (amount === 0 && !separateFee) return { value, skip: "Zero amount" };
+
+  const txn = {
+    date,
+    description,
+    amount,
+    source,
+    id: nextId({ date, amount, description })
+  };
+  if (currency) txn.currency = currency;
+  if (kind) txn.kind = kind;
+
+  const transactions = [];
+  if (amount !== 0) transactions.push(txn);
+  if (separateFee) transactions.push(feeTransaction({ ...txn, description: detail }, fee, "Stripe", nextId));
+  return { value, date, transactions };
+}
+
+/**
+ * Parse a Stripe balance history CSV with detailed error reporting per row
+ * @param {string} csvString - CSV content
+ * @param {string} source - Source identifier
+ * @returns {{ transactions: Array, errors: Array, skipped?: Array, totalRows: number, validCount: number, errorCount: number }}
+ */
+export function parseWithErrors(csvString, source = "stripe") {
+  return parseRows(readCsv(csvString), { columns: mapColumns, readRow }, { source });
+}
+
+/**
+ * Parse a Stripe balance history CSV
+ * @param {string} csvString - CSV content
+ * @param {string} source - Source identifier
+ * @returns {Array} Array of normalized transactions
+ */
+export function parse(csvString, source = "stripe") {
+  return transactionsOf(parseWithErrors(csvString, source), "Stripe");
+}
@@ -0,0 +1,184 @@
+/**
+ * Venmo statement CSV parser adapter
+ * Handles the monthly statement download, which starts with an
+ * "Account Statement" line above the header and ends with balance lines
+ *
+ * Supported headers (Venmo format):
+ * - Datetime (ISO timestamp)
+ * - Type ("Payment", "Charge", "Standard Transfer", "Instant Transfer", ...)
+ * - Status ("Complete", "Issued", "Pending"; failed or canceled rows are skipped)
+ * - Note, From, To
+ * - Amount (total) ("- $25.00", "+ $10.00")
+ * - Amount (fee) (optional)
+ * - Destination (optional - bank account for transfers)
+ *
+ * The counterparty is "To" for money sent and "From" for money received,
+ * and the note is appended to the description like a memo. Fees become
+ * separate transactions (kind "fee"), and transfers to or from the bank are
+ * tagged kind "transfer" so summaries leave them out.
+ */
+
+import { readCsv } from "./_csv.js";
+import { parseRows, transactionsOf } from "./_rows.js";
+import {
+  indexMap,
+  pickKey,
+  normalizeDate,
+  normalizeAmount,
+  normalizeStatus,
+  sampleRatio,
+  feeTransaction
+} from "./_shared.js";
+
+// Preamble lines are only looked for near the top of the file
+const MAX_PREAMBLE_ROWS = 5;
+
+const SKIPPED_STATUSES = new Set(["failed", "canceled", "cancelled", "declined", "denied"]);
+
+/**
+ * Check whether a row is the Venmo header
+ * @param {string[]} fields - Row fields
+ * @returns {boolean} True when the row has Datetime and Amount (total) columns
+ */
+function isHeader(fields) {
+  return fields.includes("Datetime") && fields.includes("Amount (total)");
+}
+
+/**
+ * Read the date part of a Venmo timestamp
+ * @param {string} raw - e.g. "2025-01-05T14:22:10"
+ * @returns {string|null} YYYY-MM-DD or null
+ */
+function readDate(raw) {
+  return normalizeDate(String(raw ?? "").trim().split("T")[0]);
+}
+
+/**
+ * Locate the header among the leading records
+ * @param {string[][]} records - Leading non-blank records
+ * @returns {number} Header index, or 0 when there is none so the first record is reported as the header
+ */
+export function headerIndex(records) {
+  return Math.max(0, records.slice(0, MAX_PREAMBLE_ROWS + 1).findIndex(isHeader));
+}
+
+/**
+ * Score how well a file matches the Venmo statement format
+ * @param {{ headers: string[], rows: Array<{ cols: string[] }> }} sample - Header row and sample rows
+ * @returns {number} Confidence between 0 and 1
+ */
+export function detect({ headers, rows }) {
+  const records = [headers, ...rows.map((r) => r.cols)].slice(0, MAX_PREAMBLE_ROWS + 1);
+  const index = records.findIndex(isHeader);
+  if (index === -1) return 0;
+
+  const idx = indexMap(records[index]);
+  const dataRows = rows.slice(index).filter((r) => r.cols[idx["Datetime"]]);
+  let score = 0.6;
+  if (idx["From"] !== undefined && idx["To"] !== undefined) score += 0.2;
+  score += 0.15 * sampleRatio(dataRows, (cols) => readDate(cols[idx["Datetime"]]) !== null);
+  return score;
+}
+
+/**
+ * Map the Venmo columns present in a file
+ * @param {string[]} headers - Header row
+ * @returns {Object} Column keys (null when absent), the index map and missing required headers
+ */
+function mapColumns(headers) {
+  const idx = indexMap(headers);
+  return {
+    idx,
+    typeKey: pickKey(idx, ["Type"]),
+    statusKey: pickKey(idx, ["Status"]),
+    noteKey: pickKey(idx, ["Note"]),
+    fromKey: pickKey(idx, ["From"]),
+    toKey: pickKey(idx, ["To"]),
+    feeKey: pickKey(idx, ["Amount (fee)"]),
+    destinationKey: pickKey(idx, ["Destination"]),
+    missing: ["Datetime", "Amount (total)"].filter((name) => idx[name] === undefined)
+  };
+}
+
+/**
+ * Read one Venmo row
+ * @param {string[]} cols - Row fields
+ * @param {Object} columns - Result of mapColumns
+ * @param {Object} context - Pipeline context (source, settings, dateOrder, nextId)
+ * @returns {import('./_rows.js').RowOutcome} Transactions, skip or problems
+ */
+function readRow(cols, columns, { source, settings, nextId }) {
+  const { idx, typeKey, statusKey, noteKey, fromKey, toKey, feeKey, destinationKey } = columns;
+  const cell = (key) => (key ? (cols[idx[key]] ?? "").trim() : "");
+  const rawStatus = cell(statusKey);
+  const rawDate = cell("Datetime");
+  const rawAmount = cell("Amount (total)");
+  const rawFee = cell(feeKey);
+  const type = cell(typeKey);
+  const note = cell(noteKey);
+  const value = { date: rawDate, description: note, amount: rawAmount, fee: rawFee };
+
+  // Balance summary lines have no timestamp
+  if (!rawDate) return { value, skip: "Balance line" };
+  if (SKIPPED_STATUSES.has(rawStatus.toLowerCase())) {
+    return { value: { ...value, status: rawStatus }, skip: `Status "${rawStatus}" (no money moved)` };
+  }
+
+  const date = readDate(rawDate);
+  const amount = normalizeAmount(rawAmount, settings);
+  const fee = rawFee ? -Math.abs(normalizeAmount(rawFee, settings)) : 0;
+  const transfer = /transfer|add funds/i.test(type);
+  const counterparty = amount < 0 ? cell(toKey) : cell(fromKey);
+  const destination = transfer ? cell(destinationKey) : "";
+  let description = counterparty || destination || type;
+  if (description && note) description += ` [${note}]`;
+
+  const problems = [];
+  if (!date) problems.push(`Invalid date "${rawDate}"`);
+  if (!description) problems.push("Empty description");
+  if (Number.isNaN(amount)) problems.push(`Invalid amount "${rawAmount || "(empty)"}"`);
+  if (Number.isNaN(fee)) problems.push(`Invalid fee "${rawFee}"`);
+  if (problems.length > 0) return { value, problems };
+  if (amount === 0 && fee === 0) return { value, skip: "Zero amount" };
+
+  const txn = {
+    date,
+    description,
+    amount,
+    source,
+    id: nextId({ date, amount, description })
+  };
+  if (counterparty) txn.counterparty = counterparty;
+  const status = normalizeStatus(rawStatus) ?? (rawStatus.toLowerCase() === "issued" ? "posted" : undefined);
+  if (status) txn.status = status;
+  if (transfer) txn.kind = "transfer";
+
+  const transactions = [];
+  if (amount !== 0) transactions.push(txn);
+  if (fee !== 0) transactions.push(feeTransaction(txn, fee, "Venmo", nextId));
+  return { value, date, transactions };
+}
+
+/**
+ * Parse a Venmo statement CSV with detailed error reporting per row
+ * @param {string} csvString - CSV content
+ * @param {string} source - Source identifier
+ * @param {Object} [options] - Parser options
+ * @param {string|Object} [options.locale] - Locale tag or settings for amounts
+ * @returns {{ transactions: Array, errors: Array, warnings?: Array, skipped?: Array, totalRows: number, validCount: number, errorCount: number }}
+ */
+export function parseWithErrors(csvString, source = "venmo", { locale } = {}) {
+  return parseRows(readCsv(csvString, { headerIndex }), { columns: mapColumns, readRow }, { source, locale });
+}
+
+/**
+ * Parse a Venmo statement CSV
+ * @param {string} csvString - CSV content
+ * @param {string} source - Source identifier
+ * @param {Object} [options] - Parser options
+ * @param {string|Object} [options.locale] - Locale tag or settings for amounts
+ * @returns {Array} Array of normalized transactions
+ */
+export function parse(csvString, source = "venmo", options = {}) {
+  return transactionsOf(parseWithErrors(csvString, source, options), "Venmo");
+}
@@ -0,0 +1,157 @@
+import { TransactionSchema, formatZodErrors } from "./schemas.js";
+import { normalizeDate, normalizeAmount, normalizeDescription, resolveLocale, hash } from "./parsers/_shared.js";
+
+/**
+ * Import repairs
+ * Rows an adapter could not read (an invalid date, a garbled amount) can be
+ * fixed by hand and accepted into the import. Each fix is recorded with the
+ * row's raw values, so importing the same file again, or a later download
+ * that repeats the row, applies it automatically wherever the row ends up.
+ *
+ * A repaired row becomes one transaction with the entered date, description
+ * and amount; fees or other extra columns of the raw row are not imported.
+ */
+
+/**
+ * @typedef {import('./schemas.js').ImportRepair} ImportRepair
+ * @typedef {import('./schemas.js').ImportError} ImportError
+ */
+
+/**
+ * Check whether a recorded repair is for a given row
+ * @param {ImportRepair} repair - Recorded repair
+ * @param {string} source - Source of the import
+ * @param {unknown} original - Raw values of the row
+ * @returns {boolean} True when source and raw values match
+ */
+function isRepairFor(repair, source, original) {
+  return repair.source === source && JSON.stringify(repair.original ?? null) === JSON.stringify(original ?? null);
+}
+
+/**
+ * Check whether an import error is a row that can be repaired
+ * Balance breaks flag rows that were imported anyway, skipped rows were left
+ * out on purpose and file-level errors have no row.
+ * @param {ImportError} error - Import error
+ * @returns {boolean} True for a dropped row
+ */
+export function isRepairable(error) {
+  return error.row > 0 && error.field !== "balance" && (error.severity ?? "error") === "error";
+}
+
+/**
+ * Build the transaction for a repaired row
+ * The ID is built like an adapter's, counting rows with the same content in
+ * the import, so re-importing the file gives the repaired row the same ID.
+ *
+ * @param {ImportRepair} repair - Repair to apply
+ * @param {Object} options - Import options
+ * @param {string} options.source - Source of the import
+ * @param {string} [options.accountId] - Account the import is tagged with
+ * @param {Array} options.transactions - Transactions already in the import
+ * @param {number} options.row - File row the repair is applied to
+ * @returns {Object} Transaction
+ */
+function repairedTransaction({ date, description, amount, original }, { source, accountId, transactions, row }) {
+  const key = ["", date, Math.round(amount * 100), normalizeDescription(description)].join("|");
+  const stem = `${source}:${accountId ? `${accountId}:` : ""}${date}:${hash(key)}:`;
+  const taken = transactions.filter((t) => t.id.startsWith(stem) && /^\d+$/.test(t.id.slice(stem.length))).length;
+
+  const txn = { date, description, amount, source, id: `${stem}${taken + 1}` };
+  if (accountId) txn.accountId = accountId;
+  txn.audit = [{ step: "import_repair", row, original }];
+  return txn;
+}
+
+/**
+ * Validate a fix for a row the import dropped
+ * Dates and amounts are read like the adapters read them (ISO dates always
+ * work), then the transaction is checked against TransactionSchema.
+ *
+ * @param {ImportError} error - Import error of the dropped row
+ * @param {{ date: string, description: string, amount: string|number }} fix - Values entered for the row
+ * @param {Object} options - Import options
+ * @param {string} options.source - Source of the import
+ * @param {string} [options.accountId] - Account the import is tagged with
+ * @param {string|Object} [options.locale] - Locale the file was imported with
+ * @param {Array} [options.transactions=[]] - Transactions already in the import
+ * @returns {{ transaction: Object|null, repair: ImportRepair|null, errors: string[] }} The accepted row, or what is still wrong
+ */
+export function repairRow(error, fix, { source, accountId, locale, transactions = [] }) {
+  if (!isRepairable(error)) {
+    return { transaction: null, repair: null, errors: ["Only rows dropped from the import can be repaired"] };
+  }
+
+  const errors = [];
+  let settings = {};
+  try {
+    settings = resolveLocale(locale);
+  } catch (err) {
+    errors.push(err.message);
+  }
+  const rawDate = String(fix.date ?? "").trim();
+  const rawAmount = String(fix.amount ?? "").trim();
+  const date = normalizeDate(rawDate, settings);
+  const amount = typeof fix.amount === "number" ? fix.amount : normalizeAmount(rawAmount, settings);
+  const description = String(fix.description ?? "").trim();
+
+  if (!date) errors.push(`Invalid date "${rawDate || "(empty)"}"`);
+  if (Number.isNaN(amount)) errors.push(`Invalid amount "${rawAmount || "(empty)"}"`);
+  if (errors.length > 0) return { transaction: null, repair: null, errors };
+
+  /** @type {ImportRepair} */
+  const repair = { source, original: error.value ?? null, date, description, amount, row: error.row };
+  const transaction = repairedTransaction(repair, { source, accountId, transactions, row: error.row });
+  const result = TransactionSchema.safeParse(transaction);
+  if (!result.success) {
+    return { transaction: null, repair: null, errors: formatZodErrors(result.error) };
+  }
+  return { transaction: result.data, repair, errors: [] };
+}
+
+/**
+ * Add a repair to the recorded ones, replacing an earlier fix for the same row
+ * @param {ImportRepair[]} list - Recorded repairs
+ * @param {ImportRepair} repair - New repair
+ * @returns {ImportRepair[]} Updated list
+ */
+export function recordRepair(list, repair) {
+  return [...list.filter((r) => !isRepairFor(r, repair.source, repair.original)), repair];
+}
+
+/**
+ * Apply recorded repairs to an import result
+ * Dropped rows with a recorded fix become transactions again; their errors
+ * move to `repaired`.
+ *
+ * @param {{ transactions: Array, errors: ImportError[] }} result - Result of validateAndParseCsv or collectStream
+ * @param {ImportRepair[]} list - Recorded repairs
+ * @param {Object} options - Import options
+ * @param {string} options.source - Source of the import
+ * @param {string} [options.accountId] - Account the import is tagged with
+ * @returns {Object} The result with repaired rows added, plus `repaired` (the errors that were fixed)
+ */
+export function applyRepairs(result, list, { source, accountId }) {
+  const transactions = [...result.transactions];
+  const errors = [];
+  const repaired = [];
+
+  for (const error of result.errors) {
+    const repair = isRepairable(error) ? list.find((r) => isRepairFor(r, source, error.value)) : null;
+    if (!repair) {
+      errors.push(error);
+      continue;
+    }
+    transactions.push(repairedTransaction(repair, { source, accountId, transactions, row: error.row }));
+    repaired.push(error);
+  }
+
+  return {
+    ...result,
+    transactions,
+    errors,
+    repaired,
+    validCount: transactions.length,
+    errorCount: errors.length
+  };
+}
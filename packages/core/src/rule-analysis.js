@@ -0,0 +1,355 @@
+import { compileRules } from "./rules-engine.js";
+
+/**
+ * Rule analysis
+ * With first-match semantics a rule can be dead without anyone noticing: a
+ * rule earlier in the match order catches everything it would, or its own
+ * amount conditions exclude each other. analyzeRules finds these statically,
+ * flags rules whose keywords overlap but which categorize differently, and,
+ * given transactions, lists the rules that matched none of them.
+ *
+ * The static checks are conservative: a rule is only reported as shadowed
+ * when its conditions provably imply the earlier rule's. Conditions the
+ * analysis cannot compare (regexes, field matchers, "not" groups) only imply
+ * the identical condition.
+ */
+
+/**
+ * @typedef {Object} RuleFinding
+ * @property {"shadowed"|"unreachable_amount"|"conflict"|"unused"} type - Kind of problem
+ * @property {"warning"|"info"} severity - "info" for rules that only went unused in the data
+ * @property {string} ruleId - Rule the finding is about
+ * @property {string} [otherRuleId] - Earlier rule that shadows or overlaps it
+ * @property {string} message - Human-readable explanation
+ */
+
+const KEYWORD_KEYS = ["contains", "any_contains"];
+const AMOUNT_KEYS = ["amount_gt", "amount_lt", "amount_between"];
+const DATE_KEYS = ["date_after", "date_before", "date_between"];
+const LIST_KEYS = ["account", "source", "card_member", "counterparty", "counterparty_iban", "month_in", "day_of_week_in"];
+
+// Unbounded range; null stands for no limit
+const ANY = { min: null, minOpen: false, max: null, maxOpen: false };
+
+/**
+ * Analyze a rules file for dead and conflicting rules
+ * @param {Object} rulesFile - Validated rules configuration
+ * @param {Array} [transactions] - Transactions to check the rules against
+ * @returns {RuleFinding[]} Findings in rule match order
+ */
+export function analyzeRules(rulesFile, transactions) {
+  const compiled = compileRules(rulesFile);
+  const { rules } = compiled;
+  /** @type {RuleFinding[]} */
+  const findings = [];
+  const dead = new Set();
+
+  for (const rule of rules) {
+    if (isEmpty(amountRange(rule.when))) {
+      dead.add(rule.id);
+      findings.push({
+        type: "unreachable_amount",
+        severity: "warning",
+        ruleId: rule.id,
+        message: `Rule "${rule.id}" can never match: its amount conditions (${describeAmounts(rule.when).join(", ")}) exclude every amount`
+      });
+    }
+  }
+
+  rules.forEach((rule, position) => {
+    if (dead.has(rule.id)) return;
+    const earlier = rules.slice(0, position).filter((r) => !dead.has(r.id));
+
+    const shadow = earlier.find((r) => covers(effectiveRange(r), dateRange(rule)) && implies(rule.when, r.when));
+    if (shadow) {
+      dead.add(rule.id);
+      findings.push({
+        type: "shadowed",
+        severity: "warning",
+        ruleId: rule.id,
+        otherRuleId: shadow.id,
+        message: `Rule "${rule.id}" can never match: every transaction it matches is caught first by "${shadow.id}"${orderReason(shadow, rule)}`
+      });
+      return;
+    }
+
+    for (const other of earlier) {
+      const shared = sharedKeyword(other.when, rule.when);
+      const difference = shared && overlaps(other, rule) ? outcomeDifference(other.then, rule.then) : null;
+      if (!difference) continue;
+      findings.push({
+        type: "conflict",
+        severity: "warning",
+        ruleId: rule.id,
+        otherRuleId: other.id,
+        message: `Rules "${other.id}" and "${rule.id}" can both match "${shared}" but assign different ${difference}; "${other.id}" wins${orderReason(other, rule)}`
+      });
+    }
+  });
+
+  if (Array.isArray(transactions)) {
+    const matched = new Set();
+    for (const txn of transactions) {
+      const rule = compiled.match(txn);
+      if (rule) matched.add(rule.id);
+    }
+    for (const rule of rules) {
+      if (matched.has(rule.id) || dead.has(rule.id)) continue;
+      findings.push({
+        type: "unused",
+        severity: "info",
+        ruleId: rule.id,
+        message: `Rule "${rule.id}" matched none of the ${transactions.length} transactions`
+      });
+    }
+  }
+
+  const order = new Map(rules.map((r, i) => [r.id, i]));
+  return findings.sort((a, b) => order.get(a.ruleId) - order.get(b.ruleId));
+}
+
+/**
+ * Explain why one rule is checked before another
+ * @param {Object} first - Rule earlier in the match order
+ * @param {Object} second - Rule later in the match order
+ * @returns {string} Suffix for a message
+ */
+function orderReason(first, second) {
+  const a = first.priority ?? 0;
+  const b = second.priority ?? 0;
+  return a === b ? " (same priority, listed earlier)" : ` (priority ${a} over ${b})`;
+}
+
+/**
+ * Check whether every transaction matching one clause also matches another
+ * @param {Object} when - Clause of the later rule
+ * @param {Object} other - Clause of the earlier rule
+ * @returns {boolean} True if it provably does
+ */
+function implies(when, other) {
+  return Object.entries(other).every(([key, value]) => impliesCondition(when, key, value));
+}
+
+/**
+ * Check whether a clause implies one condition of another clause
+ * @param {Object} when - Clause of the later rule
+ * @param {string} key - Condition name
+ * @param {*} value - Condition value
+ * @returns {boolean} True if the condition provably holds whenever the clause matches
+ */
+function impliesCondition(when, key, value) {
+  if (holds(when, key, value)) return true;
+  // Nested groups of the clause narrow it further
+  if (Array.isArray(when.all) && when.all.some((nested) => impliesCondition(nested, key, value))) return true;
+  if (Array.isArray(when.any) && when.any.length > 0) {
+    return when.any.every((nested) => impliesCondition({ ...when, any: undefined, ...nested }, key, value));
+  }
+  return false;
+}
+
+/**
+ * Check one condition against the top-level conditions of a clause
+ * @param {Object} when - Clause of the later rule
+ * @param {string} key - Condition name
+ * @param {*} value - Condition value
+ * @returns {boolean} True if the condition provably holds whenever the clause matches
+ */
+function holds(when, key, value) {
+  if (value === undefined || value === null) return true;
+  if (AMOUNT_KEYS.includes(key)) return covers(amountRange({ [key]: value }), amountRange(when));
+  if (DATE_KEYS.includes(key)) return covers(dateRange({ when: { [key]: value } }), dateRange({ when }));
+  if (KEYWORD_KEYS.includes(key)) return !Array.isArray(value) || value.length === 0 || containsOneOf(when, lower(value));
+  if (key === "all_contains") return !Array.isArray(value) || lower(value).every((k) => containsOneOf(when, [k]));
+  if (LIST_KEYS.includes(key)) {
+    if (!Array.isArray(value) || value.length === 0) return true;
+    const listed = new Set(value.map((v) => normalize(key, v)));
+    return Array.isArray(when[key]) && when[key].length > 0 && when[key].every((v) => listed.has(normalize(key, v)));
+  }
+  if (key === "day_of_month") {
+    const inner = when.day_of_month;
+    return Boolean(inner) && inner.min >= value.min && inner.max <= value.max;
+  }
+  if (key === "all") return Array.isArray(value) && value.every((nested) => implies(when, nested));
+  if (key === "any") return Array.isArray(value) && value.some((nested) => implies(when, nested));
+  if (!value) return true;
+  return JSON.stringify(when[key]) === JSON.stringify(value);
+}
+
+/**
+ * Check whether a clause guarantees the description contains one of some keywords
+ * @param {Object} when - When conditions
+ * @param {string[]} keywords - Lowercase keywords
+ * @returns {boolean} True if every description the clause accepts contains one
+ */
+function containsOneOf(when, keywords) {
+  if (keywords.includes("")) return true;
+  const within = (k) => keywords.some((keyword) => k.includes(keyword));
+  if (Array.isArray(when.all_contains) && lower(when.all_contains).some(within)) return true;
+  return KEYWORD_KEYS.some((key) => Array.isArray(when[key]) && when[key].length > 0 && lower(when[key]).every(within));
+}
+
+/**
+ * Find a description keyword two clauses have in common
+ * Keywords overlap when one contains the other ("amazon" and "amazon prime").
+ *
+ * @param {Object} a - When conditions
+ * @param {Object} b - When conditions
+ * @returns {string|null} The shorter of the first overlapping pair
+ */
+function sharedKeyword(a, b) {
+  const keywordsOf = (when) =>
+    [...KEYWORD_KEYS, "all_contains"].flatMap((key) => (Array.isArray(when[key]) ? lower(when[key]) : [])).filter(Boolean);
+  const other = keywordsOf(b);
+  for (const k of keywordsOf(a)) {
+    const hit = other.find((o) => o.includes(k) || k.includes(o));
+    if (hit) return hit.length < k.length ? hit : k;
+  }
+  return null;
+}
+
+/**
+ * Check whether the non-keyword conditions of two rules leave room for a
+ * transaction both match
+ * @param {Object} a - Rule
+ * @param {Object} b - Rule
+ * @returns {boolean} False if their amounts, dates or listed values exclude each other
+ */
+function overlaps(a, b) {
+  if (isEmpty(intersect(amountRange(a.when), amountRange(b.when)))) return false;
+  if (isEmpty(intersect(dateRange(a), dateRange(b)))) return false;
+  return LIST_KEYS.every((key) => {
+    const [x, y] = [a.when[key], b.when[key]];
+    if (!Array.isArray(x) || x.length === 0 || !Array.isArray(y) || y.length === 0) return true;
+    const listed = new Set(x.map((v) => normalize(key, v)));
+    return y.some((v) => listed.has(normalize(key, v)));
+  });
+}
+
+/**
+ * Describe how the outcomes of two rules differ
+ * @param {Object} a - "then" of the earlier rule
+ * @param {Object} b - "then" of the later rule
+ * @returns {string|null} What differs, or null for the same outcome
+ */
+function outcomeDifference(a = {}, b = {}) {
+  const ventures = (then) =>
+    Array.isArray(then.split) ? then.split.map((s) => `${s.venture} ${s.percent}%`).join(" + ") : then.venture ?? "(none)";
+  const differences = [];
+  if ((a.category ?? "Uncategorized") !== (b.category ?? "Uncategorized")) {
+    differences.push(`categories (${a.category ?? "Uncategorized"} vs ${b.category ?? "Uncategorized"})`);
+  }
+  if (ventures(a) !== ventures(b)) differences.push(`ventures (${ventures(a)} vs ${ventures(b)})`);
+  return differences.length > 0 ? differences.join(" and ") : null;
+}
+
+/**
+ * Range of amounts a clause accepts, including its nested "all" groups
+ * @param {Object} when - When conditions
+ * @returns {Object} Range
+ */
+function amountRange(when) {
+  let range = ANY;
+  if (typeof when.amount_gt === "number") range = intersect(range, { ...ANY, min: when.amount_gt, minOpen: true });
+  if (typeof when.amount_lt === "number") range = intersect(range, { ...ANY, max: when.amount_lt, maxOpen: true });
+  if (when.amount_between) {
+    const { min, max } = when.amount_between;
+    range = intersect(range, { ...ANY, min, max });
+  }
+  for (const nested of Array.isArray(when.all) ? when.all : []) range = intersect(range, amountRange(nested));
+  return range;
+}
+
+/**
+ * List the amount conditions of a clause for a message
+ * @param {Object} when - When conditions
+ * @returns {string[]} Conditions, e.g. "amount_gt 0"
+ */
+function describeAmounts(when) {
+  const parts = [];
+  if (typeof when.amount_gt === "number") parts.push(`amount_gt ${when.amount_gt}`);
+  if (typeof when.amount_lt === "number") parts.push(`amount_lt ${when.amount_lt}`);
+  if (when.amount_between) parts.push(`amount_between ${when.amount_between.min} and ${when.amount_between.max}`);
+  for (const nested of Array.isArray(when.all) ? when.all : []) parts.push(...describeAmounts(nested));
+  return parts;
+}
+
+/**
+ * Range of dates a rule accepts: its date conditions within its effective window
+ * @param {{ when: Object, effective?: Object }} rule - Rule (or a bare clause wrapped as one)
+ * @returns {Object} Range of YYYY-MM-DD strings
+ */
+function dateRange({ when, effective }) {
+  let range = effective ? effectiveRange({ effective }) : ANY;
+  if (when.date_after) range = intersect(range, { ...ANY, min: when.date_after, minOpen: true });
+  if (when.date_before) range = intersect(range, { ...ANY, max: when.date_before, maxOpen: true });
+  if (when.date_between) range = intersect(range, { ...ANY, min: when.date_between.from, max: when.date_between.to });
+  for (const nested of Array.isArray(when.all) ? when.all : []) range = intersect(range, dateRange({ when: nested }));
+  return range;
+}
+
+/**
+ * Range of dates a rule's effective window allows
+ * @param {Object} rule - Rule
+ * @returns {Object} Range of YYYY-MM-DD strings
+ */
+function effectiveRange({ effective }) {
+  return { ...ANY, min: effective?.from ?? null, max: effective?.to ?? null };
+}
+
+/**
+ * Intersect two ranges
+ * @param {Object} a - Range
+ * @param {Object} b - Range
+ * @returns {Object} Values in both
+ */
+function intersect(a, b) {
+  const lower = a.min === null || (b.min !== null && (b.min > a.min || (b.min === a.min && b.minOpen))) ? b : a;
+  const upper = a.max === null || (b.max !== null && (b.max < a.max || (b.max === a.max && b.maxOpen))) ? b : a;
+  return { min: lower.min, minOpen: lower.minOpen, max: upper.max, maxOpen: upper.maxOpen };
+}
+
+/**
+ * Check whether a range holds no values
+ * @param {Object} range - Range
+ * @returns {boolean} True if empty
+ */
+function isEmpty({ min, minOpen, max, maxOpen }) {
+  if (min === null || max === null) return false;
+  return min > max || (min === max && (minOpen || maxOpen));
+}
+
+/**
+ * Check whether one range contains another
+ * @param {Object} outer - Range
+ * @param {Object} inner - Range
+ * @returns {boolean} True if every value of inner is in outer
+ */
+function covers(outer, inner) {
+  if (isEmpty(inner)) return true;
+  const lowerOk =
+    outer.min === null || (inner.min !== null && (inner.min > outer.min || (inner.min === outer.min && (!outer.minOpen || inner.minOpen))));
+  const upperOk =
+    outer.max === null || (inner.max !== null && (inner.max < outer.max || (inner.max === outer.max && (!outer.maxOpen || inner.maxOpen))));
+  return lowerOk && upperOk;
+}
+
+/**
+ * Lowercase a keyword list like the rules engine does
+ * @param {Array} keywords - Keywords
+ * @returns {string[]} Lowercase keywords
+ */
+function lower(keywords) {
+  return keywords.map((k) => String(k).toLowerCase());
+}
+
+/**
+ * Normalize a listed value for comparison like the rules engine does
+ * @param {string} key - Condition name
+ * @param {*} value - Listed value
+ * @returns {*} Comparable value
+ */
+function normalize(key, value) {
+  if (key === "counterparty_iban") return String(value).replace(/\s+/g, "").toUpperCase();
+  if (key === "card_member" || key === "counterparty") return String(value).trim().toLowerCase();
+  return value;
+}
@@ -16,8 +16,27 @@
  *         "regex": { "pattern": "regex", "flags": "i" },
  *         "amount_gt": -100,
  *         "amount_lt": 0,
- *         "amount_between": { "min": -500, "max": -10 }
+ *         "amount_between": { "min": -500, "max": -10 },
+ *         "counterparty_iban": ["DE89 3704 0044 0532 0130 00"],  // Any of these accounts
+ *         "account": ["chase-sapphire"],        // Imported for one of these registry accounts (accountId)
+ *         "source": ["costco"],                 // Imported from one of these sources
+ *         "card_member": ["JANE DOE"],          // Charged by one of these cardholders
+ *         "counterparty": ["Acme Corp"],        // Paid to or received from one of these names
+ *         "memo_contains": ["invoice"],         // Memo contains at least one keyword
+ *         "field": { "name": "importedCategory", "equals": "Travel" },  // Any transaction field;
+ *                                               // one of equals, contains, regex or in (a list)
+ *         "date_after": "2024-12-31",           // Dated after (exclusive, YYYY-MM-DD)
+ *         "date_before": "2026-01-01",          // Dated before (exclusive)
+ *         "date_between": { "from": "2025-01-01", "to": "2025-06-30" },  // Inclusive
+ *         "month_in": [9, 10, 11, 12, 1, 2, 3, 4, 5, 6],  // Calendar months, 1 = January
+ *         "day_of_week_in": ["sat", "sun"],
+ *         "day_of_month": { "min": 1, "max": 5 },  // Inclusive
+ *         // Nested groups, combined with the conditions above:
+ *         "any": [{ "contains": ["shell"] }, { "contains": ["chevron"] }],  // At least one group matches
+ *         "all": [{ "amount_lt": -100 }, { "regex": "fuel|gas" }],        // Every group matches
+ *         "not": { "contains": ["prime video"] }                          // The group must not match
  *       },
+ *       "effective": { "from": "2025-07-01", "to": "2025-12-31" },  // Optional: only for dates within (inclusive)
  *       "then": {
  *         "category": "Software",
  *         "venture": "my-venture",
@@ -31,8 +50,23 @@
  *     }
  *   ]
  * }
+ *
+ * matchRule checks the rules one by one. To categorize many transactions,
+ * compile the rules once with compileRules and pass the result instead.
  */
 
+import { createKeywordIndex } from "./keyword-index.js";
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const FIELD_OPERATORS = ["equals", "contains", "regex", "in"];
+// Conditions that take a list of strings
+const LIST_CONDITIONS = ["account", "source", "card_member", "counterparty", "memo_contains", "counterparty_iban"];
+// Country code, check digits and account number, spaces ignored
+const IBAN = /^[A-Z]{2}\d{2}[A-Z0-9]{1,30}$/;
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+// Stands in for an invalid regex, which never matches
+const NEVER = /(?!)/;
+
 /**
  * Validate rules file structure
  * @param {Object} rulesFile - Rules configuration object
@@ -52,6 +86,13 @@ export function validateRulesFile(rulesFile) {
     if (!r.when || typeof r.when !== "object") {
       throw new Error(`Rule ${r.id} missing when.`);
     }
+    validateWhen(r.when, r.id);
+    if (r.effective !== undefined) {
+      if (!r.effective || typeof r.effective !== "object") {
+        throw new Error(`Rule ${r.id}: effective must be an object with from and/or to`);
+      }
+      validateDateRange(r.effective, r.id, "effective");
+    }
     if (!r.then || typeof r.then !== "object") {
       throw new Error(`Rule ${r.id} missing then.`);
     }
@@ -85,6 +126,115 @@ export function validateRulesFile(rulesFile) {
   return true;
 }
 
+/**
+ * Validate the nested any/all/not groups of a "when" clause
+ * @param {Object} when - When conditions
+ * @param {string} ruleId - Rule ID for error messages
+ * @param {string} [path="when"] - Location of the clause in the rule
+ * @throws {Error} If a group is malformed or empty
+ */
+function validateWhen(when, ruleId, path = "when") {
+  const isClause = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+  for (const key of ["any", "all"]) {
+    if (when[key] === undefined) continue;
+    if (!Array.isArray(when[key]) || when[key].length === 0) {
+      throw new Error(`Rule ${ruleId}: ${path}.${key} must be a non-empty array of conditions`);
+    }
+    when[key].forEach((nested, i) => {
+      if (!isClause(nested)) {
+        throw new Error(`Rule ${ruleId}: ${path}.${key}[${i}] must be an object of conditions`);
+      }
+      validateWhen(nested, ruleId, `${path}.${key}[${i}]`);
+    });
+  }
+
+  for (const key of LIST_CONDITIONS) {
+    if (when[key] !== undefined && !(Array.isArray(when[key]) && when[key].every((v) => typeof v === "string"))) {
+      throw new Error(`Rule ${ruleId}: ${path}.${key} must be an array of strings`);
+    }
+  }
+  const badIban = (when.counterparty_iban ?? []).find((iban) => !IBAN.test(compactIban(iban)));
+  if (badIban !== undefined) {
+    throw new Error(`Rule ${ruleId}: ${path}.counterparty_iban has an invalid IBAN "${badIban}"`);
+  }
+
+  for (const key of ["date_before", "date_after"]) {
+    if (when[key] !== undefined && !ISO_DATE.test(when[key])) {
+      throw new Error(`Rule ${ruleId}: ${path}.${key} must be a YYYY-MM-DD date`);
+    }
+  }
+  if (when.date_between !== undefined) {
+    const { from, to } = when.date_between ?? {};
+    if (!from || !to) throw new Error(`Rule ${ruleId}: ${path}.date_between requires from and to`);
+    validateDateRange(when.date_between, ruleId, `${path}.date_between`);
+  }
+  if (when.month_in !== undefined) {
+    if (!Array.isArray(when.month_in) || !when.month_in.every((m) => Number.isInteger(m) && m >= 1 && m <= 12)) {
+      throw new Error(`Rule ${ruleId}: ${path}.month_in must list months 1-12`);
+    }
+  }
+  if (when.day_of_week_in !== undefined) {
+    if (!Array.isArray(when.day_of_week_in) || !when.day_of_week_in.every((d) => WEEKDAYS.includes(d))) {
+      throw new Error(`Rule ${ruleId}: ${path}.day_of_week_in must list days as ${WEEKDAYS.join(", ")}`);
+    }
+  }
+  if (when.day_of_month !== undefined) {
+    const { min, max } = when.day_of_month ?? {};
+    const isDay = (d) => Number.isInteger(d) && d >= 1 && d <= 31;
+    if (!isDay(min) || !isDay(max) || min > max) {
+      throw new Error(`Rule ${ruleId}: ${path}.day_of_month requires min and max days 1-31, min first`);
+    }
+  }
+
+  if (when.field !== undefined) {
+    const matchers = Array.isArray(when.field) ? when.field : [when.field];
+    if (matchers.length === 0) throw new Error(`Rule ${ruleId}: ${path}.field must not be empty`);
+    for (const matcher of matchers) {
+      if (!isClause(matcher) || typeof matcher.name !== "string" || !matcher.name) {
+        throw new Error(`Rule ${ruleId}: ${path}.field needs a field name`);
+      }
+      const operators = FIELD_OPERATORS.filter((op) => matcher[op] !== undefined);
+      if (operators.length !== 1) {
+        throw new Error(`Rule ${ruleId}: ${path}.field "${matcher.name}" needs exactly one of ${FIELD_OPERATORS.join(", ")}`);
+      }
+      if (matcher.in !== undefined && (!Array.isArray(matcher.in) || matcher.in.length === 0)) {
+        throw new Error(`Rule ${ruleId}: ${path}.field "${matcher.name}" in must be a non-empty array`);
+      }
+    }
+  }
+
+  if (when.not !== undefined) {
+    if (!isClause(when.not)) {
+      throw new Error(`Rule ${ruleId}: ${path}.not must be an object of conditions`);
+    }
+    validateWhen(when.not, ruleId, `${path}.not`);
+  }
+
+  // An empty nested group would match everything (or, under "not", nothing)
+  if (path !== "when" && Object.keys(when).length === 0) {
+    throw new Error(`Rule ${ruleId}: ${path} must have at least one condition`);
+  }
+}
+
+/**
+ * Validate a { from, to } date range
+ * @param {{ from?: string, to?: string }} range - Inclusive range of YYYY-MM-DD dates
+ * @param {string} ruleId - Rule ID for error messages
+ * @param {string} path - Location of the range in the rule
+ * @throws {Error} If a date is malformed or the range is reversed
+ */
+function validateDateRange({ from, to }, ruleId, path) {
+  for (const [key, value] of [["from", from], ["to", to]]) {
+    if (value !== undefined && !ISO_DATE.test(value)) {
+      throw new Error(`Rule ${ruleId}: ${path}.${key} must be a YYYY-MM-DD date`);
+    }
+  }
+  if (from && to && from > to) {
+    throw new Error(`Rule ${ruleId}: ${path}.from must not be after ${path}.to`);
+  }
+}
+
 /**
  * Sort rules by priority (higher first), maintaining stable order for equal priorities
  * @param {Array} rules - Array of rules
@@ -108,29 +258,187 @@ function sortRulesByPriority(rules) {
     .map((item) => item.rule);
 }
 
+/**
+ * @typedef {Object} CompiledRules
+ * @property {Array} rules - Rules in match order (priority, then file order)
+ * @property {(txn: Object) => Array} candidates - Rules the index leaves to check for a transaction, in match order
+ * @property {(txn: Object) => Object|null} match - Find the first matching rule for a transaction
+ */
+
+/**
+ * Compile rules for categorizing many transactions
+ * The rules are sorted and their regexes built once, and the keywords a rule
+ * requires (any_contains, all_contains, also inside any/all groups) go into
+ * a keyword index. Each transaction is then only checked against the rules
+ * whose keywords its description contains, plus the rules that require
+ * none, in the same order, so the match is the one matchRule would find.
+ *
+ * @param {Object|CompiledRules} rulesFile - Rules configuration (compiled rules are returned as they are)
+ * @returns {CompiledRules} Compiled rules, accepted wherever a rules file is
+ */
+export function compileRules(rulesFile) {
+  if (isCompiled(rulesFile)) return rulesFile;
+
+  const rules = sortRulesByPriority(rulesFile.rules);
+  const whens = rules.map((rule) => compileWhen(rule.when));
+
+  // Rule positions by required keyword; rules without any are always checked
+  const keywords = new Map();
+  const unindexed = [];
+  rules.forEach((rule, position) => {
+    const required = requiredKeywords(rule.when);
+    if (!required) {
+      unindexed.push(position);
+      return;
+    }
+    for (const keyword of new Set(required)) {
+      if (!keywords.has(keyword)) keywords.set(keyword, []);
+      keywords.get(keyword).push(position);
+    }
+  });
+  const rulesByKeyword = [...keywords.values()];
+  const findKeywords = createKeywordIndex([...keywords.keys()]);
+
+  /**
+   * Positions of the rules to check for a description, in match order
+   * @param {string} desc - Lowercased description
+   * @returns {number[]} Rule positions
+   */
+  const candidatePositions = (desc) => {
+    const hits = findKeywords(desc);
+    const positions = [...unindexed];
+    for (const keyword of hits) positions.push(...rulesByKeyword[keyword]);
+    if (hits.size === 0) return positions;
+    positions.sort((a, b) => a - b);
+    return positions.filter((position, i) => position !== positions[i - 1]);
+  };
+
+  return {
+    rules,
+    candidates(txn) {
+      return candidatePositions(txn.description.toLowerCase()).map((position) => rules[position]);
+    },
+    match(txn) {
+      const desc = txn.description.toLowerCase();
+      for (const position of candidatePositions(desc)) {
+        const rule = rules[position];
+        if (isEffective(rule, txn.date) && matchesWhen(txn, whens[position], desc)) return rule;
+      }
+      return null;
+    }
+  };
+}
+
+/**
+ * Check whether a rules argument is the result of compileRules
+ * @param {Object} rulesFile - Rules configuration or compiled rules
+ * @returns {boolean} True for compiled rules
+ */
+function isCompiled(rulesFile) {
+  return typeof rulesFile?.match === "function";
+}
+
+/**
+ * Copy a "when" clause with its regexes built
+ * @param {Object} when - When conditions
+ * @returns {Object} The clause with RegExp objects in place of regex configs
+ */
+function compileWhen(when) {
+  if (!when || typeof when !== "object") return when;
+
+  const compiled = { ...when };
+  if (when.regex) compiled.regex = buildRegex(when.regex) ?? NEVER;
+  if (when.field) {
+    const compileMatcher = (matcher) =>
+      matcher?.regex !== undefined ? { ...matcher, regex: buildRegex(matcher.regex) ?? NEVER } : matcher;
+    compiled.field = Array.isArray(when.field) ? when.field.map(compileMatcher) : compileMatcher(when.field);
+  }
+  for (const key of ["any", "all"]) {
+    if (Array.isArray(when[key])) compiled[key] = when[key].map(compileWhen);
+  }
+  if (when.not) compiled.not = compileWhen(when.not);
+  return compiled;
+}
+
+/**
+ * Find keywords of which a description must contain at least one for a
+ * "when" clause to match
+ * Of the choices a clause offers (its any_contains list, any one of its
+ * all_contains keywords, a nested all group's keywords, the union of every
+ * any group's keywords), the shortest list is taken.
+ *
+ * @param {Object} when - When conditions
+ * @returns {string[]|null} Lowercase keywords, or null if the clause matches without any
+ */
+function requiredKeywords(when) {
+  if (!when || typeof when !== "object") return null;
+
+  const lower = (list) => list.map((k) => String(k).toLowerCase());
+  const choices = [];
+  for (const key of ["contains", "any_contains"]) {
+    if (Array.isArray(when[key]) && when[key].length > 0) choices.push(lower(when[key]));
+  }
+  if (Array.isArray(when.all_contains)) {
+    choices.push(...lower(when.all_contains).map((k) => [k]));
+  }
+  if (Array.isArray(when.all)) {
+    choices.push(...when.all.map(requiredKeywords));
+  }
+  if (Array.isArray(when.any)) {
+    const groups = when.any.map(requiredKeywords);
+    if (groups.every(Boolean)) choices.push(groups.flat());
+  }
+
+  // Every description contains the empty keyword
+  const usable = choices.filter((keywords) => keywords && !keywords.includes(""));
+  if (usable.length === 0) return null;
+  return usable.reduce((best, keywords) => (keywords.length < best.length ? keywords : best));
+}
+
 /**
  * Find the first matching rule for a transaction
  * @param {Object} txn - Transaction object
- * @param {Object} rulesFile - Rules configuration
+ * @param {Object|CompiledRules} rulesFile - Rules configuration or compiled rules
  * @returns {Object|null} Matching rule or null
  */
 export function matchRule(txn, rulesFile) {
+  if (isCompiled(rulesFile)) return rulesFile.match(txn);
+
   const sortedRules = sortRulesByPriority(rulesFile.rules);
 
   for (const rule of sortedRules) {
-    if (matchesWhen(txn, rule.when)) return rule;
+    if (isEffective(rule, txn.date) && matchesWhen(txn, rule.when)) return rule;
   }
   return null;
 }
 
+/**
+ * Check whether a rule applies on a date
+ * Rules with an effective window only categorize transactions dated within
+ * it, so re-categorizing old data uses the rules that applied at the time.
+ *
+ * @param {Object} rule - Rule
+ * @param {string} date - Transaction date (YYYY-MM-DD)
+ * @returns {boolean} True if the rule has no window or the date is inside it
+ */
+function isEffective(rule, date) {
+  if (!rule.effective) return true;
+  const { from, to } = rule.effective;
+  if (from && !(date >= from)) return false;
+  if (to && !(date <= to)) return false;
+  return true;
+}
+
 /**
  * Check if a transaction matches all conditions in a "when" clause
+ * Nested any/all/not groups are "when" clauses themselves.
+ *
  * @param {Object} txn - Transaction object
  * @param {Object} when - When conditions
+ * @param {string} [desc] - Lowercase description, if already computed
  * @returns {boolean} True if all conditions match
  */
-function matchesWhen(txn, when) {
-  const desc = txn.description.toLowerCase();
+function matchesWhen(txn, when, desc = txn.description.toLowerCase()) {
 
   // Backward compatibility: "contains" maps to "any_contains"
   if (when.contains) {
@@ -171,9 +479,164 @@ function matchesWhen(txn, when) {
     if (!(txn.amount >= min && txn.amount <= max)) return false;
   }
 
+  // counterparty_iban: the other account must be one of the listed IBANs
+  if (when.counterparty_iban !== undefined) {
+    if (!matchList(when.counterparty_iban, (list) => matchIban(txn.counterpartyIban, list))) return false;
+  }
+
+  // account: the transaction must be tagged with one of the listed accounts
+  if (when.account !== undefined) {
+    if (!matchList(when.account, (list) => list.includes(txn.accountId))) return false;
+  }
+
+  // source: imported from one of the listed sources
+  if (when.source !== undefined) {
+    if (!matchList(when.source, (list) => list.includes(txn.source))) return false;
+  }
+
+  // card_member / counterparty: one of the listed names (case-insensitive)
+  if (when.card_member !== undefined) {
+    if (!matchList(when.card_member, (list) => matchIn(txn.cardMember, list))) return false;
+  }
+  if (when.counterparty !== undefined) {
+    if (!matchList(when.counterparty, (list) => matchIn(txn.counterparty, list))) return false;
+  }
+
+  // memo_contains: the memo contains at least one keyword
+  if (when.memo_contains !== undefined) {
+    const memo = String(txn.memo ?? "").toLowerCase();
+    if (!matchList(when.memo_contains, (list) => matchAnyContains(memo, list))) return false;
+  }
+
+  // field: every matcher must match its transaction field
+  if (when.field) {
+    const matchers = Array.isArray(when.field) ? when.field : [when.field];
+    if (!matchers.every((matcher) => matchField(txn, matcher))) return false;
+  }
+
+  // date_after / date_before: dates compare as YYYY-MM-DD strings
+  if (when.date_after) {
+    if (!(txn.date > when.date_after)) return false;
+  }
+  if (when.date_before) {
+    if (!(txn.date < when.date_before)) return false;
+  }
+
+  // date_between: date must be between from and to (inclusive)
+  if (when.date_between) {
+    const { from, to } = when.date_between;
+    if (!(txn.date >= from && txn.date <= to)) return false;
+  }
+
+  // month_in: calendar month (1 = January) must be listed
+  if (Array.isArray(when.month_in) && when.month_in.length > 0) {
+    if (!when.month_in.includes(Number(String(txn.date).slice(5, 7)))) return false;
+  }
+
+  // day_of_week_in: weekday ("mon" ... "sun") must be listed
+  if (Array.isArray(when.day_of_week_in) && when.day_of_week_in.length > 0) {
+    if (!when.day_of_week_in.includes(weekday(txn.date))) return false;
+  }
+
+  // day_of_month: day must be between min and max (inclusive)
+  if (when.day_of_month) {
+    const day = Number(String(txn.date).slice(8, 10));
+    if (!(day >= when.day_of_month.min && day <= when.day_of_month.max)) return false;
+  }
+
+  // all: every nested group must match
+  if (Array.isArray(when.all)) {
+    if (!when.all.every((nested) => matchesWhen(txn, nested, desc))) return false;
+  }
+
+  // any: at least one nested group must match
+  if (Array.isArray(when.any)) {
+    if (!when.any.some((nested) => matchesWhen(txn, nested, desc))) return false;
+  }
+
+  // not: the nested group must not match
+  if (when.not) {
+    if (matchesWhen(txn, when.not, desc)) return false;
+  }
+
   return true;
 }
 
+/**
+ * Read the weekday of a date
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string|undefined} "sun" ... "sat", or undefined for an invalid date
+ */
+function weekday(date) {
+  const time = Date.parse(`${date}T00:00:00Z`);
+  return Number.isNaN(time) ? undefined : WEEKDAYS[new Date(time).getUTCDay()];
+}
+
+/**
+ * Check a list condition
+ * An empty list places no limit; anything but a list never matches, so a
+ * malformed condition cannot widen a rule.
+ *
+ * @param {*} list - Condition value
+ * @param {(list: Array) => boolean} test - Check against a non-empty list
+ * @returns {boolean} True if the condition holds
+ */
+function matchList(list, test) {
+  if (!Array.isArray(list)) return false;
+  return list.length === 0 || test(list);
+}
+
+/**
+ * Check if a text value is one of a list, ignoring case
+ * @param {*} value - Transaction field value
+ * @param {Array} list - Values to match
+ * @returns {boolean} True if the value is listed
+ */
+function matchIn(value, list) {
+  if (value === undefined || value === null) return false;
+  const text = String(value).trim().toLowerCase();
+  return list.some((item) => String(item).trim().toLowerCase() === text);
+}
+
+/**
+ * Check one transaction field against a field matcher
+ * Text comparisons ignore case; a missing or empty field never matches.
+ *
+ * @param {Object} txn - Transaction object
+ * @param {{ name: string, equals?: *, contains?: string, regex?: Object|string, in?: Array }} matcher - Field matcher
+ * @returns {boolean} True if the field matches
+ */
+function matchField(txn, { name, equals, contains, regex, in: list }) {
+  const value = txn[name];
+  if (value === undefined || value === null || value === "") return false;
+
+  if (equals !== undefined) return matchIn(value, [equals]);
+  if (list !== undefined) return matchIn(value, list);
+  if (contains !== undefined) return String(value).toLowerCase().includes(String(contains).toLowerCase());
+  if (regex !== undefined) return matchRegex(String(value), regex);
+  return false;
+}
+
+/**
+ * Check if an IBAN is one of a list, ignoring spaces and case
+ * @param {string|undefined} iban - Transaction counterparty IBAN
+ * @param {Array} ibans - IBANs to match
+ * @returns {boolean} True if the IBAN is listed
+ */
+function matchIban(iban, ibans) {
+  if (!iban) return false;
+  return ibans.some((i) => compactIban(i) === compactIban(iban));
+}
+
+/**
+ * Write an IBAN without spaces, in capitals
+ * @param {string} iban - IBAN as printed
+ * @returns {string} Compact IBAN
+ */
+function compactIban(iban) {
+  return String(iban).replace(/\s+/g, "").toUpperCase();
+}
+
 /**
  * Check if at least one keyword matches (case-insensitive)
  * @param {string} text - Lowercase text to search
@@ -198,11 +661,24 @@ function matchAllContains(text, keywords) {
 
 /**
  * Check if text matches a regex pattern
- * @param {string} text - Text to match (already lowercase)
- * @param {Object|string} regexConfig - Regex config or pattern string
+ * @param {string} text - Text to match (descriptions are already lowercase)
+ * @param {RegExp|Object|string} regexConfig - Compiled regex, regex config or pattern string
  * @returns {boolean} True if pattern matches
  */
 function matchRegex(text, regexConfig) {
+  const regex = regexConfig instanceof RegExp ? regexConfig : buildRegex(regexConfig);
+  if (!regex) return false;
+  // A compiled regex is reused; global and sticky ones must start over
+  regex.lastIndex = 0;
+  return regex.test(text);
+}
+
+/**
+ * Build the regex of a regex condition
+ * @param {Object|string} regexConfig - Regex config or pattern string
+ * @returns {RegExp|null} Regex, or null for an invalid pattern
+ */
+function buildRegex(regexConfig) {
   try {
     let pattern, flags;
 
@@ -215,14 +691,13 @@ function matchRegex(text, regexConfig) {
       pattern = regexConfig.pattern || regexConfig.regex;
       flags = regexConfig.flags || "i";
     } else {
-      return false;
+      return null;
     }
 
-    const regex = new RegExp(pattern, flags);
-    return regex.test(text);
+    return new RegExp(pattern, flags);
   } catch (err) {
     // Invalid regex pattern
     console.warn(`Invalid regex pattern: ${err.message}`);
-    return false;
+    return null;
   }
 }
@@ -1,5 +1,47 @@
 import { z } from 'zod'
 
+/**
+ * Allocation metadata for one share of a split transaction
+ * Produced by split rules and by importers that carry splits (QIF)
+ */
+export const AllocationSchema = z.object({
+  percent: z.number(),
+  originalAmount: z.number(),
+  splitIndex: z.number(),
+  totalSplits: z.number()
+})
+
+/**
+ * ISO 4217 currency code (e.g. "USD", "EUR")
+ */
+export const CurrencySchema = z.string().regex(/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code like "USD"')
+
+/**
+ * Daily exchange rate: 1 unit of `from` is worth `rate` units of `to` on `date`
+ */
+export const FxRateSchema = z.object({
+  date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be YYYY-MM-DD format'),
+  from: CurrencySchema,
+  to: CurrencySchema,
+  rate: z.number().positive().finite()
+})
+
+/**
+ * Account in the accounts registry: where transactions are imported from
+ */
+export const AccountSchema = z.object({
+  // Short handle used on transactions and in rules (e.g. "chase-sapphire")
+  id: z
+    .string()
+    .regex(/^[a-z0-9][a-z0-9_-]*$/, 'Account id must use lowercase letters, digits, "-" or "_"'),
+  institution: z.string().min(1),
+  last4: z.string().regex(/^\d{4}$/, 'last4 must be the last 4 digits of the account number').optional(),
+  owner: z.string().optional(),
+  type: z.enum(['checking', 'savings', 'credit_card', 'payment_service', 'brokerage', 'loan', 'other']),
+  // Venture for this account's transactions when no rule names one
+  defaultVenture: z.string().min(1).optional()
+})
+
 /**
  * Transaction schema - the normalized shape for all imported transactions
  */
@@ -8,7 +50,37 @@ export const TransactionSchema = z.object({
   date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be YYYY-MM-DD format'),
   description: z.string().min(1),
   amount: z.number().finite(),
-  source: z.string().min(1)
+  source: z.string().min(1),
+  // Registry account the file was imported for (see AccountSchema)
+  accountId: z.string().min(1).optional(),
+  // Category assigned by the exporting application (e.g. a Quicken category)
+  importedCategory: z.string().optional(),
+  // Present when the source file already split the transaction
+  originalTxnId: z.string().optional(),
+  allocation: AllocationSchema.optional(),
+  // ISO 4217 code of `amount`; the reporting currency is assumed when omitted
+  currency: CurrencySchema.optional(),
+  // Amount and currency as charged, kept when the amount was converted
+  originalAmount: z.number().finite().optional(),
+  originalCurrency: CurrencySchema.optional(),
+  // Cardholder who made the charge (e.g. Amex "Card Member")
+  cardMember: z.string().optional(),
+  // Extra detail from the export (e.g. Amex "Extended Details")
+  memo: z.string().optional(),
+  merchantAddress: z.string().optional(),
+  // Person or business on the other side (e.g. PayPal "Name", Venmo From/To)
+  counterparty: z.string().optional(),
+  // Their account, from bank statements that carry it (camt.053, MT940)
+  counterpartyIban: z.string().optional(),
+  // Date the money counts for interest, when the bank gives it apart from the booking date
+  valueDate: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Value date must be YYYY-MM-DD format').optional(),
+  // Role set by the adapter: a sale, refund or fee from a payment processor,
+  // or an internal transfer between the user's own accounts (left out of summaries)
+  kind: z.enum(['sale', 'refund', 'fee', 'transfer']).optional(),
+  // Pending charges may post later with another date or amount; omitted means posted
+  status: z.enum(['pending', 'posted']).optional(),
+  // Steps applied before categorization (e.g. a superseded pending charge)
+  audit: z.array(z.record(z.unknown())).optional()
 })
 
 /**
@@ -17,27 +89,134 @@ export const TransactionSchema = z.object({
 export const ImportErrorSchema = z.object({
   row: z.number().int().positive(),
   field: z.string().optional(),
+  // Warnings describe rows that were imported but may need a second look;
+  // info entries describe rows left out on purpose (e.g. canceled payments)
+  severity: z.enum(['error', 'warning', 'info']).optional(),
   message: z.string(),
   value: z.unknown().optional()
 })
 
+/**
+ * Fix entered for a row the import could not read, reapplied on re-import
+ */
+export const ImportRepairSchema = z.object({
+  source: z.string().min(1),
+  // Raw values of the row, as reported in the import error's `value`
+  original: z.unknown(),
+  date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be YYYY-MM-DD format'),
+  description: z.string().min(1),
+  amount: z.number().finite(),
+  // Row the fix was entered for (rows may move in later downloads)
+  row: z.number().int().positive().optional()
+})
+
+/**
+ * Locale for dates and amounts: a tag such as "de-DE" or explicit settings
+ */
+export const LocaleSchema = z.union([
+  z.string().regex(/^[a-z]{2}(-[A-Z]{2})?$/, 'Locale must be a tag like "en-US" or "de"'),
+  z.object({
+    dateOrder: z.enum(['MDY', 'DMY', 'YMD']).optional(),
+    decimal: z.enum(['.', ',']).optional()
+  })
+])
+
+/**
+ * Skip rule for a mapping profile: a row is skipped when every given test
+ * on the column passes (equals/contains/regex are case-insensitive)
+ */
+export const ProfileSkipRuleSchema = z
+  .object({
+    column: z.string().min(1),
+    equals: z.string().optional(),
+    contains: z.string().optional(),
+    regex: z.string().optional(),
+    empty: z.boolean().optional()
+  })
+  .refine(
+    (data) => ['equals', 'contains', 'regex', 'empty'].some((key) => data[key] !== undefined),
+    { message: 'Skip rule needs one of equals, contains, regex or empty' }
+  )
+
+/**
+ * Declarative column mapping for a CSV export (user-defined parser)
+ */
+export const MappingProfileSchema = z.object({
+  name: z
+    .string()
+    .regex(/^[a-z0-9][a-z0-9_-]*$/, 'Profile name must use lowercase letters, digits, "-" or "_"'),
+  label: z.string().optional(),
+  description: z.string().optional(),
+  columns: z
+    .object({
+      date: z.string().min(1),
+      description: z.union([z.string().min(1), z.array(z.string().min(1)).min(1)]),
+      amount: z.string().min(1).optional(),
+      debit: z.string().min(1).optional(),
+      credit: z.string().min(1).optional(),
+      currency: z.string().min(1).optional()
+    })
+    .refine((c) => Boolean(c.amount) !== Boolean(c.debit || c.credit), {
+      message: 'Map either an amount column or debit/credit columns'
+    }),
+  // Pattern built from YYYY, YY, MM, M, DD, D (e.g. "DD/MM/YYYY"); ISO and US dates when omitted
+  dateFormat: z
+    .string()
+    .regex(/Y/, 'dateFormat must contain a year (YYYY or YY)')
+    .regex(/M/, 'dateFormat must contain a month (MM or M)')
+    .regex(/D/, 'dateFormat must contain a day (DD or D)')
+    .optional(),
+  locale: LocaleSchema.optional(),
+  // Currency of every row when the export has no currency column
+  currency: CurrencySchema.optional(),
+  // How the amount column signs charges; ignored for debit/credit columns
+  sign: z.enum(['charges-negative', 'charges-positive']).optional(),
+  skip: z
+    .object({
+      leadingRows: z.number().int().nonnegative().optional(),
+      rows: z.array(ProfileSkipRuleSchema).optional()
+    })
+    .optional()
+})
+
+// Dates in rules compare as YYYY-MM-DD strings
+const RuleDateSchema = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be YYYY-MM-DD format')
+
+const RuleRegexSchema = z.union([
+  z.string(),
+  z.object({
+    pattern: z.string(),
+    flags: z.string().optional()
+  })
+])
+
+/**
+ * Condition on any transaction field; text comparisons ignore case
+ */
+export const FieldMatcherSchema = z
+  .object({
+    name: z.string().min(1),
+    equals: z.union([z.string(), z.number(), z.boolean()]).optional(),
+    contains: z.string().optional(),
+    regex: RuleRegexSchema.optional(),
+    in: z.array(z.union([z.string(), z.number()])).min(1).optional()
+  })
+  .refine((m) => ['equals', 'contains', 'regex', 'in'].filter((op) => m[op] !== undefined).length === 1, {
+    message: 'field needs exactly one of equals, contains, regex or in'
+  })
+
 /**
  * Category rule condition (when clause)
+ * `any`, `all` and `not` nest further when clauses; every condition at one
+ * level must match.
+ * @type {z.ZodType<any>}
  */
 export const RuleConditionSchema = z
   .object({
     contains: z.array(z.string()).optional(),
     any_contains: z.array(z.string()).optional(),
     all_contains: z.array(z.string()).optional(),
-    regex: z
-      .union([
-        z.string(),
-        z.object({
-          pattern: z.string(),
-          flags: z.string().optional()
-        })
-      ])
-      .optional(),
+    regex: RuleRegexSchema.optional(),
     amount_gt: z.number().optional(),
     amount_lt: z.number().optional(),
     amount_between: z
@@ -45,7 +224,29 @@ export const RuleConditionSchema = z
         min: z.number(),
         max: z.number()
       })
-      .optional()
+      .optional(),
+    counterparty_iban: z.array(z.string()).optional(),
+    account: z.array(z.string()).optional(),
+    source: z.array(z.string()).optional(),
+    card_member: z.array(z.string()).optional(),
+    counterparty: z.array(z.string()).optional(),
+    memo_contains: z.array(z.string()).optional(),
+    field: z.union([FieldMatcherSchema, z.array(FieldMatcherSchema).min(1)]).optional(),
+    date_before: RuleDateSchema.optional(),
+    date_after: RuleDateSchema.optional(),
+    date_between: z
+      .object({ from: RuleDateSchema, to: RuleDateSchema })
+      .refine(({ from, to }) => from <= to, { message: 'date_between from must not be after to' })
+      .optional(),
+    month_in: z.array(z.number().int().min(1).max(12)).optional(),
+    day_of_week_in: z.array(z.enum(['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'])).optional(),
+    day_of_month: z
+      .object({ min: z.number().int().min(1).max(31), max: z.number().int().min(1).max(31) })
+      .refine(({ min, max }) => min <= max, { message: 'day_of_month min must not be above max' })
+      .optional(),
+    any: z.lazy(() => z.array(RuleConditionSchema).min(1, 'any needs at least one condition group')).optional(),
+    all: z.lazy(() => z.array(RuleConditionSchema).min(1, 'all needs at least one condition group')).optional(),
+    not: z.lazy(() => RuleConditionSchema).optional()
   })
   .refine(
     (data) => {
@@ -82,6 +283,11 @@ export const CategoryRuleSchema = z.object({
   id: z.string().min(1),
   priority: z.number().int().optional(),
   when: RuleConditionSchema,
+  // The rule only categorizes transactions dated within this window (inclusive)
+  effective: z
+    .object({ from: RuleDateSchema.optional(), to: RuleDateSchema.optional() })
+    .refine(({ from, to }) => !from || !to || from <= to, { message: 'effective from must not be after to' })
+    .optional(),
   then: RuleActionSchema
 })
 
@@ -101,17 +307,7 @@ export const CategorizedTransactionSchema = TransactionSchema.extend({
   venture: z.string(),
   requiresReceipt: z.boolean(),
   note: z.string().optional(),
-  audit: z.array(z.record(z.unknown())),
-  // Optional split fields
-  originalTxnId: z.string().optional(),
-  allocation: z
-    .object({
-      percent: z.number(),
-      originalAmount: z.number(),
-      splitIndex: z.number(),
-      totalSplits: z.number()
-    })
-    .optional()
+  audit: z.array(z.record(z.unknown()))
 })
 
 /**
@@ -130,6 +326,8 @@ export const MonthlySummarySchema = z.object({
 export const ImportResultSchema = z.object({
   transactions: z.array(TransactionSchema),
   errors: z.array(ImportErrorSchema),
+  warnings: z.array(ImportErrorSchema).optional(),
+  skipped: z.array(ImportErrorSchema).optional(),
   totalRows: z.number().int().nonnegative(),
   validCount: z.number().int().nonnegative(),
   errorCount: z.number().int().nonnegative()
@@ -143,6 +341,10 @@ export const ImportResultSchema = z.object({
 /** @typedef {z.infer<typeof CategorizedTransactionSchema>} CategorizedTransaction */
 /** @typedef {z.infer<typeof MonthlySummarySchema>} MonthlySummary */
 /** @typedef {z.infer<typeof ImportResultSchema>} ImportResult */
+/** @typedef {z.infer<typeof MappingProfileSchema>} MappingProfile */
+/** @typedef {z.infer<typeof FxRateSchema>} FxRate */
+/** @typedef {z.infer<typeof AccountSchema>} Account */
+/** @typedef {z.infer<typeof ImportRepairSchema>} ImportRepair */
 
 /**
  * Validate a transaction object
@@ -162,6 +364,15 @@ export function validateRulesFile(data) {
   return RulesFileSchema.safeParse(data)
 }
 
+/**
+ * Validate a mapping profile
+ * @param {unknown} data
+ * @returns {{ success: true, data: MappingProfile } | { success: false, error: z.ZodError }}
+ */
+export function validateMappingProfile(data) {
+  return MappingProfileSchema.safeParse(data)
+}
+
 /**
  * Format Zod errors into user-friendly messages
  * @param {z.ZodError} error
@@ -0,0 +1,394 @@
+import { createCsvTokenizer, formatCsvRecord, isBlankRecord } from "./parsers/_csv.js";
+import { isXlsx, readXlsx } from "./parsers/_xlsx.js";
+import { resolveLocale } from "./parsers/_shared.js";
+import { detectSource, getParser, validateAndParseCsv } from "./parser.js";
+import { categorizeTransactions } from "./categorizer.js";
+import { compileRules } from "./rules-engine.js";
+
+/**
+ * Streaming import
+ * Parses a statement from a Node.js stream, a browser ReadableStream or
+ * any async iterable of chunks, and yields the transactions in batches, so
+ * that multi-year archives never sit in memory as one string and a browser
+ * tab can repaint between batches.
+ *
+ * CSV sources are read row by row: records are collected into batches, and
+ * each batch is parsed by the source's adapter with the header (and any
+ * preamble lines above it) repeated on top. The results match a whole-file
+ * parse: row numbers refer to the file, occurrence counters in transaction
+ * IDs continue across batches, and the day/month order the adapter reads
+ * from its date column in the first batch that shows it is kept for the
+ * rest of the file. Two exceptions: a running-balance break
+ * between the last row of one batch and the first of the next is not
+ * reported, and rows read before the date order is known keep their
+ * month-first reading (with a warning each), as when no locale is set.
+ *
+ * Statement formats (OFX, QIF, camt.053, MT940) and Excel workbooks are
+ * documents rather than rows; they are read in full and then yielded in
+ * batches.
+ */
+
+const DEFAULT_BATCH_SIZE = 1000;
+
+// Enough records to find a header below preamble lines
+const MIN_FIRST_BATCH = 50;
+
+// Source detection looks at the start of the file
+const SAMPLE_CHARS = 64 * 1024;
+
+// Formats parsed as whole documents
+const DOCUMENT_SOURCES = new Set(["ofx", "qif", "camt053", "mt940"]);
+
+/**
+ * @typedef {Object} ImportBatch
+ * @property {Array} transactions - Transactions parsed from the batch
+ * @property {Array} errors - Rows that could not be imported (file row numbers)
+ * @property {Array} warnings - Rows imported with a warning
+ * @property {Array} skipped - Rows left out on purpose (severity "info")
+ * @property {number} totalRows - Data rows in the batch
+ */
+
+/**
+ * @typedef {Object} ImportProgress
+ * @property {number} bytesRead - Bytes read so far (characters for string chunks)
+ * @property {number|null} totalBytes - Input size when known
+ * @property {number} rows - Data rows parsed so far
+ * @property {number} transactions - Transactions parsed so far
+ * @property {number} errors - Errors reported so far
+ */
+
+/**
+ * Iterate over the chunks of any supported input
+ * @param {*} input - Text, bytes, a ReadableStream or an (async) iterable of chunks
+ * @returns {AsyncGenerator<string|Uint8Array|ArrayBuffer>} Chunks
+ */
+async function* readChunks(input) {
+  if (typeof input === "string" || input instanceof Uint8Array || input instanceof ArrayBuffer) {
+    yield input;
+    return;
+  }
+  // Browser ReadableStream (not async-iterable in every browser)
+  if (input && typeof input.getReader === "function") {
+    const reader = input.getReader();
+    try {
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) return;
+        yield value;
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  }
+  if (input && (typeof input[Symbol.asyncIterator] === "function" || typeof input[Symbol.iterator] === "function")) {
+    yield* input;
+    return;
+  }
+  throw new Error("Unsupported input: expected text, bytes, a ReadableStream or an async iterable of chunks");
+}
+
+/**
+ * Decode chunks to text, converting an Excel workbook once it is complete
+ * @param {string|Uint8Array|ArrayBuffer|ReadableStream|AsyncIterable|Iterable} input - Content or stream
+ * @param {{ sheet?: string|number, decimal?: string, progress: ImportProgress }} options - Read options
+ * @returns {AsyncGenerator<string>} Text chunks
+ */
+async function* readText(input, { sheet, decimal, progress }) {
+  const decoder = new TextDecoder();
+  let workbook = null;
+  let first = true;
+
+  for await (const chunk of readChunks(input)) {
+    if (typeof chunk === "string") {
+      first = false;
+      progress.bytesRead += chunk.length;
+      if (chunk) yield chunk;
+      continue;
+    }
+
+    const bytes = chunk instanceof Uint8Array ? chunk : new Uint8Array(chunk);
+    progress.bytesRead += bytes.byteLength;
+    if (first) {
+      first = false;
+      if (isXlsx(bytes)) workbook = [];
+    }
+    if (workbook) {
+      workbook.push(bytes);
+      continue;
+    }
+    const text = decoder.decode(bytes, { stream: true });
+    if (text) yield text;
+  }
+
+  if (workbook) {
+    const bytes = new Uint8Array(workbook.reduce((n, b) => n + b.byteLength, 0));
+    let offset = 0;
+    for (const part of workbook) {
+      bytes.set(part, offset);
+      offset += part.byteLength;
+    }
+    yield readXlsx(bytes, { sheet, decimal }).text;
+    return;
+  }
+
+  const rest = decoder.decode();
+  if (rest) yield rest;
+}
+
+/**
+ * Build a batch holding a single file-level error
+ * @param {string} message - Error message
+ * @returns {ImportBatch}
+ */
+function failure(message) {
+  return { transactions: [], errors: [{ row: 0, message }], warnings: [], skipped: [], totalRows: 0 };
+}
+
+/**
+ * Check whether a parse result means the file can't be read at all
+ * (the same test the CSV adapters' parse() throws on)
+ * @param {{ errors: Array }} result - Parse result
+ * @returns {boolean} True for a missing header, unknown source or empty file
+ */
+function isFatal(result) {
+  const [first] = result.errors;
+  return Boolean(first && (first.row === 0 || first.message.startsWith("Missing required headers")));
+}
+
+/**
+ * Parse a statement as a stream of transaction batches
+ * Content problems are reported in the batches' errors, as with
+ * validateAndParseCsv; a failing input stream throws.
+ *
+ * @param {string|Uint8Array|ArrayBuffer|ReadableStream|AsyncIterable|Iterable} input - Content, a browser ReadableStream, or a Node.js stream (or other iterable) of text or byte chunks
+ * @param {Object} [options] - Parser options
+ * @param {string} [options.source='generic'] - Source type, or auto to detect from the start of the file
+ * @param {string|Object} [options.locale] - Locale tag (e.g. "de-DE") or { dateOrder, decimal } for this source
+ * @param {string|number} [options.sheet] - Worksheet name or 1-based position for XLSX input (default: first sheet)
+ * @param {string} [options.accountId] - Registry account the file belongs to; tags every transaction
+ * @param {number} [options.batchSize=1000] - Rows per batch
+ * @param {number} [options.totalBytes] - Input size, passed through to progress reports
+ * @param {(progress: ImportProgress) => void} [options.onProgress] - Called after each batch
+ * @returns {AsyncGenerator<ImportBatch>} Batches in file order
+ */
+export async function* parseStream(
+  input,
+  { source = "generic", locale, sheet, accountId, batchSize = DEFAULT_BATCH_SIZE, totalBytes, onProgress } = {}
+) {
+  /** @type {ImportProgress} */
+  const progress = { bytesRead: 0, totalBytes: totalBytes ?? null, rows: 0, transactions: 0, errors: 0 };
+  const report = (batch) => {
+    progress.rows += batch.totalRows;
+    progress.transactions += batch.transactions.length;
+    progress.errors += batch.errors.length;
+    onProgress?.({ ...progress });
+    return batch;
+  };
+
+  let settings;
+  try {
+    settings = resolveLocale(locale);
+  } catch (err) {
+    yield report(failure(err.message));
+    return;
+  }
+
+  const texts = readText(input, { sheet, decimal: settings.decimal, progress });
+  let ended = false;
+  const nextText = async () => {
+    const next = await texts.next();
+    ended = Boolean(next.done);
+    return next.done ? null : next.value;
+  };
+
+  // Hold back the start of the file to pick the adapter
+  let sample = "";
+  while (!ended && sample.length < SAMPLE_CHARS) {
+    sample += (await nextText()) ?? "";
+  }
+
+  if (source === "auto") {
+    // A partial last line would skew detection
+    const cut = ended ? sample : sample.slice(0, sample.lastIndexOf("\n") + 1) || sample;
+    const [best] = detectSource(cut);
+    if (!best) {
+      yield report(failure("Could not detect the file format; pass an explicit source"));
+      return;
+    }
+    source = best.source;
+  }
+
+  const parser = getParser(source);
+  if (!parser || DOCUMENT_SOURCES.has(source)) {
+    let text = sample;
+    for (let chunk = ended ? null : await nextText(); chunk !== null; chunk = await nextText()) {
+      text += chunk;
+    }
+    const result = validateAndParseCsv(text, { source, locale, accountId });
+    const size = Math.max(1, batchSize);
+    for (let i = 0; i === 0 || i < result.transactions.length; i += size) {
+      yield report({
+        transactions: result.transactions.slice(i, i + size),
+        errors: i === 0 ? result.errors : [],
+        warnings: i === 0 ? result.warnings ?? [] : [],
+        skipped: i === 0 ? result.skipped ?? [] : [],
+        totalRows: i === 0 ? result.totalRows : 0
+      });
+    }
+    return;
+  }
+
+  // Mapping profiles bring their own locale
+  if (!locale && parser.locale) settings = resolveLocale(parser.locale);
+
+  const tokenizer = createCsvTokenizer();
+  // Header record, and any preamble above it, repeated on top of later batches
+  let prefix = null;
+  let batchLocale = locale;
+  let dateOrderKnown = Boolean(settings.dateOrder);
+  // Occurrences counted in earlier batches, by ID without its counter
+  const occurrences = new Map();
+
+  /**
+   * Continue the occurrence counters of IDs from earlier batches
+   * @param {Array} transactions - Transactions of one batch
+   * @returns {Array} Transactions with file-wide IDs
+   */
+  const continueIds = (transactions) => {
+    const counts = new Map();
+    const out = transactions.map((txn) => {
+      const m = txn.id.match(/^(.*):(\d+)$/);
+      if (!m) return txn;
+      const n = Number(m[2]);
+      counts.set(m[1], Math.max(counts.get(m[1]) ?? 0, n));
+      const offset = occurrences.get(m[1]) ?? 0;
+      return offset > 0 ? { ...txn, id: `${m[1]}:${offset + n}` } : txn;
+    });
+    for (const [stem, n] of counts) occurrences.set(stem, (occurrences.get(stem) ?? 0) + n);
+    return out;
+  };
+
+  /**
+   * Parse one batch of records with the adapter
+   * @param {import('./parsers/_csv.js').CsvRecord[]} records - Non-blank records in file order
+   * @returns {{ batch: ImportBatch, fatal: boolean }}
+   */
+  const parseBatch = (records) => {
+    const first = prefix === null;
+    if (first) {
+      const index = parser.headerIndex ? parser.headerIndex(records.map((r) => r.fields)) : 0;
+      prefix = index >= 0 ? records.slice(0, index + 1) : [];
+    }
+
+    // Rebuild the batch as CSV, remembering which file line each record came from
+    const lines = new Map();
+    const parts = [];
+    let line = 1;
+    for (const record of first ? records : [...prefix, ...records]) {
+      const text = formatCsvRecord(record.fields, tokenizer.delimiter ?? ",");
+      lines.set(line, record.line);
+      parts.push(text);
+      line += 1 + (text.match(/\n/g)?.length ?? 0);
+    }
+
+    const result = validateAndParseCsv(parts.join("\n"), { source, locale: batchLocale, accountId });
+    // The adapter settles the order from its date column; later batches reuse it
+    if (!dateOrderKnown && result.dateOrder) {
+      batchLocale = { ...settings, dateOrder: result.dateOrder };
+      dateOrderKnown = true;
+    }
+    const prefixLines = new Set(first ? [] : prefix.map((r) => r.line));
+    const fileRow = (row) => lines.get(row) ?? row;
+    const toFileRow = (e) => {
+      if (e.row === 0) return e;
+      const moved = { ...e, row: fileRow(e.row) };
+      // Balance breaks also name the row they follow
+      if (typeof e.value?.previousRow === "number") {
+        const previousRow = fileRow(e.value.previousRow);
+        moved.value = { ...e.value, previousRow };
+        moved.message = e.message.replace(`row ${e.value.previousRow}`, `row ${previousRow}`);
+      }
+      return moved;
+    };
+    const toFileRows = (list) => (list ?? []).map(toFileRow).filter((e) => !prefixLines.has(e.row));
+
+    return {
+      batch: {
+        transactions: continueIds(result.transactions),
+        errors: toFileRows(result.errors),
+        warnings: toFileRows(result.warnings),
+        skipped: toFileRows(result.skipped),
+        totalRows: result.totalRows
+      },
+      fatal: first && isFatal(result)
+    };
+  };
+
+  let pending = [];
+  let started = false;
+  for (let chunk = sample; chunk !== null; chunk = ended ? null : await nextText()) {
+    for (const record of tokenizer.push(chunk)) {
+      if (isBlankRecord(record)) continue;
+      pending.push(record);
+      if (pending.length >= (started ? batchSize : Math.max(batchSize, MIN_FIRST_BATCH))) {
+        const { batch, fatal } = parseBatch(pending);
+        pending = [];
+        started = true;
+        yield report(batch);
+        if (fatal) return;
+      }
+    }
+  }
+  pending.push(...tokenizer.end().filter((r) => !isBlankRecord(r)));
+
+  if (pending.length > 0 || !started) {
+    yield report(parseBatch(pending).batch);
+  }
+}
+
+/**
+ * Gather a stream of batches into one import result
+ * @param {AsyncIterable<ImportBatch>} batches - Batches from parseStream
+ * @returns {Promise<{ transactions: Array, errors: Array, warnings: Array, skipped: Array, totalRows: number, validCount: number, errorCount: number }>}
+ */
+export async function collectStream(batches) {
+  const transactions = [];
+  const errors = [];
+  const warnings = [];
+  const skipped = [];
+  let totalRows = 0;
+
+  for await (const batch of batches) {
+    transactions.push(...batch.transactions);
+    errors.push(...batch.errors);
+    warnings.push(...batch.warnings);
+    skipped.push(...batch.skipped);
+    totalRows += batch.totalRows;
+  }
+
+  return {
+    transactions,
+    errors,
+    warnings,
+    skipped,
+    totalRows,
+    validCount: transactions.length,
+    errorCount: errors.length
+  };
+}
+
+/**
+ * Categorize each batch of a stream as it arrives
+ * The rules are compiled once for the whole stream.
+ *
+ * @param {AsyncIterable<ImportBatch>} batches - Batches from parseStream
+ * @param {Object} rulesFile - Rules configuration
+ * @param {Object} [options] - Categorization options (see categorizeTransactions)
+ * @returns {AsyncGenerator<ImportBatch & { categorized: Array, alerts: Array }>} Batches with their categorization
+ */
+export async function* categorizeStream(batches, rulesFile, options) {
+  const rules = compileRules(rulesFile);
+  for await (const batch of batches) {
+    yield { ...batch, ...categorizeTransactions(batch.transactions, rules, options) };
+  }
+}
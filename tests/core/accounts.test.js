@@ -0,0 +1,103 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseAccounts, findAccount, accountLabel } from "../../packages/core/src/accounts.js";
+import { loadAccounts } from "../../packages/core/src/accounts-node.js";
+import { validateAndParseCsv } from "../../packages/core/src/parser.js";
+import { parseCsvFile } from "../../packages/core/src/parser-node.js";
+import { mergeTransactions } from "../../packages/core/src/merge.js";
+import { categorizeTransactions } from "../../packages/core/src/categorizer.js";
+import { validateRulesFile } from "../../packages/core/src/rules-engine.js";
+import { generateSummary, formatSummaryReport } from "../../packages/core/src/exporter.js";
+import { TransactionSchema, RuleConditionSchema } from "../../packages/core/src/schemas.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixturesDir = path.join(__dirname, "../fixtures");
+
+const ACCOUNTS = [
+  { id: "sapphire", institution: "Chase", last4: "4821", owner: "Alex", type: "credit_card", defaultVenture: "household" },
+  { id: "ink", institution: "Chase", last4: "7710", owner: "Consulting LLC", type: "credit_card", defaultVenture: "consulting" }
+];
+
+test("parseAccounts validates the registry", () => {
+  assert.deepEqual(parseAccounts({ accounts: ACCOUNTS }), ACCOUNTS);
+  assert.equal(findAccount(ACCOUNTS, "ink").last4, "7710");
+  assert.equal(findAccount(ACCOUNTS, "missing"), null);
+  assert.equal(accountLabel(ACCOUNTS[0]), "Chase ····4821 (Alex)");
+
+  assert.throws(() => parseAccounts([...ACCOUNTS, ACCOUNTS[0]]), /Duplicate account id "sapphire"/);
+  assert.throws(() => parseAccounts([{ id: "Chase Card", institution: "Chase", type: "credit_card" }]), /Account "Chase Card": id/);
+  assert.throws(() => parseAccounts([{ id: "card", institution: "Chase", type: "credit_card", last4: "12" }]), /last4/);
+  assert.throws(() => parseAccounts({ cards: [] }), /array of accounts/);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "fot-accounts-"));
+  try {
+    const file = path.join(dir, "accounts.json");
+    fs.writeFileSync(file, JSON.stringify(ACCOUNTS));
+    assert.equal(loadAccounts(file).length, 2);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("imports tagged with an account carry accountId and account-scoped IDs", () => {
+  const plain = parseCsvFile(path.join(fixturesDir, "chase.csv"), { source: "chase" });
+  const sapphire = parseCsvFile(path.join(fixturesDir, "chase.csv"), { source: "chase", accountId: "sapphire" });
+  const ink = validateAndParseCsv(fs.readFileSync(path.join(fixturesDir, "chase.csv"), "utf8"), {
+    source: "chase",
+    accountId: "ink"
+  }).transactions;
+
+  assert.equal(plain[0].accountId, undefined);
+  assert.ok(sapphire.every((t) => t.accountId === "sapphire"));
+  assert.equal(sapphire[0].id, plain[0].id.replace(/^chase:/, "chase:sapphire:"));
+  assert.ok(ink.every((t, i) => t.accountId === "ink" && t.id !== sapphire[i].id));
+  assert.ok(TransactionSchema.safeParse(ink[0]).success);
+
+  // The same charges on another card are not duplicates
+  const merged = mergeTransactions(sapphire, ink);
+  assert.equal(merged.report.added.length, ink.length);
+  assert.equal(merged.report.skipped.length, 0);
+  assert.equal(mergeTransactions(sapphire, sapphire).report.skipped.length, sapphire.length);
+});
+
+test("rules condition on account and accounts supply default ventures", () => {
+  const txns = [
+    { id: "a", date: "2025-01-05", description: "UBER TRIP", amount: -23, source: "chase", accountId: "sapphire" },
+    { id: "b", date: "2025-01-05", description: "UBER TRIP", amount: -23, source: "chase", accountId: "ink" },
+    { id: "c", date: "2025-01-06", description: "ADOBE", amount: -55, source: "chase", accountId: "ink" },
+    { id: "d", date: "2025-01-07", description: "GROCER", amount: -80, source: "generic" }
+  ];
+  const rulesFile = {
+    rules: [
+      { id: "business-rides", when: { any_contains: ["uber"], account: ["ink"] }, then: { category: "Travel", venture: "consulting" } },
+      { id: "rides", when: { any_contains: ["uber"] }, then: { category: "Personal Transport", venture: "household" } },
+      { id: "software", when: { any_contains: ["adobe"] }, then: { category: "Software" } }
+    ]
+  };
+
+  const { categorized } = categorizeTransactions(txns, rulesFile, { accounts: ACCOUNTS });
+  assert.deepEqual(
+    categorized.map((t) => [t.id, t.category, t.venture]),
+    [
+      ["a", "Personal Transport", "household"],
+      ["b", "Travel", "consulting"],
+      ["c", "Software", "consulting"],
+      ["d", "Uncategorized", "unassigned"]
+    ]
+  );
+  assert.ok(RuleConditionSchema.safeParse({ account: ["ink"] }).success);
+
+  // Written as a string the account is rejected, and does not turn the rule into a catch-all
+  const single = { rules: [{ id: "business-rides", when: { any_contains: ["uber"], account: "ink" }, then: { category: "Travel" } }] };
+  assert.throws(() => validateRulesFile(single), /when.account must be an array of strings/);
+  assert.equal(categorizeTransactions(txns.slice(0, 1), single).categorized[0].category, "Uncategorized");
+
+  const summary = generateSummary(categorized);
+  assert.deepEqual(summary.byAccount, { sapphire: -23, ink: -78, unassigned: -80 });
+  assert.match(formatSummaryReport(summary), /TOTALS BY ACCOUNT[\s\S]*ink\s+-\$\s+78\.00/);
+  assert.doesNotMatch(formatSummaryReport(generateSummary([categorized[3]])), /TOTALS BY ACCOUNT/);
+});
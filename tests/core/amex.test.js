@@ -0,0 +1,85 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseCsvString, validateAndParseCsv } from "../../packages/core/src/parser.js";
+import { parseCsvFile } from "../../packages/core/src/parser-node.js";
+import { TransactionSchema } from "../../packages/core/src/schemas.js";
+import { generateSummary } from "../../packages/core/src/exporter.js";
+import { categorizeTransactions } from "../../packages/core/src/categorizer.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixturesDir = path.join(__dirname, "../fixtures");
+
+test("parseCsvFile flips Amex signs so charges are negative", () => {
+  const out = parseCsvFile(path.join(fixturesDir, "amex.csv"), { source: "amex" });
+
+  assert.equal(out.length, 5);
+  assert.deepEqual(out.map((t) => t.amount), [-250, -84.12, 1200, -84.12, 35.5]);
+  for (const txn of out) {
+    assert.ok(TransactionSchema.safeParse(txn).success, txn.id);
+  }
+
+  const rules = { rules: [{ id: "ads", when: { contains: ["facebk"] }, then: { category: "Advertising", venture: "studio" } }] };
+  const { categorized } = categorizeTransactions(out, rules);
+  assert.equal(generateSummary(categorized).byCategory.Advertising, -250);
+});
+
+test("Amex card member, extended details and category are kept", () => {
+  const [ads, aws, payment] = parseCsvFile(path.join(fixturesDir, "amex.csv"), { source: "amex" });
+
+  assert.equal(ads.date, "2025-01-03");
+  assert.equal(ads.description, "FACEBK *ADS");
+  assert.equal(ads.cardMember, "JANE DOE");
+  assert.equal(ads.memo, "FACEBK *ADS 650-543-4800 ADVERTISING");
+  assert.equal(ads.merchantAddress, "1 HACKER WAY, MENLO PARK CA, 94025, UNITED STATES");
+  assert.equal(ads.importedCategory, "Business Services-Advertising Services");
+
+  assert.equal(aws.cardMember, "JOHN DOE");
+  assert.equal(payment.memo, undefined);
+  assert.equal(payment.importedCategory, undefined);
+});
+
+test("identical Amex charges on two cards get different IDs", () => {
+  const out = parseCsvFile(path.join(fixturesDir, "amex.csv"), { source: "amex" });
+  const csv = fs.readFileSync(path.join(fixturesDir, "amex.csv"), "utf8")
+    .replace("01/12/2025,AMAZON WEB SERVICES", "01/05/2025,AMAZON WEB SERVICES");
+  const sameDay = parseCsvString(csv, { source: "amex" });
+
+  assert.ok(out.every((t) => t.id.startsWith("amex:")));
+  assert.notEqual(sameDay[1].id, sameDay[3].id);
+  // Re-parsing gives the same IDs
+  assert.deepEqual(
+    parseCsvFile(path.join(fixturesDir, "amex.csv"), { source: "amex" }).map((t) => t.id),
+    out.map((t) => t.id)
+  );
+});
+
+test("validateAndParseCsv reports invalid Amex rows", () => {
+  const csv = "Date,Description,Card Member,Account #,Amount\n" +
+    "01/03/2025,COFFEE,JANE DOE,-41007,4.50\n" +
+    "13/45/2025,BAD DATE,JANE DOE,-41007,10.00\n" +
+    "01/04/2025,BAD AMOUNT,JANE DOE,-41007,abc\n";
+  const result = validateAndParseCsv(csv, { source: "amex" });
+
+  assert.equal(result.validCount, 1);
+  assert.equal(result.transactions[0].amount, -4.5);
+  assert.deepEqual(result.errors.map((e) => e.row), [3, 4]);
+  assert.match(result.errors[0].message, /Invalid date/);
+  assert.match(result.errors[1].message, /Invalid amount/);
+});
+
+test("Amex title lines above the header are skipped", () => {
+  const csv = fs.readFileSync(path.join(fixturesDir, "amex.csv"), "utf8");
+  const titled = "Transaction Details,,\nPrepared for,,\nJANE DOE,,\nAccount Number,,\nXXXX-XXXXXX-41007,,\n\n" + csv;
+  const result = validateAndParseCsv(titled, { source: "auto" });
+
+  assert.equal(result.errorCount, 0);
+  assert.ok(result.transactions.every((t) => t.source === "amex"));
+  assert.deepEqual(result.transactions, parseCsvString(csv, { source: "amex" }));
+  assert.throws(
+    () => parseCsvString(titled.replace("Date,Description", "When,Description"), { source: "amex" }),
+    /Amex CSV: Missing required headers: Date, Description, Amount\. Found: Transaction Details/
+  );
+});
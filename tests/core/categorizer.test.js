@@ -151,3 +151,11 @@ test("categorizeTransactions creates alerts for split transactions requiring rec
   assert.equal(alerts[0].txnId, "txn-1");
   assert.ok(alerts[0].message.includes("split across 2 ventures"));
 });
+
+test("categorizeTransactions keeps audit entries from import", () => {
+  const rules = { rules: [{ id: "r1", when: { contains: ["hotel"] }, then: { category: "Travel", venture: "venture-a" } }] };
+  const imported = { step: "superseded_pending", pendingId: "p1" };
+  const txns = [{ id: "1", date: "2025-01-01", description: "HOTEL", amount: -200, source: "generic", audit: [imported] }];
+  const { categorized } = categorizeTransactions(txns, rules);
+  assert.deepEqual(categorized[0].audit.map((a) => a.step), ["superseded_pending", "matched_rule"]);
+});
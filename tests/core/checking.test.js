@@ -0,0 +1,87 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseCsvString, validateAndParseCsv } from "../../packages/core/src/parser.js";
+import { parseCsvFile } from "../../packages/core/src/parser-node.js";
+import { ImportErrorSchema } from "../../packages/core/src/schemas.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixturesDir = path.join(__dirname, "../fixtures");
+const BOFA = fs.readFileSync(path.join(fixturesDir, "bofa-checking.csv"), "utf8");
+
+test("checking adapter skips the summary preamble and the beginning balance row", () => {
+  const result = validateAndParseCsv(BOFA, { source: "checking" });
+
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(
+    result.transactions.map((t) => [t.date, t.description, t.amount]),
+    [
+      ["2025-01-03", "COSTCO WHOLESALE #123", -142.18],
+      ["2025-01-15", "ACME PAYROLL DES:DIR DEP", 2500],
+      ["2025-01-20", "CITY WATER UTILITY", -200]
+    ]
+  );
+  assert.ok(result.transactions.every((t) => t.source === "checking"));
+});
+
+test("a missing row is reported as a balance break on the row after the gap", () => {
+  const missing = BOFA.replace(/^01\/15\/2025.*\n/m, "");
+  const result = validateAndParseCsv(missing, { source: "checking" });
+
+  assert.equal(result.validCount, 2);
+  assert.equal(result.errors.length, 1);
+  const [error] = result.errors;
+  assert.ok(ImportErrorSchema.safeParse(error).success);
+  assert.equal(error.field, "balance");
+  assert.equal(error.row, 10);
+  assert.match(error.message, /expected 657\.82 after row 9, found 3157\.82/);
+
+  // parse() stays lenient
+  assert.equal(parseCsvString(missing, { source: "checking" }).length, 2);
+});
+
+test("newest-first exports are validated in date order", () => {
+  const csv = [
+    "Posted Date,Payee,Memo,Withdrawal,Deposit,Balance",
+    "20/01/2025,CITY WATER UTILITY,,200.00,,3157.82",
+    "15/01/2025,ACME PAYROLL,Direct deposit,,\"2,500.00\",3357.82",
+    "03/01/2025,COSTCO WHOLESALE,POS 1234,142.18,,857.82",
+    "01/01/2025,Opening Balance,,,,1000.00"
+  ].join("\n");
+  const result = validateAndParseCsv(csv, { source: "checking" });
+
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.transactions.map((t) => t.amount), [-200, 2500, -142.18]);
+  assert.equal(result.transactions[1].description, "ACME PAYROLL [Direct deposit]");
+
+  // Swapping two rows breaks the chain where the order changes
+  const lines = csv.split("\n");
+  const reordered = [lines[0], lines[2], lines[1], lines[3], lines[4]].join("\n");
+  const broken = validateAndParseCsv(reordered, { source: "checking" });
+  assert.ok(broken.errors.length > 0);
+  assert.ok(broken.errors.every((e) => e.field === "balance"));
+  assert.equal(broken.validCount, 3);
+});
+
+test("Wells Fargo headerless exports are recognized", () => {
+  const out = parseCsvFile(path.join(fixturesDir, "wellsfargo.csv"), { source: "checking" });
+
+  assert.deepEqual(
+    out.map((t) => [t.date, t.description, t.amount]),
+    [
+      ["2025-01-20", "CITY WATER UTILITY", -200],
+      ["2025-01-15", "ACME PAYROLL DIR DEP", 2500],
+      ["2025-01-03", "COSTCO WHOLESALE #123", -142.18]
+    ]
+  );
+});
+
+test("checking adapter rejects files without a recognizable header", () => {
+  assert.throws(
+    () => parseCsvString("Name,Email\nAda,ada@example.com\n", { source: "checking" }),
+    /Checking CSV: Missing required headers: Date, Amount \(or Withdrawal\/Deposit\)\. Found: Name, Email/
+  );
+  assert.deepEqual(parseCsvString("", { source: "checking" }), []);
+});
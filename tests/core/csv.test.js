@@ -0,0 +1,94 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createCsvTokenizer, tokenizeCsv, readCsv } from "../../packages/core/src/parsers/_csv.js";
+import { parseCsvString, validateAndParseCsv } from "../../packages/core/src/parser.js";
+
+test("tokenizeCsv keeps escaped quotes", () => {
+  const [record] = tokenizeCsv('"He said ""hi""",2\n');
+  assert.deepEqual(record.fields, ['He said "hi"', "2"]);
+});
+
+test("tokenizeCsv keeps line breaks inside quoted fields", () => {
+  const records = tokenizeCsv('Date,Description,Amount\r\n2025-01-01,"PAYPAL *SHOP\r\nREF 123",-5\r\n2025-01-02,NEXT,-1\r\n');
+
+  assert.equal(records.length, 3);
+  assert.deepEqual(records[1].fields, ["2025-01-01", "PAYPAL *SHOP\nREF 123", "-5"]);
+  assert.equal(records[1].line, 2);
+  assert.equal(records[2].line, 4);
+});
+
+test("tokenizeCsv strips a byte order mark", () => {
+  const [record] = tokenizeCsv("\uFEFFDate,Amount\n");
+  assert.deepEqual(record.fields, ["Date", "Amount"]);
+});
+
+test("tokenizeCsv detects semicolon and tab delimiters", () => {
+  assert.deepEqual(tokenizeCsv('Datum;Omschrijving;Bedrag\n01-02-2025;"A;B";-1,50\n')[1].fields, [
+    "01-02-2025",
+    "A;B",
+    "-1,50"
+  ]);
+  assert.deepEqual(tokenizeCsv("Date\tDescription\tAmount\n2025-01-01\tX, Y\t-1\n")[1].fields, [
+    "2025-01-01",
+    "X, Y",
+    "-1"
+  ]);
+});
+
+test("the delimiter is detected from the first record, not the first line", () => {
+  const text = '\n"Booking\ndate, local";Description;Amount\n01-02-2025;Coffee, large;-1,50\n';
+  assert.deepEqual(tokenizeCsv(text).filter((r) => r.fields.some(Boolean)).map((r) => r.fields), [
+    ["Booking\ndate, local", "Description", "Amount"],
+    ["01-02-2025", "Coffee, large", "-1,50"]
+  ]);
+
+  // Streamed one character at a time, the delimiter waits for the whole record
+  const tokenizer = createCsvTokenizer();
+  const records = [...text].flatMap((ch) => tokenizer.push(ch)).concat(tokenizer.end());
+  assert.equal(tokenizer.delimiter, ";");
+  assert.deepEqual(records.map((r) => r.fields), tokenizeCsv(text).map((r) => r.fields));
+});
+
+test("tokenizeCsv keeps trailing empty columns", () => {
+  const [record] = tokenizeCsv("a,b,,\n");
+  assert.deepEqual(record.fields, ["a", "b", "", ""]);
+});
+
+test("createCsvTokenizer gives the same records for any chunking", () => {
+  const text = 'Date,Description,Amount\n2025-01-01,"A ""quoted""\nline",-5\r\n2025-01-02,B,-1';
+  const whole = tokenizeCsv(text);
+
+  for (const size of [1, 2, 3, 7]) {
+    const tokenizer = createCsvTokenizer();
+    const records = [];
+    for (let i = 0; i < text.length; i += size) {
+      records.push(...tokenizer.push(text.slice(i, i + size)));
+    }
+    records.push(...tokenizer.end());
+    assert.deepEqual(records, whole, `chunk size ${size}`);
+  }
+});
+
+test("readCsv skips blank lines and reports physical line numbers", () => {
+  const { headers, headerLine, rows } = readCsv("\nDate,Description,Amount\n\n2025-01-01,A,-1\n");
+  assert.deepEqual(headers, ["Date", "Description", "Amount"]);
+  assert.equal(headerLine, 2);
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].line, 4);
+});
+
+test("adapters parse quoted multi-line descriptions as one row", () => {
+  const csv = 'Date,Description,Amount\n2025-01-01,"AMEX ""GOLD""\nEXTRA",-10.5\n2025-01-02,NEXT,-2\n';
+  const out = parseCsvString(csv, { source: "generic" });
+
+  assert.equal(out.length, 2);
+  assert.equal(out[0].description, 'AMEX "GOLD"\nEXTRA');
+});
+
+test("validateAndParseCsv row numbers match physical file lines", () => {
+  const csv = 'Date,Description,Amount\n2025-01-01,"MULTI\nLINE",-1\n\nbad-date,BROKEN,-2\n';
+  const result = validateAndParseCsv(csv, { source: "generic" });
+
+  assert.equal(result.validCount, 1);
+  assert.equal(result.errors[0].row, 5);
+});
@@ -0,0 +1,81 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { detectSource, parseCsvString, validateAndParseCsv } from "../../packages/core/src/parser.js";
+import { parseCsvFile } from "../../packages/core/src/parser-node.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixturesDir = path.join(__dirname, "../fixtures");
+
+/**
+ * Read a fixture file as text
+ * @param {string} name - Fixture file name
+ * @returns {string} File content
+ */
+function fixture(name) {
+  return fs.readFileSync(path.join(fixturesDir, name), "utf8");
+}
+
+test("detectSource ranks the matching adapter first for each fixture", () => {
+  const expected = {
+    "generic.csv": "generic",
+    "chase.csv": "chase",
+    "costco.csv": "costco",
+    "amex.csv": "amex",
+    "bofa-checking.csv": "checking",
+    "wellsfargo.csv": "checking",
+    "paypal.csv": "paypal",
+    "venmo.csv": "venmo",
+    "stripe.csv": "stripe",
+    "square.csv": "square",
+    "bank-v1.qfx": "ofx",
+    "card-v2.ofx": "ofx",
+    "quicken.qif": "qif",
+    "camt053.xml": "camt053",
+    "mt940.sta": "mt940"
+  };
+
+  for (const [file, source] of Object.entries(expected)) {
+    const [best] = detectSource(fixture(file));
+    assert.equal(best?.source, source, `${file} detected as ${best?.source}`);
+  }
+});
+
+test("detectSource returns ranked candidates with confidence values", () => {
+  const candidates = detectSource(fixture("chase.csv"));
+
+  assert.ok(candidates.length > 1);
+  for (const c of candidates) {
+    assert.ok(c.confidence > 0 && c.confidence <= 1);
+  }
+  for (let i = 1; i < candidates.length; i++) {
+    assert.ok(candidates[i - 1].confidence >= candidates[i].confidence);
+  }
+  // Chase files also satisfy the generic header set, with lower confidence
+  assert.ok(candidates.some((c) => c.source === "generic"));
+});
+
+test("detectSource returns no candidates for unrecognized content", () => {
+  assert.deepEqual(detectSource("Name,Email\nAda,ada@example.com\n"), []);
+  assert.deepEqual(detectSource(""), []);
+});
+
+test("auto source parses with the detected adapter", () => {
+  const chase = parseCsvFile(path.join(fixturesDir, "chase.csv"), { source: "auto" });
+  assert.ok(chase.length > 0);
+  assert.equal(chase[0].source, "chase");
+
+  const qif = validateAndParseCsv(fixture("quicken.qif"), { source: "auto" });
+  assert.ok(qif.validCount > 0);
+  assert.equal(qif.transactions[0].source, "qif");
+});
+
+test("auto source reports undetectable files", () => {
+  assert.throws(() => parseCsvString("Name,Email\n", { source: "auto" }), /detect/);
+
+  const result = validateAndParseCsv("Name,Email\n", { source: "auto" });
+  assert.equal(result.errorCount, 1);
+  assert.equal(result.errors[0].row, 0);
+});
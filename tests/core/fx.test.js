@@ -0,0 +1,112 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseFxRates, createFxTable, convertTransactions } from "../../packages/core/src/fx.js";
+import { generateSummary, exportScheduleC, formatSummaryReport } from "../../packages/core/src/exporter.js";
+import { categorizeTransactions } from "../../packages/core/src/categorizer.js";
+import { parseCsvString, registerProfile, unregisterParser } from "../../packages/core/src/parser.js";
+
+const RATES_CSV = "Date,From,To,Rate\n2025-03-03,EUR,USD,1.05\n2025-03-05,eur,usd,1.10\n2025-03-03,GBP,USD,1.25\n";
+
+test("parseFxRates reads CSV and JSON rate tables", () => {
+  const fromCsv = parseFxRates(RATES_CSV);
+  assert.equal(fromCsv.length, 3);
+  assert.deepEqual(fromCsv[1], { date: "2025-03-05", from: "EUR", to: "USD", rate: 1.1 });
+
+  const fromJson = parseFxRates(JSON.stringify({ rates: [{ date: "2025-03-03", from: "EUR", to: "USD", rate: 1.05 }] }));
+  assert.deepEqual(fromJson, [fromCsv[0]]);
+
+  assert.throws(() => parseFxRates("Date,Rate\n2025-01-01,1\n"), /From, To and Rate/);
+  assert.throws(() => parseFxRates("Date,From,To,Rate\n2025-01-01,EUR,USD,abc\n"), /FX rate 2/);
+  assert.throws(() => parseFxRates("[{"), /Invalid FX rates JSON/);
+});
+
+test("createFxTable uses the latest rate on or before the date, and inverses", () => {
+  const table = createFxTable(parseFxRates(RATES_CSV));
+
+  assert.deepEqual(table.lookup("EUR", "USD", "2025-03-04"), { date: "2025-03-03", rate: 1.05 });
+  assert.deepEqual(table.lookup("EUR", "USD", "2025-03-05"), { date: "2025-03-05", rate: 1.1 });
+  assert.equal(table.lookup("EUR", "USD", "2025-03-02"), null);
+  assert.equal(table.lookup("EUR", "USD", "2025-04-30"), null);
+  assert.equal(table.lookup("USD", "EUR", "2025-03-03").rate, 1 / 1.05);
+});
+
+test("convertTransactions converts foreign amounts and records the rate", () => {
+  const txns = [
+    { id: "a", date: "2025-03-04", description: "HOTEL PARIS", amount: -200, source: "generic", currency: "EUR" },
+    { id: "b", date: "2025-03-04", description: "COFFEE", amount: -5, source: "generic" },
+    { id: "c", date: "2025-03-04", description: "BOOKS", amount: -20, source: "generic", currency: "USD" }
+  ];
+  const { categorized } = categorizeTransactions(txns, { rules: [] });
+  const out = convertTransactions(categorized, { reportingCurrency: "USD", rates: parseFxRates(RATES_CSV) });
+
+  assert.equal(out[0].amount, -210);
+  assert.equal(out[0].currency, "USD");
+  assert.equal(out[0].originalAmount, -200);
+  assert.equal(out[0].originalCurrency, "EUR");
+  assert.deepEqual(out[0].audit.at(-1), {
+    step: "fx_conversion",
+    from: "EUR",
+    to: "USD",
+    rate: 1.05,
+    rateDate: "2025-03-03",
+    originalAmount: -200
+  });
+  assert.deepEqual(out[1], { ...categorized[1], currency: "USD" });
+  assert.equal(out[2], categorized[2]);
+
+  // Already converted transactions are left alone
+  assert.deepEqual(convertTransactions(out, { reportingCurrency: "USD" }), out);
+});
+
+test("convertTransactions reports missing rates", () => {
+  const txns = [{ id: "a", date: "2025-03-04", description: "X", amount: -1, source: "generic", currency: "JPY" }];
+  assert.throws(
+    () => convertTransactions(txns, { reportingCurrency: "USD", rates: parseFxRates(RATES_CSV) }),
+    /Missing FX rates for JPY→USD \(1 transaction: 2025-03-04\)/
+  );
+  assert.throws(() => convertTransactions(txns, { reportingCurrency: "usd" }), /Invalid reporting currency/);
+});
+
+test("summaries and exports refuse mixed currencies and show the rate", () => {
+  const csv = "Date,Description,Amount,Currency\n2025-03-04,HOTEL PARIS,-200,EUR\n2025-03-04,COFFEE,-5,usd\n";
+  const txns = parseCsvString(csv, { source: "generic" });
+  assert.equal(txns[1].currency, "USD");
+
+  const rules = { rules: [{ id: "r", when: { contains: ["hotel", "coffee"] }, then: { category: "Travel", venture: "v1" } }] };
+  const { categorized } = categorizeTransactions(txns, rules);
+  assert.throws(() => generateSummary(categorized), /multiple currencies \(EUR, USD\)/);
+  assert.throws(() => exportScheduleC(categorized, { venture: "v1", year: 2025 }), /multiple currencies/);
+
+  const converted = convertTransactions(categorized, { reportingCurrency: "USD", rates: parseFxRates(RATES_CSV) });
+  const summary = generateSummary(converted);
+  assert.equal(summary.currency, "USD");
+  assert.equal(summary.byVenture.v1, -215);
+
+  const lines = exportScheduleC(converted, { venture: "v1", year: 2025 }).csv.trim().split("\n");
+  assert.ok(lines[0].endsWith(",Currency,ForeignAmount,ForeignCurrency,FxRate"));
+  assert.ok(lines[1].startsWith("2025-03-04,HOTEL PARIS,-210,Travel,v1,"));
+  assert.ok(lines[1].endsWith(",USD,-200,EUR,1.05"));
+
+  const eur = convertTransactions(categorized, { reportingCurrency: "EUR", rates: parseFxRates(RATES_CSV) });
+  assert.ok(formatSummaryReport(generateSummary(eur)).includes("EUR"));
+
+  // A file without a currency is not added to one with a currency
+  const untagged = [{ ...categorized[0], currency: undefined }, categorized[1]];
+  assert.throws(() => generateSummary(untagged), /multiple currencies \(USD, no currency\)/);
+  assert.equal(generateSummary(convertTransactions(untagged, { reportingCurrency: "USD" })).currency, "USD");
+});
+
+test("mapping profiles read a currency column or a fixed currency", () => {
+  const name = registerProfile({
+    name: "fx-card",
+    columns: { date: "Date", description: "Desc", amount: "Amt", currency: "Cur" },
+    currency: "CAD"
+  });
+  try {
+    const out = parseCsvString("Date,Desc,Amt,Cur\n2025-01-02,A,-1,eur\n2025-01-03,B,-2,\n", { source: name });
+    assert.equal(out[0].currency, "EUR");
+    assert.equal(out[1].currency, "CAD");
+  } finally {
+    unregisterParser(name);
+  }
+});
@@ -0,0 +1,98 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseCsvString } from "../../packages/core/src/parser.js";
+import { parseCsvFile } from "../../packages/core/src/parser-node.js";
+import { createIdGenerator, hash } from "../../packages/core/src/parsers/_shared.js";
+import { buildIdMigration, remapTransactionIds } from "../../packages/core/src/id-migration.js";
+import { categorizeTransactions } from "../../packages/core/src/categorizer.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixturesDir = path.join(__dirname, "../fixtures");
+
+const MONTH = "Date,Description,Amount\n2025-01-05,COFFEE SHOP,-4.50\n2025-01-05,COFFEE SHOP,-4.50\n2025-01-09,RENT,-1200\n";
+
+test("IDs don't shift when a re-download adds rows", () => {
+  const first = parseCsvString(MONTH, { source: "generic" });
+  const again = parseCsvString(
+    MONTH.replace("Amount\n", "Amount\n2025-01-31,NEW ROW,-1\n"),
+    { source: "generic" }
+  );
+
+  assert.deepEqual(
+    again.slice(1).map((t) => t.id),
+    first.map((t) => t.id)
+  );
+});
+
+test("identical rows are numbered by occurrence", () => {
+  const [a, b, rent] = parseCsvString(MONTH, { source: "generic" });
+
+  assert.notEqual(a.id, b.id);
+  assert.ok(a.id.endsWith(":1"));
+  assert.ok(b.id.endsWith(":2"));
+  assert.ok(rent.id.endsWith(":1"));
+});
+
+test("IDs depend on amount, account and normalized description", () => {
+  const base = { date: "2025-01-05", amount: -4.5, description: "Coffee  Shop" };
+  const id = createIdGenerator("generic")(base);
+
+  assert.equal(createIdGenerator("generic")({ ...base, description: " COFFEE SHOP" }), id);
+  assert.notEqual(createIdGenerator("generic")({ ...base, amount: -4.51 }), id);
+  assert.notEqual(createIdGenerator("generic", { account: "1234" })(base), id);
+});
+
+test("buildIdMigration remaps position-based IDs in stored data", () => {
+  const legacy = parseCsvString(MONTH, { source: "generic" }).map((t, i) => ({
+    ...t,
+    id: `generic:${t.date}:${hash(t.description)}:${i + 3}`
+  }));
+  const rules = { rules: [{ id: "rent", when: { contains: ["rent"] }, then: { split: [{ venture: "a", percent: 50 }, { venture: "b", percent: 50 }] } }] };
+  const { categorized, alerts } = categorizeTransactions(legacy, rules);
+
+  const idMap = buildIdMigration(legacy);
+  assert.equal(idMap.size, 3);
+
+  const current = parseCsvString(MONTH, { source: "generic" });
+  assert.deepEqual(
+    remapTransactionIds(legacy, idMap).map((t) => t.id),
+    current.map((t) => t.id)
+  );
+
+  const migrated = remapTransactionIds(categorized, idMap);
+  assert.equal(migrated[2].id, `${current[2].id}:split:0`);
+  assert.equal(migrated[2].originalTxnId, current[2].id);
+  assert.deepEqual(remapTransactionIds(alerts, idMap), alerts);
+
+  // The categorized results alone give the same mapping
+  assert.deepEqual(buildIdMigration(categorized), idMap);
+  // Migrated data needs no further changes
+  assert.equal(buildIdMigration(remapTransactionIds(legacy, idMap)).size, 0);
+});
+
+test("buildIdMigration keeps IDs that aren't position-based", () => {
+  const ofx = [{ id: "ofx:1234:FIT-1", date: "2025-01-05", description: "X", amount: -1, source: "ofx" }];
+  assert.equal(buildIdMigration(ofx).size, 0);
+});
+
+test("buildIdMigration leaves freshly imported IDs alone", () => {
+  for (const [name, source] of [
+    ["amex.csv", "amex"],
+    ["mt940.sta", "mt940"],
+    ["camt053.xml", "camt053"],
+    ["quicken.qif", "qif"],
+    ["chase.csv", "chase"],
+    ["generic.csv", "generic"]
+  ]) {
+    const fresh = parseCsvFile(path.join(fixturesDir, name), { source });
+    assert.ok(fresh.length > 0, name);
+    assert.equal(buildIdMigration(fresh).size, 0, name);
+  }
+
+  // Position-based IDs of account-keyed sources can't be recomputed without the account
+  const amex = parseCsvFile(path.join(fixturesDir, "amex.csv"), { source: "amex" })
+    .map((t, i) => ({ ...t, id: `amex:${t.date}:${hash(t.description)}:${i + 2}` }));
+  assert.equal(buildIdMigration(amex).size, 0);
+});
@@ -0,0 +1,146 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  normalizeDate,
+  normalizeAmount,
+  inspectDate,
+  inferDateOrder,
+  resolveLocale
+} from "../../packages/core/src/parsers/_shared.js";
+import {
+  parseCsvString,
+  validateAndParseCsv,
+  registerProfile,
+  unregisterParser
+} from "../../packages/core/src/parser.js";
+
+test("normalizeDate handles day-first, dotted, month-name and two-digit year dates", () => {
+  const dmy = { dateOrder: "DMY" };
+  assert.equal(normalizeDate("25/12/2024", dmy), "2024-12-25");
+  assert.equal(normalizeDate("25.12.2024", dmy), "2024-12-25");
+  assert.equal(normalizeDate("5.1.25", dmy), "2025-01-05");
+  assert.equal(normalizeDate("1/5/25"), "2025-01-05");
+  assert.equal(normalizeDate("12/31/99"), "1999-12-31");
+  assert.equal(normalizeDate("Jan 5, 2025"), "2025-01-05");
+  assert.equal(normalizeDate("September 30 2024"), "2024-09-30");
+  assert.equal(normalizeDate("5 Jan 2025"), "2025-01-05");
+  assert.equal(normalizeDate("05-Jan-25"), "2025-01-05");
+  assert.equal(normalizeDate("2025/01/05"), "2025-01-05");
+});
+
+test("normalizeDate rejects impossible dates", () => {
+  assert.equal(normalizeDate("25/12/2024"), null);
+  assert.equal(normalizeDate("02/30/2025"), null);
+  assert.equal(normalizeDate("Foo 5, 2025"), null);
+});
+
+test("inspectDate flags dates whose day and month could be swapped", () => {
+  assert.deepEqual(inspectDate("03/04/2025"), { date: "2025-03-04", ambiguous: true });
+  assert.deepEqual(inspectDate("03/04/2025", { dateOrder: "DMY" }), { date: "2025-04-03", ambiguous: true });
+  assert.equal(inspectDate("04/04/2025").ambiguous, false);
+  assert.equal(inspectDate("13/04/2025", { dateOrder: "DMY" }).ambiguous, false);
+  assert.equal(inspectDate("Apr 3, 2025").ambiguous, false);
+});
+
+test("inferDateOrder uses unambiguous values in the column", () => {
+  assert.equal(inferDateOrder(["03/04/2025", "25/04/2025"]), "DMY");
+  assert.equal(inferDateOrder(["03/04/2025", "04/25/2025"]), "MDY");
+  assert.equal(inferDateOrder(["03/04/2025", "04/05/2025"]), null);
+  assert.equal(inferDateOrder(["25/04/2025", "04/25/2025"]), null);
+});
+
+test("normalizeAmount handles decimal commas, parentheses, trailing minus and CR/DR", () => {
+  assert.equal(normalizeAmount("1.234,56"), 1234.56);
+  assert.equal(normalizeAmount("1 234,56 €"), 1234.56);
+  assert.equal(normalizeAmount("12,50"), 12.5);
+  assert.equal(normalizeAmount("$1,234.56"), 1234.56);
+  assert.equal(normalizeAmount("(42.00)"), -42);
+  assert.equal(normalizeAmount("$(42.00)"), -42);
+  assert.equal(normalizeAmount("42.00-"), -42);
+  assert.equal(normalizeAmount("42.00 DR"), -42);
+  assert.equal(normalizeAmount("42.00 CR"), 42);
+  assert.equal(normalizeAmount("1,234", { decimal: "," }), 1.234);
+  assert.ok(Number.isNaN(normalizeAmount("abc")));
+});
+
+test("normalizeAmount keeps the sign of unspaced CR/DR and rejects stray letters", () => {
+  assert.equal(normalizeAmount("42.00CR"), 42);
+  assert.equal(normalizeAmount("42.00DR"), -42);
+  assert.equal(normalizeAmount("1,234.56Dr."), -1234.56);
+  assert.equal(normalizeAmount("EUR 1.234,56"), 1234.56);
+  assert.equal(normalizeAmount("-12.50 usd"), -12.5);
+  assert.equal(normalizeAmount("US$ 20"), 20);
+  assert.equal(normalizeAmount("1'234.50"), 1234.5);
+  for (const bad of ["1e5", "0x10", "12abc34", "12 EURO", "N/A 5"]) {
+    assert.ok(Number.isNaN(normalizeAmount(bad)), bad);
+  }
+});
+
+test("resolveLocale accepts tags, language prefixes and settings objects", () => {
+  assert.deepEqual(resolveLocale("de-DE"), { dateOrder: "DMY", decimal: "," });
+  assert.deepEqual(resolveLocale("fr"), { dateOrder: "DMY", decimal: "," });
+  assert.deepEqual(resolveLocale({ dateOrder: "DMY" }), { dateOrder: "DMY" });
+  assert.deepEqual(resolveLocale(undefined), {});
+  assert.throws(() => resolveLocale("xx-XX"), /Unknown locale/);
+});
+
+test("parseCsvString applies the source locale", () => {
+  const csv = "Date;Description;Amount\n03.04.2025;BÄCKEREI;-4,50\n05.04.2025;GEHALT;1.234,56\n";
+  const out = parseCsvString(csv, { source: "generic", locale: "de-DE" });
+
+  assert.equal(out[0].date, "2025-04-03");
+  assert.equal(out[0].amount, -4.5);
+  assert.equal(out[1].amount, 1234.56);
+});
+
+test("parseWithErrors warns about ambiguous dates only when the order is a guess", () => {
+  const csv = "Date,Description,Amount\n03/04/2025,A,-1\n04/04/2025,B,-2\n";
+
+  const guessed = validateAndParseCsv(csv, { source: "generic" });
+  assert.equal(guessed.validCount, 2);
+  assert.equal(guessed.errorCount, 0);
+  assert.equal(guessed.warnings.length, 1);
+  assert.equal(guessed.warnings[0].row, 2);
+  assert.equal(guessed.warnings[0].severity, "warning");
+  assert.ok(guessed.warnings[0].message.includes("Ambiguous date"));
+
+  const configured = validateAndParseCsv(csv, { source: "generic", locale: "en-GB" });
+  assert.equal(configured.warnings.length, 0);
+  assert.equal(configured.transactions[0].date, "2025-04-03");
+
+  // A day-first value elsewhere in the file settles the order
+  const inferred = validateAndParseCsv(csv + "25/04/2025,C,-3\n", { source: "generic" });
+  assert.equal(inferred.warnings.length, 0);
+  assert.equal(inferred.transactions[0].date, "2025-04-03");
+});
+
+test("mapping profiles carry a locale", () => {
+  const name = registerProfile({
+    name: "eu-bank",
+    columns: { date: "Buchungstag", description: "Verwendungszweck", amount: "Betrag" },
+    locale: "de-DE"
+  });
+  try {
+    const out = parseCsvString("Buchungstag;Verwendungszweck;Betrag\n01.02.2025;MIETE;-1.200,00\n", {
+      source: name
+    });
+    assert.equal(out[0].date, "2025-02-01");
+    assert.equal(out[0].amount, -1200);
+  } finally {
+    unregisterParser(name);
+  }
+
+  assert.throws(
+    () => registerProfile({ name: "bad", columns: { date: "D", description: "X", amount: "A" }, locale: "xx" }),
+    /Unknown locale/
+  );
+});
+
+test("unknown locales are reported as file-level errors", () => {
+  const result = validateAndParseCsv("Date,Description,Amount\n2025-01-01,A,-1\n", {
+    source: "generic",
+    locale: "zz-ZZ"
+  });
+  assert.equal(result.errorCount, 1);
+  assert.ok(result.errors[0].message.includes("Unknown locale"));
+});
@@ -0,0 +1,119 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mergeTransactions, descriptionSimilarity } from "../../packages/core/src/merge.js";
+import { parseCsvString } from "../../packages/core/src/parser.js";
+
+const JANUARY = "Date,Description,Amount\n2025-01-05,COFFEE SHOP,-4.50\n2025-01-05,COFFEE SHOP,-4.50\n2025-01-09,RENT,-1200\n";
+
+test("re-importing an overlapping statement skips exact duplicates", () => {
+  const jan = parseCsvString(JANUARY, { source: "generic" });
+  const overlap = parseCsvString(
+    JANUARY + "2025-02-01,RENT,-1200\n",
+    { source: "generic" }
+  );
+
+  const { transactions, report } = mergeTransactions(jan, overlap);
+  assert.equal(transactions.length, 4);
+  assert.equal(report.added.length, 1);
+  assert.equal(report.added[0].date, "2025-02-01");
+  assert.equal(report.skipped.length, 3);
+  assert.ok(report.skipped.every((s) => s.match === "exact"));
+  assert.equal(report.conflicts.length, 0);
+});
+
+test("fuzzy duplicates need the same amount, a close date and a similar description", () => {
+  const existing = parseCsvString(JANUARY, { source: "generic" });
+  const incoming = [
+    { id: "card:1", date: "2025-01-06", description: "Coffee Shop #5512", amount: -4.5, source: "card" },
+    { id: "card:2", date: "2025-01-07", description: "COFFEE SHOP", amount: -4.5, source: "card" },
+    { id: "card:3", date: "2025-01-07", description: "COFFEE SHOP", amount: -4.5, source: "card" },
+    { id: "card:4", date: "2025-01-20", description: "RENT", amount: -1200, source: "card" },
+    { id: "card:5", date: "2025-01-09", description: "RENT", amount: -1250, source: "card" }
+  ];
+
+  const { report } = mergeTransactions(existing, incoming);
+  // Each saved coffee absorbs one incoming charge; the third is new
+  assert.deepEqual(
+    report.skipped.map((s) => [s.transaction.id, s.match]),
+    [["card:1", "fuzzy"], ["card:2", "fuzzy"]]
+  );
+  assert.deepEqual(
+    report.added.map((t) => t.id),
+    ["card:3", "card:4", "card:5"]
+  );
+
+  const wider = mergeTransactions(existing, incoming.slice(3, 4), { dateWindowDays: 14 });
+  assert.equal(wider.report.skipped[0].duplicateOf, existing[2].id);
+});
+
+test("same amount and date with a different description is a conflict", () => {
+  const existing = [{ id: "a", date: "2025-03-01", description: "AMAZON MARKETPLACE", amount: -30, source: "generic" }];
+  const incoming = [
+    { id: "b", date: "2025-03-02", description: "AMAZON PRIME", amount: -30, source: "generic" },
+    { id: "c", date: "2025-03-02", description: "GROCER", amount: -30, source: "generic" }
+  ];
+
+  const { transactions, report } = mergeTransactions(existing, incoming);
+  assert.equal(transactions.length, 3);
+  assert.equal(report.conflicts.length, 1);
+  assert.equal(report.conflicts[0].transaction.id, "b");
+  assert.equal(report.conflicts[0].existingId, "a");
+});
+
+test("descriptionSimilarity ignores case and punctuation", () => {
+  assert.equal(descriptionSimilarity("Coffee-Shop", "COFFEE SHOP"), 1);
+  assert.ok(descriptionSimilarity("UBER TRIP", "UBER *TRIP HELP.UBER.COM") > 0.5);
+  assert.ok(descriptionSimilarity("RENT", "GROCER") < 0.2);
+});
+
+test("a posted charge supersedes its pending counterpart", () => {
+  const pendingCsv =
+    "Status,Date,Description,Debit,Credit\nPending,03/01/2025,BISTRO 42,50.00,\nCleared,03/01/2025,GAS STATION,40.00,\n";
+  const postedCsv =
+    "Status,Date,Description,Debit,Credit\nCleared,03/03/2025,BISTRO 42 TIP,60.00,\nCleared,03/01/2025,GAS STATION,40.00,\n";
+  const existing = parseCsvString(pendingCsv, { source: "costco" });
+  assert.equal(existing[0].status, "pending");
+  assert.equal(existing[1].status, "posted");
+
+  const incoming = parseCsvString(postedCsv, { source: "costco" });
+  const { transactions, report } = mergeTransactions(existing, incoming);
+
+  // The tip changed the amount and the date moved; the posted row takes the pending one's place
+  assert.equal(transactions.length, 2);
+  assert.equal(transactions[0].amount, -60);
+  assert.equal(transactions[0].status, "posted");
+  assert.equal(report.superseded.length, 1);
+  assert.equal(report.superseded[0].pending.id, existing[0].id);
+  assert.deepEqual(transactions[0].audit, [
+    {
+      step: "superseded_pending",
+      pendingId: existing[0].id,
+      pendingDate: "2025-03-01",
+      pendingAmount: -50,
+      pendingDescription: "BISTRO 42"
+    }
+  ]);
+  assert.equal(report.skipped.length, 1);
+  assert.equal(report.added.length, 0);
+
+  // Outside the amount tolerance it's a separate charge
+  const strict = mergeTransactions(existing, incoming, { pendingAmountTolerance: 0.1 });
+  assert.equal(strict.report.superseded.length, 0);
+  assert.equal(strict.transactions.length, 3);
+
+  // Re-importing the old pending file doesn't bring the pending charge back
+  const again = mergeTransactions(transactions, existing);
+  assert.equal(again.transactions.length, 2);
+  assert.deepEqual(again.report.skipped.map((s) => s.match).sort(), ["exact", "posted"]);
+});
+
+test("a posted row with the pending row's ID replaces it", () => {
+  const pending = { id: "x", date: "2025-04-02", description: "HOTEL", amount: -200, source: "generic", status: "pending" };
+  const posted = { ...pending, status: "posted" };
+
+  const { transactions, report } = mergeTransactions([pending], [posted]);
+  assert.equal(transactions.length, 1);
+  assert.equal(transactions[0].status, "posted");
+  assert.equal(report.superseded.length, 1);
+  assert.equal(report.skipped.length, 0);
+});
@@ -0,0 +1,87 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseCsvString, validateAndParseCsv } from "../../packages/core/src/parser.js";
+import { parseCsvFile } from "../../packages/core/src/parser-node.js";
+import { TransactionSchema } from "../../packages/core/src/schemas.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixturesDir = path.join(__dirname, "../fixtures");
+
+test("parseCsvFile parses SGML OFX 1.x (QFX) statements", () => {
+  const out = parseCsvFile(path.join(fixturesDir, "bank-v1.qfx"), { source: "ofx" });
+
+  assert.equal(out.length, 2);
+  assert.equal(out[0].date, "2025-01-03");
+  assert.equal(out[0].description, "COSTCO WHOLESALE #123 [POS PURCHASE]");
+  assert.equal(out[0].amount, -142.18);
+  assert.equal(out[0].source, "ofx");
+  assert.equal(out[0].id, "ofx:000123456789:202501030001");
+
+  assert.equal(out[1].description, "ACME PAYROLL");
+  assert.equal(out[1].amount, 2500);
+});
+
+test("parseCsvFile parses XML OFX 2.x statements", () => {
+  const out = parseCsvFile(path.join(fixturesDir, "card-v2.ofx"), { source: "ofx" });
+
+  assert.equal(out.length, 2);
+  assert.equal(out[0].date, "2025-01-10");
+  assert.equal(out[0].description, "OPENAI *CHATGPT");
+  assert.equal(out[0].amount, -20);
+  assert.equal(out[0].id, "ofx:4111222233334444:FIT-0001");
+
+  assert.equal(out[1].description, "REFUND RETAILER [Return <online>]");
+  assert.equal(out[1].amount, 35.5);
+});
+
+test("OFX transactions match TransactionSchema", () => {
+  const out = parseCsvFile(path.join(fixturesDir, "card-v2.ofx"), { source: "ofx" });
+  for (const txn of out) {
+    assert.equal(TransactionSchema.safeParse(txn).success, true);
+  }
+});
+
+test("validateAndParseCsv reports bad OFX records by line", () => {
+  const v1 = fs.readFileSync(path.join(fixturesDir, "bank-v1.qfx"), "utf8");
+  const result = validateAndParseCsv(v1, { source: "ofx" });
+
+  assert.equal(result.totalRows, 3);
+  assert.equal(result.validCount, 2);
+  assert.equal(result.errorCount, 1);
+  assert.equal(result.errors[0].row, 55);
+  assert.ok(result.errors[0].message.includes("Invalid date"));
+  assert.equal(result.errors[0].value.description, "BROKEN DATE & CO");
+
+  const v2 = fs.readFileSync(path.join(fixturesDir, "card-v2.ofx"), "utf8");
+  const result2 = validateAndParseCsv(v2, { source: "ofx" });
+  assert.equal(result2.errorCount, 1);
+  assert.ok(result2.errors[0].message.includes("Invalid amount"));
+});
+
+test("OFX IDs are stable across downloads with extra records", () => {
+  const one = `<OFX><STMTRS><BANKACCTFROM><ACCTID>1</BANKACCTFROM><BANKTRANLIST>
+<STMTTRN><DTPOSTED>20250105<TRNAMT>-5<FITID>B<NAME>SECOND</STMTTRN>
+</BANKTRANLIST></STMTRS></OFX>`;
+  const two = `<OFX><STMTRS><BANKACCTFROM><ACCTID>1</BANKACCTFROM><BANKTRANLIST>
+<STMTTRN><DTPOSTED>20250104<TRNAMT>-3<FITID>A<NAME>FIRST</STMTTRN>
+<STMTTRN><DTPOSTED>20250105<TRNAMT>-5<FITID>B<NAME>SECOND</STMTTRN>
+</BANKTRANLIST></STMTRS></OFX>`;
+
+  const a = parseCsvString(one, { source: "ofx" });
+  const b = parseCsvString(two, { source: "ofx" });
+  assert.equal(a[0].id, b[1].id);
+});
+
+test("parseCsvString rejects non-OFX content for the ofx source", () => {
+  assert.throws(
+    () => parseCsvString("Date,Description,Amount\n2025-01-01,TEST,-1\n", { source: "ofx" }),
+    /not an OFX/
+  );
+
+  const result = validateAndParseCsv("Date,Description,Amount\n", { source: "ofx" });
+  assert.equal(result.errorCount, 1);
+  assert.equal(result.validCount, 0);
+});
@@ -0,0 +1,186 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseCsvString, validateAndParseCsv } from "../../packages/core/src/parser.js";
+import { parseCsvFile } from "../../packages/core/src/parser-node.js";
+import { TransactionSchema } from "../../packages/core/src/schemas.js";
+import { categorizeTransactions } from "../../packages/core/src/categorizer.js";
+import { generateSummary, generateAlerts, exportScheduleC } from "../../packages/core/src/exporter.js";
+import { convertTransactions } from "../../packages/core/src/fx.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixturesDir = path.join(__dirname, "../fixtures");
+
+const FEE_RULES = {
+  rules: [
+    { id: "fees", when: { any_contains: ["paypal fee", "venmo fee"] }, then: { category: "Bank Fees", venture: "studio" } },
+    { id: "sales", when: { amount_gt: 0 }, then: { category: "Gross Receipts", venture: "studio" } }
+  ]
+};
+
+test("PayPal rows split into gross and fee, and transfers are tagged", () => {
+  const out = parseCsvFile(path.join(fixturesDir, "paypal.csv"), { source: "paypal" });
+
+  assert.deepEqual(
+    out.map((t) => [t.description, t.amount, t.kind ?? ""]),
+    [
+      ["Figma, Inc.", -45, ""],
+      ["Bank Deposit to PP Account", 45, "transfer"],
+      ["Acme Design Co", 500, ""],
+      ["PayPal Fee - Acme Design Co", -17.9, "fee"],
+      ["Berlin Fonts GmbH", -30, ""],
+      ["General Currency Conversion", 30, "transfer"],
+      ["General Currency Conversion", -32.85, "transfer"],
+      ["General Withdrawal", -400, "transfer"]
+    ]
+  );
+  assert.equal(out[0].counterparty, "Figma, Inc.");
+  assert.equal(out[0].status, "posted");
+  assert.equal(out[4].currency, "EUR");
+  assert.equal(new Set(out.map((t) => t.id)).size, out.length);
+  for (const txn of out) {
+    assert.ok(TransactionSchema.safeParse(txn).success, txn.id);
+  }
+});
+
+test("fees can be routed by rules and transfers stay out of summaries", () => {
+  const out = parseCsvFile(path.join(fixturesDir, "paypal.csv"), { source: "paypal" })
+    .filter((t) => t.currency !== "EUR");
+  const { categorized } = categorizeTransactions(out, FEE_RULES);
+
+  const summary = generateSummary(categorized);
+  assert.equal(summary.byCategory["Bank Fees"], -17.9);
+  assert.equal(summary.byCategory["Gross Receipts"], 500);
+  assert.equal(summary.totalTransactions, 3);
+  assert.equal(summary.transferCount, 3);
+  assert.equal(generateAlerts(categorized).uncategorizedCount, 1);
+
+  const { count } = exportScheduleC(categorized, { venture: "studio", year: 2025 });
+  assert.equal(count, 2);
+});
+
+test("Venmo statements skip the preamble and balance lines", () => {
+  const out = parseCsvFile(path.join(fixturesDir, "venmo.csv"), { source: "venmo" });
+
+  assert.deepEqual(
+    out.map((t) => [t.date, t.description, t.amount, t.kind ?? ""]),
+    [
+      ["2025-01-05", "Sam Lee [Pizza night 🍕]", -25, ""],
+      ["2025-01-09", "Alex Kim [Website photos]", 300, ""],
+      ["2025-01-09", "Venmo Fee - Alex Kim [Website photos]", -5.7, "fee"],
+      ["2025-01-12", "Chase Checking *1234", -350, "transfer"],
+      ["2025-01-12", "Venmo Fee - Chase Checking *1234", -5.25, "fee"]
+    ]
+  );
+  assert.equal(out[0].counterparty, "Sam Lee");
+  assert.equal(out[1].counterparty, "Alex Kim");
+  assert.equal(out[3].status, "posted");
+});
+
+test("PayPal and Venmo report invalid rows", () => {
+  const paypal = validateAndParseCsv(
+    "Date,Name,Type,Status,Currency,Gross,Fee,Net\n01/02/2025,Shop,Payment,Completed,USD,abc,0.00,0\n",
+    { source: "paypal" }
+  );
+  assert.equal(paypal.errorCount, 1);
+  assert.match(paypal.errors[0].message, /Invalid amount "abc"/);
+  assert.throws(() => parseCsvString("Name,Type\nx,y\n", { source: "paypal" }), /Missing required headers: Date, Gross/);
+
+  const venmo = validateAndParseCsv(
+    ",ID,Datetime,Type,Status,Note,From,To,Amount (total)\n,1,not-a-date,Payment,Complete,Lunch,Me,You,- $5.00\n",
+    { source: "venmo" }
+  );
+  assert.equal(venmo.errorCount, 1);
+  assert.equal(venmo.errors[0].row, 2);
+});
+
+test("Stripe charges split into sale and fee, and payouts are tagged", () => {
+  const out = parseCsvFile(path.join(fixturesDir, "stripe.csv"), { source: "stripe" });
+
+  assert.deepEqual(
+    out.map((t) => [t.date, t.description, t.amount, t.kind]),
+    [
+      ["2025-01-06", "Stripe Sale - Logo design deposit", 250, "sale"],
+      ["2025-01-06", "Stripe Fee - Logo design deposit", -7.55, "fee"],
+      ["2025-01-07", "Stripe Sale - Brand workshop", 120, "sale"],
+      ["2025-01-07", "Stripe Fee - Brand workshop", -3.78, "fee"],
+      ["2025-01-08", "Stripe Refund - Brand workshop", -40, "refund"],
+      ["2025-01-10", "Stripe Fee - Billing - Radar", -2, "fee"],
+      ["2025-01-11", "Stripe Payout - STRIPE PAYOUT", -318.67, "transfer"]
+    ]
+  );
+  assert.equal(out[0].currency, "USD");
+  assert.equal(new Set(out.map((t) => t.id)).size, out.length);
+  for (const txn of out) {
+    assert.ok(TransactionSchema.safeParse(txn).success, txn.id);
+  }
+});
+
+test("Square payments split into gross sale, refunds and fees", () => {
+  const out = parseCsvFile(path.join(fixturesDir, "square.csv"), { source: "square" });
+
+  assert.deepEqual(
+    out.map((t) => [t.date, t.description, t.amount, t.kind]),
+    [
+      ["2025-01-11", "Square Sale - Print sale", 65, "sale"],
+      ["2025-01-11", "Square Fee - Print sale", -1.96, "fee"],
+      ["2025-01-12", "Square Sale - Framed print", 120, "sale"],
+      ["2025-01-12", "Square Refund - Framed print", -20, "refund"],
+      ["2025-01-12", "Square Fee - Framed print", -3.43, "fee"],
+      ["2025-01-14", "Square Refund - Print sale", -60, "refund"],
+      ["2025-01-14", "Square Fee - Print sale", 1.56, "fee"]
+    ]
+  );
+  assert.equal(new Set(out.map((t) => t.id)).size, out.length);
+});
+
+test("processor lines are categorized into a venture by rules", () => {
+  const rules = {
+    rules: [
+      { id: "fees", when: { any_contains: ["stripe fee", "square fee"] }, then: { category: "Bank Fees", venture: "studio" } },
+      { id: "refunds", when: { any_contains: ["stripe refund", "square refund"] }, then: { category: "Returns and Allowances", venture: "studio" } },
+      { id: "sales", when: { any_contains: ["stripe sale", "square sale"] }, then: { category: "Gross Receipts", venture: "studio" } }
+    ]
+  };
+  const out = [
+    ...parseCsvFile(path.join(fixturesDir, "stripe.csv"), { source: "stripe" }),
+    ...parseCsvFile(path.join(fixturesDir, "square.csv"), { source: "square" })
+  ];
+  const { categorized } = categorizeTransactions(out, rules);
+
+  // Stripe labels its currency, Square exports don't
+  assert.throws(() => generateSummary(categorized), /multiple currencies \(USD, no currency\)/);
+  const summary = generateSummary(convertTransactions(categorized, { reportingCurrency: "USD" }));
+  assert.equal(summary.byCategory["Gross Receipts"], 555);
+  assert.equal(summary.byCategory["Returns and Allowances"], -120);
+  assert.equal(summary.byCategory["Bank Fees"], -17.16);
+  assert.equal(summary.transferCount, 1);
+  assert.equal(generateAlerts(categorized).uncategorizedCount, 0);
+});
+
+test("Stripe and Square report invalid rows", () => {
+  const stripe = validateAndParseCsv(
+    "id,Type,Amount,Fee,Currency,Created (UTC)\ntxn_1,charge,12.00,oops,usd,2025-01-02 10:00:00\n",
+    { source: "stripe" }
+  );
+  assert.equal(stripe.errorCount, 1);
+  assert.match(stripe.errors[0].message, /Invalid fee "oops"/);
+  assert.throws(() => parseCsvString("id,Amount\nx,1\n", { source: "stripe" }), /Missing required headers: Type, Created \(UTC\)/);
+
+  const square = validateAndParseCsv(
+    "Date,Total Collected,Fees,Description\n13/45/2025,$10.00,-$0.59,Card\n",
+    { source: "square" }
+  );
+  assert.equal(square.errorCount, 1);
+  assert.equal(square.errors[0].row, 2);
+  assert.throws(() => parseCsvString("Date,Amount\n01/02/2025,1\n", { source: "square" }), /Missing required headers: Total Collected/);
+});
+
+test("Venmo statements read amounts with the given locale", () => {
+  const csv = ",ID,Datetime,Type,Status,Note,From,To,Amount (total),Amount (fee)\n" +
+    ',1,2025-01-05T14:22:10,Payment,Complete,Miete,Me,Sam,"- 1.250,50 €","2,75"\n';
+  const out = validateAndParseCsv(csv, { source: "venmo", locale: "de-DE" });
+
+  assert.deepEqual(out.transactions.map((t) => t.amount), [-1250.5, -2.75]);
+});
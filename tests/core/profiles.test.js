@@ -0,0 +1,163 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import {
+  parseCsvString,
+  validateAndParseCsv,
+  detectSource,
+  registerParser,
+  unregisterParser,
+  listParsers,
+  registerProfile
+} from "../../packages/core/src/parser.js";
+import { parseCsvFile, loadParserProfiles } from "../../packages/core/src/parser-node.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixturesDir = path.join(__dirname, "../fixtures");
+const exampleProfile = path.join(__dirname, "../../parsers/credit-union.example.json");
+
+/**
+ * Load the example credit union profile
+ * @returns {Object} Mapping profile
+ */
+function creditUnionProfile() {
+  return JSON.parse(fs.readFileSync(exampleProfile, "utf8"));
+}
+
+test("registerParser adds a custom adapter", () => {
+  registerParser("fixed", {
+    parse: (text, source) => [{ date: "2025-01-01", description: text.trim(), amount: -1, source, id: `${source}:1` }]
+  });
+
+  try {
+    assert.ok(listParsers().includes("fixed"));
+    const out = parseCsvString("HELLO", { source: "fixed" });
+    assert.equal(out[0].description, "HELLO");
+    assert.equal(out[0].source, "fixed");
+  } finally {
+    assert.equal(unregisterParser("fixed"), true);
+  }
+  assert.ok(!listParsers().includes("fixed"));
+});
+
+test("registerParser rejects reserved names and invalid adapters", () => {
+  assert.throws(() => registerParser("chase", { parse: () => [] }), /reserved/);
+  assert.throws(() => registerParser("auto", { parse: () => [] }), /reserved/);
+  assert.throws(() => registerParser("Bad Name", { parse: () => [] }), /Invalid parser name/);
+  assert.throws(() => registerParser("noparse", {}), /parse/);
+  assert.equal(unregisterParser("generic"), false);
+});
+
+test("mapping profile parses preamble, date format, debit/credit and skip rules", () => {
+  const name = registerProfile(creditUnionProfile());
+  try {
+    const out = parseCsvFile(path.join(fixturesDir, "credit-union.csv"), { source: name });
+
+    assert.equal(out.length, 2);
+    assert.equal(out[0].date, "2025-01-03");
+    assert.equal(out[0].description, "COSTCO WHOLESALE POS 1234");
+    assert.equal(out[0].amount, -142.18);
+    assert.equal(out[0].source, "credit-union");
+    assert.equal(out[1].amount, 2500);
+
+    const csv = fs.readFileSync(path.join(fixturesDir, "credit-union.csv"), "utf8");
+    const result = validateAndParseCsv(csv, { source: name });
+    assert.equal(result.validCount, 2);
+    assert.equal(result.errorCount, 1);
+    assert.equal(result.errors[0].row, 7);
+    assert.ok(result.errors[0].message.includes("Invalid date"));
+  } finally {
+    unregisterParser(name);
+  }
+});
+
+test("mapping profile sign convention flips single amount columns", () => {
+  const name = registerProfile({
+    name: "card-positive",
+    columns: { date: "Date", description: "Merchant", amount: "Charge" },
+    sign: "charges-positive"
+  });
+  try {
+    const out = parseCsvString("Date,Merchant,Charge\n01/05/2025,STORE,12.50\n01/06/2025,REFUND,-3\n", {
+      source: name
+    });
+    assert.equal(out[0].amount, -12.5);
+    assert.equal(out[1].amount, 3);
+  } finally {
+    unregisterParser(name);
+  }
+});
+
+test("mapping profile reports missing mapped headers", () => {
+  const name = registerProfile(creditUnionProfile());
+  try {
+    const csv = "a\nb\nDate,Description,Amount\n2025-01-01,TEST,-1\n";
+    assert.throws(() => parseCsvString(csv, { source: name }), /Posted Date/);
+    const result = validateAndParseCsv(csv, { source: name });
+    assert.equal(result.errors[0].row, 3);
+    assert.ok(result.errors[0].message.includes("Withdrawal"));
+  } finally {
+    unregisterParser(name);
+  }
+});
+
+test("registered profiles take part in source detection", () => {
+  const csv = fs.readFileSync(path.join(fixturesDir, "credit-union.csv"), "utf8");
+  // Without the profile only the general checking adapter recognizes it
+  assert.equal(detectSource(csv)[0]?.source, "checking");
+
+  const name = registerProfile(creditUnionProfile());
+  try {
+    const [best] = detectSource(csv);
+    assert.equal(best.source, "credit-union");
+    assert.ok(best.confidence > 0.6);
+  } finally {
+    unregisterParser(name);
+  }
+});
+
+test("registerProfile validates the profile", () => {
+  assert.throws(() => registerProfile({ name: "x", columns: { date: "Date" } }), /Invalid mapping profile "x"/);
+  assert.throws(
+    () =>
+      registerProfile({
+        name: "both",
+        columns: { date: "Date", description: "Desc", amount: "Amount", debit: "Debit" }
+      }),
+    /either an amount column or debit\/credit/
+  );
+  assert.throws(
+    () => registerProfile({ name: "nodate", columns: { date: "D", description: "X", amount: "A" }, dateFormat: "MM/YYYY" }),
+    /day/
+  );
+});
+
+test("loadParserProfiles registers JSON files and skips examples", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "fot-parsers-"));
+  try {
+    fs.copyFileSync(exampleProfile, path.join(dir, "credit-union.example.json"));
+    fs.writeFileSync(
+      path.join(dir, "cards.json"),
+      JSON.stringify([
+        { name: "card-a", columns: { date: "Date", description: "Desc", amount: "Amt" } },
+        { name: "card-b", columns: { date: "Date", description: "Desc", debit: "Out", credit: "In" } }
+      ])
+    );
+
+    const names = loadParserProfiles(dir);
+    assert.deepEqual(names, ["card-a", "card-b"]);
+    assert.ok(!listParsers().includes("credit-union"));
+    names.forEach(unregisterParser);
+
+    assert.deepEqual(loadParserProfiles(path.join(dir, "missing")), []);
+
+    fs.writeFileSync(path.join(dir, "broken.json"), "{");
+    assert.throws(() => loadParserProfiles(dir), /Invalid JSON/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+    ["card-a", "card-b"].forEach(unregisterParser);
+  }
+});
@@ -0,0 +1,135 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseCsvString, validateAndParseCsv } from "../../packages/core/src/parser.js";
+import { parseCsvFile } from "../../packages/core/src/parser-node.js";
+import { categorizeTransactions } from "../../packages/core/src/categorizer.js";
+import { exportScheduleC } from "../../packages/core/src/exporter.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixture = path.join(__dirname, "../fixtures/quicken.qif");
+
+test("parseCsvFile parses QIF bank and credit card sections", () => {
+  const out = parseCsvFile(fixture, { source: "qif" });
+
+  // 1 plain + 2 split shares + 1 card transaction
+  assert.equal(out.length, 4);
+
+  assert.equal(out[0].date, "2025-01-05");
+  assert.equal(out[0].description, "COSTCO WHOLESALE [Weekly run]");
+  assert.equal(out[0].amount, -142.18);
+  assert.equal(out[0].importedCategory, "Household:Groceries");
+  assert.equal(out[0].source, "qif");
+
+  assert.equal(out[3].date, "2025-01-10");
+  assert.equal(out[3].description, "OPENAI");
+});
+
+test("QIF date variants are normalized", () => {
+  const qif = [
+    "!Type:Bank",
+    "D1/ 5'25", "T-1", "PA", "^",
+    "D01/05/2025", "T-1", "PB", "^",
+    "D12/31/99", "T-1", "PC", "^",
+    "D 3/ 7'2024", "T-1", "PD", "^",
+    "D1/ 5' 5", "T-1", "PE", "^",
+    "D1/5/5", "T-1", "PF", "^",
+    "D2/31'25", "T-1", "PG", "^",
+    "D2025-02-30", "T-1", "PH", "^"
+  ].join("\n");
+
+  const out = parseCsvString(qif, { source: "qif" });
+  assert.deepEqual(
+    out.map((t) => t.date),
+    ["2025-01-05", "2025-01-05", "1999-12-31", "2024-03-07", "2005-01-05"]
+  );
+});
+
+test("QIF splits carry allocation metadata like rule-driven splits", () => {
+  const out = parseCsvFile(fixture, { source: "qif" });
+  const [paint, repairs] = out.slice(1, 3);
+
+  assert.equal(paint.originalTxnId, repairs.originalTxnId);
+  assert.equal(paint.id, `${paint.originalTxnId}:split:0`);
+  assert.equal(paint.amount, -200);
+  assert.equal(paint.description, "HOME DEPOT [Paint for office]");
+  assert.equal(paint.importedCategory, "Supplies");
+  assert.equal(Math.round(paint.allocation.percent), 67);
+  assert.equal(paint.allocation.originalAmount, -300);
+  assert.equal(paint.allocation.splitIndex, 0);
+  assert.equal(paint.allocation.totalSplits, 2);
+
+  assert.equal(repairs.amount, -100);
+  assert.equal(repairs.description, "HOME DEPOT");
+  assert.equal(repairs.allocation.splitIndex, 1);
+});
+
+test("categorizeTransactions does not re-split QIF split shares", () => {
+  const rules = {
+    rules: [
+      {
+        id: "home-depot",
+        when: { contains: ["home depot"] },
+        then: {
+          category: "Supplies",
+          split: [
+            { venture: "v1", percent: 50 },
+            { venture: "v2", percent: 50 }
+          ]
+        }
+      }
+    ]
+  };
+
+  const txns = parseCsvFile(fixture, { source: "qif" }).slice(1, 3);
+  const { categorized } = categorizeTransactions(txns, rules);
+
+  assert.equal(categorized.length, 2);
+  assert.equal(categorized[0].category, "Supplies");
+  assert.equal(categorized[0].amount, -200);
+  assert.equal(categorized[0].allocation.totalSplits, 2);
+  assert.equal(categorized[1].originalTxnId, txns[0].originalTxnId);
+});
+
+test("QIF split shares export with split columns", () => {
+  const txns = parseCsvFile(fixture, { source: "qif" }).slice(1, 3);
+  const rules = { rules: [{ id: "r", when: { contains: ["home depot"] }, then: { category: "Supplies", venture: "v1" } }] };
+  const { categorized } = categorizeTransactions(txns, rules);
+  const { csv, count } = exportScheduleC(categorized, { venture: "v1", year: 2025 });
+
+  assert.equal(count, 2);
+  const lines = csv.trim().split("\n");
+  assert.ok(lines[1].includes(txns[0].originalTxnId));
+  assert.ok(lines[1].includes(",-300,"));
+});
+
+test("validateAndParseCsv reports bad QIF records and unsupported sections", () => {
+  const result = validateAndParseCsv(fs.readFileSync(fixture, "utf8"), { source: "qif" });
+
+  // The split record counts once per split line
+  assert.equal(result.totalRows, 5);
+  assert.equal(result.validCount, 4);
+  assert.equal(result.transactions.length, 4);
+
+  const badDate = result.errors.find((e) => e.message.includes("Invalid date"));
+  assert.equal(badDate.row, 25);
+
+  const invst = result.errors.find((e) => e.message.includes("!Type:Invst"));
+  assert.ok(invst.message.includes("1 record skipped"));
+  // "!Clear:AutoSwitch" only ends the account list
+  assert.ok(result.errors.every((e) => !e.message.includes("!Clear")));
+});
+
+test("QIF split totals must match the transaction amount", () => {
+  const qif = ["!Type:Bank", "D1/5/2025", "T-100", "PSTORE", "SA", "$-60", "SB", "$-30", "^"].join("\n");
+  const result = validateAndParseCsv(qif, { source: "qif" });
+
+  assert.equal(result.validCount, 0);
+  assert.ok(result.errors[0].message.includes("Split amounts total -90.00"));
+});
+
+test("parseCsvString rejects QIF without transaction sections", () => {
+  assert.throws(() => parseCsvString("Date,Description,Amount\n", { source: "qif" }), /no !Type:Bank/);
+});
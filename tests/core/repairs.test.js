@@ -0,0 +1,67 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { repairRow, recordRepair, applyRepairs, isRepairable } from "../../packages/core/src/repairs.js";
+import { validateAndParseCsv } from "../../packages/core/src/parser.js";
+import { ImportRepairSchema } from "../../packages/core/src/schemas.js";
+
+const CSV = [
+  "Date,Description,Amount",
+  "01/05/2025,COFFEE,-4.50",
+  "13/45/2025,COFFEE,-4.50",
+  "01/07/2025,LUNCH,twelve"
+].join("\n");
+
+test("repairRow validates a fix and records it", () => {
+  const result = validateAndParseCsv(CSV, { source: "generic" });
+  const [badDate, badAmount] = result.errors;
+  assert.ok(isRepairable(badDate));
+  assert.ok(!isRepairable({ row: 5, field: "balance", message: "Running balance break" }));
+
+  const rejected = repairRow(badAmount, { date: "01/07/2025", description: "LUNCH", amount: "twelve" }, { source: "generic" });
+  assert.equal(rejected.transaction, null);
+  assert.deepEqual(rejected.errors, ['Invalid amount "twelve"']);
+  assert.match(repairRow(badAmount, { date: "2025-01-07", description: " ", amount: "-12" }, { source: "generic" }).errors[0], /description/);
+
+  const { transaction, repair, errors } = repairRow(
+    badDate,
+    { date: "2025-01-13", description: "COFFEE", amount: "-4.50" },
+    { source: "generic", transactions: result.transactions }
+  );
+  assert.deepEqual(errors, []);
+  assert.equal(transaction.date, "2025-01-13");
+  assert.equal(transaction.amount, -4.5);
+  assert.deepEqual(transaction.audit, [{ step: "import_repair", row: 3, original: badDate.value }]);
+  assert.ok(ImportRepairSchema.safeParse(repair).success);
+
+  // Entering the same row again replaces the earlier fix
+  const list = recordRepair(recordRepair([], repair), { ...repair, amount: -5 });
+  assert.equal(list.length, 1);
+  assert.equal(list[0].amount, -5);
+});
+
+test("applyRepairs reapplies fixes when the file is imported again", () => {
+  const first = validateAndParseCsv(CSV, { source: "generic", accountId: "card" });
+  const { transaction, repair } = repairRow(
+    first.errors[0],
+    { date: "2025-01-13", description: "COFFEE", amount: "-4.50" },
+    { source: "generic", accountId: "card", transactions: first.transactions }
+  );
+
+  // A later download with a new row on top
+  const lines = CSV.split("\n");
+  const again = validateAndParseCsv([lines[0], "01/09/2025,BOOKS,-20.00", ...lines.slice(1)].join("\n"), {
+    source: "generic",
+    accountId: "card"
+  });
+  const repaired = applyRepairs(again, [repair], { source: "generic", accountId: "card" });
+
+  assert.equal(repaired.transactions.length, 3);
+  assert.deepEqual(repaired.transactions.at(-1), { ...transaction, audit: [{ step: "import_repair", row: 4, original: repair.original }] });
+  assert.equal(transaction.id.split(":")[1], "card");
+  assert.deepEqual(repaired.repaired.map((e) => e.row), [4]);
+  assert.deepEqual(repaired.errors.map((e) => e.row), [5]);
+  assert.equal(repaired.errorCount, 1);
+
+  // Fixes only apply to the source they were made for
+  assert.equal(applyRepairs(again, [repair], { source: "chase" }).repaired.length, 0);
+});
@@ -0,0 +1,87 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { analyzeRules } from "../../packages/core/src/rule-analysis.js";
+
+const rule = (id, when, then = { category: id }, extra = {}) => ({ id, when, then, ...extra });
+const summary = (findings) => findings.map((f) => `${f.type} ${f.ruleId}${f.otherRuleId ? ` ${f.otherRuleId}` : ""}`);
+
+test("analyzeRules finds rules shadowed by earlier ones", () => {
+  const findings = analyzeRules({
+    rules: [
+      rule("amazon", { any_contains: ["amazon"] }, { category: "Shopping" }, { priority: 10 }),
+      rule("prime", { all_contains: ["amazon prime", "video"] }),
+      rule("big-amazon", { any_contains: ["amazon mktp", "amazon.com"], amount_lt: -100 }),
+      rule("fuel", { any: [{ any_contains: ["shell"] }, { any_contains: ["chevron"] }], amount_lt: 0 }),
+      rule("shell-big", { any_contains: ["shell oil"], amount_between: { min: -500, max: -100 } }),
+      rule("shell-refund", { any_contains: ["shell oil"], amount_gt: 0 }),
+      rule("rent", { any_contains: ["rent"] }, { category: "Rent" }, { effective: { from: "2025-01-01" } }),
+      rule("rent-2025", { any_contains: ["rent"], date_after: "2025-06-30" }, { category: "Rent" }),
+      rule("rent-2024", { any_contains: ["rent"], date_between: { from: "2024-12-01", to: "2025-03-01" } }, { category: "Rent" }),
+      rule("biz-card", { account: ["biz"] }),
+      rule("biz-card-jane", { account: ["biz"], card_member: ["Jane"] }),
+      rule("any-card-jane", { account: ["biz", "home"], card_member: ["Jane"] })
+    ]
+  });
+
+  assert.deepEqual(summary(findings), [
+    "shadowed prime amazon",
+    "shadowed big-amazon amazon",
+    "shadowed shell-big fuel",
+    "shadowed rent-2025 rent",
+    "shadowed biz-card-jane biz-card"
+  ]);
+  assert.match(findings[0].message, /caught first by "amazon" \(priority 10 over 0\)/);
+});
+
+test("analyzeRules flags impossible amounts and conflicting overlaps", () => {
+  const findings = analyzeRules({
+    rules: [
+      rule("backwards", { any_contains: ["x"], amount_gt: 0, amount_lt: -10 }),
+      rule("nested", { all: [{ amount_gt: 50 }, { amount_between: { min: -20, max: 20 } }] }),
+      rule("uber", { any_contains: ["uber"] }, { category: "Travel", venture: "studio" }),
+      rule("uber-eats", { any_contains: ["uber eats"], amount_gt: -30 }, { category: "Meals", venture: "studio" }),
+      rule("uber-big", { any_contains: ["uber"], amount_lt: -30 }, { category: "Travel", venture: "household" }),
+      rule("uber-split", { any_contains: ["uber"] }, { category: "Travel", split: [{ venture: "a", percent: 50 }, { venture: "b", percent: 50 }] }),
+      rule("lyft-credit", { any_contains: ["lyft"], amount_gt: 0 }, { category: "Refund" }),
+      rule("lyft", { any_contains: ["lyft"], amount_lt: 0 }, { category: "Travel" })
+    ]
+  });
+
+  assert.deepEqual(summary(findings), [
+    "unreachable_amount backwards",
+    "unreachable_amount nested",
+    "shadowed uber-eats uber",
+    "shadowed uber-big uber",
+    "shadowed uber-split uber"
+  ]);
+  assert.match(findings[0].message, /amount_gt 0, amount_lt -10/);
+
+  // Overlaps that don't shadow: the later rule still fires for some transactions
+  const overlaps = analyzeRules({
+    rules: [
+      rule("uber-eats", { any_contains: ["uber eats"] }, { category: "Meals", venture: "studio" }, { priority: 5 }),
+      rule("uber", { any_contains: ["uber"], source: ["amex"] }, { category: "Travel", venture: "studio" }),
+      rule("eats-same", { any_contains: ["eats"], source: ["amex"] }, { category: "Meals", venture: "studio" }),
+      rule("uber-chase", { any_contains: ["uber"], source: ["chase"] }, { category: "Travel", venture: "home" })
+    ]
+  });
+  assert.deepEqual(summary(overlaps), ["conflict uber uber-eats", "conflict uber-chase uber-eats"]);
+  assert.match(overlaps[0].message, /both match "uber" but assign different categories \(Meals vs Travel\); "uber-eats" wins \(priority 5 over 0\)/);
+});
+
+test("analyzeRules lists rules that matched none of the transactions", () => {
+  const rulesFile = {
+    rules: [
+      rule("coffee", { any_contains: ["starbucks"] }),
+      rule("fuel", { any_contains: ["shell"] }),
+      rule("never", { any_contains: ["x"], amount_gt: 5, amount_lt: 1 })
+    ]
+  };
+  const transactions = [{ id: "t1", date: "2025-01-02", description: "STARBUCKS #12", amount: -4.5 }];
+
+  const findings = analyzeRules(rulesFile, transactions);
+  assert.deepEqual(summary(findings), ["unused fuel", "unreachable_amount never"]);
+  assert.equal(findings[0].severity, "info");
+  assert.equal(findings[0].message, 'Rule "fuel" matched none of the 1 transactions');
+  assert.deepEqual(summary(analyzeRules(rulesFile)), ["unreachable_amount never"]);
+});
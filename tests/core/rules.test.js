@@ -1,6 +1,8 @@
 import test from "node:test";
 import assert from "node:assert/strict";
-import { validateRulesFile, matchRule } from "../../packages/core/src/rules-engine.js";
+import { validateRulesFile, matchRule, compileRules } from "../../packages/core/src/rules-engine.js";
+import { categorizeTransactions } from "../../packages/core/src/categorizer.js";
+import { CategoryRuleSchema } from "../../packages/core/src/schemas.js";
 
 test("validateRulesFile validates basic structure", () => {
   const rules = { rules: [{ id: "r1", when: { contains: ["X"] }, then: { category: "Software" } }] };
@@ -242,3 +244,238 @@ test("backward compatibility: contains works as any_contains", () => {
   const matched2 = matchRule({ description: "CHATGPT plus", amount: -20 }, rules);
   assert.equal(matched2.id, "r1");
 });
+
+test("matchRule supports nested any/all/not groups", () => {
+  const rules = {
+    rules: [
+      {
+        id: "amazon",
+        when: { contains: ["amazon"], not: { contains: ["prime video"] } },
+        then: { category: "Shopping" }
+      },
+      {
+        id: "fuel",
+        when: {
+          any: [
+            { all: [{ any: [{ contains: ["shell"] }, { contains: ["chevron"] }] }, { amount_lt: -100 }] },
+            { all_contains: ["costco", "gas"] }
+          ]
+        },
+        then: { category: "Fuel" }
+      }
+    ]
+  };
+  const match = (description, amount = -20) => matchRule({ description, amount }, rules)?.id ?? null;
+
+  assert.equal(match("AMAZON MKTPLACE"), "amazon");
+  assert.equal(match("AMAZON PRIME VIDEO"), null);
+  assert.equal(match("SHELL OIL 123", -120), "fuel");
+  assert.equal(match("CHEVRON 0042", -150), "fuel");
+  assert.equal(match("SHELL OIL 123", -40), null);
+  assert.equal(match("COSTCO GAS #12", -40), "fuel");
+  assert.equal(validateRulesFile(rules), true);
+  assert.ok(CategoryRuleSchema.safeParse(rules.rules[1]).success);
+});
+
+test("validateRulesFile rejects malformed condition groups", () => {
+  const rule = (when) => ({ rules: [{ id: "r1", when, then: { category: "X" } }] });
+
+  assert.throws(() => validateRulesFile(rule({ any: [] })), /r1: when.any must be a non-empty array/);
+  assert.throws(() => validateRulesFile(rule({ all: [{ contains: ["a"] }, "b"] })), /when.all\[1\] must be an object/);
+  assert.throws(() => validateRulesFile(rule({ not: { any: [{}] } })), /when.not.any\[0\] must have at least one condition/);
+  assert.throws(() => validateRulesFile(rule({ not: ["a"] })), /when.not must be an object/);
+  assert.equal(CategoryRuleSchema.safeParse(rule({ any: [{}] }).rules[0]).success, false);
+});
+
+test("matchRule supports date and calendar conditions", () => {
+  const rules = {
+    rules: [
+      { id: "h1", when: { contains: ["cowork"], date_between: { from: "2025-01-01", to: "2025-06-30" } }, then: { category: "Rent", venture: "a" } },
+      { id: "h2", when: { contains: ["cowork"], date_after: "2025-06-30", date_before: "2026-01-01" }, then: { category: "Rent", venture: "b" } },
+      { id: "school", when: { contains: ["adobe"], month_in: [9, 10, 11, 12, 1, 2, 3, 4, 5, 6] }, then: { category: "Software" } },
+      { id: "weekend", when: { contains: ["cafe"], day_of_week_in: ["sat", "sun"] }, then: { category: "Meals" } },
+      { id: "rent", when: { contains: ["landlord"], day_of_month: { min: 1, max: 5 } }, then: { category: "Rent" } }
+    ]
+  };
+  const match = (description, date) => matchRule({ description, amount: -10, date }, rules)?.id ?? null;
+
+  assert.equal(match("COWORK SPACE", "2025-06-30"), "h1");
+  assert.equal(match("COWORK SPACE", "2025-07-01"), "h2");
+  assert.equal(match("COWORK SPACE", "2026-01-01"), null);
+  assert.equal(match("ADOBE", "2025-10-03"), "school");
+  assert.equal(match("ADOBE", "2025-07-03"), null);
+  assert.equal(match("CAFE", "2025-03-08"), "weekend"); // Saturday
+  assert.equal(match("CAFE", "2025-03-10"), null);
+  assert.equal(match("LANDLORD", "2025-03-05"), "rent");
+  assert.equal(match("LANDLORD", "2025-03-06"), null);
+  assert.equal(validateRulesFile(rules), true);
+  assert.ok(rules.rules.every((r) => CategoryRuleSchema.safeParse(r).success));
+});
+
+test("rules only apply within their effective window", () => {
+  const rules = {
+    rules: [
+      { id: "old", priority: 10, effective: { to: "2025-06-30" }, when: { contains: ["cowork"] }, then: { category: "Rent", venture: "a" } },
+      { id: "new", priority: 10, effective: { from: "2025-07-01" }, when: { contains: ["cowork"] }, then: { category: "Rent", venture: "b" } }
+    ]
+  };
+
+  assert.equal(matchRule({ description: "COWORK", amount: -300, date: "2025-06-15" }, rules).id, "old");
+  assert.equal(matchRule({ description: "COWORK", amount: -300, date: "2025-07-15" }, rules).id, "new");
+  assert.equal(validateRulesFile(rules), true);
+
+  const bad = (patch) => ({ rules: [{ id: "r1", when: { contains: ["x"] }, then: { category: "X" }, ...patch }] });
+  assert.throws(() => validateRulesFile(bad({ effective: { from: "2025-07-01", to: "2025-01-01" } })), /effective.from must not be after/);
+  assert.throws(() => validateRulesFile(bad({ when: { date_after: "07/01/2025" } })), /when.date_after must be a YYYY-MM-DD date/);
+  assert.throws(() => validateRulesFile(bad({ when: { month_in: [13] } })), /month_in must list months 1-12/);
+  assert.throws(() => validateRulesFile(bad({ when: { day_of_week_in: ["Saturday"] } })), /day_of_week_in must list days/);
+  assert.throws(() => validateRulesFile(bad({ when: { day_of_month: { min: 10, max: 5 } } })), /day_of_month requires/);
+  assert.equal(CategoryRuleSchema.safeParse(bad({ effective: { from: "2025-07-01", to: "2025-01-01" } }).rules[0]).success, false);
+});
+
+test("matchRule supports source, cardholder, memo, counterparty and field conditions", () => {
+  const rules = {
+    rules: [
+      { id: "costco-x", when: { source: ["costco"], card_member: ["jane doe"] }, then: { category: "Supplies", venture: "y" } },
+      { id: "client", when: { counterparty: ["Acme Corp"], memo_contains: ["invoice"] }, then: { category: "Income" } },
+      { id: "travel", when: { field: { name: "importedCategory", regex: "^travel" } }, then: { category: "Travel" } },
+      {
+        id: "tagged",
+        when: { field: [{ name: "accountId", in: ["biz-card", "biz-checking"] }, { name: "currency", equals: "eur" }] },
+        then: { category: "EU" }
+      }
+    ]
+  };
+  const base = { description: "PURCHASE", amount: -50, date: "2025-03-01" };
+  const match = (fields) => matchRule({ ...base, ...fields }, rules)?.id ?? null;
+
+  assert.equal(match({ source: "costco", cardMember: "JANE DOE" }), "costco-x");
+  assert.equal(match({ source: "amex", cardMember: "JANE DOE" }), null);
+  assert.equal(match({ source: "costco" }), null);
+  assert.equal(match({ counterparty: "ACME CORP", memo: "Invoice 1042" }), "client");
+  assert.equal(match({ counterparty: "ACME CORP", memo: "refund" }), null);
+  assert.equal(match({ importedCategory: "Travel-Airline" }), "travel");
+  assert.equal(match({ accountId: "biz-card", currency: "EUR" }), "tagged");
+  assert.equal(match({ accountId: "biz-card", currency: "USD" }), null);
+  assert.equal(validateRulesFile(rules), true);
+  assert.ok(rules.rules.every((r) => CategoryRuleSchema.safeParse(r).success));
+
+  const bad = (field) => ({ rules: [{ id: "r1", when: { field }, then: { category: "X" } }] });
+  assert.throws(() => validateRulesFile(bad({ name: "memo", equals: "a", contains: "b" })), /needs exactly one of/);
+  assert.throws(() => validateRulesFile(bad({ equals: "a" })), /needs a field name/);
+  assert.throws(() => validateRulesFile(bad({ name: "memo", in: [] })), /in must be a non-empty array/);
+  assert.equal(CategoryRuleSchema.safeParse(bad({ name: "memo" }).rules[0]).success, false);
+
+  // A plain string is not a list: rejected, and never a match if it gets through
+  for (const key of ["source", "card_member", "counterparty", "memo_contains"]) {
+    const single = { rules: [{ id: "r1", when: { [key]: "costco" }, then: { category: "X" } }] };
+    assert.throws(() => validateRulesFile(single), new RegExp(`when.${key} must be an array of strings`));
+    assert.equal(matchRule({ ...base, source: "chase" }, single), null);
+  }
+});
+
+const WORDS = ["amazon", "prime", "video", "shell", "chevron", "costco", "gas", "uber", "eats", "adobe", "github", "aws", "zoom", "delta", "hilton", "starbucks", "invoice", "payroll", "rent", "insurance"];
+
+/**
+ * Generate rules and transactions with a seeded random generator
+ * @param {number} ruleCount - Number of rules
+ * @param {number} txnCount - Number of transactions
+ * @returns {{ rulesFile: Object, transactions: Array }} Rules of every kind and matching data
+ */
+function generate(ruleCount, txnCount) {
+  let seed = 42;
+  const random = () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+  const pick = (list) => list[Math.floor(random() * list.length)];
+  const word = () => `${pick(WORDS)}${Math.floor(random() * 40)}`;
+
+  // Most rules in a real rules file match on description keywords
+  const keywordShapes = [
+    () => ({ any_contains: [word(), word()] }),
+    () => ({ all_contains: [word(), pick(WORDS)] }),
+    () => ({ contains: [word().toUpperCase()], amount_lt: -Math.floor(random() * 200) }),
+    () => ({ any: [{ any_contains: [word()] }, { all_contains: [word(), "gas"] }], not: { any_contains: ["prime"] } }),
+    () => ({ all: [{ any_contains: [word()] }, { amount_between: { min: -500, max: -10 } }] }),
+    () => ({ any_contains: [word()], day_of_week_in: ["sat", "sun"] })
+  ];
+  const otherShapes = [
+    () => ({ any: [{ any_contains: [word()] }, { source: ["costco"] }] }),
+    () => ({ regex: { pattern: `${pick(WORDS)}\\d+`, flags: "gi" } }),
+    () => ({ field: { name: "memo", contains: pick(WORDS) } }),
+    () => ({ amount_gt: 0, month_in: [1 + Math.floor(random() * 12)] })
+  ];
+  const rules = Array.from({ length: ruleCount }, (_, i) => ({
+    id: `r${i}`,
+    priority: Math.floor(random() * 5),
+    when: pick(random() < 0.9 ? keywordShapes : otherShapes)(),
+    ...(random() < 0.1 && { effective: { from: "2025-04-01" } }),
+    then: { category: `C${i}` }
+  }));
+
+  const transactions = Array.from({ length: txnCount }, (_, i) => ({
+    id: `t${i}`,
+    date: `2025-${String(1 + Math.floor(random() * 12)).padStart(2, "0")}-${String(1 + Math.floor(random() * 28)).padStart(2, "0")}`,
+    description: `${word()} ${word()} ${word()}`.toUpperCase(),
+    amount: Math.round((random() * 600 - 500) * 100) / 100,
+    source: pick(["chase", "costco", "amex"]),
+    memo: random() < 0.3 ? pick(WORDS) : undefined
+  }));
+  return { rulesFile: { rules }, transactions };
+}
+
+test("compiled rules pick the same rule as matchRule", () => {
+  const { rulesFile, transactions } = generate(300, 3000);
+  assert.equal(validateRulesFile(rulesFile), true);
+  const compiled = compileRules(rulesFile);
+
+  let matched = 0;
+  for (const txn of transactions) {
+    const expected = matchRule(txn, rulesFile);
+    assert.equal(matchRule(txn, compiled), expected, txn.description);
+    if (expected) matched++;
+  }
+  assert.ok(matched > transactions.length / 4, `only ${matched} matched`);
+  assert.equal(compileRules(compiled), compiled);
+
+  // Keywords that every description contains, empty groups and bad regexes
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    const edge = compileRules({
+      rules: [
+        { id: "bad", when: { regex: "(" }, then: {} },
+        { id: "never", when: { any: [] }, then: {} },
+        { id: "blank", when: { all_contains: ["", "zz"], any_contains: [""] }, then: {} },
+        { id: "sticky", when: { regex: { pattern: "a", flags: "g" } }, then: {} }
+      ]
+    });
+    assert.equal(edge.match({ description: "xzzx", amount: 1 }).id, "blank");
+    assert.equal(edge.match({ description: "banana", amount: 1 }).id, "sticky");
+    assert.equal(edge.match({ description: "banana", amount: 1 }).id, "sticky");
+    assert.equal(edge.match({ description: "none", amount: 1 }), null);
+  } finally {
+    console.warn = warn;
+  }
+});
+
+test("compiled rules check far fewer rules per transaction than a scan", () => {
+  const { rulesFile, transactions } = generate(500, 4000);
+  const compiled = compileRules(rulesFile);
+
+  // A scan checks every rule up to the match; the index only its candidates
+  let scanned = 0;
+  let checked = 0;
+  for (const txn of transactions) {
+    const match = matchRule(txn, rulesFile);
+    const candidates = compiled.candidates(txn);
+    if (match) assert.ok(candidates.includes(match), txn.description);
+    scanned += match ? compiled.rules.indexOf(match) + 1 : compiled.rules.length;
+    checked += match ? candidates.indexOf(match) + 1 : candidates.length;
+  }
+  assert.ok(checked * 5 < scanned, `compiled checked ${checked} rules vs scan ${scanned}`);
+
+  const { categorized } = categorizeTransactions(transactions, rulesFile);
+  assert.deepEqual(
+    categorized.map((t) => t.audit.at(-1).ruleId),
+    transactions.map((txn) => matchRule(txn, compiled)?.id ?? null)
+  );
+});
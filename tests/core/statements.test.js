@@ -0,0 +1,96 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseCsvString, validateAndParseCsv } from "../../packages/core/src/parser.js";
+import { parseCsvFile } from "../../packages/core/src/parser-node.js";
+import { TransactionSchema, RuleConditionSchema } from "../../packages/core/src/schemas.js";
+import { matchRule, validateRulesFile } from "../../packages/core/src/rules-engine.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixturesDir = path.join(__dirname, "../fixtures");
+
+test("camt.053 entries keep dates, sign, counterparty and remittance", () => {
+  const out = parseCsvFile(path.join(fixturesDir, "camt053.xml"), { source: "camt053" });
+
+  assert.deepEqual(
+    out.map((t) => [t.date, t.valueDate, t.description, t.amount]),
+    [
+      ["2025-01-06", "2025-01-07", "Müller & Partner GmbH [Rechnung 2025-014]", 1200],
+      ["2025-01-08", "2025-01-08", "Stadtwerke Berlin [Strom Januar Kunde 4711]", -89.9],
+      ["2025-01-10", "2025-01-10", "Finanzamt Mitte [USt Q4 2024]", -100],
+      ["2025-01-10", "2025-01-10", "IHK Berlin [RF18539007547034]", -50],
+      ["2025-01-31", undefined, "Kontofuehrungsgebuehr", -25]
+    ]
+  );
+  assert.equal(out[0].counterparty, "Müller & Partner GmbH");
+  assert.equal(out[0].counterpartyIban, "DE44500105175407324931");
+  assert.equal(out[0].memo, "Rechnung 2025-014");
+  assert.equal(out[0].currency, "EUR");
+  assert.equal(out[0].status, "posted");
+  assert.equal(out[4].status, "pending");
+  assert.equal(out[0].id, "camt053:DE89370400440532013000:20250106-0001");
+  assert.deepEqual([out[2].id, out[3].id].map((id) => id.split(":").pop()), ["20250110-0003-1", "20250110-0003-2"]);
+  for (const txn of out) {
+    assert.ok(TransactionSchema.safeParse(txn).success, txn.id);
+  }
+});
+
+test("camt.053 reports invalid entries by line", () => {
+  const result = validateAndParseCsv(fs.readFileSync(path.join(fixturesDir, "camt053.xml"), "utf8"), { source: "camt053" });
+  assert.equal(result.errorCount, 1);
+  assert.equal(result.errors[0].row, 80);
+  assert.match(result.errors[0].message, /Invalid amount "abc"/);
+
+  assert.throws(() => parseCsvString("<Document/>", { source: "camt053" }), /not a camt.053 statement/);
+});
+
+test("MT940 statement lines read both :86: layouts and reversals", () => {
+  const out = parseCsvFile(path.join(fixturesDir, "mt940.sta"), { source: "mt940" });
+
+  assert.deepEqual(
+    out.map((t) => [t.date, t.valueDate, t.description, t.amount]),
+    [
+      ["2025-01-06", "2025-01-06", "Müller & Partner GmbH [Rechnung 2025-014]", 1200],
+      ["2025-01-08", "2025-01-07", "Stadtwerke Berlin [Strom Januar Kunde 4711]", -89.9],
+      ["2024-12-31", "2024-12-31", "Kontofuehrung Dezember", -12.5],
+      ["2025-01-15", "2025-01-15", "Acme BV [Terugboeking factuur 17]", -40]
+    ]
+  );
+  assert.equal(out[0].counterpartyIban, "DE44500105175407324931");
+  assert.equal(out[1].counterpartyIban, "DE02120300000000202051");
+  assert.equal(out[3].counterpartyIban, "NL91ABNA0417164300");
+  assert.equal(out[2].counterparty, undefined);
+  assert.equal(out[2].memo, "Kontofuehrung Dezember");
+  assert.ok(out.every((t) => t.currency === "EUR"));
+  assert.equal(new Set(out.map((t) => t.id)).size, out.length);
+
+  const result = validateAndParseCsv(fs.readFileSync(path.join(fixturesDir, "mt940.sta"), "utf8"), { source: "mt940" });
+  assert.equal(result.errorCount, 1);
+  assert.equal(result.errors[0].row, 18);
+});
+
+test("counterparty_iban rules match statement transactions", () => {
+  const rulesFile = {
+    rules: [
+      { id: "tax", when: { counterparty_iban: ["de31 1000 0000 0010 0015 92"] }, then: { category: "Taxes", venture: "household" } },
+      { id: "power", when: { counterparty_iban: ["DE02120300000000202051"], amount_lt: 0 }, then: { category: "Utilities", venture: "household" } }
+    ]
+  };
+  const out = parseCsvFile(path.join(fixturesDir, "camt053.xml"), { source: "camt053" });
+
+  assert.deepEqual(
+    out.map((t) => matchRule(t, rulesFile)?.id ?? null),
+    [null, "power", "tax", null, null]
+  );
+  assert.ok(RuleConditionSchema.safeParse({ counterparty_iban: ["DE02120300000000202051"] }).success);
+  assert.equal(validateRulesFile(rulesFile), true);
+
+  // A single IBAN must still be a list; written as a string it matches nothing
+  const single = { rules: [{ id: "tax", when: { counterparty_iban: "DE31100000000010001592" }, then: { category: "Taxes" } }] };
+  assert.throws(() => validateRulesFile(single), /counterparty_iban must be an array of strings/);
+  assert.deepEqual(out.map((t) => matchRule(t, single)), [null, null, null, null, null]);
+  single.rules[0].when.counterparty_iban = ["Tax office"];
+  assert.throws(() => validateRulesFile(single), /counterparty_iban has an invalid IBAN "Tax office"/);
+});
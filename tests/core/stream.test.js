@@ -0,0 +1,180 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseStream, collectStream, categorizeStream } from "../../packages/core/src/stream.js";
+import { streamCsvFile } from "../../packages/core/src/parser-node.js";
+import { validateAndParseCsv, registerProfile, unregisterParser } from "../../packages/core/src/parser.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixturesDir = path.join(__dirname, "../fixtures");
+
+/**
+ * Repeat a fixture's data rows so the file spans many batches
+ * @param {string} name - Fixture file name
+ * @param {number} headerLines - Lines above the first data row
+ * @param {number} times - Number of copies of the data rows
+ * @returns {string} CSV content
+ */
+function archive(name, headerLines, times) {
+  const lines = fs.readFileSync(path.join(fixturesDir, name), "utf8").split(/\r?\n/);
+  const rows = lines.slice(headerLines).filter((l) => l.trim());
+  return [...lines.slice(0, headerLines), ...Array.from({ length: times }, () => rows).flat()].join("\n");
+}
+
+/**
+ * Split bytes into small chunks, cutting through multi-byte characters
+ * @param {string} text - Content
+ * @param {number} size - Chunk size in bytes
+ * @returns {Uint8Array[]} Chunks
+ */
+function chunks(text, size) {
+  const bytes = new TextEncoder().encode(text);
+  const out = [];
+  for (let i = 0; i < bytes.length; i += size) out.push(bytes.subarray(i, i + size));
+  return out;
+}
+
+test("streaming a multi-batch archive matches a whole-file parse", async () => {
+  for (const [name, headerLines, source] of [
+    ["generic.csv", 1, "generic"],
+    ["chase.csv", 1, "chase"],
+    ["venmo.csv", 4, "venmo"],
+    ["paypal.csv", 1, "auto"]
+  ]) {
+    const text = archive(name, headerLines, 40);
+    const whole = validateAndParseCsv(text, { source });
+    const streamed = await collectStream(parseStream(chunks(text, 7), { source, batchSize: 9 }));
+
+    assert.ok(whole.transactions.length > 100, name);
+    assert.deepEqual(streamed.transactions, whole.transactions, name);
+    assert.deepEqual(streamed.errors, whole.errors, name);
+    assert.equal(streamed.totalRows, whole.totalRows, name);
+    assert.equal(new Set(streamed.transactions.map((t) => t.id)).size, streamed.transactions.length, name);
+  }
+});
+
+test("checking archives keep preamble headers and file row numbers", async () => {
+  const text = archive("credit-union.csv", 3, 20);
+  const whole = validateAndParseCsv(text, { source: "checking" });
+  const streamed = await collectStream(parseStream(text, { source: "checking", batchSize: 5 }));
+
+  assert.deepEqual(streamed.transactions, whole.transactions);
+  // Breaks between two batches go unreported; every other error is the same
+  const key = (e) => `${e.row} ${e.message}`;
+  const expected = new Set(whole.errors.map(key));
+  assert.ok(streamed.errors.length > 0 && streamed.errors.length < whole.errors.length);
+  assert.ok(streamed.errors.every((e) => expected.has(key(e))));
+});
+
+test("Amex title lines are repeated on top of every batch", async () => {
+  const rows = Array.from({ length: 30 }, (_, i) => `01/${String((i % 28) + 1).padStart(2, "0")}/2025,SHOP ${i},JANE DOE,-41007,${i + 1}.00`);
+  const text = ["Transaction Details", "Prepared for", "JANE DOE", "Date,Description,Card Member,Account #,Amount", ...rows].join("\n");
+  const whole = validateAndParseCsv(text, { source: "amex" });
+  const streamed = await collectStream(parseStream(text, { source: "amex", batchSize: 7 }));
+
+  assert.equal(whole.transactions.length, 30);
+  assert.deepEqual(streamed.transactions, whole.transactions);
+  assert.deepEqual(streamed.errors, []);
+});
+
+test("the date order comes from the date column and is kept for later batches", async () => {
+  // Day-first references beside ambiguous dates, then dates only month-first can read
+  const rows = [
+    ...Array.from({ length: 60 }, (_, i) => `01/02/2025,SHOP ${i},-${i + 1}.00,31/01/2025`),
+    ...Array.from({ length: 20 }, (_, i) => `01/20/2025,STORE ${i},-${i + 1}.00,31/01/2025`)
+  ];
+  const text = ["Date,Description,Amount,Reference", ...rows].join("\n");
+  const whole = validateAndParseCsv(text, { source: "generic" });
+  const streamed = await collectStream(parseStream(text, { source: "generic", batchSize: 10 }));
+
+  assert.equal(whole.dateOrder, "MDY");
+  assert.deepEqual(streamed.transactions, whole.transactions);
+  assert.deepEqual(streamed.errors, []);
+  assert.equal(streamed.transactions[0].date, "2025-01-02");
+});
+
+test("parseStream reads ReadableStreams and reports progress", async () => {
+  const text = archive("generic.csv", 1, 100);
+  const input = new ReadableStream({
+    start(controller) {
+      for (const chunk of chunks(text, 1000)) controller.enqueue(chunk);
+      controller.close();
+    }
+  });
+  const updates = [];
+  const batches = [];
+  for await (const batch of parseStream(input, { totalBytes: text.length, batchSize: 100, onProgress: (p) => updates.push(p) })) {
+    batches.push(batch);
+  }
+
+  // The header counts towards the first batch
+  assert.equal(batches.length, 4);
+  assert.equal(updates.length, batches.length);
+  assert.deepEqual(updates.at(-1), { bytesRead: text.length, totalBytes: text.length, rows: 300, transactions: 300, errors: 0 });
+  assert.ok(updates.every((p, i) => i === 0 || p.transactions > updates[i - 1].transactions));
+});
+
+test("the day/month order is pinned once a batch shows it", async () => {
+  const rows = ["Date,Description,Amount"];
+  for (let i = 0; i < 60; i++) rows.push(`03/04/2025,COFFEE ${i},-4.50`);
+  rows.push("25/04/2025,BAKERY,-6.00", "03/04/2025,COFFEE,-4.50");
+  const { transactions, warnings } = await collectStream(parseStream(rows.join("\n"), { batchSize: 10 }));
+
+  // Rows read before the order was known stay month-first, with a warning
+  assert.equal(transactions[0].date, "2025-03-04");
+  assert.equal(warnings.length, 59);
+  assert.deepEqual(transactions.slice(-2).map((t) => t.date), ["2025-04-25", "2025-04-03"]);
+
+  const withLocale = await collectStream(parseStream(rows.join("\n"), { batchSize: 10, locale: "en-GB" }));
+  assert.ok(withLocale.transactions.every((t) => t.date.startsWith("2025-04")));
+  assert.equal(withLocale.warnings.length, 0);
+
+  // Mapping profiles keep their own locale
+  registerProfile({ name: "stream-cu", columns: { date: "Posted", description: "Payee", amount: "Amount" }, locale: "fr-CA" });
+  try {
+    const lines = ["Posted,Payee,Amount"];
+    for (let i = 0; i < 60; i++) lines.push(`03/04/2025,SHOP ${i},"-1 234,50"`);
+    const profiled = await collectStream(parseStream(lines.join("\n"), { source: "stream-cu", batchSize: 10 }));
+    assert.equal(profiled.transactions.at(-1).date, "2025-04-03");
+    assert.equal(profiled.transactions.at(-1).amount, -1234.5);
+  } finally {
+    unregisterParser("stream-cu");
+  }
+});
+
+test("statement documents and files stream in batches", async () => {
+  const file = path.join(fixturesDir, "card-v2.ofx");
+  const whole = validateAndParseCsv(fs.readFileSync(file), { source: "ofx" });
+  const batches = [];
+  for await (const batch of streamCsvFile(file, { source: "auto", batchSize: 1 })) batches.push(batch);
+
+  assert.equal(batches.length, whole.transactions.length);
+  assert.deepEqual(batches[0].errors, whole.errors);
+  assert.deepEqual(batches.flatMap((b) => b.transactions), whole.transactions);
+
+  assert.throws(() => streamCsvFile(path.join(fixturesDir, "missing.csv")), /File not found/);
+  const unknown = await collectStream(parseStream("just,some\ntext,here", { source: "auto" }));
+  assert.match(unknown.errors[0].message, /Could not detect the file format/);
+  const missing = await collectStream(parseStream("Foo,Bar\n1,2\n3,4", { source: "amex", batchSize: 1 }));
+  assert.equal(missing.transactions.length, 0);
+  assert.equal(missing.errors.length, 1);
+  assert.match(missing.errors[0].message, /Missing required headers/);
+  await assert.rejects(collectStream(parseStream(42)), /Unsupported input/);
+});
+
+test("categorizeStream categorizes each batch", async () => {
+  const text = archive("chase.csv", 1, 20);
+  const rulesFile = {
+    rules: [{ id: "coffee", when: { any_contains: ["starbucks"] }, then: { category: "Meals", venture: "household" } }]
+  };
+  const batches = [];
+  for await (const batch of categorizeStream(parseStream(text, { source: "chase", batchSize: 7 }), rulesFile)) {
+    batches.push(batch);
+  }
+
+  assert.ok(batches.length > 1);
+  assert.ok(batches.every((b) => b.categorized.length === b.transactions.length));
+  assert.ok(batches.flatMap((b) => b.categorized).some((t) => t.category === "Meals"));
+});
@@ -1,8 +1,10 @@
 import test from 'node:test'
 import assert from 'node:assert/strict'
-import { validateAndParseCsv } from '../../packages/core/src/parser.js'
+import { validateAndParseCsv, parseCsvString } from '../../packages/core/src/parser.js'
+import { isRepairable } from '../../packages/core/src/repairs.js'
 import {
   TransactionSchema,
+  ImportResultSchema,
   validateTransaction,
   formatZodErrors
 } from '../../packages/core/src/schemas.js'
@@ -154,3 +156,63 @@ test('validateAndParseCsv preserves all fields in valid transactions', () => {
   assert.equal(txn.source, 'generic')
   assert.ok(txn.id.startsWith('generic:'))
 })
+
+test('Chase and Costco report the rows they drop', () => {
+  const chase = `Transaction Date,Post Date,Description,Category,Type,Amount,Memo
+01/05/2025,01/06/2025,STARBUCKS,Food & Drink,Sale,-4.50,
+13/45/2025,01/06/2025,BAKERY,Food & Drink,Sale,-6.00,
+01/07/2025,01/08/2025,LUNCH,Food & Drink,Sale,twelve,`
+
+  const chaseResult = validateAndParseCsv(chase, { source: 'chase' })
+  assert.equal(chaseResult.validCount, 1)
+  assert.deepEqual(
+    chaseResult.errors.map((e) => [e.row, e.message]),
+    [
+      [3, 'Invalid date "13/45/2025"'],
+      [4, 'Invalid amount "twelve"']
+    ]
+  )
+  assert.deepEqual(chaseResult.errors[1].value, { date: '01/07/2025', description: 'LUNCH', amount: 'twelve', type: 'Sale' })
+
+  const costco = `Status,Date,Description,Debit,Credit,Member
+Cleared,01/10/2025,COSTCO GASOLINE,45.60,,PRIMARY
+Pending,01/11/2025,COSTCO WHOLESALE,234.18,,PRIMARY
+Cleared,01/12/2025,ANNUAL FEE WAIVED,,,PRIMARY
+Cleared,01/13/2025,ONLINE RETAILER,abc,,PRIMARY`
+
+  const costcoResult = validateAndParseCsv(costco, { source: 'costco' })
+  assert.equal(costcoResult.validCount, 2)
+  assert.equal(costcoResult.transactions[1].status, 'pending')
+  assert.deepEqual(costcoResult.errors.map((e) => [e.row, e.message]), [[5, 'Invalid debit "abc"']])
+
+  // Zero-amount rows are left out on purpose, reported as info
+  assert.deepEqual(costcoResult.skipped, [
+    {
+      row: 4,
+      severity: 'info',
+      message: 'Zero amount',
+      value: { date: '01/12/2025', description: 'ANNUAL FEE WAIVED', amount: '', debit: '', credit: '' }
+    }
+  ])
+  assert.ok(ImportResultSchema.safeParse(costcoResult).success)
+
+  assert.throws(
+    () => parseCsvString('Foo,Bar\n1,2', { source: 'chase' }),
+    /Chase CSV: Missing required headers: Transaction Date, Description, Amount/
+  )
+})
+
+test('intentional skips are reported with severity info', () => {
+  const paypal = `Date,Name,Type,Status,Currency,Gross,Fee
+01/05/2025,Jane Doe,Payment Sent,Denied,USD,-20.00,0.00
+01/06/2025,Shop,Express Checkout Payment,Completed,USD,-15.00,0.00`
+
+  const result = validateAndParseCsv(paypal, { source: 'paypal' })
+  assert.equal(result.validCount, 1)
+  assert.equal(result.errorCount, 0)
+  assert.deepEqual(
+    result.skipped.map((e) => [e.row, e.severity, e.message]),
+    [[2, 'info', 'Status "Denied" (no money moved)']]
+  )
+  assert.ok(!isRepairable(result.skipped[0]))
+})
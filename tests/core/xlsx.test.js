@@ -0,0 +1,145 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { zipSync, strToU8 } from "fflate";
+import { parseCsvString, validateAndParseCsv, detectSource } from "../../packages/core/src/parser.js";
+import { parseCsvFile } from "../../packages/core/src/parser-node.js";
+import { isXlsx, listXlsxSheets, readXlsx, excelSerialToDate } from "../../packages/core/src/parsers/_xlsx.js";
+
+/**
+ * Build a minimal workbook the way Excel lays it out
+ * Strings go to the shared string table; numbers styled 1 use a date format.
+ * @param {Object<string, Array<Array<string|number|{ date: number }>>>} sheets - Rows by sheet name
+ * @param {Object} [options] - Workbook options
+ * @param {boolean} [options.date1904] - Use the 1904 date system
+ * @returns {Uint8Array} XLSX bytes
+ */
+function buildWorkbook(sheets, { date1904 = false } = {}) {
+  const strings = [];
+  const col = (i) => String.fromCharCode(65 + i);
+  const cell = (value, ref) => {
+    if (typeof value === "number") return `<c r="${ref}"><v>${value}</v></c>`;
+    if (typeof value === "object") return `<c r="${ref}" s="1"><v>${value.date}</v></c>`;
+    strings.push(value);
+    return `<c r="${ref}" t="s"><v>${strings.length - 1}</v></c>`;
+  };
+
+  const files = {};
+  const names = Object.keys(sheets);
+  names.forEach((name, i) => {
+    const rows = sheets[name]
+      .map((row, r) => (row.length === 0 ? "" : `<row r="${r + 1}">${row.map((v, c) => cell(v, `${col(c)}${r + 1}`)).join("")}</row>`))
+      .join("");
+    files[`xl/worksheets/sheet${i + 1}.xml`] = strToU8(
+      `<?xml version="1.0"?><worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${rows}</sheetData></worksheet>`
+    );
+  });
+
+  files["xl/workbook.xml"] = strToU8(
+    '<?xml version="1.0"?><workbook xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      `<workbookPr${date1904 ? ' date1904="1"' : ""}/><sheets>` +
+      names.map((name, i) => `<sheet name="${name}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join("") +
+      "</sheets></workbook>"
+  );
+  files["xl/_rels/workbook.xml.rels"] = strToU8(
+    "<Relationships>" +
+      names.map((_, i) => `<Relationship Id="rId${i + 1}" Target="worksheets/sheet${i + 1}.xml"/>`).join("") +
+      "</Relationships>"
+  );
+  files["xl/styles.xml"] = strToU8(
+    '<styleSheet><numFmts count="1"><numFmt numFmtId="164" formatCode="m/d/yyyy"/></numFmts>' +
+      '<cellXfs count="2"><xf numFmtId="0"/><xf numFmtId="164"/></cellXfs></styleSheet>'
+  );
+  files["xl/sharedStrings.xml"] = strToU8(
+    `<sst>${strings.map((s) => `<si><t>${s.replace(/&/g, "&amp;")}</t></si>`).join("")}</sst>`
+  );
+  return zipSync(files);
+}
+
+const STATEMENT = {
+  Summary: [["Statement period", "January 2025"]],
+  Transactions: [
+    ["Date", "Description", "Amount"],
+    [{ date: 45663 }, "Coffee Shop", -4.5],
+    [{ date: 45664 }, "Payroll Deposit", 2500.1],
+    [],
+    [{ date: 45666 }, "Office Depot, Inc.", -123.456]
+  ]
+};
+
+test("Excel date serials become ISO dates in both date systems", () => {
+  assert.equal(excelSerialToDate(45663), "2025-01-06");
+  assert.equal(excelSerialToDate(1), "1900-01-01");
+  assert.equal(excelSerialToDate(61), "1900-03-01");
+  assert.equal(excelSerialToDate(44201, true), "2025-01-06");
+});
+
+test("XLSX sheets are read as CSV with dates and numeric cells", () => {
+  const bytes = buildWorkbook(STATEMENT);
+  assert.ok(isXlsx(bytes));
+  assert.ok(!isXlsx("Date,Amount"));
+  assert.deepEqual(listXlsxSheets(bytes), ["Summary", "Transactions"]);
+
+  const { sheet, text } = readXlsx(bytes, { sheet: "transactions" });
+  assert.equal(sheet, "Transactions");
+  assert.deepEqual(text.split("\n"), [
+    "Date,Description,Amount",
+    "2025-01-06,Coffee Shop,-4.5",
+    "2025-01-07,Payroll Deposit,2500.1",
+    "",
+    '2025-01-09,"Office Depot, Inc.",-123.456'
+  ]);
+  assert.match(readXlsx(bytes, { sheet: 2, decimal: "," }).text, /Payroll Deposit,"2500,1"/);
+});
+
+test("XLSX input runs through the adapters with sheet selection", () => {
+  const bytes = buildWorkbook(STATEMENT);
+
+  const out = parseCsvString(bytes, { source: "generic", sheet: "Transactions" });
+  assert.deepEqual(
+    out.map((t) => [t.date, t.description, t.amount]),
+    [
+      ["2025-01-06", "Coffee Shop", -4.5],
+      ["2025-01-07", "Payroll Deposit", 2500.1],
+      ["2025-01-09", "Office Depot, Inc.", -123.456]
+    ]
+  );
+  assert.deepEqual(
+    parseCsvString(bytes, { source: "generic", sheet: 2, locale: "de-DE" }).map((t) => t.amount),
+    [-4.5, 2500.1, -123.456]
+  );
+  assert.equal(detectSource(bytes, { sheet: "Transactions" })[0].source, "generic");
+  assert.throws(() => parseCsvString(bytes, { source: "generic", sheet: "Detail" }), /Sheet "Detail" not found. Available sheets: Summary, Transactions/);
+});
+
+test("XLSX rows report errors with spreadsheet row numbers", () => {
+  const bytes = buildWorkbook({
+    Sheet1: [
+      ["Date", "Description", "Amount"],
+      [{ date: 45663 }, "AMAZON MKTPLACE", -19.99],
+      [],
+      ["soon", "NETFLIX", -15.49]
+    ]
+  });
+
+  const result = validateAndParseCsv(bytes, { source: "generic" });
+  assert.equal(result.validCount, 1);
+  assert.equal(result.errors[0].row, 4);
+  assert.match(validateAndParseCsv(bytes, { source: "generic", sheet: "Other" }).errors[0].message, /Sheet "Other" not found/);
+});
+
+test("parseCsvFile reads .xlsx files", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "fot-xlsx-"));
+  try {
+    const file = path.join(dir, "statement.xlsx");
+    fs.writeFileSync(file, buildWorkbook(STATEMENT, { date1904: true }));
+
+    const out = parseCsvFile(file, { source: "auto", sheet: "Transactions" });
+    assert.equal(out.length, 3);
+    assert.equal(out[0].date, "2029-01-07");
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -1,5 +1,6 @@
 import test from 'node:test'
 import assert from 'node:assert/strict'
+import { hash } from '../../packages/core/src/parsers/_shared.js'
 
 // Mock localStorage for Node.js environment
 const mockStorage = new Map()
@@ -11,7 +12,7 @@ globalThis.localStorage = {
 }
 
 // Import after mock is set up
-const { importBackup, exportBackup, loadData, clearAllData } = await import(
+const { importBackup, exportBackup, loadData, clearAllData, saveParserProfiles, saveFxSettings, saveRepairs } = await import(
   '../../apps/web/src/lib/storage.js'
 )
 
@@ -77,6 +78,17 @@ test('importBackup rejects categorized that is not an array', () => {
   assert.ok(result.error.includes('categorized must be an array'))
 })
 
+test('saveRepairs keeps row fixes through a backup', () => {
+  const repairs = [{ source: 'generic', original: { date: '13/45/2025' }, date: '2025-01-13', description: 'COFFEE', amount: -4.5 }]
+  saveRepairs(repairs)
+  assert.deepEqual(loadData().repairs, repairs)
+  assert.deepEqual(JSON.parse(exportBackup()).repairs, repairs)
+
+  const result = importBackup(JSON.stringify({ repairs: 'not an array' }))
+  assert.equal(result.success, false)
+  assert.ok(result.error.includes('repairs must be an array'))
+})
+
 test('importBackup accepts valid backup with transactions', () => {
   const backup = {
     version: 1,
@@ -129,7 +141,7 @@ test('exportBackup returns valid JSON', () => {
 
 test('importBackup and exportBackup are reversible', () => {
   const original = {
-    version: 1,
+    version: 2,
     transactions: [
       { id: 'test:1', date: '2025-01-01', description: 'Coffee Shop', amount: -5.5 },
       { id: 'test:2', date: '2025-01-02', description: 'Grocery Store', amount: -75.0 }
@@ -165,6 +177,81 @@ test('importBackup migrates old version data', () => {
   assert.equal(result.success, true)
 
   const data = loadData()
-  assert.equal(data.version, 1)
+  assert.equal(data.version, 2)
   assert.equal(data.transactions.length, 1)
 })
+
+test('importBackup moves version 1 data to content-based IDs', () => {
+  // Version 1 IDs hashed the description alone and ended in the row position
+  const txn = { id: `generic:2025-01-01:${hash('Coffee')}:7`, date: '2025-01-01', description: 'Coffee', amount: -5, source: 'generic' }
+  const result = importBackup(
+    JSON.stringify({
+      version: 1,
+      transactions: [txn],
+      categorized: [
+        { ...txn, id: `${txn.id}:split:0`, originalTxnId: txn.id, amount: -2.5, allocation: { percent: 50, originalAmount: -5, splitIndex: 0, totalSplits: 2 } }
+      ]
+    })
+  )
+  assert.equal(result.success, true)
+
+  const data = loadData()
+  const newId = data.transactions[0].id
+  assert.notEqual(newId, txn.id)
+  assert.match(newId, /^generic:2025-01-01:[0-9a-f]+:1$/)
+  assert.equal(data.categorized[0].id, `${newId}:split:0`)
+  assert.equal(data.categorized[0].originalTxnId, newId)
+})
+
+test('importBackup rejects parserProfiles that is not an array', () => {
+  const result = importBackup(JSON.stringify({ parserProfiles: { name: 'x' } }))
+  assert.equal(result.success, false)
+  assert.ok(result.error.includes('parserProfiles must be an array'))
+})
+
+test('saveParserProfiles keeps imported transactions', () => {
+  importBackup(
+    JSON.stringify({
+      version: 1,
+      transactions: [{ id: 'test:1', date: '2025-01-01', description: 'Test', amount: -10 }]
+    })
+  )
+
+  const profiles = [{ name: 'credit-union', columns: { date: 'Date', description: 'Payee', amount: 'Amount' } }]
+  assert.equal(saveParserProfiles(profiles), true)
+
+  const data = loadData()
+  assert.deepEqual(data.parserProfiles, profiles)
+  assert.equal(data.transactions.length, 1)
+})
+
+test('importBackup rejects sourceLocales that is not an object', () => {
+  const result = importBackup(JSON.stringify({ sourceLocales: ['de-DE'] }))
+  assert.equal(result.success, false)
+  assert.ok(result.error.includes('sourceLocales must be an object'))
+})
+
+test('saveFxSettings clears categorization results', () => {
+  importBackup(
+    JSON.stringify({
+      version: 1,
+      transactions: [{ id: 'test:1', date: '2025-01-01', description: 'Test', amount: -10 }],
+      categorized: [],
+      summary: {}
+    })
+  )
+
+  const fx = { reportingCurrency: 'EUR', rates: [{ date: '2025-01-01', from: 'USD', to: 'EUR', rate: 0.9 }] }
+  assert.equal(saveFxSettings(fx), true)
+
+  const data = loadData()
+  assert.deepEqual(data.fx, fx)
+  assert.equal(data.categorized, null)
+  assert.equal(data.transactions.length, 1)
+})
+
+test('importBackup rejects fx without a rates array', () => {
+  const result = importBackup(JSON.stringify({ fx: { reportingCurrency: 'USD' } }))
+  assert.equal(result.success, false)
+  assert.ok(result.error.includes('fx needs a reportingCurrency and a rates array'))
+})